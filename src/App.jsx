@@ -1,19 +1,23 @@
-import { useState, useCallback, useRef, useEffect } from "react";
+import { useState, useCallback, useRef, useEffect, useMemo } from "react";
 import { colors, fonts } from "./theme";
 import PdfScanner from "./components/PdfScanner";
 import WallTakeoff from "./components/WallTakeoff";
 import FloorTakeoff from "./components/FloorTakeoff";
 import RoofTakeoff from "./components/RoofTakeoff";
 import BidSummary from "./components/BidSummary";
+import ExtractionReview from "./components/ExtractionReview";
 import QuickReference from "./components/QuickReference";
 import ProjectDashboard from "./components/ProjectDashboard";
 import AgentInsights from "./agents/AgentInsights";
 import { useAgent } from "./agents/agentContext";
-import { buildWallImportData, buildFloorImportData, buildRoofImportData } from "./utils/takeoffMapper";
+import { buildWallImportData, buildFloorImportData, buildRoofImportData, estimateHeaderCost } from "./utils/takeoffMapper";
+import { applyReviewDecisions, listReviewItems, summarizeReview } from "./utils/extractionReview";
 import { getProject, createAutoSaver } from "./utils/projectStore";
+import { UNIT_SYSTEMS } from "./utils/units";
 
 const TABS = [
   { id: "scan", label: "Plans", icon: "\u2750" },
+  { id: "review", label: "Review", icon: "\u2611" },
   { id: "walls", label: "Walls", icon: "\u2502" },
   { id: "floors", label: "Floors", icon: "\u2500" },
   { id: "roof", label: "Roof", icon: "\u25B3" },
@@ -54,7 +58,8 @@ export default function App() {
   const [roofImportData, setRoofImportData] = useState(null);
 
   const [extractionResult, setExtractionResult] = useState(null);
-  const [scanProgress, setScanProgress] = useState(null); // { phase, current, total, message }
+  const [reviewDecisions, setReviewDecisions] = useState({}); // { [itemId]: { status, edits } }
+  const [scanProgress, setScanProgress] = useState(null); // { phase, current, total, message, job, onPause, onResume, onCancel }
   const [toasts, setToasts] = useState([]);
 
   const [wallTotal, setWallTotal] = useState(0);
@@ -92,6 +97,7 @@ export default function App() {
       setProjectData(data);
       setActiveProjectId(projectId);
       setExtractionResult(data.extractionResult);
+      setReviewDecisions(data.reviewDecisions || {});
       const tracker = agent.createTracker(projectId);
       if (tracker?.initFromState) {
         tracker.initFromState({ wallState: data.wallState, floorState: data.floorState, roofState: data.roofState, bidState: data.bidState });
@@ -132,6 +138,7 @@ export default function App() {
     setView("dashboard"); setActiveProjectId(null); setProjectData(null);
     setWallInitialState(null); setFloorInitialState(null); setRoofInitialState(null); setBidInitialState(null);
     setExtractionResult(null);
+    setReviewDecisions({});
     setWallImportedDims(null); setFloorImportedDims(null); setRoofImportedDims(null);
     setWallImportData(null); setFloorImportData(null); setRoofImportData(null);
     setWallSmartDefaults(null); setFloorSmartDefaults(null); setRoofSmartDefaults(null); setBidSmartDefaults(null);
@@ -170,31 +177,104 @@ export default function App() {
     if (tracker) tracker.trackBidState(state);
   }, [activeProjectId, agent]);
 
+  const handlePlanStateChange = useCallback((state) => {
+    if (!activeProjectId) return;
+    autoSaverRef.current.save(activeProjectId, { planState: state });
+  }, [activeProjectId]);
+
+  const addToast = useCallback((msg, type = "success") => {
+    const id = Date.now();
+    setToasts((prev) => [...prev, { id, msg, type }]);
+    setTimeout(() => setToasts((prev) => prev.filter((t) => t.id !== id)), 5000);
+  }, []);
+
   const handleSendToWalls = useCallback((dims) => { setWallImportedDims(dims); setActiveTab("walls"); }, []);
   const handleSendToFloors = useCallback((dims) => { setFloorImportedDims(dims); setActiveTab("floors"); }, []);
   const handleSendToRoof = useCallback((dims) => { setRoofImportedDims(dims); setActiveTab("roof"); }, []);
 
+  // Click-to-locate from other tabs: the scanner jumps to the source region
+  const [locateRequest, setLocateRequest] = useState(null);
+  const handleLocateSource = useCallback((source) => {
+    setLocateRequest({ source, at: Date.now() });
+    setActiveTab("scan");
+  }, []);
+
   const handleExtractionComplete = useCallback(async (result) => {
     let enhanced = result;
     try { enhanced = await agent.enhanceExtraction(result); } catch (err) { console.warn("Agent enhancement failed:", err); }
     setExtractionResult(enhanced);
-    setWallImportData(buildWallImportData(enhanced));
-    setFloorImportData(buildFloorImportData(enhanced));
-    setRoofImportData(buildRoofImportData(enhanced));
     setScanProgress(null);
-    addToast("Scan complete — data ready to auto-populate");
+    // Only items accepted in the review workbench reach the takeoff tabs;
+    // decisions from an earlier scan of the same plans still apply
+    const counts = summarizeReview(listReviewItems(enhanced, reviewDecisions));
+    if (counts.accepted > 0) {
+      const reviewed = applyReviewDecisions(enhanced, reviewDecisions);
+      setWallImportData(buildWallImportData(reviewed));
+      setFloorImportData(buildFloorImportData(reviewed));
+      setRoofImportData(buildRoofImportData(reviewed));
+    } else {
+      // Nothing from this scan is accepted yet; the last scan's data must not stand in for it
+      setWallImportData(null); setFloorImportData(null); setRoofImportData(null);
+    }
+    addToast(counts.pending > 0
+      ? `Scan complete — ${counts.pending} item(s) to review before they reach the takeoff`
+      : "Scan complete — data ready to auto-populate");
     if (activeProjectId) {
       autoSaverRef.current.save(activeProjectId, { extractionResult: enhanced });
     }
-  }, [activeProjectId, agent, addToast]);
+  }, [activeProjectId, agent, addToast, reviewDecisions]);
 
   const handleAutoPopulate = useCallback(() => {
     if (!extractionResult) return;
-    setWallImportData(buildWallImportData(extractionResult));
-    setFloorImportData(buildFloorImportData(extractionResult));
-    setRoofImportData(buildRoofImportData(extractionResult));
-    addToast("Data populated into Walls, Floors & Roof tabs");
-  }, [extractionResult, addToast]);
+    const reviewed = applyReviewDecisions(extractionResult, reviewDecisions);
+    setWallImportData(buildWallImportData(reviewed));
+    setFloorImportData(buildFloorImportData(reviewed));
+    setRoofImportData(buildRoofImportData(reviewed));
+    addToast("Accepted items populated into Walls, Floors & Roof tabs");
+  }, [extractionResult, reviewDecisions, addToast]);
+
+  // Page types corrected in the scanner teach the page classifier
+  const handlePageTypeOverride = useCallback((override) => {
+    agent.getTracker()?.trackPageTypeOverride(override);
+    agent.learnPageType(override);
+  }, [agent]);
+
+  const handleReviewDecisionsChange = useCallback((decisions) => {
+    setReviewDecisions(decisions);
+    if (activeProjectId) autoSaverRef.current.save(activeProjectId, { reviewDecisions: decisions });
+  }, [activeProjectId]);
+
+  const pendingReviewCount = useMemo(
+    () => summarizeReview(listReviewItems(extractionResult, reviewDecisions)).pending,
+    [extractionResult, reviewDecisions]
+  );
+
+  // Header cost from accepted openings, sized by the header schedule where there is one
+  const headerEstimate = useMemo(
+    () => (extractionResult ? estimateHeaderCost(applyReviewDecisions(extractionResult, reviewDecisions)) : null),
+    [extractionResult, reviewDecisions]
+  );
+
+  // Project details from the title blocks that differ from the project's
+  // own; offered, never applied without the user
+  const [dismissedProjectInfo, setDismissedProjectInfo] = useState(null);
+  const projectInfoOffer = useMemo(() => {
+    const info = extractionResult?.projectInfo;
+    if (!info || !projectData) return null;
+    const offer = {};
+    for (const key of ["name", "address", "architect"]) {
+      if (info[key] && info[key] !== projectData[key]) offer[key] = info[key];
+    }
+    if (Object.keys(offer).length === 0 || JSON.stringify(offer) === dismissedProjectInfo) return null;
+    return offer;
+  }, [extractionResult, projectData, dismissedProjectInfo]);
+
+  const applyProjectInfo = useCallback(() => {
+    if (!projectInfoOffer || !activeProjectId) return;
+    setProjectData((prev) => prev ? { ...prev, ...projectInfoOffer } : prev);
+    autoSaverRef.current.save(activeProjectId, projectInfoOffer);
+    addToast("Project details filled in from the title block");
+  }, [projectInfoOffer, activeProjectId, addToast]);
 
   const saveProjectName = useCallback(() => {
     if (nameInput.trim() && activeProjectId) {
@@ -210,11 +290,21 @@ export default function App() {
     autoSaverRef.current.save(activeProjectId, { status: newStatus });
   }, [activeProjectId]);
 
-  const addToast = useCallback((msg, type = "success") => {
-    const id = Date.now();
-    setToasts((prev) => [...prev, { id, msg, type }]);
-    setTimeout(() => setToasts((prev) => prev.filter((t) => t.id !== id)), 5000);
-  }, []);
+  const units = projectData?.units || "imperial";
+  const changeUnits = useCallback((newUnits) => {
+    if (!activeProjectId) return;
+    setProjectData((prev) => prev ? { ...prev, units: newUnits } : prev);
+    autoSaverRef.current.save(activeProjectId, { units: newUnits });
+  }, [activeProjectId]);
+
+  // Drawings dimensioned in the other system than the project's; offered
+  // like the title block details
+  const [dismissedUnitsOffer, setDismissedUnitsOffer] = useState(false);
+  const unitsOffer = useMemo(() => {
+    const drawingUnits = extractionResult?.units;
+    if (!drawingUnits || drawingUnits === units || dismissedUnitsOffer) return null;
+    return drawingUnits;
+  }, [extractionResult, units, dismissedUnitsOffer]);
 
   useEffect(() => {
     return () => { autoSaverRef.current?.flush(); };
@@ -334,6 +424,21 @@ export default function App() {
               {STATUS_OPTS.map((s) => <option key={s} value={s}>{s}</option>)}
             </select>
 
+            {/* Units */}
+            <select
+              value={units}
+              onChange={(e) => changeUnits(e.target.value)}
+              title="Project units"
+              aria-label="Project units"
+              style={{
+                background: "transparent", border: `1px solid ${colors.navBorder}`, borderRadius: 3,
+                padding: "3px 8px", color: colors.textSecondary, fontSize: 11, fontWeight: 600,
+                textTransform: "uppercase", cursor: "pointer", outline: "none",
+              }}
+            >
+              {UNIT_SYSTEMS.map((u) => <option key={u.value} value={u.value}>{u.label}</option>)}
+            </select>
+
             {/* Save indicator */}
             <div style={{ display: "flex", alignItems: "center", gap: 4 }}>
               <div style={{ width: 6, height: 6, borderRadius: "50%", background: saveDotColor }} />
@@ -403,6 +508,14 @@ export default function App() {
                 >
                   <span style={{ fontSize: 12, opacity: isActive ? 1 : 0.6 }}>{tab.icon}</span>
                   {tab.label}
+                  {tab.id === "review" && pendingReviewCount > 0 && (
+                    <span style={{
+                      fontSize: 9, fontWeight: 700, padding: "1px 5px", borderRadius: 8,
+                      background: colors.warning + "30", color: colors.warning,
+                    }}>
+                      {pendingReviewCount}
+                    </span>
+                  )}
                   {tab.id === "ai" && agent.observationCount > 0 && (
                     <span style={{
                       fontSize: 9, fontWeight: 700, padding: "1px 5px", borderRadius: 8,
@@ -419,9 +532,14 @@ export default function App() {
             <div style={{ marginLeft: "auto", display: "flex", alignItems: "center", gap: 14, paddingRight: 4 }}>
               {scanProgress && (
                 <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                  {scanProgress.job && (
+                    <span title={scanProgress.job.label} style={{ fontSize: 10, color: colors.text, fontWeight: 600, maxWidth: 140, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                      {scanProgress.job.label}
+                    </span>
+                  )}
                   <div style={{ width: 80, height: 4, borderRadius: 2, background: colors.navBorder, overflow: "hidden" }}>
                     <div style={{
-                      height: "100%", borderRadius: 2, background: colors.primary,
+                      height: "100%", borderRadius: 2, background: scanProgress.job?.state === "paused" ? colors.warning : colors.primary,
                       width: scanProgress.total > 0 ? `${Math.round((scanProgress.current / scanProgress.total) * 100)}%` : "0%",
                       transition: "width 0.3s",
                     }} />
@@ -429,6 +547,26 @@ export default function App() {
                   <span style={{ fontSize: 10, color: colors.textSecondary, whiteSpace: "nowrap" }}>
                     {scanProgress.message || `Scanning ${scanProgress.current}/${scanProgress.total}`}
                   </span>
+                  {scanProgress.job && (
+                    <>
+                      <button
+                        onClick={scanProgress.job.state === "paused" ? scanProgress.onResume : scanProgress.onPause}
+                        title={scanProgress.job.state === "paused" ? "Resume scan" : "Pause scan"}
+                        aria-label={scanProgress.job.state === "paused" ? "Resume scan" : "Pause scan"}
+                        style={{ background: "none", border: "none", color: colors.textSecondary, cursor: "pointer", fontSize: 11, padding: "0 2px" }}
+                      >
+                        {scanProgress.job.state === "paused" ? "\u25B6" : "\u275A\u275A"}
+                      </button>
+                      <button
+                        onClick={scanProgress.onCancel}
+                        title="Abort scan"
+                        aria-label="Abort scan"
+                        style={{ background: "none", border: "none", color: colors.textSecondary, cursor: "pointer", fontSize: 14, padding: "0 2px" }}
+                      >
+                        {"\u00D7"}
+                      </button>
+                    </>
+                  )}
                 </div>
               )}
               {wallTotal > 0 && (
@@ -454,6 +592,62 @@ export default function App() {
             </div>
           </nav>
 
+          {/* ── Title block project details ──────────────── */}
+          {projectInfoOffer && (
+            <div style={{
+              display: "flex", alignItems: "center", gap: 12, padding: "6px 16px", flexShrink: 0,
+              background: colors.info + "14", borderBottom: `1px solid ${colors.info}40`, fontSize: 12,
+            }}>
+              <span style={{ color: colors.textDark, fontWeight: 600 }}>From the title block:</span>
+              {projectInfoOffer.name && <span style={{ color: colors.textDark }}>Project <strong>{projectInfoOffer.name}</strong></span>}
+              {projectInfoOffer.address && <span style={{ color: colors.textDark }}>Address <strong>{projectInfoOffer.address}</strong></span>}
+              {projectInfoOffer.architect && <span style={{ color: colors.textDark }}>Architect <strong>{projectInfoOffer.architect}</strong></span>}
+              <span style={{ marginLeft: "auto", display: "flex", gap: 6 }}>
+                <button
+                  onClick={applyProjectInfo}
+                  style={{ background: colors.info, color: "#ffffff", border: "none", borderRadius: 4, padding: "4px 12px", fontWeight: 600, fontSize: 11, cursor: "pointer" }}
+                >
+                  Fill project details
+                </button>
+                <button
+                  onClick={() => setDismissedProjectInfo(JSON.stringify(projectInfoOffer))}
+                  title="Dismiss"
+                  aria-label="Dismiss title block details"
+                  style={{ background: "none", border: "none", color: colors.textSecondary, cursor: "pointer", fontSize: 14, padding: "0 4px" }}
+                >
+                  {"\u00D7"}
+                </button>
+              </span>
+            </div>
+          )}
+
+          {unitsOffer && (
+            <div style={{
+              display: "flex", alignItems: "center", gap: 12, padding: "6px 16px", flexShrink: 0,
+              background: colors.info + "14", borderBottom: `1px solid ${colors.info}40`, fontSize: 12,
+            }}>
+              <span style={{ color: colors.textDark }}>
+                The drawings are dimensioned in <strong>{unitsOffer === "metric" ? "millimetres / metres" : "feet and inches"}</strong>.
+              </span>
+              <span style={{ marginLeft: "auto", display: "flex", gap: 6 }}>
+                <button
+                  onClick={() => changeUnits(unitsOffer)}
+                  style={{ background: colors.info, color: "#ffffff", border: "none", borderRadius: 4, padding: "4px 12px", fontWeight: 600, fontSize: 11, cursor: "pointer" }}
+                >
+                  Use {unitsOffer} units
+                </button>
+                <button
+                  onClick={() => setDismissedUnitsOffer(true)}
+                  title="Dismiss"
+                  aria-label="Dismiss unit suggestion"
+                  style={{ background: "none", border: "none", color: colors.textSecondary, cursor: "pointer", fontSize: 14, padding: "0 4px" }}
+                >
+                  {"\u00D7"}
+                </button>
+              </span>
+            </div>
+          )}
+
           {/* ── Workspace Content ──────────────── */}
           <main style={{
             flex: 1,
@@ -474,8 +668,25 @@ export default function App() {
                     onSendToRoof={handleSendToRoof}
                     onExtractionComplete={handleExtractionComplete}
                     onScanProgress={setScanProgress}
+                    onPageTypeOverride={handlePageTypeOverride}
+                    classifierModel={agent.pageClassifier?.model}
+                    onPagesClassified={agent.recordClassifiedPages}
                     projectId={activeProjectId}
                     initialPlanFileName={projectData?.planFileName}
+                    initialPlanState={projectData?.planState}
+                    onPlanStateChange={handlePlanStateChange}
+                    locateRequest={locateRequest}
+                    units={units}
+                  />
+                </div>
+
+                <div style={{ display: activeTab === "review" ? "block" : "none", maxWidth: 1100, margin: "0 auto" }}>
+                  <ExtractionReview
+                    extractionResult={extractionResult}
+                    decisions={reviewDecisions}
+                    onDecisionsChange={handleReviewDecisionsChange}
+                    onApply={handleAutoPopulate}
+                    onLocateSource={handleLocateSource}
                   />
                 </div>
 
@@ -484,6 +695,7 @@ export default function App() {
                     importedDims={wallImportedDims} importData={wallImportData}
                     onTotalChange={setWallTotal} initialState={wallInitialState}
                     onStateChange={handleWallStateChange} smartDefaults={wallSmartDefaults}
+                    units={units}
                   />
                 </div>
 
@@ -492,6 +704,7 @@ export default function App() {
                     importedDims={floorImportedDims} importData={floorImportData}
                     onTotalChange={setFloorTotal} initialState={floorInitialState}
                     onStateChange={handleFloorStateChange} smartDefaults={floorSmartDefaults}
+                    units={units}
                   />
                 </div>
 
@@ -500,6 +713,7 @@ export default function App() {
                     importedDims={roofImportedDims} importData={roofImportData}
                     onTotalChange={setRoofTotal} initialState={roofInitialState}
                     onStateChange={handleRoofStateChange} smartDefaults={roofSmartDefaults}
+                    units={units}
                   />
                 </div>
 
@@ -508,6 +722,8 @@ export default function App() {
                     wallTotal={wallTotal} floorTotal={floorTotal} roofTotal={roofTotal}
                     extractionResult={extractionResult} initialState={bidInitialState}
                     onStateChange={handleBidStateChange} smartDefaults={bidSmartDefaults}
+                    onLocateSource={handleLocateSource} headerEstimate={headerEstimate}
+                    units={units}
                   />
                 </div>
 
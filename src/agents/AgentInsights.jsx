@@ -1,10 +1,11 @@
 /**
- * Agent Insights Panel — shows learning stats, confidence bars,
- * similar projects, and reset button.
+ * Agent Insights Panel — shows learning stats, confidence bars, the page
+ * classifier's accuracy over time, similar projects, and reset button.
  */
 import { useState, useEffect } from "react";
 import { colors, fonts } from "../theme";
 import { useAgent } from "./agentContext";
+import { classifierStats } from "./pageClassifierAgent";
 import { Section, Row, ResultCard, Button } from "../components/ui";
 
 export default function AgentInsights() {
@@ -15,7 +16,9 @@ export default function AgentInsights() {
     agent.refreshStats();
   }, []);
 
-  const { observationCount, confidenceLevel, learnedDefaults, isProcessing } = agent;
+  const { observationCount, confidenceLevel, learnedDefaults, isProcessing, pageClassifier } = agent;
+  const classifier = classifierStats(pageClassifier);
+  const accuracyColor = (a) => (a === null ? colors.dim : a >= 0.9 ? colors.green : a >= 0.75 ? colors.accent : colors.rose);
 
   const allPrefs = Object.entries(learnedDefaults).flatMap(([cat, prefs]) =>
     prefs.map((p) => ({ ...p, category: cat }))
@@ -50,6 +53,35 @@ export default function AgentInsights() {
         </div>
       </Section>
 
+      {/* Page classifier accuracy over time */}
+      <Section title="Page Classifier" color={colors.blue}>
+        <Row>
+          <ResultCard label="Pages Classified" value={classifier.pages} color={colors.cyan} />
+          <ResultCard label="Corrections Learned" value={classifier.examples} color={colors.purple} />
+          <ResultCard label="Accuracy" value={classifier.accuracy === null ? "\u2014" : Math.round(classifier.accuracy * 100) + "%"} color={accuracyColor(classifier.accuracy)} large />
+        </Row>
+        {classifier.days.length > 0 && (
+          <div style={{ display: "flex", flexDirection: "column", gap: 4, marginTop: 12 }}>
+            {classifier.days.slice(-14).reverse().map((d) => (
+              <div key={d.day} style={{ display: "flex", alignItems: "center", gap: 10, fontSize: 11 }}>
+                <span style={{ width: 80, color: colors.muted, fontFamily: fonts.mono }}>{d.day}</span>
+                <div style={{ flex: "1 1 120px", maxWidth: 240, height: 6, background: colors.raised, borderRadius: 3, overflow: "hidden" }}>
+                  <div style={{ width: Math.round((d.accuracy ?? 0) * 100) + "%", height: "100%", background: accuracyColor(d.accuracy), borderRadius: 3 }} />
+                </div>
+                <span style={{ width: 40, textAlign: "right", color: accuracyColor(d.accuracy), fontWeight: 700, fontFamily: fonts.mono }}>
+                  {d.accuracy === null ? "\u2014" : Math.round(d.accuracy * 100) + "%"}
+                </span>
+                <span style={{ color: colors.dim }}>{d.pages} pages, {d.corrections} corrected</span>
+              </div>
+            ))}
+          </div>
+        )}
+        <div style={{ marginTop: 10, fontSize: 12, color: colors.dim, lineHeight: 1.6 }}>
+          Pages start from keyword scoring. Each page type you correct in the Plans tab trains the classifier,
+          so similar sheets are classified the way you set them on later scans.
+        </div>
+      </Section>
+
       {/* Per-category breakdown */}
       {["wall", "floor", "roof", "bid"].map((cat) => {
         const prefs = learnedDefaults[cat] || [];
@@ -4,6 +4,7 @@
  * Provides:
  * - useAgent() hook for accessing tracker, learning engine, smart defaults
  * - useSmartDefaults(category) hook for calculator defaults
+ * - the learned page classifier and its training from page type corrections
  * - AgentProvider wraps the app and manages the tracker lifecycle
  */
 import { createContext, useContext, useState, useEffect, useCallback, useRef } from "react";
@@ -12,6 +13,7 @@ import { processObservations, getLearnedDefaultsMap, getAllLearnedDefaults } fro
 import { getSmartWallDefaults, getSmartFloorDefaults, getSmartRoofDefaults, getSmartBidDefaults, suggestAutoWalls, getAgentConfidenceLevel } from "./smartDefaultsAgent";
 import { enhanceExtractionResult, buildAiContext } from "./extractionEnhancer";
 import { suggestTemplate, saveCompletedProfile, extractFeatures } from "./templateAgent";
+import { loadPageClassifier, learnPageTypeCorrection, recordPageClassifications } from "./pageClassifierAgent";
 import { getObservationCount, clearAllLearningData } from "./agentStore";
 
 const AgentContext = createContext(null);
@@ -21,6 +23,8 @@ export function AgentProvider({ children }) {
   const [confidenceLevel, setConfidenceLevel] = useState(0);
   const [learnedDefaults, setLearnedDefaults] = useState({});
   const [isProcessing, setIsProcessing] = useState(false);
+  // { model, history, updatedAt } from pageClassifierAgent
+  const [pageClassifier, setPageClassifier] = useState(null);
   const trackerRef = useRef(null);
   const processTimerRef = useRef(null);
 
@@ -37,6 +41,7 @@ export function AgentProvider({ children }) {
       setConfidenceLevel(level);
       const defaults = await getAllLearnedDefaults();
       setLearnedDefaults(defaults);
+      setPageClassifier(await loadPageClassifier());
     } catch (err) {
       console.warn("Agent stats refresh failed:", err);
     }
@@ -107,6 +112,23 @@ export function AgentProvider({ children }) {
     await refreshStats();
   }, [refreshStats]);
 
+  // Page classifier: learn from a corrected page type, count classified pages
+  const learnPageType = useCallback(async (correction) => {
+    try {
+      setPageClassifier(await learnPageTypeCorrection(correction));
+    } catch (err) {
+      console.warn("Page classifier training failed:", err);
+    }
+  }, []);
+
+  const recordClassifiedPages = useCallback(async (counts) => {
+    try {
+      setPageClassifier(await recordPageClassifications(counts));
+    } catch (err) {
+      console.warn("Page classifier stats failed:", err);
+    }
+  }, []);
+
   // Force re-process
   const forceProcess = useCallback(async () => {
     setIsProcessing(true);
@@ -125,6 +147,7 @@ export function AgentProvider({ children }) {
     setObservationCount(0);
     setConfidenceLevel(0);
     setLearnedDefaults({});
+    setPageClassifier(await loadPageClassifier());
   }, []);
 
   // Cleanup timer
@@ -153,6 +176,10 @@ export function AgentProvider({ children }) {
     // Extraction
     enhanceExtraction,
     getAiContext,
+    // Page classifier
+    pageClassifier,
+    learnPageType,
+    recordClassifiedPages,
     // Templates
     getTemplateSuggestion,
     saveProfile,
@@ -1,9 +1,9 @@
 /**
  * Agent Learning IndexedDB — separate from project DB.
- * Stores: observations, preferences, projectProfiles
+ * Stores: observations, preferences, projectProfiles, models
  */
 const DB_NAME = "AgentLearningDB";
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 let dbPromise = null;
 
 function openDB() {
@@ -24,6 +24,10 @@ function openDB() {
       if (!db.objectStoreNames.contains("projectProfiles")) {
         db.createObjectStore("projectProfiles", { keyPath: "projectId" });
       }
+      // Learned models, e.g. { key: "pageClassifier", model, history }
+      if (!db.objectStoreNames.contains("models")) {
+        db.createObjectStore("models", { keyPath: "key" });
+      }
     };
     req.onsuccess = () => resolve(req.result);
     req.onerror = () => reject(req.error);
@@ -144,15 +148,38 @@ export async function getAllProjectProfiles() {
   });
 }
 
+// ── Models ──────────────────────────────────────────────────────────
+
+export async function getModel(key) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction("models", "readonly");
+    const req = tx.objectStore("models").get(key);
+    req.onsuccess = () => resolve(req.result || null);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export async function saveModel(record) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction("models", "readwrite");
+    tx.objectStore("models").put(record);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
 // ── Reset ───────────────────────────────────────────────────────────
 
 export async function clearAllLearningData() {
   const db = await openDB();
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(["observations", "preferences", "projectProfiles"], "readwrite");
+    const tx = db.transaction(["observations", "preferences", "projectProfiles", "models"], "readwrite");
     tx.objectStore("observations").clear();
     tx.objectStore("preferences").clear();
     tx.objectStore("projectProfiles").clear();
+    tx.objectStore("models").clear();
     tx.oncomplete = () => resolve();
     tx.onerror = () => reject(tx.error);
   });
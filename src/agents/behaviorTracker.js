@@ -2,8 +2,8 @@
  * Behavior Tracker — observes user actions and records deltas.
  *
  * Watches for: settings changes, wall/floor/roof edits, bid adjustments,
- * scale patterns, measurement patterns. Each change is recorded as an
- * observation in the agent store.
+ * scale patterns, measurement patterns and page types corrected in the
+ * scanner. Each change is recorded as an observation in the agent store.
  */
 import { addObservation } from "./agentStore";
 
@@ -12,6 +12,8 @@ const WALL_KEYS = ["studSize", "studSpacing", "studWaste", "sheathingWaste"];
 const FLOOR_KEYS = ["joistSize", "joistSpacing", "wastePercent"];
 const ROOF_KEYS = ["rafterSize", "rafterSpacing", "pitch", "wastePercent", "sheathingWaste"];
 const BID_KEYS = ["markupPercent"];
+// Page text kept with a page type correction (enough to learn its wording)
+const MAX_PAGE_TEXT = 4000;
 
 function diffSettings(oldSettings, newSettings, keys) {
   const changes = [];
@@ -155,6 +157,22 @@ export function createBehaviorTracker(projectId) {
       }
     },
 
+    /**
+     * Track a page type the user picked over the classifier's — training
+     * data for the page classifier
+     */
+    trackPageTypeOverride({ page, detectedType, userType, sheetNumber, sheetTitle, text }) {
+      emit("page_type_override", {
+        category: "classifier",
+        page,
+        systemValue: detectedType,
+        userValue: userType,
+        sheetNumber,
+        sheetTitle,
+        text: (text || "").slice(0, MAX_PAGE_TEXT),
+      });
+    },
+
     /**
      * Initialize from saved state (so first change is relative to saved data)
      */
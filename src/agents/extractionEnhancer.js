@@ -21,6 +21,8 @@ export async function enhanceExtractionResult(result) {
   // If extraction found no spec overrides but we have learned defaults,
   // inject them as agent-suggested overrides
   if (!enhanced.specOverrides) enhanced.specOverrides = {};
+  if (!enhanced.specOverrideSources) enhanced.specOverrideSources = {};
+  const extractedKeys = new Set(Object.keys(enhanced.specOverrides).filter((k) => enhanced.specOverrides[k]));
 
   // Wall stud size — if user always changes it, pre-apply
   if (wallPrefs.studSize?.action === "auto" || wallPrefs.studSize?.action === "silent") {
@@ -64,6 +66,13 @@ export async function enhanceExtractionResult(result) {
     }
   }
 
+  // Record provenance for every override the agent injected
+  for (const key of Object.keys(enhanced.specOverrides)) {
+    if (enhanced.specOverrides[key] && !extractedKeys.has(key)) {
+      enhanced.specOverrideSources[key] = { page: null, bbox: null, text: "Learned default", extractor: "agent" };
+    }
+  }
+
   return enhanced;
 }
 
@@ -0,0 +1,96 @@
+/**
+ * Page Classifier Agent — keeps the learned page classifier (see
+ * utils/pageClassifier.js) in the agent store, trains it on page types the
+ * user corrects in the scanner and tracks how often its predictions
+ * needed correcting, per day, as its accuracy over time. A correction is
+ * counted once, when the user makes it, and taken back when they revert it.
+ */
+import { getModel, saveModel } from "./agentStore";
+import { createClassifierModel, trainClassifier } from "../utils/pageClassifier";
+
+const MODEL_KEY = "pageClassifier";
+const MAX_HISTORY_DAYS = 90;
+
+async function loadRecord() {
+  const record = await getModel(MODEL_KEY);
+  return record || { key: MODEL_KEY, model: createClassifierModel(), history: [], updatedAt: null };
+}
+
+// Add to today's counts; history is [{ day: "2024-03-14", pages, corrections }]
+function tally(record, pages, corrections) {
+  const day = new Date().toISOString().slice(0, 10);
+  let entry = record.history.find((h) => h.day === day);
+  if (!entry) {
+    entry = { day, pages: 0, corrections: 0 };
+    record.history.push(entry);
+    record.history = record.history.slice(-MAX_HISTORY_DAYS);
+  }
+  entry.pages += pages;
+  entry.corrections = Math.max(0, entry.corrections + corrections);
+}
+
+/**
+ * The stored classifier record: { model, history, updatedAt }.
+ */
+export async function loadPageClassifier() {
+  return loadRecord();
+}
+
+/**
+ * Learn from a page type the user picked over the classifier's. When the
+ * page had been corrected before (`previousType`), that correction is
+ * taken back first, so picking the detected type again undoes it.
+ *
+ * @param {{ features: string[], userType: string, detectedType: string, previousType?: string|null }} correction
+ * @returns {Promise<object>} the updated record
+ */
+export async function learnPageTypeCorrection({ features, userType, detectedType, previousType = null }) {
+  const record = await loadRecord();
+  if (!features?.length) return record;
+  const undo = previousType && previousType !== detectedType && previousType !== userType;
+  const learn = userType !== detectedType && previousType !== userType;
+  if (!undo && !learn) return record;
+  if (undo) {
+    trainClassifier(record.model, features, previousType, detectedType, -1);
+    tally(record, 0, -1);
+  }
+  if (learn) {
+    trainClassifier(record.model, features, userType, detectedType);
+    tally(record, 0, 1);
+  }
+  record.updatedAt = Date.now();
+  await saveModel(record);
+  return record;
+}
+
+/**
+ * Count the pages of a newly scanned plan set. Corrections are counted
+ * as the user makes them (learnPageTypeCorrection()), not here.
+ */
+export async function recordPageClassifications({ pages }) {
+  const record = await loadRecord();
+  tally(record, pages, 0);
+  record.updatedAt = Date.now();
+  await saveModel(record);
+  return record;
+}
+
+/**
+ * Accuracy from a classifier record's history: 1 − corrections / pages.
+ *
+ * @returns {{ pages, corrections, accuracy: number|null, examples,
+ *   days: Array<{ day, pages, corrections, accuracy }> }}
+ */
+export function classifierStats(record) {
+  const accuracy = (pages, corrections) => (pages > 0 ? Math.max(0, 1 - corrections / pages) : null);
+  const history = record?.history || [];
+  const pages = history.reduce((s, h) => s + h.pages, 0);
+  const corrections = history.reduce((s, h) => s + h.corrections, 0);
+  return {
+    pages,
+    corrections,
+    accuracy: accuracy(pages, corrections),
+    examples: record?.model?.examples || 0,
+    days: history.map((h) => ({ ...h, accuracy: accuracy(h.pages, h.corrections) })),
+  };
+}
@@ -1,6 +1,8 @@
 import { useState, useEffect, useRef } from "react";
 import { colors, fonts } from "../theme";
 import { Section, Row, ResultCard, NumberInput, LearnedBadge } from "./ui";
+import { formatSource } from "../utils/extractionResult";
+import { toDisplayArea, fromDisplayArea, areaUnit } from "../utils/units";
 
 const DEFAULT_EXTRAS = [
   { id: 1, name: "Blocking", cost: 0 },
@@ -10,7 +12,7 @@ const DEFAULT_EXTRAS = [
   { id: 5, name: "Misc", cost: 0 },
 ];
 
-export default function BidSummary({ wallTotal, floorTotal, roofTotal, extractionResult, initialState, onStateChange, smartDefaults }) {
+export default function BidSummary({ wallTotal, floorTotal, roofTotal, extractionResult, initialState, onStateChange, smartDefaults, onLocateSource, headerEstimate, units }) {
   const defaultMarkup = smartDefaults?.settings?.markupPercent ?? 15;
   const [markupPercent, setMarkupPercent] = useState(initialState?.markupPercent ?? defaultMarkup);
   const [totalSquareFeet, setTotalSquareFeet] = useState(initialState?.totalSquareFeet ?? 2500);
@@ -39,6 +41,15 @@ export default function BidSummary({ wallTotal, floorTotal, roofTotal, extractio
 
   const er = extractionResult;
   const hasExtraction = er && (er.wallTypes?.length > 0 || er.openings?.length > 0 || er.steelMembers?.length > 0);
+  const sourcedItems = !er ? [] : [
+    ...(er.wallTypes || []).map((w) => ({ label: "Wall " + w.type, source: w.source })),
+    ...(er.openings || []).map((o) => ({ label: "Opening " + o.mark, source: o.source })),
+    ...(er.structuralMembers || []).map((m) => ({ label: m.mark || m.size || "Member", source: m.source })),
+    ...(er.shearWallTypes || []).map((t) => ({ label: "Shear " + t.mark, source: t.source })),
+    ...(er.steelMembers || []).map((m) => ({ label: m.shape || m.size, source: m.source })),
+    ...(er.hardware || []).map((h) => ({ label: h.model, source: h.source })),
+    ...Object.entries(er.specOverrideSources || {}).map(([key, source]) => ({ label: key.replace(/([A-Z])/g, " $1").trim(), source })),
+  ].filter((item) => item.source?.page);
 
   return (
     <div>
@@ -57,6 +68,16 @@ export default function BidSummary({ wallTotal, floorTotal, roofTotal, extractio
               {er.warnings.length} warning(s) from extraction — review in Plans tab
             </div>
           )}
+          {sourcedItems.length > 0 && onLocateSource && (
+            <div style={{ marginTop: 8, display: "flex", flexWrap: "wrap", gap: 4 }}>
+              {sourcedItems.map((item, i) => (
+                <button key={i} onClick={() => onLocateSource(item.source)} title={item.source.text || "Show on plan"}
+                  style={{ background: colors.contentBg, border: "1px solid " + colors.borderLight, borderRadius: 4, padding: "2px 8px", fontSize: 10, color: colors.textDark, cursor: "pointer" }}>
+                  {item.label} <span style={{ color: colors.info }}>{formatSource(item.source)}</span>
+                </button>
+              ))}
+            </div>
+          )}
         </Section>
       )}
 
@@ -86,6 +107,13 @@ export default function BidSummary({ wallTotal, floorTotal, roofTotal, extractio
           }}>
             <span style={{ color: colors.muted, fontWeight: 600, fontSize: 12 }}>{extra.name}</span>
             <div style={{ display: "flex", alignItems: "center", gap: 3 }}>
+              {extra.name === "Headers" && headerEstimate?.headers > 0 && Math.round(headerEstimate.total) !== extra.cost && (
+                <button onClick={() => updateExtraCost(extra.id, Math.round(headerEstimate.total))}
+                  title={headerEstimate.headers + " header(s) from the plans, " + headerEstimate.scheduled + " sized by schedule" + (headerEstimate.unpriced ? ", " + headerEstimate.unpriced + " unpriced" : "")}
+                  style={{ background: "none", border: "1px solid " + colors.info + "55", borderRadius: 4, padding: "2px 8px", marginRight: 6, fontSize: 10, color: colors.info, cursor: "pointer" }}>
+                  Use ${Math.round(headerEstimate.total).toLocaleString()} from plans
+                </button>
+              )}
               <span style={{ color: colors.muted, fontSize: 12 }}>$</span>
               <input type="number" value={extra.cost} onChange={(e) => updateExtraCost(extra.id, +e.target.value)} aria-label={extra.name + " cost"}
                 style={{
@@ -102,14 +130,14 @@ export default function BidSummary({ wallTotal, floorTotal, roofTotal, extractio
       <Section title="Bid Calculation" color={colors.success}>
         <Row>
           <NumberInput label={<>Markup<LearnedBadge meta={smartDefaults?.meta} settingKey="markupPercent" /></>} value={markupPercent} onChange={setMarkupPercent} unit="%" />
-          <NumberInput label="Total SF" value={totalSquareFeet} onChange={setTotalSquareFeet} unit="SF" />
+          <NumberInput label={"Total " + areaUnit(units)} value={Math.round(toDisplayArea(totalSquareFeet, units))} onChange={(v) => setTotalSquareFeet(fromDisplayArea(v, units))} unit={areaUnit(units)} />
         </Row>
         <div style={{ marginTop: 12 }}>
           <Row>
             <ResultCard label="Subtotal" value={"$" + Math.round(subtotal).toLocaleString()} color={colors.primary} large />
             <ResultCard label={"Markup (" + markupPercent + "%)"} value={"$" + Math.round(markup).toLocaleString()} color={colors.orange} />
             <ResultCard label="BID TOTAL" value={"$" + Math.round(bidTotal).toLocaleString()} color={colors.success} large />
-            <ResultCard label="$/SF" value={totalSquareFeet > 0 ? "$" + (bidTotal / totalSquareFeet).toFixed(2) : "\u2014"} color={colors.warning} large />
+            <ResultCard label={"$/" + areaUnit(units)} value={totalSquareFeet > 0 ? "$" + (bidTotal / toDisplayArea(totalSquareFeet, units)).toFixed(2) : "\u2014"} color={colors.warning} large />
           </Row>
         </div>
       </Section>
@@ -0,0 +1,166 @@
+import { useState, useMemo, useCallback } from "react";
+import { colors, fonts } from "../theme";
+import { Section, Button } from "./ui";
+import { formatSource } from "../utils/extractionResult";
+import {
+  REVIEW_CATEGORIES, listReviewItems, summarizeReview, setReviewStatus,
+  editReviewItem, coerceEditValue,
+} from "../utils/extractionReview";
+
+// Items at or above this confidence can be accepted in one click
+const HIGH_CONFIDENCE = 0.8;
+
+const STATUS_COLORS = { pending: colors.warning, accepted: colors.success, rejected: colors.rose };
+
+function confidenceColor(c) {
+  return c >= HIGH_CONFIDENCE ? colors.success : c >= 0.6 ? colors.warning : colors.rose;
+}
+
+// Lengths are in feet, as in the item summaries
+const LENGTH_FIELDS = ["width", "height", "length", "span"];
+
+function conflictValue(field, value) {
+  return LENGTH_FIELDS.includes(field) && typeof value === "number" ? +value.toFixed(2) + "'" : String(value);
+}
+
+// ── Item row ──────────────────────────────────────────────────────
+function ReviewRow({ entry, fields, onStatus, onEdit, onLocate, isEditing, onToggleEdit }) {
+  const { item, edited, status, confidence, source, edits, conflicts } = entry;
+  const alsoReadOn = (item.merged || []).map((m) => formatSource(m.source)).filter((v, i, all) => v && all.indexOf(v) === i);
+  const statusColor = STATUS_COLORS[status];
+
+  return (
+    <div style={{ borderBottom: "1px solid " + colors.borderLight, padding: "6px 0", opacity: status === "rejected" ? 0.55 : 1 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12 }}>
+        <span style={{ width: 64, fontSize: 9, fontWeight: 700, textTransform: "uppercase", letterSpacing: "0.05em", color: statusColor }}>{status}</span>
+        <span style={{ flex: 1, color: colors.textDark, fontFamily: fonts.mono, textDecoration: status === "rejected" ? "line-through" : "none" }}>
+          {entry.summary || "—"}
+          {Object.keys(edits).length > 0 && <span style={{ marginLeft: 6, fontSize: 9, color: colors.purple, fontFamily: fonts.sans }}>EDITED</span>}
+        </span>
+        <span title="Extraction confidence" style={{ width: 40, textAlign: "right", fontSize: 11, fontWeight: 700, color: confidenceColor(confidence) }}>
+          {Math.round(confidence * 100)}%
+        </span>
+        <button onClick={() => onLocate?.(source)} disabled={!source?.page || !onLocate} title={source?.text || "No source recorded"}
+          style={{ width: 110, border: "none", background: "transparent", fontSize: 10, color: source?.page ? colors.info : colors.dim, cursor: source?.page && onLocate ? "pointer" : "default", textAlign: "left", whiteSpace: "nowrap" }}>
+          {formatSource(source) || "no source"}
+        </button>
+        <div style={{ display: "flex", gap: 4 }}>
+          {status !== "accepted" && <Button size="sm" color={colors.success} onClick={() => onStatus("accepted")}>Accept</Button>}
+          {status !== "rejected" && <Button size="sm" color={colors.rose} outline onClick={() => onStatus("rejected")}>Reject</Button>}
+          {status !== "pending" && <Button size="sm" color={colors.muted} outline onClick={() => onStatus("pending")}>Undo</Button>}
+          <Button size="sm" color={colors.purple} outline onClick={onToggleEdit}>{isEditing ? "Done" : "Edit"}</Button>
+        </div>
+      </div>
+      {conflicts.map(({ field, values }) => (
+        <div key={field} style={{ display: "flex", alignItems: "center", flexWrap: "wrap", gap: 6, padding: "4px 0 0 72px", fontSize: 11, color: colors.rose }}>
+          <span style={{ fontWeight: 700 }}>Conflict · {field.replace(/([A-Z])/g, " $1").toLowerCase()}:</span>
+          {values.map(({ value, source: from }, i) => (
+            <Button key={i} size="sm" color={colors.rose} outline onClick={() => onEdit(field, value)}>
+              {conflictValue(field, value)} <span style={{ fontSize: 9, opacity: 0.8 }}>({formatSource(from) || "no source"})</span>
+            </Button>
+          ))}
+        </div>
+      ))}
+      {conflicts.length === 0 && alsoReadOn.length > 0 && (
+        <div style={{ padding: "2px 0 0 72px", fontSize: 10, color: colors.muted }}>
+          Also read on {alsoReadOn.join(", ")}
+        </div>
+      )}
+      {isEditing && (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 8, padding: "8px 0 4px 72px" }}>
+          {fields.map((field) => (
+            <label key={field} style={{ display: "flex", flexDirection: "column", fontSize: 10, color: colors.textDarkSecondary, fontWeight: 600 }}>
+              {field.replace(/([A-Z])/g, " $1")}
+              <input
+                defaultValue={edited[field] ?? ""}
+                onBlur={(e) => {
+                  const value = coerceEditValue(item[field], e.target.value);
+                  if (value !== edited[field]) onEdit(field, value);
+                }}
+                style={{ width: 110, marginTop: 2, padding: "4px 6px", fontSize: 12, fontFamily: fonts.mono, border: "1px solid " + colors.inputBorderLight, borderRadius: 4, background: colors.inputBgLight, color: colors.textDark }}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ── Review workbench ──────────────────────────────────────────────
+export default function ExtractionReview({ extractionResult, decisions, onDecisionsChange, onApply, onLocateSource }) {
+  const [editingId, setEditingId] = useState(null);
+  const [statusFilter, setStatusFilter] = useState("all");
+
+  const items = useMemo(() => listReviewItems(extractionResult, decisions || {}), [extractionResult, decisions]);
+  const counts = useMemo(() => summarizeReview(items), [items]);
+
+  const updateStatus = useCallback((ids, status) => {
+    onDecisionsChange(setReviewStatus(decisions || {}, ids, status));
+  }, [decisions, onDecisionsChange]);
+
+  if (!extractionResult) {
+    return (
+      <div style={{ textAlign: "center", padding: 60, color: colors.muted, fontSize: 14 }}>
+        Scan a plan set in the Plans tab to review extracted items here.
+      </div>
+    );
+  }
+
+  const pendingIds = items.filter((it) => it.status === "pending").map((it) => it.id);
+  const confidentIds = items.filter((it) => it.status === "pending" && it.confidence >= HIGH_CONFIDENCE).map((it) => it.id);
+  const visible = statusFilter === "all" ? items : items.filter((it) => it.status === statusFilter);
+
+  return (
+    <div>
+      <Section title="Extraction Review" color={colors.info}>
+        <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap", fontSize: 12, color: colors.textDark }}>
+          <span><strong>{counts.total}</strong> items</span>
+          <span style={{ color: colors.success }}>{counts.accepted} accepted</span>
+          <span style={{ color: colors.warning }}>{counts.pending} pending</span>
+          <span style={{ color: colors.rose }}>{counts.rejected} rejected</span>
+          {counts.conflicts > 0 && <span style={{ color: colors.rose, fontWeight: 700 }}>{counts.conflicts} with conflicting values</span>}
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} aria-label="Filter by status"
+            style={{ fontSize: 11, padding: "3px 6px", border: "1px solid " + colors.inputBorderLight, borderRadius: 4 }}>
+            <option value="all">All</option>
+            <option value="pending">Pending</option>
+            <option value="accepted">Accepted</option>
+            <option value="rejected">Rejected</option>
+          </select>
+          <div style={{ marginLeft: "auto", display: "flex", gap: 6 }}>
+            <Button size="sm" color={colors.success} outline disabled={confidentIds.length === 0} onClick={() => updateStatus(confidentIds, "accepted")}>
+              Accept {"≥"}{Math.round(HIGH_CONFIDENCE * 100)}% ({confidentIds.length})
+            </Button>
+            <Button size="sm" color={colors.success} outline disabled={pendingIds.length === 0} onClick={() => updateStatus(pendingIds, "accepted")}>Accept all pending</Button>
+            <Button size="sm" color={colors.rose} outline disabled={pendingIds.length === 0} onClick={() => updateStatus(pendingIds, "rejected")}>Reject all pending</Button>
+            <Button size="sm" disabled={counts.accepted === 0} onClick={onApply}>Send accepted to takeoff</Button>
+          </div>
+        </div>
+        <div style={{ marginTop: 6, fontSize: 11, color: colors.muted }}>
+          Only accepted items feed the Walls, Floors and Roof tabs. Editing an item accepts it, as does picking one of its conflicting values.
+        </div>
+      </Section>
+
+      {REVIEW_CATEGORIES.map(({ key, label, fields }) => {
+        const rows = visible.filter((it) => it.category === key);
+        if (rows.length === 0) return null;
+        return (
+          <Section key={key} title={label + " (" + rows.length + ")"} color={colors.primary}>
+            {rows.map((entry) => (
+              <ReviewRow
+                key={entry.id}
+                entry={entry}
+                fields={fields}
+                isEditing={editingId === entry.id}
+                onToggleEdit={() => setEditingId((id) => (id === entry.id ? null : entry.id))}
+                onStatus={(status) => updateStatus([entry.id], status)}
+                onEdit={(field, value) => onDecisionsChange(editReviewItem(decisions || {}, entry.id, field, value))}
+                onLocate={onLocateSource}
+              />
+            ))}
+          </Section>
+        );
+      })}
+    </div>
+  );
+}
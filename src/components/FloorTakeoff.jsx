@@ -1,7 +1,8 @@
 import { useState, useMemo, useEffect, useRef } from "react";
 import { colors, fonts, addButtonStyle, deleteButtonStyle } from "../theme";
-import { LUMBER_PRICES, LABOR_RATES, SHEATHING_WASTE_FACTOR, SHEET_COVERAGE_SF } from "../constants";
+import { LUMBER_PRICES, LABOR_RATES, SHEATHING_WASTE_FACTOR } from "../constants";
 import { Section, Row, ResultCard, NumberInput, SelectInput, LearnedBadge } from "./ui";
+import { toDisplayLength, fromDisplayLength, toDisplayArea, lengthUnit, areaUnit, spacingOptions, sheetCoverageSf, roundLength } from "../utils/units";
 
 function getJoistPrice(size) {
   if (size === "2x12") return LUMBER_PRICES["2x12_16ft"];
@@ -15,11 +16,11 @@ function getHangerPrice(size) {
   return LUMBER_PRICES.hanger2x10;
 }
 
-function calculateFloorArea(area, joistSize, joistSpacing, wastePercent) {
+function calculateFloorArea(area, joistSize, joistSpacing, wastePercent, sheetCoverage) {
   const squareFeet = area.span * area.width;
   const joistCount = Math.ceil((area.width * 12) / joistSpacing) + 1;
   const joistsWithWaste = Math.ceil(joistCount * (1 + wastePercent / 100));
-  const subfloorSheets = Math.ceil((squareFeet / SHEET_COVERAGE_SF) * SHEATHING_WASTE_FACTOR);
+  const subfloorSheets = Math.ceil((squareFeet / sheetCoverage) * SHEATHING_WASTE_FACTOR);
   const hangerCount = joistCount * 2;
 
   const materialCost = joistsWithWaste * getJoistPrice(joistSize) + subfloorSheets * LUMBER_PRICES.plywood3_4 + hangerCount * getHangerPrice(joistSize);
@@ -54,7 +55,7 @@ const lightHeader = {
   whiteSpace: "nowrap",
 };
 
-export default function FloorTakeoff({ importedDims, importData, onTotalChange, initialState, onStateChange, smartDefaults }) {
+export default function FloorTakeoff({ importedDims, importData, onTotalChange, initialState, onStateChange, smartDefaults, units }) {
   const effectiveDefaults = smartDefaults?.settings
     ? { ...FLOOR_DEFAULT_SETTINGS, ...smartDefaults.settings }
     : FLOOR_DEFAULT_SETTINGS;
@@ -69,8 +70,8 @@ export default function FloorTakeoff({ importedDims, importData, onTotalChange,
     for (let i = 0; i < importedDims.length; i += 2) {
       imported.push({
         id: Date.now() + i, name: "Import",
-        span: Math.round((importedDims[i]?.feet || 0) * 10) / 10,
-        width: Math.round((importedDims[i + 1]?.feet || importedDims[i]?.feet || 0) * 10) / 10,
+        span: roundLength(importedDims[i]?.feet || 0, units),
+        width: roundLength(importedDims[i + 1]?.feet || importedDims[i]?.feet || 0, units),
       });
     }
     setAreas((prev) => [...prev, ...imported]);
@@ -89,8 +90,8 @@ export default function FloorTakeoff({ importedDims, importData, onTotalChange,
   const updateSetting = (key, value) => setSettings((prev) => ({ ...prev, [key]: value }));
 
   const calculations = useMemo(() =>
-    areas.filter((a) => a.span > 0 && a.width > 0).map((a) => calculateFloorArea(a, settings.joistSize, settings.joistSpacing, settings.wastePercent)),
-    [areas, settings]
+    areas.filter((a) => a.span > 0 && a.width > 0).map((a) => calculateFloorArea(a, settings.joistSize, settings.joistSpacing, settings.wastePercent, sheetCoverageSf(units))),
+    [areas, settings, units]
   );
 
   const totals = calculations.reduce(
@@ -110,7 +111,7 @@ export default function FloorTakeoff({ importedDims, importData, onTotalChange,
       <Section title="Settings" color={colors.primary}>
         <Row>
           <SelectInput label={<>Joist Size<LearnedBadge meta={smartDefaults?.meta} settingKey="joistSize" /></>} value={settings.joistSize} onChange={(v) => updateSetting("joistSize", v)} options={[{ value: "2x8", label: "2x8" }, { value: "2x10", label: "2x10" }, { value: "2x12", label: "2x12" }]} />
-          <SelectInput label={<>Spacing<LearnedBadge meta={smartDefaults?.meta} settingKey="joistSpacing" /></>} value={String(settings.joistSpacing)} onChange={(v) => updateSetting("joistSpacing", +v)} options={[{ value: "12", label: '12"' }, { value: "16", label: '16"' }, { value: "24", label: '24"' }]} />
+          <SelectInput label={<>Spacing<LearnedBadge meta={smartDefaults?.meta} settingKey="joistSpacing" /></>} value={String(settings.joistSpacing)} onChange={(v) => updateSetting("joistSpacing", +v)} options={spacingOptions([12, 16, 24], units, settings.joistSpacing)} />
           <NumberInput label="Waste" value={settings.wastePercent} onChange={(v) => updateSetting("wastePercent", v)} unit="%" />
         </Row>
       </Section>
@@ -118,15 +119,15 @@ export default function FloorTakeoff({ importedDims, importData, onTotalChange,
       <Section title="Floor Areas" color={colors.warning}>
         <div style={{ overflowX: "auto" }}>
           <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, minWidth: 580 }}>
-            <thead><tr>{["Area", "Span", "Width", "SF", "Joists", "+W", "Subflr", "Hngrs", "Mat $", "Labor $", "Total $", ""].map((h) => <th key={h} style={lightHeader}>{h}</th>)}</tr></thead>
+            <thead><tr>{["Area", "Span", "Width", areaUnit(units), "Joists", "+W", "Subflr", "Hngrs", "Mat $", "Labor $", "Total $", ""].map((h) => <th key={h} style={lightHeader}>{h}</th>)}</tr></thead>
             <tbody>{areas.map((area, i) => {
               const calc = calculations.find((c) => c.id === area.id);
               return (
                 <tr key={area.id} style={{ borderBottom: `1px solid ${colors.borderLight}`, background: i % 2 === 0 ? colors.contentBg : colors.contentAlt }}>
                   <td style={{ padding: 3 }}><input value={area.name} onChange={(e) => updateArea(area.id, "name", e.target.value)} placeholder="Area..." aria-label="Area name" style={{ ...lightInput, width: "100%", minWidth: 65 }} /></td>
-                  <td style={{ padding: 3 }}><input type="number" value={area.span} onChange={(e) => updateArea(area.id, "span", +e.target.value)} aria-label="Span (ft)" style={{ ...lightInput, width: 48, textAlign: "center" }} /></td>
-                  <td style={{ padding: 3 }}><input type="number" value={area.width} onChange={(e) => updateArea(area.id, "width", +e.target.value)} aria-label="Width (ft)" style={{ ...lightInput, width: 48, textAlign: "center" }} /></td>
-                  <td style={{ padding: "3px 5px", textAlign: "center", color: colors.textDark, fontFamily: fonts.mono, fontSize: 12 }}>{calc?.squareFeet?.toLocaleString() ?? "\u2014"}</td>
+                  <td style={{ padding: 3 }}><input type="number" value={toDisplayLength(area.span, units)} onChange={(e) => updateArea(area.id, "span", fromDisplayLength(+e.target.value, units))} aria-label={"Span (" + lengthUnit(units) + ")"} style={{ ...lightInput, width: 48, textAlign: "center" }} /></td>
+                  <td style={{ padding: 3 }}><input type="number" value={toDisplayLength(area.width, units)} onChange={(e) => updateArea(area.id, "width", fromDisplayLength(+e.target.value, units))} aria-label={"Width (" + lengthUnit(units) + ")"} style={{ ...lightInput, width: 48, textAlign: "center" }} /></td>
+                  <td style={{ padding: "3px 5px", textAlign: "center", color: colors.textDark, fontFamily: fonts.mono, fontSize: 12 }}>{calc ? Math.round(toDisplayArea(calc.squareFeet, units)).toLocaleString() : "\u2014"}</td>
                   <td style={{ padding: "3px 5px", textAlign: "center", color: colors.textDark, fontFamily: fonts.mono, fontSize: 12 }}>{calc?.joistCount ?? "\u2014"}</td>
                   <td style={{ padding: "3px 5px", textAlign: "center", color: colors.success, fontFamily: fonts.mono, fontWeight: 700, fontSize: 12 }}>{calc?.joistsWithWaste ?? "\u2014"}</td>
                   <td style={{ padding: "3px 5px", textAlign: "center", color: colors.textDark, fontFamily: fonts.mono, fontSize: 12 }}>{calc?.subfloorSheets ?? "\u2014"}</td>
@@ -145,7 +146,7 @@ export default function FloorTakeoff({ importedDims, importData, onTotalChange,
 
       <Section title="Totals" color={colors.success}>
         <Row>
-          <ResultCard label="Total SF" value={totals.squareFeet} unit="SF" color={colors.primary} large />
+          <ResultCard label={"Total " + areaUnit(units)} value={Math.round(toDisplayArea(totals.squareFeet, units))} unit={areaUnit(units)} color={colors.primary} large />
           <ResultCard label="Joists" value={totals.joists} unit="pcs" color={colors.warning} large />
           <ResultCard label="Subfloor" value={totals.subfloor} unit="sheets" color={colors.purple} />
           <ResultCard label="Material" value={"$" + Math.round(totals.material).toLocaleString()} color={colors.primary} large />
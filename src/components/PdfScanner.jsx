@@ -1,49 +1,194 @@
 import { useState, useCallback, useRef, useEffect, useMemo } from "react";
 import { colors, fonts } from "../theme";
-import { parseDimensions, parseFramingReferences, parseRooms } from "../utils/parsers";
-import { extractSpatialText } from "../utils/spatialText";
-import { classifyPage } from "../utils/pageClassifier";
-import { createExtractionResult, mergeIntoResult } from "../utils/extractionResult";
-import { findWallScheduleInTables, findDoorWindowScheduleInTables } from "../utils/scheduleParser";
-import { parseGeneralNotes } from "../utils/notesParser";
+import { createExtractionResult, mergeIntoResult, removePageContributions, formatSource, pageLabel } from "../utils/extractionResult";
+import { linkSheetIndex } from "../utils/titleBlock";
+import { serializeViewport, pagePartials, PARSER_VERSION, SHEAR_TAG_PAGE_TYPES } from "../utils/pageExtraction";
+import { PAGE_TYPES, predictPageType } from "../utils/pageClassifier";
+import { reconcileExtraction, unmergeItems } from "../utils/reconcile";
+import { createExtractionJob } from "../utils/extractionWorkerClient";
+import { createScanJob, isScanCancelled } from "../utils/scanJob";
+import { isTextLayerSparse, ocrPage, terminateOcrEngine } from "../utils/ocr";
+import { extractWithAi, mapAiResult, AI_PAGE_TYPES, PROMPT_VERSION } from "../utils/aiExtractor";
+import { estimateCost, estimateRequestUsage, createAiBudget, isAiBudgetExceeded, formatCost, formatTokens } from "../utils/aiBudget";
+import { planAiTiles, tileRenderScale, tileContextText, tilePromptNote, mergeTileResults } from "../utils/aiTiles";
 import {
-  getApiKey, setApiKey as storeApiKey, isAiAvailable, extractWithAi,
-  mapAiResult, AI_PAGE_TYPES,
-} from "../utils/aiExtractor";
-import { savePlanFile, getPlanFile, updateProject } from "../utils/projectStore";
+  AI_PROVIDERS, getAiProvider, loadAiSettings, saveAiSettings, isProviderReady, describeAiProvider,
+} from "../utils/aiProviders";
+import {
+  savePlanFile, getPlanFile, updateProject,
+  hashPlanData, getPageArtifacts, putPageArtifact, prunePageArtifacts,
+  getAiResponse, putAiResponse, pruneAiResponses, recordAiUsage, getAiUsageSummary,
+} from "../utils/projectStore";
+import { pointDistance, polylineLength, polygonArea, midpoint, polygonCentroid, rectFromCorners } from "../utils/geometry";
+import {
+  createScaleState, pageScaleId, viewportScaleId, resolveScaleId, getScale, setScale, addViewport, removeViewport,
+  hasScaleOnPage, pixelsToFeet, pixelAreaToSqFt, describeScaleId, recomputeMeasurements, reassignScale, scalesFromSaved,
+} from "../utils/planScale";
+import {
+  detectPageScales, proposeScales, candidateToScale, pickVerificationDimension, PDF_POINTS_PER_INCH,
+} from "../utils/scaleDetector";
+import { extractPageSegments, segmentsToRules } from "../utils/vectorPaths";
+import { checkScaleAgainstChains, describeChainMismatch } from "../utils/dimensionChains";
+import { createSnapIndex, findSnap } from "../utils/snapIndex";
+import { detectWallsOnPage, wallToSegment, guessStudSize, matchShearTags } from "../utils/wallDetector";
 import { Section, Row, ResultCard, SelectInput, Button } from "./ui";
+import { isMetric, lengthUnit, linearUnit, toDisplayLength, fromDisplayLength, formatLength, formatArea, formatInches } from "../utils/units";
 
 const PDF_JS_URL = "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js";
 const PDF_WORKER_URL = "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js";
 const RENDER_SCALE = 1.5;
 const AI_RENDER_SCALE = 2.0;
+const UNDO_HISTORY_LIMIT = 50;
+const SNAP_RADIUS_PX = 10; // screen pixels, independent of zoom
+const SNAP_TOOLS = ["scale", "verify", "linear", "polyline", "area"];
+// Quick picks for the Set Scale distance, in feet or metres
+const SCALE_PRESETS = [1, 2, 4, 5, 8, 10, 12, 16, 20];
+const METRIC_SCALE_PRESETS = [1, 2, 3, 5, 6, 10, 20];
+// A scale further off than this from the dimension strings is flagged
+const CHAIN_SCALE_TOLERANCE = 0.03;
+// Extractors whose output depends on the page type
+const PAGE_TYPE_EXTRACTORS = ["text", "schedule", "notes", "ai"];
+
+// ── Plan state persistence ──────────────────────────────────────────
+// Measurement points are stored in rendered-image pixels, so a saved plan
+// state records the render scale it was captured at and is rescaled on restore.
+function rescaleMeasurement(m, factor) {
+  const scaled = factor === 1 ? m : { ...m, points: m.points.map((p) => ({ x: p.x * factor, y: p.y * factor })), pixels: m.pixels * factor };
+  return scaled.scaleId ? scaled : { ...scaled, scaleId: pageScaleId(scaled.page) };
+}
 
-// ── Geometry utilities ──────────────────────────────────────────────
-function pointDistance(a, b) {
-  return Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2);
+// ── Page <-> image coordinates for source boxes ─────────────────────
+// Extracted items record bounding boxes in PDF page coordinates; the plan
+// viewer works in rendered-image pixels.
+function pageRectToImage(viewport, bbox) {
+  const [x1, y1, x2, y2] = viewport.convertToViewportRectangle([bbox.x, bbox.y, bbox.x + bbox.width, bbox.y + bbox.height]);
+  return { x: Math.min(x1, x2), y: Math.min(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) };
 }
 
-function polylineLength(points) {
-  let total = 0;
-  for (let i = 1; i < points.length; i++) total += pointDistance(points[i - 1], points[i]);
-  return total;
+function imageRectToPage(viewport, rect) {
+  const [x1, y1] = viewport.convertToPdfPoint(rect.x, rect.y);
+  const [x2, y2] = viewport.convertToPdfPoint(rect.x + rect.width, rect.y + rect.height);
+  return { x: Math.min(x1, x2), y: Math.min(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) };
 }
 
-function polygonArea(points) {
-  let area = 0;
-  for (let i = 0; i < points.length; i++) {
-    const j = (i + 1) % points.length;
-    area += points[i].x * points[j].y - points[j].x * points[i].y;
-  }
-  return Math.abs(area / 2);
+// The scale a wall candidate is measured with: that of the viewport its
+// midpoint falls in, else its page's
+function wallCandidateScale(scales, w) {
+  return getScale(scales, resolveScaleId(scales, w.page, midpoint({ x: w.x1, y: w.y1 }, { x: w.x2, y: w.y2 })));
 }
 
-function midpoint(a, b) { return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }; }
+// Reviewed wall candidates become extraction-result wall segments measured
+// with their viewport or page scale. Walls with a shear wall tag beside them ("SW1")
+// carry its mark as shearType.
+function acceptedWallSegments(candidates, scales, viewports, shearTags) {
+  const accepted = candidates.filter((w) => w.status === "accepted");
+  const shearMarks = matchShearTags(accepted, shearTags);
+  return accepted
+    .map((w) => {
+      const seg = wallToSegment(w, wallCandidateScale(scales, w));
+      if (shearMarks.has(w)) seg.shearType = shearMarks.get(w);
+      const viewport = viewports[w.page];
+      const pad = w.thicknessPx / 2;
+      const rect = {
+        x: Math.min(w.x1, w.x2) - pad, y: Math.min(w.y1, w.y2) - pad,
+        width: Math.abs(w.x2 - w.x1) + pad * 2, height: Math.abs(w.y2 - w.y1) + pad * 2,
+      };
+      return { ...seg, source: { ...seg.source, bbox: viewport ? imageRectToPage(viewport, rect) : null } };
+    })
+    .filter((seg) => seg.length > 0);
+}
+
+// ── AI extraction of one page ───────────────────────────────────────
+// Every image sent is cached by its hash, the page type, the prompt
+// version and the provider and model, so an unchanged page is never billed
+// twice. Billed requests are priced, charged to `budget` (which refuses a
+// request that would pass a cap) and recorded in the project's usage.
+// What validation repaired or dropped is added to the warnings, labelled
+// with the page.
+//
+// Sheets too large to read in one image are read tile by tile (see
+// aiTiles.js) and the tile replies merged; `analysis` is the page's
+// analyzePage() result, whose text lines size the tiles.
+async function extractPageWithAi({ pdf, page, type, label, contextText, settings, analysis, onTile, budget, projectId }) {
+  const target = describeAiProvider(settings);
+  const cacheable = !getAiProvider(target.provider).replay;
+  const withWarnings = (partial, warnings) => ({
+    ...partial,
+    warnings: [...(partial.warnings || []), ...warnings.map((w) => "AI " + label + " (" + type + "): " + w)],
+  });
+
+  const pdfPage = await pdf.getPage(page);
+  const sheet = pdfPage.getViewport({ scale: 1 });
+  const textBoxes = (analysis?.spatialData.lines || []).filter((line) => line.bbox).map((line) => ({
+    ...pageRectToImage(sheet, line.bbox), fontSize: line.fontSize, text: line.text,
+  }));
+  const plan = planAiTiles({ width: sheet.width, height: sheet.height, textBoxes });
+
+  const renderRegion = async (tile, scale) => {
+    const viewport = pdfPage.getViewport({ scale, offsetX: -tile.x * scale, offsetY: -tile.y * scale });
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.ceil(tile.width * scale);
+    canvas.height = Math.ceil(tile.height * scale);
+    await pdfPage.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
+    return { base64: canvas.toDataURL("image/png").split(",")[1], width: canvas.width, height: canvas.height };
+  };
+
+  const charge = (usage) => {
+    const cost = estimateCost(target, usage);
+    budget?.charge(cost);
+    recordAiUsage({ projectId: projectId || null, page, pageType: type, provider: target.provider, model: target.model, ...usage, cost })
+      .catch((err) => console.warn("Failed to record AI usage:", err));
+  };
+
+  const readImage = async (image, context, note) => {
+    const imageHash = cacheable ? await hashPlanData(new TextEncoder().encode(image.base64)) : null;
+    const key = imageHash ? [imageHash, type, PROMPT_VERSION, target.provider, target.model].join(":") : null;
+    const cached = key ? await getAiResponse(key).catch(() => null) : null;
+    if (cached) return cached;
+
+    let ai;
+    try {
+      ai = await extractWithAi(image.base64, type, context, note, {
+        settings,
+        beforeRequest: ({ promptChars }) =>
+          budget?.check(estimateCost(target, estimateRequestUsage({ width: image.width, height: image.height, promptChars }))),
+      });
+    } catch (err) {
+      if (err.usage) charge(err.usage);
+      throw err;
+    }
+    charge(ai.usage);
+    if (key) {
+      putAiResponse({ key, pageType: type, provider: ai.provider, model: ai.model, result: ai.result, warnings: ai.warnings, usage: ai.usage })
+        .catch((err) => console.warn("Failed to cache AI response:", err));
+    }
+    return ai;
+  };
 
-function polygonCentroid(pts) {
-  const cx = pts.reduce((s, p) => s + p.x, 0) / pts.length;
-  const cy = pts.reduce((s, p) => s + p.y, 0) / pts.length;
-  return { x: cx, y: cy };
+  if (!plan.tiled) {
+    const ai = await readImage(await renderRegion(plan.tiles[0], AI_RENDER_SCALE), contextText, "");
+    return withWarnings(mapAiResult(ai.result, type, page), ai.warnings);
+  }
+
+  const parts = [];
+  const warnings = [];
+  for (let i = 0; i < plan.tiles.length; i++) {
+    const tile = plan.tiles[i];
+    onTile?.(i + 1, plan.tiles.length);
+    const ai = await readImage(
+      await renderRegion(tile, tileRenderScale(tile)),
+      tileContextText(tile, textBoxes, analysis?.units), tilePromptNote(tile, plan),
+    );
+    parts.push({ tile, result: ai.result });
+    warnings.push(...ai.warnings.map((w) => "tile " + tile.id + ": " + w));
+  }
+  const merged = mergeTileResults(parts, { toPage: (x, y) => sheet.convertToPdfPoint(x, y) });
+  return withWarnings(mapAiResult(merged.result, type, page), warnings);
+}
+
+function rescaleWallCandidate(w, factor) {
+  if (factor === 1) return w;
+  return { ...w, x1: w.x1 * factor, y1: w.y1 * factor, x2: w.x2 * factor, y2: w.y2 * factor, thicknessPx: w.thicknessPx * factor };
 }
 
 // ── Default condition colors ────────────────────────────────────────
@@ -58,6 +203,7 @@ const TOOLS = [
   { id: "select", label: "Select", icon: "\u25B3", tip: "Select / edit measurements" },
   { id: "pan", label: "Pan", icon: "\u270B", tip: "Click and drag to pan the view" },
   { id: "scale", label: "Scale", icon: "\u2696", tip: "Set scale (2 points + distance)" },
+  { id: "viewport", label: "Viewport", icon: "\u2B1A", tip: "Outline a region that has its own scale" },
   { id: "verify", label: "Verify", icon: "\u2713", tip: "Verify scale accuracy" },
   { id: "linear", label: "Linear", icon: "\u2500", tip: "2-point linear measurement" },
   { id: "polyline", label: "Polyline", icon: "\u2571", tip: "Multi-point wall tracing (dbl-click to finish)" },
@@ -67,14 +213,15 @@ const TOOLS = [
 
 const TOOL_GROUPS = [
   { label: "Navigate", tools: ["select", "pan"] },
-  { label: "Scale", tools: ["scale", "verify"] },
+  { label: "Scale", tools: ["scale", "viewport", "verify"] },
   { label: "Measure", tools: ["linear", "polyline", "area", "count"] },
 ];
 
 const TOOL_INSTRUCTIONS = {
   select: "Click a measurement to select it. Press Delete to remove.",
   pan: "Click and drag to pan. Scroll to zoom. Press Esc to switch back to Select.",
-  scale: "Click two points of a known distance, then enter the real-world length.",
+  scale: "Click two points of a known distance, then enter the real-world length. Calibrates the viewport under the first point, or the page.",
+  viewport: "Click two opposite corners around a detail or plan region that is drawn at a different scale.",
   verify: "Click two points of a known distance to check your scale accuracy.",
   linear: "Click start point, then end point to measure a straight line.",
   polyline: "Click to add points along a wall. Double-click or press Enter to finish.",
@@ -82,12 +229,13 @@ const TOOL_INSTRUCTIONS = {
   count: "Click each item to count. Press Esc when done.",
 };
 
-export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof, onExtractionComplete, onScanProgress, projectId, initialPlanFileName }) {
+export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof, onExtractionComplete, onScanProgress, onPageTypeOverride, classifierModel, onPagesClassified, projectId, initialPlanFileName, initialPlanState, onPlanStateChange, locateRequest, units }) {
   const [pages, setPages] = useState([]);
   const [dimensions, setDimensions] = useState([]);
   const [framingRefs, setFramingRefs] = useState([]);
   const [rooms, setRooms] = useState([]);
   const [isScanning, setIsScanning] = useState(false);
+  const [scanState, setScanState] = useState(null); // running | paused | cancelled | done
   const [fileName, setFileName] = useState("");
   const [progressText, setProgressText] = useState("");
   const [selectedIndices, setSelectedIndices] = useState(new Set());
@@ -100,17 +248,32 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
   const [activeTool, setActiveTool] = useState(null);
   const [activePoints, setActivePoints] = useState([]);
   const [cursorPos, setCursorPos] = useState(null);
+  const [snapPoint, setSnapPoint] = useState(null);
 
   // ── Scale ─────────────────────────────────────────────────────────
-  const [isScaleSet, setIsScaleSet] = useState(false);
-  const [scalePixels, setScalePixels] = useState(0);
-  const [scaleFeet, setScaleFeet] = useState(0);
+  const [scales, setScales] = useState(createScaleState);
+  const [pendingScaleId, setPendingScaleId] = useState(null);
+  const [pendingScalePixels, setPendingScalePixels] = useState(0);
   const [showScaleInput, setShowScaleInput] = useState(false);
   const [scaleInputValue, setScaleInputValue] = useState("10");
   const [scaleVerifications, setScaleVerifications] = useState([]);
   const [verifyInputValue, setVerifyInputValue] = useState("");
   const [showVerifyInput, setShowVerifyInput] = useState(false);
   const [pendingVerifyPixels, setPendingVerifyPixels] = useState(0);
+  const [pendingVerifyScaleId, setPendingVerifyScaleId] = useState(null);
+  const [scaleDetections, setScaleDetections] = useState([]);
+  // Dimension strings per page (see utils/dimensionChains.js)
+  const [dimensionChains, setDimensionChains] = useState([]);
+  const [dismissedScaleIds, setDismissedScaleIds] = useState([]);
+  const [scaleCheck, setScaleCheck] = useState(null);
+
+  // ── Vector wall detection review ──────────────────────────────────
+  const [wallCandidates, setWallCandidates] = useState([]);
+  const [highlightedWallId, setHighlightedWallId] = useState(null);
+  const [wallDetectionNote, setWallDetectionNote] = useState("");
+
+  // ── Source highlight (click-to-locate an extracted item) ──────────
+  const [sourceHighlight, setSourceHighlight] = useState(null);
 
   // ── Measurements & conditions ─────────────────────────────────────
   const [measurements, setMeasurements] = useState([]);
@@ -128,10 +291,16 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
   // ── Extraction pipeline state ─────────────────────────────────────
   const [extractionResult, setExtractionResult] = useState(null);
   const [pageClassifications, setPageClassifications] = useState([]);
+  // Page types picked by the user over the classifier's, e.g. { 4: "WALL_SCHEDULE" }
+  const [pageTypeOverrides, setPageTypeOverrides] = useState({});
   const [isAiRunning, setIsAiRunning] = useState(false);
   const [aiProgress, setAiProgress] = useState("");
-  const [apiKeyInput, setApiKeyInput] = useState(getApiKey());
-  const [showApiKeySection, setShowApiKeySection] = useState(false);
+  // Saved AI provider settings, and the copy being edited
+  const [aiSettings, setAiSettings] = useState(loadAiSettings);
+  const [aiSettingsForm, setAiSettingsForm] = useState(loadAiSettings);
+  const [showAiSettings, setShowAiSettings] = useState(false);
+  // AI usage totals: { project: { requests, inputTokens, outputTokens, cost }, month: {...} }
+  const [aiUsage, setAiUsage] = useState(null);
 
   const canvasRef = useRef(null);
   const imgRef = useRef(null);
@@ -139,10 +308,31 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
   const verifyInputRef = useRef(null);
   const pdfRef = useRef(null);
   const containerRef = useRef(null);
+  const snapIndexesRef = useRef([]);
+  const fileHashRef = useRef(null);
+  const pageViewportsRef = useRef([]);
+  // Shear wall tags per page (image pixels), from the page analyses
+  const shearTagsRef = useRef([]);
+  // Page analyses, kept so a page can be re-parsed as another type
+  const pageAnalysesRef = useRef([]);
+  const aiRanRef = useRef(false);
+  // Read when a scan classifies its pages, so training doesn't restart a scan
+  const classifierModelRef = useRef(classifierModel);
+  classifierModelRef.current = classifierModel;
+  const scanJobRef = useRef(null);
+  // Unmounting stops the scan and frees the OCR worker; pages already done
+  // stay in the page cache
+  useEffect(() => () => {
+    scanJobRef.current?.cancel();
+    terminateOcrEngine().catch(() => {});
+  }, []);
 
   // ── Undo stack ────────────────────────────────────────────────────
   const undoStack = useRef([]);
-  const pushUndo = (type, data) => { undoStack.current.push({ type, data }); };
+  const pushUndo = (type, data) => {
+    undoStack.current.push({ type, data });
+    if (undoStack.current.length > UNDO_HISTORY_LIMIT) undoStack.current.shift();
+  };
   const handleUndo = () => {
     const last = undoStack.current.pop();
     if (!last) return;
@@ -184,39 +374,109 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
     return { x: ix * zoom + panOffset.x, y: iy * zoom + panOffset.y };
   }, [zoom, panOffset]);
 
-  const pxToFeet = useCallback((px) => {
-    if (!isScaleSet || scalePixels === 0) return 0;
-    return (px / scalePixels) * scaleFeet;
-  }, [isScaleSet, scalePixels, scaleFeet]);
+  const pxToFeet = useCallback((px, scaleId) => {
+    return pixelsToFeet(px, getScale(scales, scaleId));
+  }, [scales]);
 
-  const pxAreaToSqFt = useCallback((pxArea) => {
-    if (!isScaleSet || scalePixels === 0) return 0;
-    const scale = scaleFeet / scalePixels;
-    return pxArea * scale * scale;
-  }, [isScaleSet, scalePixels, scaleFeet]);
+  const pxAreaToSqFt = useCallback((pxArea, scaleId) => {
+    return pixelAreaToSqFt(pxArea, getScale(scales, scaleId));
+  }, [scales]);
+
+  const isPageScaled = hasScaleOnPage(scales, activePageIndex);
+  const pageViewports = useMemo(
+    () => scales.viewports.filter((vp) => vp.page === activePageIndex),
+    [scales, activePageIndex]
+  );
+
+  // ── Plan state save / restore ─────────────────────────────────────
+  // Saving stays off until the plan has been loaded (and any saved state
+  // restored), so the empty initial state never overwrites a saved one.
+  const isPlanStateReady = useRef(false);
+
+  const restorePlanState = (saved) => {
+    const factor = saved.renderScale ? RENDER_SCALE / saved.renderScale : 1;
+    setMeasurements((saved.measurements || []).map((m) => rescaleMeasurement(m, factor)));
+    setConditions(saved.conditions || []);
+    setActiveConditionId(saved.activeConditionId ?? null);
+    setScaleVerifications(saved.scaleVerifications || []);
+    undoStack.current = (saved.undoStack || []).slice(-UNDO_HISTORY_LIMIT);
+    const restoredScales = scalesFromSaved(saved, factor);
+    const restoredWalls = (saved.wallCandidates || []).map((w) => rescaleWallCandidate(w, factor));
+    setScales(restoredScales);
+    setWallCandidates(restoredWalls);
+    setPageTypeOverrides(saved.pageTypeOverrides || {});
+    return { scales: restoredScales, wallCandidates: restoredWalls, pageTypeOverrides: saved.pageTypeOverrides || {} };
+  };
+
+  useEffect(() => {
+    if (!isPlanStateReady.current) return;
+    onPlanStateChange?.({
+      renderScale: RENDER_SCALE,
+      measurements,
+      conditions,
+      activeConditionId,
+      scales,
+      scaleVerifications,
+      wallCandidates,
+      pageTypeOverrides,
+      undoStack: undoStack.current,
+    });
+  }, [measurements, conditions, activeConditionId, scales, scaleVerifications, wallCandidates, pageTypeOverrides, onPlanStateChange]);
 
   // ── Core extraction pipeline ──────────────────────────────────────
   const yieldToMain = () => new Promise((resolve) => setTimeout(resolve, 0));
 
-  const runExtraction = useCallback(async (buffer, fName) => {
+  const runExtraction = useCallback(async (buffer, fName, savedPlanState = null) => {
+    // Uploading another set mid-scan abandons the running one
+    scanJobRef.current?.cancel();
+    scanJobRef.current = null;
     setIsScanning(true);
+    setScanState(null);
     setPages([]);
     setDimensions([]);
     setFramingRefs([]);
     setRooms([]);
     setPageImages([]);
     setMeasurements([]);
-    setIsScaleSet(false);
+    setScales(createScaleState());
     setExtractionResult(null);
     setPageClassifications([]);
+    setPageTypeOverrides({});
     setConditions([]);
+    setActiveConditionId(null);
     setScaleVerifications([]);
+    setScaleDetections([]);
+    setDimensionChains([]);
+    setDismissedScaleIds([]);
+    setScaleCheck(null);
+    setSnapPoint(null);
+    snapIndexesRef.current = [];
+    pageViewportsRef.current = [];
+    shearTagsRef.current = [];
+    pageAnalysesRef.current = [];
+    aiRanRef.current = false;
+    setSourceHighlight(null);
+    setWallCandidates([]);
+    setHighlightedWallId(null);
+    setWallDetectionNote("");
     setZoom(1);
     setPanOffset({ x: 0, y: 0 });
+    undoStack.current = [];
+    const restored = savedPlanState ? restorePlanState(savedPlanState) : null;
+    isPlanStateReady.current = true;
 
+    let scanJob = null;
+    let lastProgress = null;
     const reportProgress = (phase, current, total, message) => {
+      lastProgress = { phase, current, total, message };
       setProgressText(message);
-      onScanProgress?.({ phase, current, total, message });
+      onScanProgress?.({
+        ...lastProgress,
+        job: scanJob && phase !== "done" ? { id: scanJob.id, label: scanJob.label, state: scanJob.state } : null,
+        onPause: () => scanJob?.pause(),
+        onResume: () => scanJob?.resume(),
+        onCancel: () => cancelScanRef.current?.(),
+      });
     };
 
     try {
@@ -225,50 +485,129 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
       const totalPages = pdf.numPages;
       const result = createExtractionResult();
 
-      const extractedPages = [];
-      const extractedDims = [];
-      const refSet = new Set();
-      const roomSet = new Set();
-      const images = [];
-      const spatialDataArr = [];
-      const classifications = [];
-      const hasAi = isAiAvailable();
+      const hasAi = isProviderReady();
 
-      for (let i = 1; i <= totalPages; i++) {
-        reportProgress("extract", i, totalPages, `Pass 1/${hasAi ? "4" : "3"}: Extracting page ${i}/${totalPages}...`);
-        const page = await pdf.getPage(i);
-        const textContent = await page.getTextContent();
-        const viewport = page.getViewport({ scale: RENDER_SCALE });
+      scanJob = createScanJob({ label: fName, totalPages });
+      scanJobRef.current = scanJob;
+      setScanState(scanJob.state);
+      scanJob.subscribe((state) => {
+        setScanState(state);
+        if (lastProgress && (state === "paused" || state === "running")) {
+          const { phase, current, total, message } = lastProgress;
+          reportProgress(phase, current, total, state === "paused" ? "Paused \u2014 " + message : message.replace(/^Paused \u2014 /, ""));
+        }
+      });
 
-        const spatialData = extractSpatialText(textContent.items, viewport);
-        spatialDataArr.push(spatialData);
+      // Pages this file already produced — in this project, a duplicate of
+      // it, or an earlier scan that was interrupted
+      const fileHash = await hashPlanData(buffer).catch(() => null);
+      fileHashRef.current = fileHash;
+      const cached = new Map();
+      if (fileHash) {
+        try {
+          for (const rec of await getPageArtifacts(fileHash)) cached.set(rec.page, rec);
+        } catch (err) {
+          console.warn("Failed to read page cache:", err);
+        }
+        prunePageArtifacts().catch(() => {});
+        pruneAiResponses().catch(() => {});
+      }
+      const isFresh = (rec) => rec?.parserVersion === PARSER_VERSION;
+      const reused = [...cached.values()].filter((rec) => isFresh(rec) && rec.page <= totalPages).length;
 
-        const classification = classifyPage(spatialData);
-        classifications.push({ page: i, ...classification });
-        result.pageClassifications.push({ page: i, type: classification.type, confidence: classification.confidence });
+      // Text analysis runs in the extraction worker while this thread renders
+      const job = createExtractionJob({
+        totalPages: totalPages - reused,
+        onProgress: ({ current }) => reportProgress("extract", reused + current, totalPages, `Pass 1/${hasAi ? "4" : "3"}: Analyzed page ${reused + current}/${totalPages}...`),
+      });
+      scanJob.onCancel(() => job.cancel());
+      const analyses = [];
+      if (reused > 0) {
+        reportProgress("extract", reused, totalPages, `Loaded ${reused}/${totalPages} pages from cache...`);
+      }
 
-        const text = spatialData.rawText;
-        const pageDims = parseDimensions(text);
-        const pageRefs = parseFramingReferences(text);
-        const pageRooms = parseRooms(text);
+      for (let i = 1; i <= totalPages; i++) {
+        await scanJob.waitWhilePaused();
+        const page = await pdf.getPage(i);
+        const viewport = page.getViewport({ scale: RENDER_SCALE });
+        pageViewportsRef.current[i - 1] = viewport;
+        const rec = cached.get(i);
+        const cachedImage = rec?.renderScale === RENDER_SCALE ? rec.image : null;
+        let analysis;
+        let imgData = cachedImage;
+        let canvas = null;
+        let segments = null;
+        const loadSegments = async () => {
+          try {
+            segments = await extractPageSegments(page, viewport);
+          } catch (err) {
+            console.warn("Vector extraction failed on page " + i + ":", err);
+            segments = [];
+          }
+          return segments;
+        };
 
-        pageDims.forEach((d) => extractedDims.push({ ...d, page: i }));
-        pageRefs.forEach((r) => refSet.add(r));
-        pageRooms.forEach((r) => roomSet.add(r));
-        extractedPages.push({ page: i, dims: pageDims, refs: pageRefs, rooms: pageRooms, textLength: text.length, type: classification.type, confidence: classification.confidence });
+        if (isFresh(rec)) {
+          analysis = Promise.resolve(rec.analysis);
+        } else {
+          // New page, or the parsers changed since it was cached
+          const textContent = await page.getTextContent();
+          let items = textContent.items;
+          let ocr = false;
+          // Scanned sheets have no text layer: read the text off the image
+          if (isTextLayerSparse(items)) {
+            setProgressText(`OCR: reading scanned page ${i}/${totalPages}...`);
+            try {
+              const ocrItems = await ocrPage(page);
+              if (ocrItems.length > 0) {
+                items = [...items, ...ocrItems];
+                ocr = true;
+              }
+            } catch (err) {
+              console.warn("OCR failed on page " + i + ":", err);
+            }
+            scanJob.throwIfCancelled();
+          }
+          // Scale callouts are in paper inches; /UserUnit enlarges the PDF unit.
+          // Ruled lines let table detection follow a schedule's grid.
+          analysis = job.analyzePage({
+            page: i,
+            items,
+            viewport: serializeViewport(viewport),
+            pixelsPerInch: (PDF_POINTS_PER_INCH / (page.userUnit || 1)) * RENDER_SCALE,
+            ocr,
+            rules: segmentsToRules(await loadSegments(), viewport),
+          });
+        }
+        // Awaited after the loop; a cancel rejects the rest before then
+        Promise.resolve(analysis).catch(() => {});
+        analyses.push(analysis);
+
+        if (!cachedImage) {
+          canvas = document.createElement("canvas");
+          canvas.width = viewport.width;
+          canvas.height = viewport.height;
+          await page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
+          imgData = { dataUrl: canvas.toDataURL(), width: viewport.width, height: viewport.height };
+
+          // Vector linework for snapping (scanned sheets simply have none);
+          // cached pages build theirs on demand when viewed
+          snapIndexesRef.current[i - 1] = createSnapIndex(segments || (await loadSegments()));
+        }
 
-        const canvas = document.createElement("canvas");
-        canvas.width = viewport.width;
-        canvas.height = viewport.height;
-        await page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
-        const imgData = { dataUrl: canvas.toDataURL(), width: viewport.width, height: viewport.height };
-        images.push(imgData);
+        if (fileHash && (!isFresh(rec) || !cachedImage)) {
+          const image = cachedImage || { dataUrl: canvas.toDataURL("image/jpeg", 0.85), width: viewport.width, height: viewport.height };
+          analysis
+            .then((a) => putPageArtifact({ fileHash, page: i, parserVersion: PARSER_VERSION, renderScale: RENDER_SCALE, analysis: a, image }))
+            .catch(() => {});
+        }
+        scanJob.throwIfCancelled();
 
         // Progressive: push each page image immediately so user sees pages appear
         setPageImages((prev) => [...prev, imgData]);
         if (i === 1) setActivePageIndex(0);
 
-        if (i === 1 && projectId) {
+        if (i === 1 && projectId && canvas) {
           const thumbCanvas = document.createElement("canvas");
           const thumbScale = 0.3;
           thumbCanvas.width = viewport.width * thumbScale;
@@ -283,26 +622,66 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
         await yieldToMain();
       }
 
-      setPageClassifications(classifications);
+      const pageResults = await Promise.all(analyses);
+      job.finish();
+      scanJob.throwIfCancelled();
+      scanJob.complete();
 
-      reportProgress("parse", 0, 1, "Pass 2: Parsing schedules and notes...");
+      reportProgress("parse", 0, 1, "Pass 2: Merging schedules and notes...");
 
-      for (let i = 0; i < totalPages; i++) {
-        const cls = classifications[i];
-        const sd = spatialDataArr[i];
-
-        if (cls.type === "WALL_SCHEDULE") {
-          const wallTypes = findWallScheduleInTables(sd.tables);
-          if (wallTypes.length) mergeIntoResult(result, { wallTypes });
-        }
-        if (cls.type === "DOOR_WINDOW_SCHEDULE") {
-          const openings = findDoorWindowScheduleInTables(sd.tables, sd.rawText);
-          if (openings.length) mergeIntoResult(result, { openings });
+      const extractedPages = [];
+      const extractedDims = [];
+      const refSet = new Set();
+      const roomSet = new Set();
+      const detections = [];
+      const classifications = [];
+      const sheetIndex = [];
+      const unitVotes = { imperial: 0, metric: 0 };
+      const chainsByPage = [];
+
+      for (const pr of pageResults) {
+        const { page: i, sheet } = pr;
+        // The learned classifier refines the keyword classification; a type
+        // the user picked for this page in an earlier session beats both
+        const classification = { ...pr.classification, ...predictPageType(classifierModelRef.current, pr.features || [], pr.classification.scores) };
+        const override = restored?.pageTypeOverrides?.[i];
+        const type = override || classification.type;
+        pageAnalysesRef.current[i - 1] = pr;
+        // Before the page's partials merge, so their sources get the sheet number
+        if (sheet?.sheetNumber || sheet?.sheetTitle) {
+          result.sheets.push({ page: i, sheetNumber: sheet.sheetNumber, sheetTitle: sheet.sheetTitle, revision: sheet.revision, date: sheet.date });
         }
-        if (cls.type === "GENERAL_NOTES") {
-          const notesResult = parseGeneralNotes(sd);
-          mergeIntoResult(result, notesResult);
+        if (pr.sheetIndex?.length && sheetIndex.length === 0) sheetIndex.push(...pr.sheetIndex);
+        if (pr.units?.system) unitVotes[pr.units.system]++;
+        detections.push(pr.detection);
+        chainsByPage.push(pr.chains || []);
+        for (const chain of pr.chains || []) {
+          if (chain.status === "mismatch") result.warnings.push(pageLabel(result, i) + ": " + describeChainMismatch(chain));
         }
+        classifications.push({ page: i, ...classification, type, detectedType: classification.type, overridden: type !== classification.type, ocr: !!pr.ocr });
+        result.pageClassifications.push({ page: i, type, confidence: classification.confidence });
+
+        pr.dims.forEach((d) => extractedDims.push({ ...d, page: i }));
+        pr.refs.forEach((r) => refSet.add(r));
+        pr.rooms.forEach((r) => roomSet.add(r));
+        shearTagsRef.current[i - 1] = SHEAR_TAG_PAGE_TYPES.includes(type) ? pr.shearTags || [] : [];
+        extractedPages.push({ page: i, dims: pr.dims, refs: pr.refs, rooms: pr.rooms, textLength: pr.spatialData.rawText.length, type, confidence: classification.confidence, ocr: !!pr.ocr });
+
+        // Partials were parsed for the keyword classifier's type
+        const partials = type === pr.classification.type ? pr.partials : pagePartials(pr, type);
+        for (const { partial, source } of partials) mergeIntoResult(result, partial, source);
+      }
+      // Schedule headers replace width-based guesses on the openings
+      result.sheetIndex = linkSheetIndex(result.sheets, sheetIndex);
+      if (unitVotes.imperial || unitVotes.metric) result.units = unitVotes.metric > unitVotes.imperial ? "metric" : "imperial";
+
+      setPageClassifications(classifications);
+      // A reopened or cached plan set was counted when it was first scanned
+      if (!restored && cached.size === 0) onPagesClassified?.({ pages: pageResults.length });
+
+      // Walls accepted in an earlier session
+      if (restored) {
+        mergeIntoResult(result, { wallSegments: acceptedWallSegments(restored.wallCandidates, restored.scales, pageViewportsRef.current, shearTagsRef.current) });
       }
 
       result.rawDimensions = extractedDims;
@@ -316,36 +695,63 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
       setExtractionResult({ ...result });
       onExtractionComplete?.({ ...result });
 
-      // Auto-detect scale from dimension text
-      tryAutoScale(extractedDims, images[0]);
+      // Scale callouts become one-click proposals in the plan viewer
+      setScaleDetections(detections);
+      setDimensionChains(chainsByPage);
 
-      const aiPages = classifications.filter((c) => AI_PAGE_TYPES.includes(c.type));
+      const skipAiTypes = loadAiSettings().skipPageTypes;
+      const aiPages = classifications.filter((c) => AI_PAGE_TYPES.includes(c.type) && !skipAiTypes.includes(c.type));
       if (hasAi && aiPages.length > 0) {
         reportProgress("done", totalPages, totalPages, `Done. ${aiPages.length} pages queued for AI.`);
       } else {
         reportProgress("done", totalPages, totalPages, `Done \u2014 ${totalPages} pages, ${extractedDims.length} dims, ${result.wallTypes.length} wall types`);
       }
     } catch (err) {
-      setProgressText("Error: " + err.message);
+      if (isScanCancelled(err)) {
+        // A newer scan replaced this one and owns the scan state now
+        if (scanJobRef.current !== scanJob) return;
+        setProgressText("Scan cancelled");
+      } else {
+        setProgressText("Error: " + err.message);
+      }
       onScanProgress?.(null);
     }
+    // Pages are read; a later scan that needs OCR loads the engine again
+    terminateOcrEngine().catch(() => {});
     setIsScanning(false);
-  }, [onExtractionComplete, onScanProgress, projectId]);
-
-  // ── Auto-scale detection from dimension callouts ──────────────────
-  const tryAutoScale = (dims, firstImage) => {
-    // Look for scale notation in dimension text like "1/4" = 1'-0""
-    // This is a best-effort heuristic — user always verifies
-    const scalePatterns = [
-      { regex: /1\/4"\s*=\s*1'-0"/, pixelsPerFoot: null, ratio: 48 },
-      { regex: /1\/8"\s*=\s*1'-0"/, ratio: 96 },
-      { regex: /1"\s*=\s*4'/, ratio: 48 },
-      { regex: /1"\s*=\s*8'/, ratio: 96 },
-      { regex: /Scale:\s*1[:/](\d+)/, extract: (m) => +m[1] },
-    ];
-    // For now, auto-scale is attempted but we don't auto-set —
-    // just show a suggestion. Manual calibration is the primary flow.
-  };
+  }, [onExtractionComplete, onScanProgress, onPagesClassified, projectId]);
+
+  // ── Scan job controls ─────────────────────────────────────────────
+  const cancelScan = useCallback(() => {
+    const job = scanJobRef.current;
+    if (!job || job.state === "done" || job.state === "cancelled") return;
+    job.cancel();
+  }, []);
+  const cancelScanRef = useRef(cancelScan);
+  cancelScanRef.current = cancelScan;
+
+  // ── Snap indexes for cached pages ─────────────────────────────────
+  // Pages loaded from the page cache skip rendering, so their vector
+  // linework is read the first time it is needed.
+  const ensureSnapIndex = useCallback(async (pageIdx) => {
+    const pdf = pdfRef.current;
+    const viewport = pageViewportsRef.current[pageIdx];
+    if (!pdf || !viewport || snapIndexesRef.current[pageIdx]) return snapIndexesRef.current[pageIdx];
+    try {
+      const page = await pdf.getPage(pageIdx + 1);
+      const index = createSnapIndex(await extractPageSegments(page, viewport));
+      // A different plan may have been loaded meanwhile
+      if (pdfRef.current === pdf) snapIndexesRef.current[pageIdx] = index;
+      return index;
+    } catch (err) {
+      console.warn("Vector extraction failed on page " + (pageIdx + 1) + ":", err);
+      return null;
+    }
+  }, []);
+
+  useEffect(() => {
+    if (pageImages[activePageIndex]) ensureSnapIndex(activePageIndex);
+  }, [activePageIndex, pageImages, ensureSnapIndex]);
 
   // ── File upload handler ───────────────────────────────────────────
   const handleFileUpload = useCallback(async (event) => {
@@ -380,88 +786,315 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
         const buffer = await getPlanFile(projectId, initialPlanFileName);
         if (!buffer || cancelled) { setProgressText(""); return; }
         setFileName(initialPlanFileName);
-        await runExtraction(buffer, initialPlanFileName);
+        await runExtraction(buffer, initialPlanFileName, initialPlanState);
       } catch (err) {
         if (!cancelled) setProgressText("Failed to load saved plan: " + err.message);
       }
     })();
 
     return () => { cancelled = true; };
-  }, [initialPlanFileName, projectId, isPdfLoaded, runExtraction]);
+  }, [initialPlanFileName, initialPlanState, projectId, isPdfLoaded, runExtraction]);
+
+  // ── AI spend ──────────────────────────────────────────────────────
+  const refreshAiUsage = useCallback(() => {
+    getAiUsageSummary(projectId).then(setAiUsage).catch((err) => console.warn("Failed to read AI usage:", err));
+  }, [projectId]);
+  useEffect(() => { refreshAiUsage(); }, [refreshAiUsage]);
+
+  // What the project and the month have spent, against the caps
+  const loadAiBudget = useCallback(async () => {
+    let spent = null;
+    try {
+      spent = await getAiUsageSummary(projectId);
+    } catch (err) {
+      console.warn("Failed to read AI usage:", err);
+    }
+    return createAiBudget({ spent: { project: spent?.project.cost, month: spent?.month.cost }, caps: aiSettings.budget });
+  }, [projectId, aiSettings]);
+
+  // Page types the user has not excluded from AI extraction
+  const isAiPageType = useCallback(
+    (type) => AI_PAGE_TYPES.includes(type) && !aiSettings.skipPageTypes.includes(type),
+    [aiSettings]
+  );
+
+  const toggleAiPageType = (type) => {
+    const skip = aiSettings.skipPageTypes.includes(type)
+      ? aiSettings.skipPageTypes.filter((t) => t !== type)
+      : [...aiSettings.skipPageTypes, type];
+    saveAiSettings({ ...aiSettings, skipPageTypes: skip });
+    setAiSettings((prev) => ({ ...prev, skipPageTypes: skip }));
+    setAiSettingsForm((prev) => ({ ...prev, skipPageTypes: skip }));
+  };
 
   // ── Pass 3: AI Vision extraction ──────────────────────────────────
   const runAiExtraction = useCallback(async () => {
-    if (!pdfRef.current || !isAiAvailable() || !extractionResult) return;
+    if (!pdfRef.current || !isProviderReady(aiSettings) || !extractionResult) return;
     setIsAiRunning(true);
     const pdf = pdfRef.current;
-    const result = { ...extractionResult };
+    let result = { ...extractionResult };
     for (const key of ["wallSegments", "openings", "structuralMembers", "steelMembers", "hardware", "warnings", "floorSpecs", "roofSpecs"]) {
       result[key] = [...(result[key] || [])];
     }
     result.specOverrides = { ...result.specOverrides };
+    result.specOverrideSources = { ...result.specOverrideSources };
 
-    const aiPages = pageClassifications.filter((c) => AI_PAGE_TYPES.includes(c.type));
+    const aiPages = pageClassifications.filter((c) => isAiPageType(c.type));
+    const budget = await loadAiBudget();
+    let stopped = null;
 
     for (let idx = 0; idx < aiPages.length; idx++) {
       const cls = aiPages[idx];
-      setAiProgress(`AI extracting page ${cls.page} (${cls.type.replace(/_/g, " ")}) \u2014 ${idx + 1}/${aiPages.length}...`);
+      const status = `AI extracting ${pageLabel(result, cls.page)} (${cls.type.replace(/_/g, " ")}) \u2014 ${idx + 1}/${aiPages.length}`;
+      setAiProgress(status + "...");
 
       try {
-        const page = await pdf.getPage(cls.page);
-        const viewport = page.getViewport({ scale: AI_RENDER_SCALE });
-        const canvas = document.createElement("canvas");
-        canvas.width = viewport.width;
-        canvas.height = viewport.height;
-        await page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
-
-        const dataUrl = canvas.toDataURL("image/png");
-        const base64 = dataUrl.split(",")[1];
-
-        const rawText = dimensions.filter((d) => d.page === cls.page).map((d) => d.raw).join(", ");
-        const aiResult = await extractWithAi(base64, cls.type, rawText);
-        const mapped = mapAiResult(aiResult, cls.type, cls.page);
-        mergeIntoResult(result, mapped);
+        const mapped = await extractPageWithAi({
+          pdf, page: cls.page, type: cls.type, label: pageLabel(result, cls.page), settings: aiSettings, budget, projectId,
+          contextText: dimensions.filter((d) => d.page === cls.page).map((d) => d.raw).join(", "),
+          analysis: pageAnalysesRef.current[cls.page - 1],
+          onTile: (tile, tiles) => setAiProgress(`${status}, tile ${tile}/${tiles}...`),
+        });
+        // A re-run replaces what the AI read from this page before
+        result = removePageContributions(result, cls.page, ["ai"]);
+        mergeIntoResult(result, mapped, { page: cls.page, extractor: "ai" });
       } catch (err) {
+        if (isAiBudgetExceeded(err)) {
+          stopped = err.message + " \u2014 stopped before " + pageLabel(result, cls.page) + ", " + (aiPages.length - idx) + " page(s) not read";
+          result.warnings.push(stopped);
+          break;
+        }
         result.warnings.push("AI failed page " + cls.page + " (" + cls.type + "): " + err.message);
       }
     }
+    refreshAiUsage();
+    // What the AI read again folds into the schedule and vector items
+    const reconciled = reconcileExtraction(result);
+    result.aiProvider = { ...describeAiProvider(aiSettings), usedAt: new Date().toISOString() };
+    aiRanRef.current = true;
 
     setExtractionResult({ ...result });
     onExtractionComplete?.({ ...result });
     setAiProgress("");
     setIsAiRunning(false);
-    setProgressText("AI done \u2014 " + result.wallSegments.length + " walls, " + result.structuralMembers.length + " members, " + result.steelMembers.length + " steel");
-  }, [extractionResult, pageClassifications, dimensions, onExtractionComplete]);
+    setProgressText(stopped || "AI done \u2014 " + result.wallSegments.length + " walls, " + result.structuralMembers.length + " members, " + result.steelMembers.length + " steel" +
+      (reconciled.matched ? ", " + reconciled.matched + " matched to schedules or detected walls" : "") +
+      (reconciled.conflicts ? ", " + reconciled.conflicts + " with conflicting values to review" : ""));
+  }, [extractionResult, pageClassifications, dimensions, onExtractionComplete, aiSettings, isAiPageType, loadAiBudget, refreshAiUsage, projectId]);
+
+  // ── Page type override ────────────────────────────────────────────
+  // Re-parses one page as the type the user picked, swapping only that
+  // page's contributions in the result. If the AI has already read the
+  // plans, the page is read again with the new type's prompt.
+  const changePageType = useCallback(async (page, type) => {
+    const analysis = pageAnalysesRef.current[page - 1];
+    const cls = pageClassifications.find((c) => c.page === page);
+    if (!analysis || !cls || !extractionResult || cls.type === type) return;
+    const detectedType = cls.detectedType || cls.type;
+
+    let result = removePageContributions(extractionResult, page, PAGE_TYPE_EXTRACTORS);
+    for (const { partial, source } of pagePartials(analysis, type)) {
+      if (!partial.projectInfo) mergeIntoResult(result, partial, source);
+    }
+    result.pageClassifications = result.pageClassifications.map((c) => (c.page === page ? { ...c, type } : c));
+    shearTagsRef.current[page - 1] = SHEAR_TAG_PAGE_TYPES.includes(type) ? analysis.shearTags || [] : [];
+    reconcileExtraction(result);
+
+    setPageClassifications((prev) => prev.map((c) => (c.page === page ? { ...c, type, overridden: type !== detectedType } : c)));
+    setPageTypeOverrides((prev) => {
+      const next = { ...prev };
+      if (type === detectedType) delete next[page];
+      else next[page] = type;
+      return next;
+    });
+    setExtractionResult(result);
+    onExtractionComplete?.(result);
+    onPageTypeOverride?.({
+      page, detectedType, userType: type, previousType: cls.overridden ? cls.type : null, features: analysis.features || [],
+      sheetNumber: analysis.sheet?.sheetNumber || "", sheetTitle: analysis.sheet?.sheetTitle || "",
+      text: analysis.spatialData.rawText,
+    });
+    setProgressText(pageLabel(result, page) + " re-parsed as " + type.replace(/_/g, " ").toLowerCase());
+
+    if (!aiRanRef.current || !isAiPageType(type) || !isProviderReady(aiSettings) || !pdfRef.current) return;
+    setIsAiRunning(true);
+    const status = `AI extracting ${pageLabel(result, page)} (${type.replace(/_/g, " ")})`;
+    setAiProgress(status + "...");
+    try {
+      const mapped = await extractPageWithAi({
+        pdf: pdfRef.current, page, type, label: pageLabel(result, page), settings: aiSettings,
+        budget: await loadAiBudget(), projectId,
+        contextText: dimensions.filter((d) => d.page === page).map((d) => d.raw).join(", "),
+        analysis,
+        onTile: (tile, tiles) => setAiProgress(`${status}, tile ${tile}/${tiles}...`),
+      });
+      result = removePageContributions(result, page, ["ai"]);
+      mergeIntoResult(result, mapped, { page, extractor: "ai" });
+      reconcileExtraction(result);
+      result.aiProvider = { ...describeAiProvider(aiSettings), usedAt: new Date().toISOString() };
+      setExtractionResult(result);
+      onExtractionComplete?.(result);
+    } catch (err) {
+      setProgressText("AI failed on " + pageLabel(result, page) + ": " + err.message);
+    }
+    refreshAiUsage();
+    setAiProgress("");
+    setIsAiRunning(false);
+  }, [pageClassifications, extractionResult, dimensions, onExtractionComplete, onPageTypeOverride, aiSettings, isAiPageType, loadAiBudget, refreshAiUsage, projectId]);
 
   // ── Scale confirmation ────────────────────────────────────────────
+  const applyScale = (scaleId, scale) => {
+    const next = setScale(scales, scaleId, scale);
+    setScales(next);
+    // Only measurements taken under this scale change; old checks no longer apply
+    setMeasurements((prev) => recomputeMeasurements(prev, next, [scaleId]));
+    setScaleVerifications((prev) => prev.filter((v) => v.scaleId !== scaleId));
+    return next;
+  };
+
   const confirmScale = () => {
     const value = +scaleInputValue;
-    if (value > 0) {
-      setScaleFeet(value);
-      setIsScaleSet(true);
+    if (value > 0 && pendingScaleId && pendingScalePixels > 0) {
+      applyScale(pendingScaleId, { pixels: pendingScalePixels, feet: fromDisplayLength(value, units) });
     }
     setShowScaleInput(false);
+    setPendingScaleId(null);
     setActiveTool(null);
   };
 
+  // ── Detected scale proposals ──────────────────────────────────────
+  const scaleProposals = useMemo(() => {
+    return proposeScales(scaleDetections[activePageIndex], scales, activePageIndex)
+      .filter((p) => !dismissedScaleIds.includes(p.scaleId));
+  }, [scaleDetections, scales, activePageIndex, dismissedScaleIds]);
+
+  // Accepting a proposal calibrates immediately, then arms the Verify tool
+  // with the longest dimension string under that scale so the user can
+  // confirm the plot was printed at the stated size.
+  const acceptScaleProposal = (proposal) => {
+    const next = applyScale(proposal.scaleId, candidateToScale(proposal.candidate));
+    const dimension = pickVerificationDimension(scaleDetections[activePageIndex], next, activePageIndex, proposal.scaleId);
+    if (!dimension) { setScaleCheck(null); return; }
+    setScaleCheck({ scaleId: proposal.scaleId, page: activePageIndex, dimension, error: null });
+    setVerifyInputValue(String(+toDisplayLength(dimension.feet, units).toFixed(isMetric(units) ? 3 : 2)));
+    setActivePoints([]);
+    setActiveTool("verify");
+  };
+
+  // ── Vector wall detection ─────────────────────────────────────────
+  const floorPlanPages = useMemo(
+    () => pageClassifications.filter((c) => c.type === "FLOOR_PLAN").map((c) => c.page - 1),
+    [pageClassifications]
+  );
+
+  // Re-running keeps walls the user already accepted or rejected and only
+  // replaces the ones still awaiting review.
+  const runWallDetection = async () => {
+    await Promise.all(floorPlanPages.map((page) => ensureSnapIndex(page)));
+    const kept = wallCandidates.filter((w) => w.status !== "pending");
+    const isKnown = (w) => kept.some((k) => k.page === w.page && Math.hypot(k.x1 - w.x1, k.y1 - w.y1) < 2 && Math.hypot(k.x2 - w.x2, k.y2 - w.y2) < 2);
+    const detected = [];
+    const unscaled = [];
+    for (const page of floorPlanPages) {
+      const { walls, scaled } = detectWallsOnPage(snapIndexesRef.current[page]?.segments || [], scales, page);
+      if (!scaled) { unscaled.push(page + 1); continue; }
+      walls.forEach((w, idx) => {
+        const candidate = { ...w, id: page + "-" + Date.now() + "-" + idx, page, status: "pending" };
+        if (!isKnown(candidate)) detected.push(candidate);
+      });
+    }
+    setWallCandidates([...kept, ...detected]);
+    setWallDetectionNote(
+      detected.length + " wall candidates found" +
+      (unscaled.length ? " \u2014 set the scale on page " + unscaled.join(", ") + " to detect walls there" : "")
+    );
+  };
+
+  const setWallStatus = (ids, status) => {
+    const idSet = new Set(ids);
+    setWallCandidates((prev) => prev.map((w) => (idSet.has(w.id) ? { ...w, status } : w)));
+  };
+
+  const sendAcceptedWalls = () => {
+    if (!extractionResult) return;
+    const segments = acceptedWallSegments(wallCandidates, scales, pageViewportsRef.current, shearTagsRef.current);
+    const result = {
+      ...extractionResult,
+      wallSegments: [...unmergeItems(extractionResult.wallSegments).filter((seg) => seg.source?.extractor !== "vector"), ...segments],
+    };
+    reconcileExtraction(result);
+    setExtractionResult(result);
+    onExtractionComplete?.({ ...result });
+    setWallDetectionNote(segments.length + " detected walls sent to the wall takeoff");
+  };
+
+  const pageWallCandidates = useMemo(
+    () => wallCandidates.filter((w) => w.page === activePageIndex && w.status !== "rejected"),
+    [wallCandidates, activePageIndex]
+  );
+
+  // ── Viewport removal (measurements fall back to the page scale) ───
+  const deleteViewport = (vp) => {
+    const fromId = viewportScaleId(vp.id);
+    const toId = pageScaleId(vp.page);
+    const next = removeViewport(scales, vp.id);
+    setScales(next);
+    setMeasurements((prev) => recomputeMeasurements(reassignScale(prev, fromId, toId), next, [toId]));
+    setScaleVerifications((prev) => prev.filter((v) => v.scaleId !== fromId));
+  };
+
   // ── Scale verification confirmation ───────────────────────────────
   const confirmVerify = () => {
-    const entered = +verifyInputValue;
+    const entered = fromDisplayLength(+verifyInputValue, units);
     if (entered > 0 && pendingVerifyPixels > 0) {
-      const calculated = pxToFeet(pendingVerifyPixels);
+      const calculated = pxToFeet(pendingVerifyPixels, pendingVerifyScaleId);
       const error = Math.abs(calculated - entered) / entered;
-      setScaleVerifications((prev) => [...prev, { entered, calculated, error, timestamp: Date.now() }]);
+      setScaleVerifications((prev) => [...prev, { entered, calculated, error, scaleId: pendingVerifyScaleId, page: activePageIndex, timestamp: Date.now() }]);
+      if (scaleCheck && scaleCheck.error === null && scaleCheck.scaleId === pendingVerifyScaleId) {
+        setScaleCheck({ ...scaleCheck, error });
+      }
     }
     setShowVerifyInput(false);
     setVerifyInputValue("");
     setPendingVerifyPixels(0);
+    setPendingVerifyScaleId(null);
     setActiveTool(null);
   };
 
+  const pageVerifications = useMemo(() => {
+    return scaleVerifications.filter((v) => (v.page ?? 0) === activePageIndex);
+  }, [scaleVerifications, activePageIndex]);
+
   const avgVerificationError = useMemo(() => {
-    if (scaleVerifications.length === 0) return null;
-    return scaleVerifications.reduce((s, v) => s + v.error, 0) / scaleVerifications.length;
-  }, [scaleVerifications]);
+    if (pageVerifications.length === 0) return null;
+    return pageVerifications.reduce((s, v) => s + v.error, 0) / pageVerifications.length;
+  }, [pageVerifications]);
+
+  // Dimension strings check every calibrated scale on the page, no clicks needed
+  const chainScaleChecks = useMemo(
+    () => checkScaleAgainstChains(dimensionChains[activePageIndex], scales, activePageIndex),
+    [dimensionChains, scales, activePageIndex]
+  );
+
+  const recalibrateFromChains = (check) => {
+    applyScale(check.scaleId, { pixels: check.pixelsPerFoot, feet: 1, label: "From dimension strings", source: "chains" });
+  };
+
+  // ── Dimension strings → wall lengths ──────────────────────────────
+  const allChains = useMemo(
+    () => dimensionChains.flatMap((list, i) => list.map((chain) => ({ page: i + 1, chain }))),
+    [dimensionChains]
+  );
+
+  // A string that adds up gives its overall as an exact wall length
+  const sendChainsToWalls = (entries) => {
+    onSendToWalls(entries.map(({ page, chain }) => ({
+      raw: chain.status === "ok" ? chain.overall.raw : chain.segments.map((s) => s.raw).join(" + "),
+      feet: chain.status === "ok" ? chain.overall.feet : chain.total,
+      type: "chain",
+      page,
+    })));
+  };
 
   // ── Create condition ──────────────────────────────────────────────
   const createCondition = () => {
@@ -491,30 +1124,57 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
     if (activeConditionId === id) setActiveConditionId(null);
   };
 
+  // ── Snapping to PDF linework (hold Alt to place freely) ───────────
+  const snapFor = (pt, event) => {
+    if (!SNAP_TOOLS.includes(activeTool) || event.altKey) return null;
+    return findSnap(snapIndexesRef.current[activePageIndex], pt, SNAP_RADIUS_PX / zoom);
+  };
+
   // ── Canvas click handler ──────────────────────────────────────────
   const handleCanvasClick = (event) => {
     if (!activeTool || isPanning) return;
-    const pt = viewportToImage(event.clientX, event.clientY);
+    const raw = viewportToImage(event.clientX, event.clientY);
+    const snap = snapFor(raw, event);
+    const pt = snap ? { x: snap.x, y: snap.y } : raw;
 
     switch (activeTool) {
       case "scale": {
         const pts = [...activePoints, pt];
         setActivePoints(pts);
         if (pts.length === 2) {
-          setScalePixels(pointDistance(pts[0], pts[1]));
+          setPendingScaleId(resolveScaleId(scales, activePageIndex, pts[0]));
+          setPendingScalePixels(pointDistance(pts[0], pts[1]));
           setShowScaleInput(true);
           setActivePoints([]);
         }
         break;
       }
+      case "viewport": {
+        const pts = [...activePoints, pt];
+        setActivePoints(pts);
+        if (pts.length === 2) {
+          const rect = rectFromCorners(pts[0], pts[1]);
+          setActivePoints([]);
+          if (rect.width < 10 || rect.height < 10) break;
+          const pageCount = scales.viewports.filter((v) => v.page === activePageIndex).length;
+          const vp = { id: Date.now(), page: activePageIndex, label: "VP " + (pageCount + 1), rect, scale: null };
+          setScales((prev) => addViewport(prev, vp));
+          // A new viewport is useless until calibrated — go straight to Scale
+          setActiveTool("scale");
+        }
+        break;
+      }
       case "verify": {
-        if (!isScaleSet) return;
+        if (!isPageScaled) return;
         const pts = [...activePoints, pt];
         setActivePoints(pts);
         if (pts.length === 2) {
+          const scaleId = resolveScaleId(scales, activePageIndex, pts[0]);
+          setActivePoints([]);
+          if (!getScale(scales, scaleId)) break;
+          setPendingVerifyScaleId(scaleId);
           setPendingVerifyPixels(pointDistance(pts[0], pts[1]));
           setShowVerifyInput(true);
-          setActivePoints([]);
         }
         break;
       }
@@ -523,10 +1183,10 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
         setActivePoints(pts);
         if (pts.length === 2) {
           const px = pointDistance(pts[0], pts[1]);
-          const feet = pxToFeet(px);
+          const scaleId = resolveScaleId(scales, activePageIndex, pts[0]);
           const m = {
-            id: Date.now(), tool: "linear", points: pts, pixels: px, feet, sqft: 0, count: 0,
-            page: activePageIndex, conditionId: activeConditionId,
+            id: Date.now(), tool: "linear", points: pts, pixels: px, feet: pxToFeet(px, scaleId), sqft: 0, count: 0,
+            page: activePageIndex, scaleId, conditionId: activeConditionId,
             label: "L" + (measurements.length + 1),
           };
           setMeasurements((prev) => [...prev, m]);
@@ -546,7 +1206,7 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
       case "count": {
         const m = {
           id: Date.now(), tool: "count", points: [pt], pixels: 0, feet: 0, sqft: 0, count: 1,
-          page: activePageIndex, conditionId: activeConditionId,
+          page: activePageIndex, scaleId: resolveScaleId(scales, activePageIndex, pt), conditionId: activeConditionId,
           label: "C" + (measurements.filter((x) => x.tool === "count").length + 1),
         };
         setMeasurements((prev) => [...prev, m]);
@@ -560,10 +1220,10 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
   const handleCanvasDoubleClick = (event) => {
     if (activeTool === "polyline" && activePoints.length >= 2) {
       const px = polylineLength(activePoints);
-      const feet = pxToFeet(px);
+      const scaleId = resolveScaleId(scales, activePageIndex, activePoints[0]);
       const m = {
-        id: Date.now(), tool: "polyline", points: [...activePoints], pixels: px, feet, sqft: 0, count: 0,
-        page: activePageIndex, conditionId: activeConditionId,
+        id: Date.now(), tool: "polyline", points: [...activePoints], pixels: px, feet: pxToFeet(px, scaleId), sqft: 0, count: 0,
+        page: activePageIndex, scaleId, conditionId: activeConditionId,
         label: "P" + (measurements.filter((x) => x.tool === "polyline").length + 1),
       };
       setMeasurements((prev) => [...prev, m]);
@@ -571,12 +1231,12 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
       setActivePoints([]);
     }
     if (activeTool === "area" && activePoints.length >= 3) {
-      const pxArea = polygonArea(activePoints);
-      const sqft = pxAreaToSqFt(pxArea);
+      const scaleId = resolveScaleId(scales, activePageIndex, activePoints[0]);
+      const sqft = pxAreaToSqFt(polygonArea(activePoints), scaleId);
       const perimPx = polylineLength([...activePoints, activePoints[0]]);
       const m = {
-        id: Date.now(), tool: "area", points: [...activePoints], pixels: perimPx, feet: pxToFeet(perimPx), sqft, count: 0,
-        page: activePageIndex, conditionId: activeConditionId,
+        id: Date.now(), tool: "area", points: [...activePoints], pixels: perimPx, feet: pxToFeet(perimPx, scaleId), sqft, count: 0,
+        page: activePageIndex, scaleId, conditionId: activeConditionId,
         label: "A" + (measurements.filter((x) => x.tool === "area").length + 1),
       };
       setMeasurements((prev) => [...prev, m]);
@@ -595,7 +1255,9 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
     }
     if (!activeTool || activeTool === "select") return;
     const pt = viewportToImage(event.clientX, event.clientY);
-    setCursorPos(pt);
+    const snap = snapFor(pt, event);
+    setSnapPoint(snap);
+    setCursorPos(snap ? { x: snap.x, y: snap.y } : pt);
   };
 
   // ── Middle-click pan / space+drag ─────────────────────────────────
@@ -633,6 +1295,37 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
 
   const resetView = () => { setZoom(1); setPanOffset({ x: 0, y: 0 }); };
 
+  // ── Click-to-locate: jump to an extracted item's source region ────
+  const locateSource = useCallback((source) => {
+    if (!source?.page) return;
+    const pageIdx = source.page - 1;
+    const viewport = pageViewportsRef.current[pageIdx];
+    if (!viewport) return;
+    const rect = source.bbox ? pageRectToImage(viewport, source.bbox) : null;
+    setActivePageIndex(pageIdx);
+    setActivePoints([]);
+    setSourceHighlight({ page: pageIdx, rect, source });
+    const container = containerRef.current;
+    if (!container) return;
+    if (rect) {
+      const z = Math.max(zoom, 1);
+      setZoom(z);
+      setPanOffset({
+        x: container.clientWidth / 2 - (rect.x + rect.width / 2) * z,
+        y: container.clientHeight / 2 - (rect.y + rect.height / 2) * z,
+      });
+    }
+    container.scrollIntoView({ behavior: "smooth", block: "center" });
+  }, [zoom]);
+
+  // Locate requests from other tabs (e.g. the Bid Summary)
+  const handledLocateRef = useRef(null);
+  useEffect(() => {
+    if (!locateRequest || handledLocateRef.current === locateRequest) return;
+    handledLocateRef.current = locateRequest;
+    locateSource(locateRequest.source);
+  }, [locateRequest, locateSource]);
+
   // ── Keyboard shortcuts ────────────────────────────────────────────
   useEffect(() => {
     const handler = (e) => {
@@ -651,9 +1344,19 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
     return () => window.removeEventListener("keydown", handler);
   }, []);
 
-  const saveApiKey = () => {
-    storeApiKey(apiKeyInput);
-    setShowApiKeySection(false);
+  const updateAiProviderField = (field, value) => {
+    setAiSettingsForm((prev) => ({
+      ...prev,
+      providers: { ...prev.providers, [prev.provider]: { ...prev.providers[prev.provider], [field]: value } },
+    }));
+  };
+
+  const saveAiProviderSettings = () => {
+    saveAiSettings(aiSettingsForm);
+    const saved = loadAiSettings();
+    setAiSettings(saved);
+    setAiSettingsForm(saved);
+    setShowAiSettings(false);
   };
 
   // ── Draw overlay ──────────────────────────────────────────────────
@@ -735,6 +1438,91 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
       ctx.stroke();
     };
 
+    // ── Draw viewport regions ────────────────────────────────────
+    const drawViewportRect = (rect, color, label) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.5 / zoom;
+      ctx.setLineDash([8 / zoom, 4 / zoom]);
+      ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+      ctx.setLineDash([]);
+      if (label) {
+        const fontSize = Math.max(9, 11 / zoom);
+        ctx.font = `bold ${fontSize}px Inter, sans-serif`;
+        const tw = ctx.measureText(label).width;
+        ctx.fillStyle = color;
+        ctx.fillRect(rect.x, rect.y - fontSize - 6 / zoom, tw + 10 / zoom, fontSize + 6 / zoom);
+        ctx.fillStyle = "#fff";
+        ctx.textAlign = "left";
+        ctx.textBaseline = "middle";
+        ctx.fillText(label, rect.x + 5 / zoom, rect.y - fontSize / 2 - 3 / zoom);
+      }
+    };
+
+    for (const vp of scales.viewports.filter((v) => v.page === activePageIndex)) {
+      drawViewportRect(vp.rect, vp.scale ? colors.cyan : colors.orange, vp.label + (vp.scale ? "" : " \u2014 no scale"));
+    }
+    if (activeTool === "viewport" && activePoints.length === 1 && cursorPos) {
+      drawViewportRect(rectFromCorners(activePoints[0], cursorPos), colors.cyan + "99", null);
+    }
+
+    // ── Detected wall candidates (dashed until accepted) ───────────
+    pageWallCandidates.forEach((w) => {
+      const isAccepted = w.status === "accepted";
+      const isHighlighted = w.id === highlightedWallId;
+      const color = isAccepted ? colors.green : colors.purple;
+      ctx.beginPath();
+      ctx.moveTo(w.x1, w.y1);
+      ctx.lineTo(w.x2, w.y2);
+      ctx.strokeStyle = color + (isHighlighted ? "" : "b0");
+      ctx.lineWidth = Math.max(w.thicknessPx, (isHighlighted ? 5 : 3) / zoom);
+      if (!isAccepted) ctx.setLineDash([10 / zoom, 5 / zoom]);
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      const wallScale = wallCandidateScale(scales, w);
+      if (wallScale) {
+        const label = formatLength(pixelsToFeet(pointDistance({ x: w.x1, y: w.y1 }, { x: w.x2, y: w.y2 }), wallScale), units) + " " +
+          guessStudSize(pixelsToFeet(w.thicknessPx, wallScale) * 12);
+        const mid = midpoint({ x: w.x1, y: w.y1 }, { x: w.x2, y: w.y2 });
+        const fontSize = Math.max(8, 10 / zoom);
+        ctx.font = `bold ${fontSize}px Inter, sans-serif`;
+        const tw = ctx.measureText(label).width;
+        ctx.fillStyle = "rgba(255,255,255,0.85)";
+        ctx.fillRect(mid.x - tw / 2 - 3 / zoom, mid.y - fontSize / 2 - 2 / zoom, tw + 6 / zoom, fontSize + 4 / zoom);
+        ctx.fillStyle = color;
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.fillText(label, mid.x, mid.y);
+      }
+    });
+
+    // ── Located source region ────────────────────────────────────
+    if (sourceHighlight?.rect && sourceHighlight.page === activePageIndex) {
+      const r = sourceHighlight.rect;
+      const pad = 4 / zoom;
+      ctx.fillStyle = colors.orange + "26";
+      ctx.fillRect(r.x - pad, r.y - pad, r.width + pad * 2, r.height + pad * 2);
+      ctx.strokeStyle = colors.orange;
+      ctx.lineWidth = 2.5 / zoom;
+      ctx.strokeRect(r.x - pad, r.y - pad, r.width + pad * 2, r.height + pad * 2);
+    }
+
+    // ── Highlight detected scale callouts and the dimension to verify ─
+    for (const p of scaleProposals) {
+      const r = p.candidate.rect;
+      ctx.strokeStyle = colors.green;
+      ctx.lineWidth = 2 / zoom;
+      ctx.strokeRect(r.x - 3 / zoom, r.y - 3 / zoom, r.width + 6 / zoom, r.height + 6 / zoom);
+    }
+    if (scaleCheck && scaleCheck.error === null && scaleCheck.page === activePageIndex) {
+      const r = scaleCheck.dimension.rect;
+      ctx.fillStyle = colors.teal + "30";
+      ctx.fillRect(r.x - 3 / zoom, r.y - 3 / zoom, r.width + 6 / zoom, r.height + 6 / zoom);
+      ctx.strokeStyle = colors.teal;
+      ctx.lineWidth = 2 / zoom;
+      ctx.strokeRect(r.x - 3 / zoom, r.y - 3 / zoom, r.width + 6 / zoom, r.height + 6 / zoom);
+    }
+
     // ── Draw completed measurements ──────────────────────────────
     const pageMeasurements = measurements.filter((m) => m.page === activePageIndex);
 
@@ -743,7 +1531,7 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
       const color = cond?.color || colors.accent;
 
       if (m.tool === "linear") {
-        const label = isScaleSet ? m.feet.toFixed(1) + "'" : Math.round(m.pixels) + "px";
+        const label = m.feet > 0 ? formatLength(m.feet, units) : Math.round(m.pixels) + "px";
         drawDimLine(m.points[0], m.points[1], label, color);
       }
 
@@ -762,11 +1550,11 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
         // Segment labels
         for (let i = 1; i < m.points.length; i++) {
           const segPx = pointDistance(m.points[i - 1], m.points[i]);
-          const segFt = pxToFeet(segPx);
+          const segFt = pxToFeet(segPx, m.scaleId);
           const mid = midpoint(m.points[i - 1], m.points[i]);
           const fontSize = Math.max(9, 11 / zoom);
           ctx.font = `bold ${fontSize}px Inter, sans-serif`;
-          const label = segFt > 0 ? segFt.toFixed(1) + "'" : "";
+          const label = segFt > 0 ? formatLength(segFt, units) : "";
           if (label) {
             const tw = ctx.measureText(label).width;
             ctx.fillStyle = "rgba(0,0,0,0.75)";
@@ -780,7 +1568,7 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
 
         // Total label at last point
         const last = m.points[m.points.length - 1];
-        const totalLabel = isScaleSet ? m.feet.toFixed(1) + "' total" : "";
+        const totalLabel = m.feet > 0 ? formatLength(m.feet, units) + " total" : "";
         if (totalLabel) {
           const fontSize = Math.max(10, 13 / zoom);
           ctx.font = `bold ${fontSize}px Inter, sans-serif`;
@@ -811,7 +1599,7 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
 
         // Area label at centroid
         const cent = polygonCentroid(m.points);
-        const areaLabel = m.sqft > 0 ? Math.round(m.sqft) + " SF" : "";
+        const areaLabel = m.sqft > 0 ? formatArea(m.sqft, units) : "";
         if (areaLabel) {
           const fontSize = Math.max(12, 16 / zoom);
           ctx.font = `bold ${fontSize}px Inter, sans-serif`;
@@ -888,8 +1676,8 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
 
         // Live distance preview
         const px = pointDistance(last, cursorPos);
-        const ft = pxToFeet(px);
-        const previewLabel = isScaleSet && ft > 0 ? ft.toFixed(1) + "'" : Math.round(px) + "px";
+        const ft = pxToFeet(px, resolveScaleId(scales, activePageIndex, activePoints[0]));
+        const previewLabel = ft > 0 ? formatLength(ft, units) : Math.round(px) + "px";
         const mid = midpoint(last, cursorPos);
         const fontSize = Math.max(10, 12 / zoom);
         ctx.font = `bold ${fontSize}px Inter, sans-serif`;
@@ -906,9 +1694,9 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
       if (cursorPos && activePoints.length > 0 && (activeTool === "polyline" || activeTool === "area")) {
         const last = activePoints[activePoints.length - 1];
         const segPx = pointDistance(last, cursorPos);
-        const segFt = pxToFeet(segPx);
+        const segFt = pxToFeet(segPx, resolveScaleId(scales, activePageIndex, activePoints[0]));
         const mid = midpoint(last, cursorPos);
-        const previewLabel = segFt > 0 ? segFt.toFixed(1) + "'" : "";
+        const previewLabel = segFt > 0 ? formatLength(segFt, units) : "";
         if (previewLabel) {
           const fontSize = Math.max(9, 10 / zoom);
           ctx.font = `bold ${fontSize}px Inter, sans-serif`;
@@ -922,7 +1710,40 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
         }
       }
     }
-  }, [measurements, activePoints, cursorPos, activePageIndex, isScaleSet, scalePixels, scaleFeet, activeTool, conditions, zoom, panOffset, pxToFeet, pxAreaToSqFt]);
+
+    // ── Snap glyph ────────────────────────────────────────────────
+    if (snapPoint && cursorPos && SNAP_TOOLS.includes(activeTool)) {
+      const { x, y, kind } = snapPoint;
+      const r = 6 / zoom;
+      ctx.strokeStyle = colors.green;
+      ctx.lineWidth = 2 / zoom;
+      ctx.beginPath();
+      if (kind === "endpoint") {
+        ctx.rect(x - r, y - r, r * 2, r * 2);
+      } else if (kind === "midpoint") {
+        ctx.moveTo(x, y - r);
+        ctx.lineTo(x + r, y + r);
+        ctx.lineTo(x - r, y + r);
+        ctx.closePath();
+      } else if (kind === "intersection") {
+        ctx.moveTo(x - r, y - r); ctx.lineTo(x + r, y + r);
+        ctx.moveTo(x + r, y - r); ctx.lineTo(x - r, y + r);
+      } else {
+        // Nearest: hourglass
+        ctx.moveTo(x - r, y - r); ctx.lineTo(x + r, y - r);
+        ctx.lineTo(x - r, y + r); ctx.lineTo(x + r, y + r);
+        ctx.closePath();
+      }
+      ctx.stroke();
+
+      const fontSize = Math.max(8, 10 / zoom);
+      ctx.font = `bold ${fontSize}px Inter, sans-serif`;
+      ctx.fillStyle = colors.green;
+      ctx.textAlign = "left";
+      ctx.textBaseline = "top";
+      ctx.fillText(kind.charAt(0).toUpperCase() + kind.slice(1), x + r + 3 / zoom, y + r);
+    }
+  }, [measurements, activePoints, cursorPos, snapPoint, activePageIndex, scales, scaleProposals, scaleCheck, pageWallCandidates, highlightedWallId, sourceHighlight, activeTool, conditions, zoom, panOffset, pxToFeet, pxAreaToSqFt, units]);
 
   useEffect(() => { drawOverlay(); }, [drawOverlay, pageImages, activePageIndex]);
 
@@ -956,7 +1777,7 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
           length: Math.round(totalFeet * 10) / 10, height: 8, openings: 0,
         };
       });
-      onSendToWalls(walls.map((w) => ({ raw: w.length + "'", feet: w.length, type: "condition" })));
+      onSendToWalls(walls.map((w) => ({ raw: formatLength(w.length, units), feet: w.length, type: "condition" })));
     }
 
     // Build floor import from area conditions tagged "floor"
@@ -966,7 +1787,7 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
         const ms = measurements.filter((m) => m.conditionId === c.id);
         const totalSqFt = ms.reduce((s, m) => s + m.sqft, 0);
         const approxSide = Math.sqrt(totalSqFt);
-        return { raw: Math.round(totalSqFt) + " SF", feet: approxSide, type: "area" };
+        return { raw: formatArea(totalSqFt, units), feet: approxSide, type: "area" };
       });
       onSendToFloors(areas);
     }
@@ -978,7 +1799,7 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
         const ms = measurements.filter((m) => m.conditionId === c.id);
         const totalSqFt = ms.reduce((s, m) => s + m.sqft, 0);
         const approxSide = Math.sqrt(totalSqFt);
-        return { raw: Math.round(totalSqFt) + " SF", feet: approxSide, type: "area" };
+        return { raw: formatArea(totalSqFt, units), feet: approxSide, type: "area" };
       });
       onSendToRoof(areas);
     }
@@ -996,7 +1817,7 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
   const sendSelectedToTakeoff = () => {
     const selected = [...selectedIndices].map((i) => dimensions[i]);
     const manual = measurements.filter((m) => !m.conditionId && (m.tool === "linear" || m.tool === "polyline")).map((m) => ({
-      raw: m.feet.toFixed(1) + "'", feet: m.feet, type: "measured", page: m.page + 1,
+      raw: formatLength(m.feet, units), feet: m.feet, type: "measured", page: m.page + 1,
     }));
     const all = [...selected, ...manual];
     if (sendTarget === "walls") onSendToWalls(all);
@@ -1019,6 +1840,13 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
   // ── Cursor style ──────────────────────────────────────────────────
   const cursorStyle = isPanning ? "grabbing" : activeTool === "pan" ? "grab" : activeTool && activeTool !== "select" ? "crosshair" : "default";
 
+  // ── AI provider being edited ──────────────────────────────────────
+  const aiReady = isProviderReady(aiSettings);
+  const aiPageCount = pageClassifications.filter((c) => isAiPageType(c.type)).length;
+  const formProvider = getAiProvider(aiSettingsForm.provider);
+  const formProviderConfig = aiSettingsForm.providers[formProvider.id];
+  const aiInputStyle = { flex: 1, minWidth: 180, background: colors.inputBgLight, border: "1px solid " + colors.inputBorderLight, borderRadius: 6, padding: "8px 12px", color: colors.textDark, fontSize: 13, fontFamily: fonts.mono, outline: "none" };
+
   return (
     <div>
       <Section title="Upload Construction Plans (PDF)" color={colors.primary}>
@@ -1032,23 +1860,64 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
             {isScanning ? "Scanning..." : "Choose PDF File"}
             <input type="file" accept=".pdf" onChange={handleFileUpload} disabled={!isPdfLoaded || isScanning} style={{ display: "none" }} aria-label="Upload PDF" />
           </label>
-          <Button onClick={() => setShowApiKeySection(!showApiKeySection)} color={isAiAvailable() ? colors.green : colors.orange} outline>
-            {isAiAvailable() ? "AI Ready" : "Set API Key"}
+          <Button onClick={() => setShowAiSettings(!showAiSettings)} color={aiReady ? colors.green : colors.orange} outline>
+            {aiReady ? "AI Ready \u2014 " + getAiProvider(aiSettings.provider).label : "Set Up AI"}
           </Button>
           {fileName && <span style={{ fontSize: 13, color: colors.textDark, fontWeight: 600 }}>{fileName}</span>}
-          {progressText && <span style={{ fontSize: 12, color: colors.green, fontWeight: 600 }}>{progressText}</span>}
+          {progressText && <span style={{ fontSize: 12, color: scanState === "paused" ? colors.warning : colors.green, fontWeight: 600 }}>{progressText}</span>}
+          {isScanning && (scanState === "running" || scanState === "paused") && (
+            <div style={{ display: "flex", gap: 6 }}>
+              {scanState === "running"
+                ? <Button size="sm" color={colors.warning} outline onClick={() => scanJobRef.current?.pause()}>Pause</Button>
+                : <Button size="sm" color={colors.green} onClick={() => scanJobRef.current?.resume()}>Resume</Button>}
+              <Button size="sm" color={colors.rose} outline onClick={cancelScan}>Cancel scan</Button>
+            </div>
+          )}
         </div>
 
-        {showApiKeySection && (
+        {showAiSettings && (
           <div style={{ marginTop: 12, background: colors.contentAlt, borderRadius: 8, padding: "12px 16px", border: "1px solid " + colors.borderLight }}>
             <div style={{ fontSize: 12, color: colors.muted, marginBottom: 8 }}>
-              Anthropic API key for AI Vision extraction. Stored in browser only.
+              {formProvider.id === "local"
+                ? "Any OpenAI-compatible vision server on your network (Ollama, LM Studio, vLLM). Drawings stay on your network; the server must allow requests from this page's origin."
+                : formProvider.replay
+                  ? "Replays canned JSON instead of calling a model. Paste your own responses keyed by page type, or leave blank for the built-in samples."
+                  : formProvider.label + " vision model for AI extraction. The key is stored in this browser only and sent only to the endpoint below."}
+            </div>
+            <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+              <div style={{ flex: "0 0 200px" }}>
+                <SelectInput value={formProvider.id} onChange={(id) => setAiSettingsForm((prev) => ({ ...prev, provider: id }))}
+                  options={AI_PROVIDERS.map((p) => ({ value: p.id, label: p.label }))} />
+              </div>
+              {!formProvider.replay && (
+                <>
+                  <input value={formProviderConfig.model} onChange={(e) => updateAiProviderField("model", e.target.value)}
+                    placeholder={formProvider.defaultModel} aria-label="AI model" style={aiInputStyle} />
+                  <input value={formProviderConfig.endpoint} onChange={(e) => updateAiProviderField("endpoint", e.target.value)}
+                    placeholder={formProvider.defaultEndpoint} aria-label="AI endpoint URL" style={{ ...aiInputStyle, flex: 2 }} />
+                </>
+              )}
+            </div>
+            <div style={{ display: "flex", gap: 8, alignItems: "flex-start", marginTop: 8 }}>
+              {formProvider.auth !== "none" && (
+                <input type="password" value={formProviderConfig.apiKey} onChange={(e) => updateAiProviderField("apiKey", e.target.value)}
+                  placeholder={formProvider.keyPlaceholder} aria-label={formProvider.label + " API key"} style={aiInputStyle} />
+              )}
+              {formProvider.replay && (
+                <textarea value={aiSettingsForm.mockResponses} rows={4}
+                  onChange={(e) => setAiSettingsForm((prev) => ({ ...prev, mockResponses: e.target.value }))}
+                  placeholder={'{ "FLOOR_PLAN": { "wallSegments": [...], "openings": [...] } }'} aria-label="Mock responses"
+                  style={{ ...aiInputStyle, resize: "vertical" }} />
+              )}
+              <Button onClick={saveAiProviderSettings} color={colors.green}>Save</Button>
             </div>
-            <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
-              <input type="password" value={apiKeyInput} onChange={(e) => setApiKeyInput(e.target.value)}
-                placeholder="sk-ant-..." aria-label="Anthropic API key"
-                style={{ flex: 1, background: colors.inputBgLight, border: "1px solid " + colors.inputBorderLight, borderRadius: 6, padding: "8px 12px", color: colors.textDark, fontSize: 13, fontFamily: fonts.mono, outline: "none" }} />
-              <Button onClick={saveApiKey} color={colors.green}>Save</Button>
+            <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 8, fontSize: 12, color: colors.muted }}>
+              Budget caps (USD, blank for none):
+              {[["project", "Per project"], ["month", "Per month"]].map(([scope, label]) => (
+                <input key={scope} type="number" min="0" step="1" value={aiSettingsForm.budget[scope] ?? ""} placeholder={label} aria-label={label + " AI budget"}
+                  onChange={(e) => setAiSettingsForm((prev) => ({ ...prev, budget: { ...prev.budget, [scope]: e.target.value === "" ? null : Math.max(0, Number(e.target.value)) } }))}
+                  style={{ ...aiInputStyle, flex: "0 0 120px", minWidth: 0 }} />
+              ))}
             </div>
           </div>
         )}
@@ -1076,33 +1945,147 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
             <Section title="Page Classification" color={colors.blue}>
               <div style={{ display: "flex", flexWrap: "wrap", gap: 4 }}>
                 {pageClassifications.map((cls) => (
-                  <button key={cls.page} onClick={() => { setActivePageIndex(cls.page - 1); setActivePoints([]); }}
+                  <div key={cls.page}
                     style={{
                       padding: "4px 10px", borderRadius: 6, border: "1px solid " + typeColor(cls.type) + "40",
                       background: activePageIndex === cls.page - 1 ? typeColor(cls.type) + "18" : colors.contentBg,
-                      cursor: "pointer", display: "flex", flexDirection: "column", alignItems: "center", gap: 2, minWidth: 60,
+                      display: "flex", flexDirection: "column", alignItems: "center", gap: 2, minWidth: 60,
                     }}>
-                    <span style={{ fontSize: 11, fontWeight: 700, color: colors.textDark }}>Pg {cls.page}</span>
-                    <span style={{ fontSize: 9, fontWeight: 600, color: typeColor(cls.type), textTransform: "uppercase", letterSpacing: "0.05em" }}>
-                      {cls.type.replace(/_/g, " ")}
+                    <button onClick={() => { setActivePageIndex(cls.page - 1); setActivePoints([]); }}
+                      style={{ padding: 0, border: "none", background: "transparent", cursor: "pointer", fontSize: 11, fontWeight: 700, color: colors.textDark, fontFamily: "inherit" }}>
+                      {pageLabel(extractionResult, cls.page)}
+                    </button>
+                    <select value={cls.type}
+                      onChange={(e) => changePageType(cls.page, e.target.value).catch((err) => setProgressText("Error: " + err.message))}
+                      disabled={isScanning || isAiRunning || !extractionResult}
+                      aria-label={"Page type for " + pageLabel(extractionResult, cls.page)}
+                      title={cls.overridden ? "Set by you \u2014 detected as " + cls.detectedType.replace(/_/g, " ").toLowerCase() : "Change if the page was misclassified"}
+                      style={{ fontSize: 9, fontWeight: 600, color: typeColor(cls.type), textTransform: "uppercase", letterSpacing: "0.05em", border: "none", background: "transparent", cursor: "pointer", textAlign: "center", maxWidth: 130 }}>
+                      {[...PAGE_TYPES, "UNKNOWN"].map((t) => <option key={t} value={t}>{t.replace(/_/g, " ")}</option>)}
+                    </select>
+                    <span style={{ fontSize: 8, color: colors.dim }} title={Object.entries(cls.probabilities || {}).sort((a, b) => b[1] - a[1]).slice(0, 3)
+                      .map(([t, p]) => t.replace(/_/g, " ").toLowerCase() + " " + Math.round(p * 100) + "%").join(" \u00B7 ")}>
+                      {cls.overridden ? <span style={{ color: colors.primary, fontWeight: 700 }}>manual</span> : Math.round(cls.confidence * 100) + "%"}
+                      {cls.ocr && <span title="Text read by OCR from a scanned sheet" style={{ color: colors.orange, fontWeight: 700 }}> OCR</span>}
                     </span>
-                    <span style={{ fontSize: 8, color: colors.dim }}>{Math.round(cls.confidence * 100)}%</span>
-                  </button>
+                  </div>
                 ))}
               </div>
 
-              {isAiAvailable() && pageClassifications.some((c) => AI_PAGE_TYPES.includes(c.type)) && (
+              {extractionResult?.sheetIndex?.length > 0 && (
+                <div style={{ marginTop: 10 }}>
+                  <div style={{ fontSize: 11, fontWeight: 700, color: colors.muted, textTransform: "uppercase", letterSpacing: "0.08em", marginBottom: 6 }}>Sheet Index</div>
+                  <div style={{ display: "flex", flexWrap: "wrap", gap: 4 }}>
+                    {extractionResult.sheetIndex.map((entry) => (
+                      <button key={entry.sheetNumber} onClick={() => { setActivePageIndex(entry.page - 1); setActivePoints([]); }} disabled={!entry.page}
+                        title={entry.page ? "Page " + entry.page : "Not in this file"}
+                        style={{ background: colors.blue + "12", border: "1px solid " + colors.blue + "33", borderRadius: 4, padding: "4px 10px", fontSize: 11, color: entry.page ? colors.blue : colors.dim, fontWeight: 600, fontFamily: "inherit", cursor: entry.page ? "pointer" : "default", textDecoration: entry.page ? "none" : "line-through" }}>
+                        <span style={{ fontFamily: fonts.mono, fontWeight: 700 }}>{entry.sheetNumber}</span> {entry.title}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {floorPlanPages.length > 0 && (
                 <div style={{ marginTop: 10, display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
-                  <Button onClick={runAiExtraction} color={colors.purple} disabled={isAiRunning}>
-                    {isAiRunning ? "AI Running..." : "Run AI (" + pageClassifications.filter((c) => AI_PAGE_TYPES.includes(c.type)).length + " pages)"}
+                  <Button onClick={runWallDetection} color={colors.green} disabled={isScanning}>
+                    {"Detect Walls (" + floorPlanPages.length + " floor plan" + (floorPlanPages.length === 1 ? "" : "s") + ")"}
+                  </Button>
+                  {wallDetectionNote && <span style={{ fontSize: 12, color: colors.green, fontWeight: 600 }}>{wallDetectionNote}</span>}
+                </div>
+              )}
+
+              {aiReady && pageClassifications.some((c) => AI_PAGE_TYPES.includes(c.type)) && (
+                <div style={{ marginTop: 10, display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" }}>
+                  <span style={{ fontSize: 12, fontWeight: 700, color: colors.textDark }}>Send to AI:</span>
+                  {AI_PAGE_TYPES.filter((type) => pageClassifications.some((c) => c.type === type)).map((type) => (
+                    <Button key={type} size="sm" color={colors.purple} outline={!isAiPageType(type)} onClick={() => toggleAiPageType(type)} disabled={isAiRunning}>
+                      {type.replace(/_/g, " ").toLowerCase() + " (" + pageClassifications.filter((c) => c.type === type).length + ")"}
+                    </Button>
+                  ))}
+                </div>
+              )}
+              {aiReady && pageClassifications.some((c) => AI_PAGE_TYPES.includes(c.type)) && (
+                <div style={{ marginTop: 8, display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+                  <Button onClick={runAiExtraction} color={colors.purple} disabled={isAiRunning || aiPageCount === 0}>
+                    {isAiRunning ? "AI Running..." : "Run AI (" + aiPageCount + " pages)"}
                   </Button>
                   {aiProgress && <span style={{ fontSize: 12, color: colors.purple, fontWeight: 600 }}>{aiProgress}</span>}
+                  {!aiProgress && extractionResult?.aiProvider && (
+                    <span style={{ fontSize: 12, color: colors.muted }}>
+                      Last run: {extractionResult.aiProvider.label} · <span style={{ fontFamily: fonts.mono }}>{extractionResult.aiProvider.model}</span>
+                    </span>
+                  )}
+                </div>
+              )}
+              {aiReady && aiUsage && (
+                <div style={{ marginTop: 6, fontSize: 12, color: colors.muted }}>
+                  Estimated AI spend: this project <strong style={{ color: colors.textDark }}>{formatCost(aiUsage.project.cost)}</strong>
+                  {" (" + formatTokens(aiUsage.project.inputTokens + aiUsage.project.outputTokens) + " tokens"}
+                  {aiSettings.budget.project !== null ? ", cap " + formatCost(aiSettings.budget.project) + ")" : ")"}
+                  {" · this month "}<strong style={{ color: colors.textDark }}>{formatCost(aiUsage.month.cost)}</strong>
+                  {aiSettings.budget.month !== null ? " (cap " + formatCost(aiSettings.budget.month) + ")" : ""}
+                  {". Re-reading an unchanged page is free."}
                 </div>
               )}
             </Section>
           )}
 
           {/* Extracted schedules, spec overrides, structural members — unchanged */}
+          {wallCandidates.length > 0 && (
+            <Section title={"Detected Walls (" + wallCandidates.filter((w) => w.status === "accepted").length + " accepted / " + wallCandidates.filter((w) => w.status === "pending").length + " to review)"} color={colors.purple}>
+              <div style={{ fontSize: 12, color: colors.muted, marginBottom: 8 }}>
+                Double-line walls found in the floor plan linework. Review them on the plan (dashed = to review, solid = accepted), then send the accepted walls to the wall takeoff.
+              </div>
+              <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center", marginBottom: 8 }}>
+                <span style={{ fontSize: 12, fontWeight: 700, color: colors.textDark }}>{pageLabel(extractionResult, activePageIndex + 1)}:</span>
+                <Button size="sm" color={colors.green} onClick={() => setWallStatus(pageWallCandidates.filter((w) => w.status === "pending").map((w) => w.id), "accepted")}
+                  disabled={!pageWallCandidates.some((w) => w.status === "pending")}>
+                  Accept all
+                </Button>
+                <Button size="sm" color={colors.rose} outline onClick={() => setWallStatus(pageWallCandidates.filter((w) => w.status === "pending").map((w) => w.id), "rejected")}
+                  disabled={!pageWallCandidates.some((w) => w.status === "pending")}>
+                  Reject all
+                </Button>
+                <span style={{ marginLeft: "auto" }}>
+                  <Button size="sm" color={colors.purple} onClick={sendAcceptedWalls} disabled={!extractionResult || !wallCandidates.some((w) => w.status === "accepted")}>
+                    Send accepted walls to takeoff
+                  </Button>
+                </span>
+              </div>
+              {pageWallCandidates.length === 0 ? (
+                <div style={{ fontSize: 12, color: colors.dim }}>No walls awaiting review on this page.</div>
+              ) : (
+                <div style={{ maxHeight: 200, overflowY: "auto", display: "flex", flexDirection: "column", gap: 2 }}>
+                  {pageWallCandidates.map((w, idx) => {
+                    const scale = wallCandidateScale(scales, w);
+                    const feet = pixelsToFeet(pointDistance({ x: w.x1, y: w.y1 }, { x: w.x2, y: w.y2 }), scale);
+                    const inches = pixelsToFeet(w.thicknessPx, scale) * 12;
+                    return (
+                      <div key={w.id} onMouseEnter={() => setHighlightedWallId(w.id)} onMouseLeave={() => setHighlightedWallId(null)}
+                        style={{ display: "flex", alignItems: "center", gap: 8, padding: "3px 6px", borderRadius: 4, fontSize: 12, background: highlightedWallId === w.id ? colors.purple + "12" : "transparent" }}>
+                        <span style={{ fontWeight: 700, color: w.status === "accepted" ? colors.green : colors.purple, minWidth: 34 }}>W{idx + 1}</span>
+                        <span style={{ fontFamily: fonts.mono, minWidth: 60 }}>{formatLength(feet, units)}</span>
+                        <span style={{ color: colors.muted, minWidth: 90 }}>{guessStudSize(inches)} ({formatInches(+inches.toFixed(1), units)} thick)</span>
+                        <span style={{ marginLeft: "auto", display: "flex", gap: 4 }}>
+                          {w.status === "pending" ? (
+                            <>
+                              <Button size="sm" color={colors.green} onClick={() => setWallStatus([w.id], "accepted")}>Accept</Button>
+                              <Button size="sm" color={colors.rose} outline onClick={() => setWallStatus([w.id], "rejected")}>Reject</Button>
+                            </>
+                          ) : (
+                            <Button size="sm" color={colors.muted} outline onClick={() => setWallStatus([w.id], "pending")}>Undo</Button>
+                          )}
+                        </span>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </Section>
+          )}
+
           {extractionResult && (extractionResult.wallTypes.length > 0 || extractionResult.openings.length > 0) && (
             <Section title="Extracted Schedules" color={colors.orange}>
               {extractionResult.wallTypes.length > 0 && (
@@ -1110,18 +2093,20 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
                   <div style={{ fontSize: 11, fontWeight: 700, color: colors.muted, textTransform: "uppercase", letterSpacing: "0.08em", marginBottom: 6 }}>Wall Types</div>
                   <div style={{ overflowX: "auto" }}>
                     <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11 }}>
-                      <thead><tr>{["Type", "Stud", "Spac", "Ht", "Sheath", "Ext?"].map((h) => (
+                      <thead><tr>{["Type", "Stud", "Spac", "Ht", "Sheath", "Ext?", "Source"].map((h) => (
                         <th key={h} style={{ padding: "5px 8px", background: colors.contentAlt, color: colors.muted, fontSize: 10, fontWeight: 700, textAlign: "center", borderBottom: "2px solid " + colors.borderLight }}>{h}</th>
                       ))}</tr></thead>
                       <tbody>
                         {extractionResult.wallTypes.map((wt, i) => (
-                          <tr key={i} style={{ borderBottom: "1px solid " + colors.borderLight, background: i % 2 === 0 ? colors.contentBg : colors.contentAlt }}>
+                          <tr key={i} onClick={() => locateSource(wt.source)} title={wt.source?.text || undefined}
+                            style={{ borderBottom: "1px solid " + colors.borderLight, background: i % 2 === 0 ? colors.contentBg : colors.contentAlt, cursor: wt.source ? "pointer" : "default" }}>
                             <td style={{ padding: "4px 8px", fontWeight: 700, color: colors.primary, fontFamily: fonts.mono, textAlign: "center" }}>{wt.type}</td>
                             <td style={{ padding: "4px 8px", textAlign: "center", fontFamily: fonts.mono, color: colors.textDark }}>{wt.studSize}</td>
-                            <td style={{ padding: "4px 8px", textAlign: "center", fontFamily: fonts.mono, color: colors.textDark }}>{wt.spacing}"</td>
-                            <td style={{ padding: "4px 8px", textAlign: "center", fontFamily: fonts.mono, color: colors.textDark }}>{wt.height}'</td>
+                            <td style={{ padding: "4px 8px", textAlign: "center", fontFamily: fonts.mono, color: colors.textDark }}>{wt.spacing ? formatInches(wt.spacing, units) : "\u2014"}</td>
+                            <td style={{ padding: "4px 8px", textAlign: "center", fontFamily: fonts.mono, color: colors.textDark }}>{wt.height ? formatLength(wt.height, units, 2) : "\u2014"}</td>
                             <td style={{ padding: "4px 8px", textAlign: "center", fontSize: 10, color: colors.textDark }}>{wt.sheathingType || "\u2014"}</td>
                             <td style={{ padding: "4px 8px", textAlign: "center", color: wt.exterior ? colors.green : colors.dim }}>{wt.exterior ? "Yes" : "No"}</td>
+                            <td style={{ padding: "4px 8px", textAlign: "center", fontSize: 10, color: colors.blue, whiteSpace: "nowrap" }}>{formatSource(wt.source) || "\u2014"}</td>
                           </tr>
                         ))}
                       </tbody>
@@ -1134,19 +2119,24 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
                   <div style={{ fontSize: 11, fontWeight: 700, color: colors.muted, textTransform: "uppercase", letterSpacing: "0.08em", marginBottom: 6 }}>Openings</div>
                   <div style={{ overflowX: "auto" }}>
                     <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11 }}>
-                      <thead><tr>{["Mark", "Cat", "W", "H", "Qty", "Header", "Wall"].map((h) => (
+                      <thead><tr>{["Mark", "Cat", "W", "H", "Qty", "Header", "Wall", "Source"].map((h) => (
                         <th key={h} style={{ padding: "5px 8px", background: colors.contentAlt, color: colors.muted, fontSize: 10, fontWeight: 700, textAlign: "center", borderBottom: "2px solid " + colors.borderLight }}>{h}</th>
                       ))}</tr></thead>
                       <tbody>
                         {extractionResult.openings.map((o, i) => (
-                          <tr key={i} style={{ borderBottom: "1px solid " + colors.borderLight, background: i % 2 === 0 ? colors.contentBg : colors.contentAlt }}>
+                          <tr key={i} onClick={() => locateSource(o.source)} title={o.source?.text || undefined}
+                            style={{ borderBottom: "1px solid " + colors.borderLight, background: i % 2 === 0 ? colors.contentBg : colors.contentAlt, cursor: o.source ? "pointer" : "default" }}>
                             <td style={{ padding: "4px 8px", fontWeight: 700, color: colors.purple, fontFamily: fonts.mono, textAlign: "center" }}>{o.mark}</td>
                             <td style={{ padding: "4px 8px", textAlign: "center", fontSize: 10, color: colors.textDark }}>{o.category}</td>
-                            <td style={{ padding: "4px 8px", textAlign: "center", fontFamily: fonts.mono, color: colors.textDark }}>{o.width}'</td>
-                            <td style={{ padding: "4px 8px", textAlign: "center", fontFamily: fonts.mono, color: colors.textDark }}>{o.height}'</td>
+                            <td style={{ padding: "4px 8px", textAlign: "center", fontFamily: fonts.mono, color: colors.textDark }}>{o.width ? formatLength(o.width, units, 2) : "\u2014"}</td>
+                            <td style={{ padding: "4px 8px", textAlign: "center", fontFamily: fonts.mono, color: colors.textDark }}>{o.height ? formatLength(o.height, units, 2) : "\u2014"}</td>
                             <td style={{ padding: "4px 8px", textAlign: "center", fontFamily: fonts.mono, color: colors.textDark }}>{o.quantity}</td>
-                            <td style={{ padding: "4px 8px", textAlign: "center", fontFamily: fonts.mono, fontSize: 10, color: colors.textDark }}>{o.headerSize}</td>
+                            <td title={o.headerDerived ? "Estimated from the opening width" : o.headerMark ? "Header schedule " + o.headerMark : undefined}
+                              style={{ padding: "4px 8px", textAlign: "center", fontFamily: fonts.mono, fontSize: 10, color: o.headerDerived ? colors.muted : colors.textDark }}>
+                              {o.headerCount > 1 ? "(" + o.headerCount + ") " : ""}{o.headerSize}{o.headerMark ? " \u00B7 " + o.headerMark : ""}
+                            </td>
                             <td style={{ padding: "4px 8px", textAlign: "center", fontSize: 10, color: colors.textDark }}>{o.wallType || "\u2014"}</td>
+                            <td style={{ padding: "4px 8px", textAlign: "center", fontSize: 10, color: colors.blue, whiteSpace: "nowrap" }}>{formatSource(o.source) || "\u2014"}</td>
                           </tr>
                         ))}
                       </tbody>
@@ -1160,26 +2150,58 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
           {extractionResult && Object.values(extractionResult.specOverrides).some((v) => v !== null) && (
             <Section title="Spec Overrides" color={colors.teal}>
               <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
-                {Object.entries(extractionResult.specOverrides).filter(([, v]) => v !== null).map(([key, value]) => (
-                  <div key={key} style={{ background: colors.contentBg, border: "1px solid " + colors.teal + "30", borderRadius: 6, padding: "6px 10px" }}>
-                    <div style={{ fontSize: 9, color: colors.muted, textTransform: "uppercase", letterSpacing: "0.05em" }}>{key.replace(/([A-Z])/g, " $1").trim()}</div>
-                    <div style={{ fontSize: 13, color: colors.teal, fontWeight: 700, fontFamily: fonts.mono }}>{value}</div>
-                  </div>
-                ))}
+                {Object.entries(extractionResult.specOverrides).filter(([, v]) => v !== null).map(([key, value]) => {
+                  const source = extractionResult.specOverrideSources?.[key];
+                  return (
+                    <button key={key} onClick={() => locateSource(source)} disabled={!source?.page} title={source?.text || undefined}
+                      style={{ background: colors.contentBg, border: "1px solid " + colors.teal + "30", borderRadius: 6, padding: "6px 10px", textAlign: "left", fontFamily: "inherit", cursor: source?.page ? "pointer" : "default" }}>
+                      <span style={{ display: "block", fontSize: 9, color: colors.muted, textTransform: "uppercase", letterSpacing: "0.05em" }}>{key.replace(/([A-Z])/g, " $1").trim()}</span>
+                      <span style={{ display: "block", fontSize: 13, color: colors.teal, fontWeight: 700, fontFamily: fonts.mono }}>{value}</span>
+                      {source && <span style={{ display: "block", fontSize: 9, color: colors.blue }}>{formatSource(source)}</span>}
+                    </button>
+                  );
+                })}
               </div>
             </Section>
           )}
 
-          {extractionResult && (extractionResult.structuralMembers.length > 0 || extractionResult.steelMembers.length > 0 || extractionResult.hardware.length > 0) && (
+          {extractionResult && (extractionResult.structuralMembers.length > 0 || extractionResult.shearWallTypes?.length > 0 || extractionResult.steelMembers.length > 0 || extractionResult.hardware.length > 0) && (
             <Section title="Structural Members & Hardware" color={colors.primary}>
+              {extractionResult.structuralMembers.length > 0 && (
+                <div style={{ marginBottom: 10 }}>
+                  <div style={{ fontSize: 11, fontWeight: 700, color: colors.muted, textTransform: "uppercase", letterSpacing: "0.08em", marginBottom: 6 }}>Headers & Beams</div>
+                  <div style={{ display: "flex", flexWrap: "wrap", gap: 4 }}>
+                    {extractionResult.structuralMembers.map((m, i) => (
+                      <button key={i} onClick={() => locateSource(m.source)} disabled={!m.source} title={m.source ? formatSource(m.source) + (m.source.text ? ": " + m.source.text : "") : undefined}
+                        style={{ background: colors.primary + "12", border: "1px solid " + colors.primary + "33", borderRadius: 4, padding: "4px 10px", fontSize: 12, color: colors.primary, fontWeight: 700, fontFamily: fonts.mono, cursor: m.source ? "pointer" : "default" }}>
+                        {m.mark ? m.mark + ": " : ""}{m.plies > 1 ? "(" + m.plies + ") " : ""}{m.size} ({m.type}){m.span ? " \u2014 " + formatLength(m.span, units) : ""}{m.quantity > 1 ? " x" + m.quantity : ""}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+              {extractionResult.shearWallTypes?.length > 0 && (
+                <div style={{ marginBottom: 10 }}>
+                  <div style={{ fontSize: 11, fontWeight: 700, color: colors.muted, textTransform: "uppercase", letterSpacing: "0.08em", marginBottom: 6 }}>Shear Walls</div>
+                  <div style={{ display: "flex", flexWrap: "wrap", gap: 4 }}>
+                    {extractionResult.shearWallTypes.map((t, i) => (
+                      <button key={i} onClick={() => locateSource(t.source)} disabled={!t.source} title={t.source ? formatSource(t.source) + (t.source.text ? ": " + t.source.text : "") : undefined}
+                        style={{ background: colors.orange + "12", border: "1px solid " + colors.orange + "33", borderRadius: 4, padding: "4px 10px", fontSize: 12, color: colors.orange, fontWeight: 700, fontFamily: fonts.mono, cursor: t.source ? "pointer" : "default" }}>
+                        {t.mark}{t.edgeNailing ? " \u2014 " + (t.nail ? t.nail + " " : "") + "@ " + t.edgeNailing + "/" + (t.fieldNailing || "?") : ""}{t.sides > 1 ? " \u00D72 sides" : ""}{t.anchorBoltSpacing ? " \u00B7 AB @ " + formatInches(t.anchorBoltSpacing, units) : ""}{t.holdDown ? " \u00B7 " + t.holdDown : ""}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
               {extractionResult.steelMembers.length > 0 && (
                 <div style={{ marginBottom: 10 }}>
                   <div style={{ fontSize: 11, fontWeight: 700, color: colors.muted, textTransform: "uppercase", letterSpacing: "0.08em", marginBottom: 6 }}>Steel</div>
                   <div style={{ display: "flex", flexWrap: "wrap", gap: 4 }}>
                     {extractionResult.steelMembers.map((s, i) => (
-                      <span key={i} style={{ background: colors.blue + "18", border: "1px solid " + colors.blue + "33", borderRadius: 4, padding: "4px 10px", fontSize: 12, color: colors.blue, fontWeight: 700, fontFamily: fonts.mono }}>
-                        {s.shape || s.size} ({s.type}){s.span ? " \u2014 " + s.span + "'" : ""}
-                      </span>
+                      <button key={i} onClick={() => locateSource(s.source)} disabled={!s.source} title={s.source ? formatSource(s.source) + (s.source.text ? ": " + s.source.text : "") : undefined}
+                        style={{ background: colors.blue + "18", border: "1px solid " + colors.blue + "33", borderRadius: 4, padding: "4px 10px", fontSize: 12, color: colors.blue, fontWeight: 700, fontFamily: fonts.mono, cursor: s.source ? "pointer" : "default" }}>
+                        {s.shape || s.size} ({s.type}){s.span ? " \u2014 " + formatLength(s.span, units) : ""}
+                      </button>
                     ))}
                   </div>
                 </div>
@@ -1189,9 +2211,10 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
                   <div style={{ fontSize: 11, fontWeight: 700, color: colors.muted, textTransform: "uppercase", letterSpacing: "0.08em", marginBottom: 6 }}>Hardware</div>
                   <div style={{ display: "flex", flexWrap: "wrap", gap: 4 }}>
                     {extractionResult.hardware.map((h, i) => (
-                      <span key={i} style={{ background: colors.orange + "18", border: "1px solid " + colors.orange + "33", borderRadius: 4, padding: "4px 10px", fontSize: 12, color: colors.orange, fontWeight: 700 }}>
+                      <button key={i} onClick={() => locateSource(h.source)} disabled={!h.source} title={h.source ? formatSource(h.source) + (h.source.text ? ": " + h.source.text : "") : undefined}
+                        style={{ background: colors.orange + "18", border: "1px solid " + colors.orange + "33", borderRadius: 4, padding: "4px 10px", fontSize: 12, color: colors.orange, fontWeight: 700, fontFamily: "inherit", cursor: h.source ? "pointer" : "default" }}>
                         {h.model || h.type}{h.quantity ? " x" + h.quantity : ""} \u2014 {h.location || h.type}
-                      </span>
+                      </button>
                     ))}
                   </div>
                 </div>
@@ -1216,8 +2239,9 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
               {pageImages.map((_, i) => (
                 <button key={i} onClick={() => { setActivePageIndex(i); setActivePoints([]); setCursorPos(null); }}
                   aria-label={"Page " + (i + 1)} aria-current={activePageIndex === i ? "page" : undefined}
+                  title={extractionResult?.sheets?.find((s) => s.page === i + 1)?.sheetTitle || undefined}
                   style={{ padding: "4px 10px", borderRadius: 4, border: "1px solid " + (activePageIndex === i ? colors.primary : colors.borderLight), cursor: "pointer", background: activePageIndex === i ? colors.primary : colors.contentBg, color: activePageIndex === i ? "#fff" : colors.muted, fontWeight: 700, fontSize: 11 }}>
-                  Pg {i + 1}
+                  {pageLabel(extractionResult, i + 1)}
                 </button>
               ))}
             </div>
@@ -1240,7 +2264,7 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
                       const tool = TOOLS.find((t) => t.id === toolId);
                       if (!tool) return null;
                       const isActive = activeTool === tool.id;
-                      const isDisabled = tool.id === "verify" && !isScaleSet;
+                      const isDisabled = tool.id === "verify" && !isPageScaled;
                       return (
                         <button key={tool.id}
                           onClick={() => { setActiveTool(activeTool === tool.id ? null : tool.id); setActivePoints([]); setCursorPos(null); }}
@@ -1271,11 +2295,26 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
                 </button>
 
                 {/* Status badges */}
-                {isScaleSet && (
+                {scales.pages[activePageIndex] && (
                   <span style={{ color: colors.green, fontWeight: 700, background: colors.green + "15", padding: "2px 8px", borderRadius: 4, fontSize: 11, marginLeft: 4 }}>
-                    Scale: {scaleFeet}' set
+                    {pageLabel(extractionResult, activePageIndex + 1)} scale: {scales.pages[activePageIndex].label || formatLength(scales.pages[activePageIndex].feet, units) + " set"}
                   </span>
                 )}
+                {chainScaleChecks.filter((c) => Math.abs(c.error) < CHAIN_SCALE_TOLERANCE).map((c) => (
+                  <span key={c.scaleId} title={"Checked against " + c.chains + " dimension string(s) on " + describeScaleId(scales, c.scaleId)}
+                    style={{ color: colors.green, fontWeight: 700, border: "1px solid " + colors.green + "40", padding: "2px 6px", borderRadius: 4, fontSize: 11, marginLeft: 4 }}>
+                    {"\u2713"} {c.chains} dim string{c.chains === 1 ? "" : "s"} ({(Math.abs(c.error) * 100).toFixed(1)}%)
+                  </span>
+                ))}
+                {pageViewports.map((vp) => (
+                  <span key={vp.id} style={{ display: "inline-flex", alignItems: "center", gap: 4, color: vp.scale ? colors.cyan : colors.orange, fontWeight: 700, border: "1px solid " + (vp.scale ? colors.cyan : colors.orange) + "40", padding: "2px 6px", borderRadius: 4, fontSize: 11, marginLeft: 4 }}>
+                    {vp.label}: {vp.scale ? vp.scale.label || formatLength(vp.scale.feet, units) : "no scale"}
+                    <button onClick={() => deleteViewport(vp)} title={"Remove " + vp.label}
+                      style={{ border: "none", background: "transparent", color: colors.muted, cursor: "pointer", fontSize: 11, padding: 0, lineHeight: 1 }}>
+                      {"\u2715"}
+                    </button>
+                  </span>
+                ))}
                 {activeCondition && (
                   <span style={{ color: activeCondition.color, fontWeight: 700, padding: "2px 8px", borderRadius: 4, border: "1px solid " + activeCondition.color + "40", fontSize: 11, marginLeft: 4 }}>
                     {activeCondition.name}
@@ -1304,12 +2343,15 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
                 }}>
                   <span style={{ fontWeight: 700, color: colors.primary }}>{TOOLS.find((t) => t.id === activeTool)?.label}:</span>
                   <span>{TOOL_INSTRUCTIONS[activeTool] || ""}</span>
-                  {scaleVerifications.length > 0 && activeTool === "verify" && (
+                  {SNAP_TOOLS.includes(activeTool) && (
+                    <span style={{ color: colors.dim, fontSize: 11 }}>Snaps to plan linework — hold Alt to place freely.</span>
+                  )}
+                  {pageVerifications.length > 0 && activeTool === "verify" && (
                     <span style={{
                       color: avgVerificationError < 0.03 ? colors.green : avgVerificationError < 0.08 ? colors.accent : colors.rose,
                       fontWeight: 700, marginLeft: 8,
                     }}>
-                      {scaleVerifications.length} checks ({(100 - avgVerificationError * 100).toFixed(1)}% acc.)
+                      {pageVerifications.length} checks ({(100 - avgVerificationError * 100).toFixed(1)}% acc.)
                     </span>
                   )}
                   <button onClick={() => { setActiveTool(null); setActivePoints([]); setCursorPos(null); }}
@@ -1326,16 +2368,16 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
                 {showScaleInput && (
                   <div role="dialog" aria-label="Set scale" style={{ background: colors.blue + "18", border: "1px solid " + colors.blue + "50", borderRadius: 8, padding: "12px 16px", marginBottom: 8 }}>
                     <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
-                      <span style={{ fontSize: 13, color: colors.blue, fontWeight: 700 }}>Distance (feet):</span>
+                      <span style={{ fontSize: 13, color: colors.blue, fontWeight: 700 }}>{describeScaleId(scales, pendingScaleId)} distance ({isMetric(units) ? "metres" : "feet"}):</span>
                       <input ref={scaleInputRef} type="number" value={scaleInputValue} onChange={(e) => setScaleInputValue(e.target.value)} onKeyDown={(e) => e.key === "Enter" && confirmScale()} min="0.1" step="0.1"
                         style={{ background: colors.inputBgLight, border: "1px solid " + colors.inputBorderLight, borderRadius: 6, padding: "8px 12px", color: colors.primary, fontSize: 16, fontWeight: 700, fontFamily: fonts.mono, outline: "none", width: 100 }} />
-                      <span style={{ color: colors.dim, fontWeight: 700 }}>ft</span>
+                      <span style={{ color: colors.dim, fontWeight: 700 }}>{lengthUnit(units)}</span>
                       <Button onClick={confirmScale} color={colors.blue}>Confirm</Button>
-                      <Button onClick={() => { setShowScaleInput(false); setActiveTool(null); }} color={colors.muted} outline>Cancel</Button>
+                      <Button onClick={() => { setShowScaleInput(false); setPendingScaleId(null); setActiveTool(null); }} color={colors.muted} outline>Cancel</Button>
                     </div>
                     <div style={{ display: "flex", gap: 4, marginTop: 8, flexWrap: "wrap" }}>
                       <span style={{ fontSize: 11, color: colors.dim, marginRight: 4, alignSelf: "center" }}>Quick:</span>
-                      {[1, 2, 4, 5, 8, 10, 12, 16, 20].map((ft) => (
+                      {(isMetric(units) ? METRIC_SCALE_PRESETS : SCALE_PRESETS).map((ft) => (
                         <button key={ft} onClick={() => setScaleInputValue(String(ft))}
                           style={{
                             padding: "3px 8px", borderRadius: 4, fontSize: 11, fontWeight: 600, fontFamily: fonts.mono,
@@ -1343,7 +2385,7 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
                             background: scaleInputValue === String(ft) ? colors.primary + "15" : "transparent",
                             color: scaleInputValue === String(ft) ? colors.primary : colors.muted, cursor: "pointer",
                           }}>
-                          {ft}'
+                          {ft}{isMetric(units) ? " m" : "'"}
                         </button>
                       ))}
                     </div>
@@ -1354,18 +2396,82 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
                 {showVerifyInput && (
                   <div role="dialog" aria-label="Verify scale" style={{ background: colors.teal + "18", border: "1px solid " + colors.teal + "50", borderRadius: 8, padding: "12px 16px", marginBottom: 8, display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
                     <span style={{ fontSize: 13, color: colors.teal, fontWeight: 700 }}>
-                      Measured: {pxToFeet(pendingVerifyPixels).toFixed(2)}' \u2014 Actual distance:
+                      Measured: {formatLength(pxToFeet(pendingVerifyPixels, pendingVerifyScaleId), units, 2)} \u2014 Actual distance:
                     </span>
                     <input ref={verifyInputRef} type="number" value={verifyInputValue} onChange={(e) => setVerifyInputValue(e.target.value)} onKeyDown={(e) => e.key === "Enter" && confirmVerify()} min="0.1" step="0.1"
                       style={{ background: colors.inputBgLight, border: "1px solid " + colors.inputBorderLight, borderRadius: 6, padding: "8px 12px", color: colors.teal, fontSize: 16, fontWeight: 700, fontFamily: fonts.mono, outline: "none", width: 100 }} />
-                    <span style={{ color: colors.dim, fontWeight: 700 }}>ft</span>
+                    <span style={{ color: colors.dim, fontWeight: 700 }}>{lengthUnit(units)}</span>
                     <Button onClick={confirmVerify} color={colors.teal}>Verify</Button>
                     <Button onClick={() => { setShowVerifyInput(false); setActiveTool(null); }} color={colors.muted} outline>Cancel</Button>
                   </div>
                 )}
 
+                {/* Located source */}
+                {sourceHighlight && sourceHighlight.page === activePageIndex && (
+                  <div role="status" style={{ background: colors.orange + "12", border: "1px solid " + colors.orange + "40", borderRadius: 6, padding: "8px 12px", marginBottom: 6, fontSize: 12, color: colors.textDark, display: "flex", alignItems: "center", gap: 8 }}>
+                    <strong style={{ color: colors.orange }}>Source: {formatSource(sourceHighlight.source)}</strong>
+                    {sourceHighlight.source.text && <span style={{ fontFamily: fonts.mono, fontSize: 11, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{sourceHighlight.source.text}</span>}
+                    {!sourceHighlight.rect && <span style={{ color: colors.dim }}>(no region recorded for this extractor)</span>}
+                    <button onClick={() => setSourceHighlight(null)} title="Clear highlight"
+                      style={{ marginLeft: "auto", border: "none", background: "transparent", color: colors.muted, cursor: "pointer", fontSize: 12 }}>
+                      {"\u2715"}
+                    </button>
+                  </div>
+                )}
+
+                {/* Detected scale proposals */}
+                {scaleProposals.map((p) => (
+                  <div key={p.scaleId} role="status" style={{ background: colors.green + "12", border: "1px solid " + colors.green + "40", borderRadius: 6, padding: "8px 12px", marginBottom: 6, fontSize: 12, color: colors.textDark, display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+                    <span>
+                      Detected <strong style={{ fontFamily: fonts.mono }}>{p.candidate.text}</strong> for <strong>{describeScaleId(scales, p.scaleId)}</strong>
+                      {p.candidate.kind === "callout" ? " (from scale callout)" : " (from graphic scale bar)"}
+                    </span>
+                    {p.ambiguous && (
+                      <span style={{ color: colors.orange, fontWeight: 600 }}>
+                        Several scales on this sheet — outline details with Viewport first.
+                      </span>
+                    )}
+                    <span style={{ marginLeft: "auto", display: "flex", gap: 6 }}>
+                      <Button onClick={() => acceptScaleProposal(p)} color={colors.green}>Apply</Button>
+                      <Button onClick={() => setDismissedScaleIds((prev) => [...prev, p.scaleId])} color={colors.muted} outline>Dismiss</Button>
+                    </span>
+                  </div>
+                ))}
+
+                {/* Detected scale check */}
+                {scaleCheck && scaleCheck.page === activePageIndex && (
+                  <div role="status" style={{ background: colors.teal + "12", border: "1px solid " + colors.teal + "40", borderRadius: 6, padding: "8px 12px", marginBottom: 6, fontSize: 12, color: colors.textDark, display: "flex", alignItems: "center", gap: 8 }}>
+                    {scaleCheck.error === null ? (
+                      <span>
+                        Check the detected scale: click both ends of the highlighted <strong style={{ fontFamily: fonts.mono }}>{scaleCheck.dimension.raw}</strong> dimension.
+                      </span>
+                    ) : (
+                      <span style={{ fontWeight: 700, color: scaleCheck.error < 0.03 ? colors.green : scaleCheck.error < 0.08 ? colors.accent : colors.rose }}>
+                        Detected scale is off by {(scaleCheck.error * 100).toFixed(1)}% against {scaleCheck.dimension.raw}
+                        {scaleCheck.error >= 0.08 ? " \u2014 recalibrate with the Scale tool." : "."}
+                      </span>
+                    )}
+                    <button onClick={() => setScaleCheck(null)} title="Dismiss"
+                      style={{ marginLeft: "auto", border: "none", background: "transparent", color: colors.muted, cursor: "pointer", fontSize: 12 }}>
+                      {"\u2715"}
+                    </button>
+                  </div>
+                )}
+
+                {/* Scale off against the dimension strings */}
+                {chainScaleChecks.filter((c) => Math.abs(c.error) >= CHAIN_SCALE_TOLERANCE).map((c) => (
+                  <div key={c.scaleId} role="status" style={{ background: colors.rose + "10", border: "1px solid " + colors.rose + "40", borderRadius: 6, padding: "8px 12px", marginBottom: 6, fontSize: 12, color: colors.textDark, display: "flex", alignItems: "center", gap: 8 }}>
+                    <span style={{ fontWeight: 700, color: colors.rose }}>
+                      {describeScaleId(scales, c.scaleId)} scale measures {(Math.abs(c.error) * 100).toFixed(1)}% {c.error > 0 ? "long" : "short"} against {c.chains} dimension string{c.chains === 1 ? "" : "s"}.
+                    </span>
+                    <span style={{ marginLeft: "auto" }}>
+                      <Button onClick={() => recalibrateFromChains(c)} color={colors.teal}>Recalibrate from strings</Button>
+                    </span>
+                  </div>
+                ))}
+
                 {/* Help hints */}
-                {!isScaleSet && !showScaleInput && pageImages.length > 0 && !activeTool && (
+                {!isPageScaled && scaleProposals.length === 0 && !showScaleInput && pageImages.length > 0 && !activeTool && (
                   <div style={{ background: colors.orange + "12", border: "1px solid " + colors.orange + "30", borderRadius: 6, padding: "8px 12px", marginBottom: 6, fontSize: 12, color: colors.orange, display: "flex", alignItems: "center", gap: 8 }}>
                     <span style={{ fontWeight: 800 }}>1.</span> Click <strong>Scale</strong> above, then click two endpoints of a known dimension to calibrate.
                   </div>
@@ -1476,8 +2582,8 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
                             style={{ marginLeft: "auto", background: "none", border: "none", color: colors.rose, cursor: "pointer", fontSize: 12, padding: "0 2px" }}>x</button>
                         </div>
                         <div style={{ fontSize: 11, color: colors.muted }}>
-                          {c.type === "linear" && <span>{totals.count || 0} lines \u2014 <span style={{ color: c.color, fontWeight: 700, fontFamily: fonts.mono }}>{(totals.totalFeet || 0).toFixed(1)} LF</span></span>}
-                          {c.type === "area" && <span>{totals.count || 0} areas \u2014 <span style={{ color: c.color, fontWeight: 700, fontFamily: fonts.mono }}>{Math.round(totals.totalSqFt || 0)} SF</span></span>}
+                          {c.type === "linear" && <span>{totals.count || 0} lines \u2014 <span style={{ color: c.color, fontWeight: 700, fontFamily: fonts.mono }}>{toDisplayLength(totals.totalFeet || 0, units).toFixed(1)} {linearUnit(units)}</span></span>}
+                          {c.type === "area" && <span>{totals.count || 0} areas \u2014 <span style={{ color: c.color, fontWeight: 700, fontFamily: fonts.mono }}>{formatArea(totals.totalSqFt || 0, units)}</span></span>}
                           {c.type === "count" && <span><span style={{ color: c.color, fontWeight: 700, fontFamily: fonts.mono }}>{totals.totalCount || 0}</span> items</span>}
                         </div>
                         <div style={{ fontSize: 9, color: colors.dim, marginTop: 2 }}>{c.type} \u2192 {c.targetCalculator}</div>
@@ -1497,9 +2603,9 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
                     <div key={m.id} style={{ background: colors.contentBg, borderRadius: 6, padding: "8px 12px", border: "1px solid " + colors.primary + "33", display: "flex", alignItems: "center", gap: 8 }}>
                       <span style={{ fontSize: 11, color: colors.muted, fontWeight: 700 }}>{m.label}</span>
                       {m.tool === "linear" || m.tool === "polyline" ? (
-                        <span style={{ fontSize: 16, fontWeight: 800, color: colors.primary, fontFamily: fonts.mono }}>{m.feet.toFixed(1)}'</span>
+                        <span style={{ fontSize: 16, fontWeight: 800, color: colors.primary, fontFamily: fonts.mono }}>{formatLength(m.feet, units)}</span>
                       ) : m.tool === "area" ? (
-                        <span style={{ fontSize: 16, fontWeight: 800, color: colors.primary, fontFamily: fonts.mono }}>{Math.round(m.sqft)} SF</span>
+                        <span style={{ fontSize: 16, fontWeight: 800, color: colors.primary, fontFamily: fonts.mono }}>{formatArea(m.sqft, units)}</span>
                       ) : (
                         <span style={{ fontSize: 16, fontWeight: 800, color: colors.primary, fontFamily: fonts.mono }}>#{m.count}</span>
                       )}
@@ -1525,6 +2631,36 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
             )}
           </Section>
 
+          {allChains.length > 0 && (
+            <Section title={"Dimension Strings (" + allChains.length + ")"} color={colors.teal}>
+              <div style={{ display: "flex", gap: 6, marginBottom: 8, alignItems: "center" }}>
+                <span style={{ fontSize: 11, color: colors.muted }}>
+                  {allChains.filter((e) => e.chain.status === "ok").length} add up to their overall \u00B7 {allChains.filter((e) => e.chain.status === "mismatch").length} don't
+                </span>
+                <div style={{ flex: 1 }} />
+                <Button onClick={() => sendChainsToWalls(allChains.filter((e) => e.chain.status === "ok"))} color={colors.green} disabled={!allChains.some((e) => e.chain.status === "ok")}>
+                  Send checked to Walls
+                </Button>
+              </div>
+              <div style={{ maxHeight: 220, overflowY: "auto", border: "1px solid " + colors.borderLight, borderRadius: 8 }}>
+                {allChains.map(({ page, chain }, i) => (
+                  <div key={i} style={{ display: "flex", alignItems: "center", gap: 8, padding: "5px 10px", fontSize: 12, borderBottom: "1px solid " + colors.borderLight, background: i % 2 === 0 ? colors.contentBg : colors.contentAlt }}>
+                    <span style={{ color: colors.muted, fontFamily: fonts.mono, fontSize: 11, minWidth: 44 }}>{pageLabel(extractionResult, page)}</span>
+                    <span style={{ fontFamily: fonts.mono, color: colors.textDark }}>{chain.segments.map((s) => s.raw).join(" + ")}</span>
+                    <span style={{ fontFamily: fonts.mono, color: colors.primary, fontWeight: 700 }}>= {formatLength(chain.total, units, 2)}</span>
+                    {chain.status === "ok" && <span style={{ fontSize: 10, padding: "2px 6px", borderRadius: 3, background: colors.green + "20", color: colors.green, fontWeight: 700 }}>{"\u2713"} {chain.overall.raw}</span>}
+                    {chain.status === "mismatch" && <span title={describeChainMismatch(chain)} style={{ fontSize: 10, padding: "2px 6px", borderRadius: 3, background: colors.orange + "20", color: colors.orange, fontWeight: 700 }}>{"\u26A0"} overall {chain.overall.raw}</span>}
+                    {chain.status === "open" && <span style={{ fontSize: 10, color: colors.dim }}>no overall</span>}
+                    <button onClick={() => sendChainsToWalls([{ page, chain }])} title="Send to the wall takeoff"
+                      style={{ marginLeft: "auto", padding: "2px 8px", borderRadius: 4, border: "1px solid " + colors.borderLight, background: "transparent", color: colors.muted, cursor: "pointer", fontSize: 11, fontWeight: 600 }}>
+                      {"-> Walls"}
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </Section>
+          )}
+
           <Section title={"Extracted Dimensions (" + dimensions.length + ")"} color={colors.primary}>
             <div style={{ display: "flex", gap: 6, marginBottom: 8, flexWrap: "wrap", alignItems: "center" }}>
               <Button onClick={() => setSelectedIndices(new Set(dimensions.map((_, i) => i)))} outline>Select All</Button>
@@ -1540,7 +2676,7 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
               <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }} role="grid">
                 <thead>
                   <tr>
-                    {["", "Pg", "Raw", "Feet", "Type"].map((h) => (
+                    {["", "Pg", "Raw", isMetric(units) ? "Metres" : "Feet", "Type"].map((h) => (
                       <th key={h} style={{ padding: "7px 8px", background: colors.contentAlt, color: colors.muted, textAlign: "center", fontSize: 10, fontWeight: 700, position: "sticky", top: 0, zIndex: 1, borderBottom: "2px solid " + colors.borderLight }}>{h}</th>
                     ))}
                   </tr>
@@ -1556,7 +2692,7 @@ export default function PdfScanner({ onSendToWalls, onSendToFloors, onSendToRoof
                       </td>
                       <td style={{ padding: "5px 8px", textAlign: "center", color: colors.muted, fontFamily: fonts.mono, fontSize: 11 }}>{dim.page}</td>
                       <td style={{ padding: "5px 8px", color: colors.textDark, fontWeight: 700, fontFamily: fonts.mono }}>{dim.raw}</td>
-                      <td style={{ padding: "5px 8px", textAlign: "center", color: colors.primary, fontWeight: 800, fontFamily: fonts.mono, fontSize: 14 }}>{dim.feet.toFixed(2)}'</td>
+                      <td style={{ padding: "5px 8px", textAlign: "center", color: colors.primary, fontWeight: 800, fontFamily: fonts.mono, fontSize: 14 }}>{formatLength(dim.feet, units, 2)}</td>
                       <td style={{ padding: "5px 8px", textAlign: "center" }}>
                         <span style={{ fontSize: 10, padding: "2px 6px", borderRadius: 3, background: colors.blue + "20", color: colors.blue, fontWeight: 700 }}>{dim.type}</span>
                       </td>
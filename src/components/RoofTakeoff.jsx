@@ -2,6 +2,7 @@ import { useState, useMemo, useEffect, useRef } from "react";
 import { colors, fonts, addButtonStyle, deleteButtonStyle } from "../theme";
 import { LUMBER_PRICES, LABOR_RATES, PITCH_FACTORS } from "../constants";
 import { Section, Row, ResultCard, NumberInput, SelectInput, LearnedBadge } from "./ui";
+import { toDisplayLength, fromDisplayLength, toDisplayArea, lengthUnit, areaUnit, formatLength, spacingOptions, sheetCoverageSf, roundLength } from "../utils/units";
 
 function getRafterPrice(size) {
   if (size === "2x10") return LUMBER_PRICES["2x10_16ft"];
@@ -9,14 +10,14 @@ function getRafterPrice(size) {
   return LUMBER_PRICES["2x8_16ft"];
 }
 
-function calculateRoofSection(section, rafterSize, rafterSpacing, pitch, wastePercent, sheathingWastePercent) {
+function calculateRoofSection(section, rafterSize, rafterSpacing, pitch, wastePercent, sheathingWastePercent, sheetCoverage) {
   const pitchFactor = PITCH_FACTORS[pitch] || PITCH_FACTORS["6/12"];
   const rafterLength = (section.span / 2) * pitchFactor;
   const raftersPerSide = Math.ceil((section.ridgeLength * 12) / rafterSpacing) + 1;
   const totalRafters = raftersPerSide * 2;
   const raftersWithWaste = Math.ceil(totalRafters * (1 + wastePercent / 100));
   const roofArea = section.ridgeLength * rafterLength * 2;
-  const sheathingSheets = Math.ceil((roofArea / 32) * (1 + sheathingWastePercent / 100));
+  const sheathingSheets = Math.ceil((roofArea / sheetCoverage) * (1 + sheathingWastePercent / 100));
 
   const materialCost = raftersWithWaste * getRafterPrice(rafterSize) + sheathingSheets * LUMBER_PRICES.osb4x8 + totalRafters * LUMBER_PRICES.hurricaneTie;
   const laborCost = roofArea * LABOR_RATES.roofPerSquareFoot;
@@ -50,7 +51,7 @@ const lightHeader = {
   whiteSpace: "nowrap",
 };
 
-export default function RoofTakeoff({ importedDims, importData, onTotalChange, initialState, onStateChange, smartDefaults }) {
+export default function RoofTakeoff({ importedDims, importData, onTotalChange, initialState, onStateChange, smartDefaults, units }) {
   const effectiveDefaults = smartDefaults?.settings
     ? { ...ROOF_DEFAULT_SETTINGS, ...smartDefaults.settings }
     : ROOF_DEFAULT_SETTINGS;
@@ -65,8 +66,8 @@ export default function RoofTakeoff({ importedDims, importData, onTotalChange, i
     for (let i = 0; i < importedDims.length; i += 2) {
       imported.push({
         id: Date.now() + i, name: "Import",
-        ridgeLength: Math.round((importedDims[i]?.feet || 0) * 10) / 10,
-        span: Math.round((importedDims[i + 1]?.feet || importedDims[i]?.feet || 0) * 10) / 10,
+        ridgeLength: roundLength(importedDims[i]?.feet || 0, units),
+        span: roundLength(importedDims[i + 1]?.feet || importedDims[i]?.feet || 0, units),
       });
     }
     setSections((prev) => [...prev, ...imported]);
@@ -85,8 +86,8 @@ export default function RoofTakeoff({ importedDims, importData, onTotalChange, i
   const updateSetting = (key, value) => setSettings((prev) => ({ ...prev, [key]: value }));
 
   const calculations = useMemo(() =>
-    sections.filter((s) => s.ridgeLength > 0 && s.span > 0).map((s) => calculateRoofSection(s, settings.rafterSize, settings.rafterSpacing, settings.pitch, settings.wastePercent, settings.sheathingWaste)),
-    [sections, settings]
+    sections.filter((s) => s.ridgeLength > 0 && s.span > 0).map((s) => calculateRoofSection(s, settings.rafterSize, settings.rafterSpacing, settings.pitch, settings.wastePercent, settings.sheathingWaste, sheetCoverageSf(units))),
+    [sections, settings, units]
   );
 
   const totals = calculations.reduce(
@@ -106,7 +107,7 @@ export default function RoofTakeoff({ importedDims, importData, onTotalChange, i
       <Section title="Settings" color={colors.primary}>
         <Row>
           <SelectInput label={<>Rafter Size<LearnedBadge meta={smartDefaults?.meta} settingKey="rafterSize" /></>} value={settings.rafterSize} onChange={(v) => updateSetting("rafterSize", v)} options={[{ value: "2x8", label: "2x8" }, { value: "2x10", label: "2x10" }, { value: "2x12", label: "2x12" }]} />
-          <SelectInput label={<>Spacing<LearnedBadge meta={smartDefaults?.meta} settingKey="rafterSpacing" /></>} value={String(settings.rafterSpacing)} onChange={(v) => updateSetting("rafterSpacing", +v)} options={[{ value: "16", label: '16"' }, { value: "24", label: '24"' }]} />
+          <SelectInput label={<>Spacing<LearnedBadge meta={smartDefaults?.meta} settingKey="rafterSpacing" /></>} value={String(settings.rafterSpacing)} onChange={(v) => updateSetting("rafterSpacing", +v)} options={spacingOptions([16, 24], units, settings.rafterSpacing)} />
           <SelectInput label={<>Pitch<LearnedBadge meta={smartDefaults?.meta} settingKey="pitch" /></>} value={settings.pitch} onChange={(v) => updateSetting("pitch", v)} options={Object.keys(PITCH_FACTORS).map((p) => ({ value: p, label: p }))} />
           <NumberInput label="Waste" value={settings.wastePercent} onChange={(v) => updateSetting("wastePercent", v)} unit="%" />
         </Row>
@@ -121,9 +122,9 @@ export default function RoofTakeoff({ importedDims, importData, onTotalChange, i
               return (
                 <tr key={section.id} style={{ borderBottom: `1px solid ${colors.borderLight}`, background: i % 2 === 0 ? colors.contentBg : colors.contentAlt }}>
                   <td style={{ padding: 3 }}><input value={section.name} onChange={(e) => updateSection(section.id, "name", e.target.value)} placeholder="Section..." aria-label="Section name" style={{ ...lightInput, width: "100%", minWidth: 65 }} /></td>
-                  <td style={{ padding: 3 }}><input type="number" value={section.ridgeLength} onChange={(e) => updateSection(section.id, "ridgeLength", +e.target.value)} aria-label="Ridge length (ft)" style={{ ...lightInput, width: 48, textAlign: "center" }} /></td>
-                  <td style={{ padding: 3 }}><input type="number" value={section.span} onChange={(e) => updateSection(section.id, "span", +e.target.value)} aria-label="Span (ft)" style={{ ...lightInput, width: 48, textAlign: "center" }} /></td>
-                  <td style={{ padding: "3px 5px", textAlign: "center", color: colors.textDark, fontFamily: fonts.mono, fontSize: 12 }}>{calc ? calc.rafterLength.toFixed(1) + "'" : "\u2014"}</td>
+                  <td style={{ padding: 3 }}><input type="number" value={toDisplayLength(section.ridgeLength, units)} onChange={(e) => updateSection(section.id, "ridgeLength", fromDisplayLength(+e.target.value, units))} aria-label={"Ridge length (" + lengthUnit(units) + ")"} style={{ ...lightInput, width: 48, textAlign: "center" }} /></td>
+                  <td style={{ padding: 3 }}><input type="number" value={toDisplayLength(section.span, units)} onChange={(e) => updateSection(section.id, "span", fromDisplayLength(+e.target.value, units))} aria-label={"Span (" + lengthUnit(units) + ")"} style={{ ...lightInput, width: 48, textAlign: "center" }} /></td>
+                  <td style={{ padding: "3px 5px", textAlign: "center", color: colors.textDark, fontFamily: fonts.mono, fontSize: 12 }}>{calc ? formatLength(calc.rafterLength, units) : "\u2014"}</td>
                   <td style={{ padding: "3px 5px", textAlign: "center", color: colors.textDark, fontFamily: fonts.mono, fontSize: 12 }}>{calc?.totalRafters ?? "\u2014"}</td>
                   <td style={{ padding: "3px 5px", textAlign: "center", color: colors.success, fontFamily: fonts.mono, fontWeight: 700, fontSize: 12 }}>{calc?.raftersWithWaste ?? "\u2014"}</td>
                   <td style={{ padding: "3px 5px", textAlign: "center", color: colors.textDark, fontFamily: fonts.mono, fontSize: 12 }}>{calc?.sheathingSheets ?? "\u2014"}</td>
@@ -141,7 +142,7 @@ export default function RoofTakeoff({ importedDims, importData, onTotalChange, i
 
       <Section title="Totals" color={colors.success}>
         <Row>
-          <ResultCard label="Roof Area" value={Math.round(totals.roofArea)} unit="SF" color={colors.primary} large />
+          <ResultCard label="Roof Area" value={Math.round(toDisplayArea(totals.roofArea, units))} unit={areaUnit(units)} color={colors.primary} large />
           <ResultCard label="Rafters" value={totals.rafters} unit="pcs" color={colors.warning} large />
           <ResultCard label="Sheathing" value={totals.sheathing} unit="sheets" color={colors.purple} />
           <ResultCard label="Material" value={"$" + Math.round(totals.material).toLocaleString()} color={colors.primary} large />
@@ -2,8 +2,39 @@ import { useState, useMemo, useEffect, useRef } from "react";
 import { colors, fonts, tableInputStyle, tableHeaderStyle, addButtonStyle, deleteButtonStyle } from "../theme";
 import { LUMBER_PRICES, LABOR_RATES } from "../constants";
 import { Section, Row, ResultCard, NumberInput, SelectInput, LearnedBadge } from "./ui";
+import { toDisplayLength, fromDisplayLength, lengthUnit, linearUnit, formatLength, formatInches, spacingOptions, sheetCoverageSf, roundLength } from "../utils/units";
+
+// Anchor bolt spacing when a shear wall type does not give one (code minimum)
+const DEFAULT_ANCHOR_SPACING_IN = 72;
+// Nailing labor is rated at this edge spacing and scales with denser nailing
+const BASE_EDGE_NAILING_IN = 6;
+
+function holdDownPrice(model) {
+  const hdu = model.match(/^HDU(\d+)/i);
+  if (hdu && LUMBER_PRICES["holdDown_HDU" + hdu[1]]) return LUMBER_PRICES["holdDown_HDU" + hdu[1]];
+  if (/^PAHD/i.test(model)) return LUMBER_PRICES.holdDown_PAHD;
+  return LUMBER_PRICES.holdDown_HDU5;
+}
+
+/**
+ * Extra cost of a shear wall: sill anchor bolts at the scheduled spacing,
+ * a hold-down at each end, sheathing on the second side and panel nailing.
+ * A row imported from several plan segments (`wall.segments`) gets end
+ * bolts and hold-downs for each of them.
+ */
+function calculateShear(wall, shear, sheathingSheets) {
+  const sides = shear.sides || 1;
+  const segments = Math.max(1, wall.segments || 1);
+  const anchorBolts = Math.max(2 * segments, Math.ceil((wall.length * 12) / (shear.anchorBoltSpacing || DEFAULT_ANCHOR_SPACING_IN)) + segments);
+  const holdDowns = shear.holdDown ? 2 * segments : 0;
+  const shearSheets = sheathingSheets * (sides - 1);
+  const nailingFactor = BASE_EDGE_NAILING_IN / (shear.edgeNailing || BASE_EDGE_NAILING_IN);
+  const shearMaterial = anchorBolts * LUMBER_PRICES.anchorBolt + (holdDowns ? holdDowns * holdDownPrice(shear.holdDown) : 0) + shearSheets * LUMBER_PRICES.osb4x8;
+  const shearLabor = wall.length * sides * LABOR_RATES.shearNailingPerLinearFoot * nailingFactor + holdDowns * LABOR_RATES.hardwareEach;
+  return { anchorBolts, holdDowns, shearSheets, shearMaterial, shearLabor };
+}
 
-function calculateWall(wall, studSize, studSpacing, studWastePercent, sheathingWastePercent) {
+function calculateWall(wall, studSize, studSpacing, studWastePercent, sheathingWastePercent, shear, sheetCoverage) {
   const baseStuds = Math.ceil((wall.length * 12) / studSpacing) + 1;
   const openingStuds = wall.openings * 6;
   const cornerStuds = wall.type === "Exterior" ? 3 : 0;
@@ -12,14 +43,17 @@ function calculateWall(wall, studSize, studSpacing, studWastePercent, sheathingW
 
   const topPlates = Math.ceil((wall.length * 2) / 16);
   const bottomPlates = Math.ceil(wall.length / 16);
-  const sheathingSheets = Math.ceil((wall.length * wall.height) / 32 * (1 + sheathingWastePercent / 100));
+  const sheathingSheets = Math.ceil((wall.length * wall.height) / sheetCoverage * (1 + sheathingWastePercent / 100));
 
   const studPrice = studSize === "2x4" ? LUMBER_PRICES["2x4Stud"] : LUMBER_PRICES["2x6Stud"];
   const platePrice = studSize === "2x4" ? LUMBER_PRICES["2x4_16ft"] : LUMBER_PRICES["2x6_16ft"];
-  const materialCost = studsWithWaste * studPrice + (topPlates + bottomPlates) * platePrice + sheathingSheets * LUMBER_PRICES.osb4x8;
-  const laborCost = wall.length * LABOR_RATES.wallPerLinearFoot;
+  const shearCalc = shear
+    ? calculateShear(wall, shear, sheathingSheets)
+    : { anchorBolts: 0, holdDowns: 0, shearSheets: 0, shearMaterial: 0, shearLabor: 0 };
+  const materialCost = studsWithWaste * studPrice + (topPlates + bottomPlates) * platePrice + sheathingSheets * LUMBER_PRICES.osb4x8 + shearCalc.shearMaterial;
+  const laborCost = wall.length * LABOR_RATES.wallPerLinearFoot + shearCalc.shearLabor;
 
-  return { ...wall, totalStuds, studsWithWaste, topPlates, bottomPlates, sheathingSheets, materialCost, laborCost, totalCost: materialCost + laborCost };
+  return { ...wall, totalStuds, studsWithWaste, topPlates, bottomPlates, sheathingSheets: sheathingSheets + shearCalc.shearSheets, ...shearCalc, materialCost, laborCost, totalCost: materialCost + laborCost };
 }
 
 const DEFAULT_WALLS = [
@@ -54,12 +88,13 @@ const lightHeader = {
   whiteSpace: "nowrap",
 };
 
-export default function WallTakeoff({ importedDims, importData, onTotalChange, initialState, onStateChange, smartDefaults }) {
+export default function WallTakeoff({ importedDims, importData, onTotalChange, initialState, onStateChange, smartDefaults, units }) {
   const effectiveDefaults = smartDefaults?.settings
     ? { ...DEFAULT_SETTINGS, ...smartDefaults.settings }
     : DEFAULT_SETTINGS;
   const [settings, setSettings] = useState(initialState?.settings || effectiveDefaults);
   const [walls, setWalls] = useState(initialState?.walls?.length ? initialState.walls : DEFAULT_WALLS);
+  const [shearWallTypes, setShearWallTypes] = useState(initialState?.shearWallTypes || []);
   const hasInitialized = useRef(false);
   const importDataRef = useRef(null);
 
@@ -67,7 +102,7 @@ export default function WallTakeoff({ importedDims, importData, onTotalChange, i
     if (!importedDims?.length) return;
     setWalls((prev) => [...prev, ...importedDims.map((dim, i) => ({
       id: Date.now() + i, name: "Import " + dim.raw, type: "Exterior",
-      length: Math.round(dim.feet * 10) / 10, height: 8, openings: 0,
+      length: roundLength(dim.feet, units), height: 8, openings: 0,
     }))]);
   }, [importedDims]);
 
@@ -76,6 +111,7 @@ export default function WallTakeoff({ importedDims, importData, onTotalChange, i
     importDataRef.current = importData;
     if (importData.settingsOverrides) setSettings((prev) => ({ ...prev, ...importData.settingsOverrides }));
     if (importData.walls?.length) setWalls(importData.walls);
+    if (importData.shearWallTypes?.length) setShearWallTypes(importData.shearWallTypes);
   }, [importData]);
 
   const addWall = () => setWalls((prev) => [...prev, { id: Date.now(), name: "", type: "Interior", length: 0, height: 8, openings: 0 }]);
@@ -84,28 +120,32 @@ export default function WallTakeoff({ importedDims, importData, onTotalChange, i
   const updateSetting = (key, value) => setSettings((prev) => ({ ...prev, [key]: value }));
 
   const calculations = useMemo(() =>
-    walls.filter((w) => w.length > 0).map((w) => calculateWall(w, settings.studSize, settings.studSpacing, settings.studWaste, settings.sheathingWaste)),
-    [walls, settings]
+    walls.filter((w) => w.length > 0).map((w) => calculateWall(
+      w, settings.studSize, settings.studSpacing, settings.studWaste, settings.sheathingWaste,
+      w.shearType ? shearWallTypes.find((t) => t.mark === w.shearType) : null, sheetCoverageSf(units)
+    )),
+    [walls, settings, shearWallTypes, units]
   );
 
   const totals = calculations.reduce(
-    (acc, c) => ({ linearFeet: acc.linearFeet + c.length, studs: acc.studs + c.studsWithWaste, plates: acc.plates + c.topPlates + c.bottomPlates, sheathing: acc.sheathing + c.sheathingSheets, material: acc.material + c.materialCost, labor: acc.labor + c.laborCost, total: acc.total + c.totalCost }),
-    { linearFeet: 0, studs: 0, plates: 0, sheathing: 0, material: 0, labor: 0, total: 0 }
+    (acc, c) => ({ linearFeet: acc.linearFeet + c.length, studs: acc.studs + c.studsWithWaste, plates: acc.plates + c.topPlates + c.bottomPlates, sheathing: acc.sheathing + c.sheathingSheets, anchorBolts: acc.anchorBolts + c.anchorBolts, holdDowns: acc.holdDowns + c.holdDowns, material: acc.material + c.materialCost, labor: acc.labor + c.laborCost, total: acc.total + c.totalCost }),
+    { linearFeet: 0, studs: 0, plates: 0, sheathing: 0, anchorBolts: 0, holdDowns: 0, material: 0, labor: 0, total: 0 }
   );
+  const showShear = shearWallTypes.length > 0 || walls.some((w) => w.shearType);
 
   useEffect(() => { onTotalChange?.(totals.total); }, [totals.total, onTotalChange]);
 
   useEffect(() => {
     if (!hasInitialized.current) { hasInitialized.current = true; return; }
-    onStateChange?.({ settings, walls });
-  }, [settings, walls, onStateChange]);
+    onStateChange?.({ settings, walls, shearWallTypes });
+  }, [settings, walls, shearWallTypes, onStateChange]);
 
   return (
     <div>
       <Section title="Settings" color={colors.primary}>
         <Row>
           <SelectInput label={<>Stud Size<LearnedBadge meta={smartDefaults?.meta} settingKey="studSize" /></>} value={settings.studSize} onChange={(v) => updateSetting("studSize", v)} options={[{ value: "2x4", label: "2x4" }, { value: "2x6", label: "2x6" }]} />
-          <SelectInput label={<>Spacing<LearnedBadge meta={smartDefaults?.meta} settingKey="studSpacing" /></>} value={String(settings.studSpacing)} onChange={(v) => updateSetting("studSpacing", +v)} options={[{ value: "12", label: '12" OC' }, { value: "16", label: '16" OC' }, { value: "24", label: '24" OC' }]} />
+          <SelectInput label={<>Spacing<LearnedBadge meta={smartDefaults?.meta} settingKey="studSpacing" /></>} value={String(settings.studSpacing)} onChange={(v) => updateSetting("studSpacing", +v)} options={spacingOptions([12, 16, 24], units, settings.studSpacing, " OC")} />
           <NumberInput label="Stud Waste" value={settings.studWaste} onChange={(v) => updateSetting("studWaste", v)} unit="%" />
           <NumberInput label="Sheath Waste" value={settings.sheathingWaste} onChange={(v) => updateSetting("sheathingWaste", v)} unit="%" />
         </Row>
@@ -114,15 +154,24 @@ export default function WallTakeoff({ importedDims, importData, onTotalChange, i
       <Section title="Wall Schedule" color={colors.warning}>
         <div style={{ overflowX: "auto" }}>
           <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, minWidth: 720 }}>
-            <thead><tr>{["Wall ID", "Type", "Len", "Ht", "Opens", "Studs", "+Waste", "Plates", "Sheath", "Mat $", "Labor $", "Total $", ""].map((h) => <th key={h} style={lightHeader}>{h}</th>)}</tr></thead>
+            <thead><tr>{["Wall ID", "Type", ...(showShear ? ["Shear"] : []), "Len", "Ht", "Opens", "Studs", "+Waste", "Plates", "Sheath", "Mat $", "Labor $", "Total $", ""].map((h) => <th key={h} style={lightHeader}>{h}</th>)}</tr></thead>
             <tbody>{walls.map((wall, i) => {
               const calc = calculations.find((c) => c.id === wall.id);
               return (
                 <tr key={wall.id} style={{ borderBottom: `1px solid ${colors.borderLight}`, background: i % 2 === 0 ? colors.contentBg : colors.contentAlt }}>
                   <td style={{ padding: 3 }}><input value={wall.name} onChange={(e) => updateWall(wall.id, "name", e.target.value)} placeholder="Name..." aria-label="Wall name" style={{ ...lightInput, width: "100%", minWidth: 70 }} /></td>
                   <td style={{ padding: 3 }}><select value={wall.type} onChange={(e) => updateWall(wall.id, "type", e.target.value)} aria-label="Wall type" style={{ ...lightInput, width: 80, cursor: "pointer" }}><option>Exterior</option><option>Interior</option><option>Bearing</option></select></td>
-                  <td style={{ padding: 3 }}><input type="number" value={wall.length} onChange={(e) => updateWall(wall.id, "length", +e.target.value)} aria-label="Length (ft)" style={{ ...lightInput, width: 48, textAlign: "center" }} /></td>
-                  <td style={{ padding: 3 }}><input type="number" value={wall.height} onChange={(e) => updateWall(wall.id, "height", +e.target.value)} aria-label="Height (ft)" style={{ ...lightInput, width: 38, textAlign: "center" }} /></td>
+                  {showShear && (
+                    <td style={{ padding: 3 }} title={calc?.anchorBolts ? calc.anchorBolts + " anchor bolts, " + calc.holdDowns + " hold-downs" + (wall.segments > 1 ? " for " + wall.segments + " wall segments" : "") : undefined}>
+                      <select value={wall.shearType || ""} onChange={(e) => updateWall(wall.id, "shearType", e.target.value || null)} aria-label="Shear wall type" style={{ ...lightInput, width: 70, cursor: "pointer" }}>
+                        <option value="">{"\u2014"}</option>
+                        {shearWallTypes.map((t) => <option key={t.mark} value={t.mark}>{t.mark}</option>)}
+                        {wall.shearType && !shearWallTypes.some((t) => t.mark === wall.shearType) && <option value={wall.shearType}>{wall.shearType}</option>}
+                      </select>
+                    </td>
+                  )}
+                  <td style={{ padding: 3 }}><input type="number" value={toDisplayLength(wall.length, units)} onChange={(e) => updateWall(wall.id, "length", fromDisplayLength(+e.target.value, units))} aria-label={"Length (" + lengthUnit(units) + ")"} style={{ ...lightInput, width: 48, textAlign: "center" }} /></td>
+                  <td style={{ padding: 3 }}><input type="number" value={toDisplayLength(wall.height, units)} onChange={(e) => updateWall(wall.id, "height", fromDisplayLength(+e.target.value, units))} aria-label={"Height (" + lengthUnit(units) + ")"} style={{ ...lightInput, width: 38, textAlign: "center" }} /></td>
                   <td style={{ padding: 3 }}><input type="number" value={wall.openings} onChange={(e) => updateWall(wall.id, "openings", +e.target.value)} aria-label="Openings" style={{ ...lightInput, width: 38, textAlign: "center" }} /></td>
                   <td style={{ padding: "3px 5px", textAlign: "center", color: colors.textDark, fontFamily: fonts.mono, fontSize: 12 }}>{calc?.totalStuds ?? "\u2014"}</td>
                   <td style={{ padding: "3px 5px", textAlign: "center", color: colors.success, fontFamily: fonts.mono, fontWeight: 700, fontSize: 12 }}>{calc?.studsWithWaste ?? "\u2014"}</td>
@@ -140,12 +189,32 @@ export default function WallTakeoff({ importedDims, importData, onTotalChange, i
         <button onClick={addWall} style={{ ...addButtonStyle, borderColor: colors.borderMid, color: colors.muted }}>+ Add Wall</button>
       </Section>
 
+      {shearWallTypes.length > 0 && (
+        <Section title="Shear Wall Types" color={colors.orange}>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+            {shearWallTypes.map((t) => (
+              <div key={t.mark} style={{ background: colors.contentBg, border: "1px solid " + colors.orange + "30", borderRadius: 6, padding: "6px 10px", fontSize: 11, color: colors.textDark }}>
+                <span style={{ fontWeight: 700, color: colors.orange, fontFamily: fonts.mono }}>{t.mark}</span>
+                {" \u2014 "}{[
+                  t.sheathing && t.sheathing + (t.sides > 1 ? " both sides" : ""),
+                  t.edgeNailing && (t.nail ? t.nail + " " : "") + "@ " + formatInches(t.edgeNailing, units) + "/" + (t.fieldNailing ? formatInches(t.fieldNailing, units) : "?"),
+                  "AB @ " + formatInches(t.anchorBoltSpacing || DEFAULT_ANCHOR_SPACING_IN, units) + (t.anchorBoltSpacing ? "" : " (default)"),
+                  t.holdDown,
+                ].filter(Boolean).join(" \u00B7 ")}
+              </div>
+            ))}
+          </div>
+        </Section>
+      )}
+
       <Section title="Totals" color={colors.success}>
         <Row>
-          <ResultCard label="Total Wall LF" value={totals.linearFeet} unit="LF" color={colors.primary} large />
+          <ResultCard label={"Total Wall " + linearUnit(units)} value={Math.round(toDisplayLength(totals.linearFeet, units) * 10) / 10} unit={linearUnit(units)} color={colors.primary} large />
           <ResultCard label="Studs" value={totals.studs} unit="pcs" color={colors.warning} large />
-          <ResultCard label="Plates" value={totals.plates} unit="16'" color={colors.teal} />
+          <ResultCard label="Plates" value={totals.plates} unit={formatLength(16, units, 0)} color={colors.teal} />
           <ResultCard label="Sheathing" value={totals.sheathing} unit="sheets" color={colors.purple} />
+          {totals.anchorBolts > 0 && <ResultCard label="Anchor Bolts" value={totals.anchorBolts} unit="pcs" color={colors.orange} />}
+          {totals.holdDowns > 0 && <ResultCard label="Hold-downs" value={totals.holdDowns} unit="pcs" color={colors.orange} />}
           <ResultCard label="Material" value={"$" + Math.round(totals.material).toLocaleString()} color={colors.primary} large />
           <ResultCard label="Labor" value={"$" + Math.round(totals.labor).toLocaleString()} color={colors.teal} />
           <ResultCard label="Total" value={"$" + Math.round(totals.total).toLocaleString()} color={colors.success} large />
@@ -52,6 +52,8 @@ export const LABOR_RATES = {
   headerEach: 35.00,
   blockingPerLinearFoot: 2.50,
   hardwareEach: 15.00,
+  // Shear wall panel nailing, per LF per sheathed side at 6" edge nailing
+  shearNailingPerLinearFoot: 2.75,
 };
 
 export const PITCH_FACTORS = {
@@ -71,3 +73,6 @@ export const SHEATHING_WASTE_FACTOR = 1.08;
 
 // Standard sheet coverage: 4x8 = 32 SF
 export const SHEET_COVERAGE_SF = 32;
+
+// Metric sheet coverage: 1200 x 2400 mm = 2.88 m² ≈ 31 SF
+export const METRIC_SHEET_COVERAGE_SF = 31;
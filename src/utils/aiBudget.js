@@ -0,0 +1,114 @@
+/**
+ * AI spend: cost estimates and budget caps.
+ *
+ * Token usage comes back with every provider reply (see aiProviders.js)
+ * and is priced here from list prices per million tokens. Before a request
+ * is sent its cost is estimated from the image size and prompt length, and
+ * a budget built from what the project and the month have already spent
+ * refuses the request when it would pass a cap. Local servers and the
+ * mock provider cost nothing.
+ */
+
+// USD per million tokens, first match wins
+const MODEL_PRICES = [
+  { match: /claude-opus-4/i, input: 15, output: 75 },
+  { match: /claude-.*sonnet/i, input: 3, output: 15 },
+  { match: /claude-.*haiku/i, input: 1, output: 5 },
+  { match: /gpt-4o-mini/i, input: 0.15, output: 0.6 },
+  { match: /gpt-4o/i, input: 2.5, output: 10 },
+  { match: /gpt-4\.1-mini/i, input: 0.4, output: 1.6 },
+  { match: /gpt-4\.1/i, input: 2, output: 8 },
+];
+// Priced like the provider's default model when the model is not listed
+const PROVIDER_FALLBACK_MODELS = { anthropic: "claude-sonnet-4", openai: "gpt-4o" };
+const FREE_PROVIDERS = ["local", "mock"];
+
+// Vision models bill an image by its area after shrinking it to fit
+const IMAGE_MAX_EDGE_PX = 1568;
+const IMAGE_PX_PER_TOKEN = 750;
+const CHARS_PER_TOKEN = 4;
+// Typical length of an extraction reply
+const EXPECTED_OUTPUT_TOKENS = 1500;
+
+function priceFor(provider, model) {
+  if (FREE_PROVIDERS.includes(provider)) return { input: 0, output: 0 };
+  return MODEL_PRICES.find((p) => p.match.test(model)) ||
+    MODEL_PRICES.find((p) => p.match.test(PROVIDER_FALLBACK_MODELS[provider] || "")) ||
+    { input: 0, output: 0 };
+}
+
+/**
+ * Estimated cost in USD of a request's token usage.
+ *
+ * @param {{ provider: string, model: string }} target
+ * @param {{ inputTokens: number, outputTokens: number }} usage
+ */
+export function estimateCost({ provider, model }, { inputTokens, outputTokens }) {
+  const price = priceFor(provider, model);
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+/**
+ * Expected usage of a request before it is sent.
+ *
+ * @param {{ width: number, height: number, promptChars: number }} request
+ *   image size in pixels and the length of the system prompt and prompt
+ */
+export function estimateRequestUsage({ width, height, promptChars }) {
+  const shrink = Math.min(1, IMAGE_MAX_EDGE_PX / Math.max(width, height));
+  const imageTokens = Math.ceil((width * shrink * height * shrink) / IMAGE_PX_PER_TOKEN);
+  return { inputTokens: imageTokens + Math.ceil(promptChars / CHARS_PER_TOKEN), outputTokens: EXPECTED_OUTPUT_TOKENS };
+}
+
+/** "$0.42", or "<$0.01" for a fraction of a cent. */
+export function formatCost(usd) {
+  return usd > 0 && usd < 0.01 ? "<$0.01" : "$" + usd.toFixed(2);
+}
+
+/** "12.3k" */
+export function formatTokens(count) {
+  return count >= 1000 ? (count / 1000).toFixed(1) + "k" : String(count);
+}
+
+// ── Budget ──────────────────────────────────────────────────────────
+
+/**
+ * Error used to stop AI extraction at a budget cap.
+ */
+export function aiBudgetExceededError(scope, cap) {
+  const err = new Error("AI budget reached: $" + cap.toFixed(2) + (scope === "project" ? " for this project" : " this month"));
+  err.budget = { scope, cap };
+  return err;
+}
+
+/**
+ * True when AI extraction stopped because a budget cap was reached.
+ */
+export function isAiBudgetExceeded(err) {
+  return !!err?.budget;
+}
+
+/**
+ * Spend tracker for one AI run.
+ *
+ * @param {{ spent: { project: number, month: number }, caps: { project: number|null, month: number|null } }} opts
+ *   spent so far in USD; a null cap is no cap
+ * @returns {{ check(cost: number): void, charge(cost: number): void, spent: { project, month } }}
+ *   check throws aiBudgetExceededError() when `cost` more would pass a cap
+ */
+export function createAiBudget({ spent, caps }) {
+  const total = { project: spent?.project || 0, month: spent?.month || 0 };
+  return {
+    spent: total,
+    check(cost) {
+      for (const scope of ["project", "month"]) {
+        const cap = caps?.[scope];
+        if (cap !== null && cap !== undefined && total[scope] + cost > cap) throw aiBudgetExceededError(scope, cap);
+      }
+    },
+    charge(cost) {
+      total.project += cost;
+      total.month += cost;
+    },
+  };
+}
@@ -1,13 +1,21 @@
 /**
  * AI Vision extraction module.
  *
- * Renders PDF pages to high-res images and sends them to the Anthropic
- * Claude API (Messages with vision) for structured framing data extraction.
+ * Sends rendered page images to the selected vision provider (see
+ * aiProviders.js) for structured framing data extraction.
  */
 
-const CLAUDE_API_URL = "https://api.anthropic.com/v1/messages";
-const MODEL = "claude-sonnet-4-20250514";
+import { sendVisionRequest } from "./aiProviders";
+import { validateAiResponse, summarizeAiIssues, describeAiErrors } from "./aiSchemas";
+
 const MAX_TOKENS = 4096;
+// Bump when the prompts or the reply schemas change, so cached replies are not reused
+export const PROMPT_VERSION = 3;
+// Replies that break the page type's schema are sent back this many times
+const MAX_REPAIR_ATTEMPTS = 1;
+// How much of a broken reply goes back with the repair request
+const REPAIR_ECHO_CHARS = 6000;
+const SYSTEM_PROMPT = "You are a construction plan analysis expert. Always respond with valid JSON only. No markdown, no explanation - just the JSON object.";
 
 // ── Prompt templates per page type ─────────────────────────────────
 
@@ -62,10 +70,10 @@ Extract ALL structural members, beams, columns, and framing layout. Return a JSO
 
 {
   "beams": [
-    { "size": "LVL 3.5x11.875 or W8x31 etc", "span": feet, "location": "description", "type": "wood|steel|engineered" }
+    { "mark": "callout mark like B1, or null", "size": "LVL 3.5x11.875 or W8x31 etc", "span": feet, "location": "description", "type": "wood|steel|engineered" }
   ],
   "columns": [
-    { "size": "4x4 or HSS4x4x1/4 etc", "height": feet_or_null, "location": "description", "type": "wood|steel" }
+    { "mark": "callout mark like C1, or null", "size": "4x4 or HSS4x4x1/4 etc", "height": feet_or_null, "location": "description", "type": "wood|steel" }
   ],
   "joists": [
     { "size": "2x10 etc", "spacing": OC_inches, "span": feet, "direction": "N-S or E-W", "area": "description" }
@@ -122,44 +130,43 @@ Extract height and material information. Return a JSON object with:
 Return ONLY the JSON object.`,
 };
 
-// ── API key management ─────────────────────────────────────────────
-
-export function getApiKey() {
-  try {
-    return localStorage.getItem("anthropic_api_key") || "";
-  } catch {
-    return "";
-  }
-}
+// ── API call ───────────────────────────────────────────────────────
 
-export function setApiKey(key) {
+function parseJsonReply(text) {
+  const jsonStr = text.replace(/^```(?:json)?\s*/i, "").replace(/\s*```\s*$/i, "").trim();
   try {
-    localStorage.setItem("anthropic_api_key", key.trim());
+    return { json: JSON.parse(jsonStr), jsonStr };
   } catch {
-    // localStorage unavailable
+    return { json: undefined, jsonStr };
   }
 }
 
-export function isAiAvailable() {
-  return getApiKey().length > 10;
+function repairNote(jsonStr, errors) {
+  return "\n\nYour previous reply did not match the required JSON format:\n" + describeAiErrors(errors) +
+    "\n\nPrevious reply:\n" + jsonStr.slice(0, REPAIR_ECHO_CHARS) +
+    "\n\nReturn the corrected JSON object only. Use decimal numbers for feet and inches, not dimension strings.";
 }
 
-// ── API call ───────────────────────────────────────────────────────
-
 /**
- * Send a page image to Claude Vision API for structured extraction.
+ * Send a page image to the selected vision provider for structured extraction.
+ *
+ * The reply is validated against the page type's schema (see aiSchemas.js)
+ * and repaired where possible; if values had to be dropped, the model is
+ * asked once more with the problems listed and the better reply is kept.
+ * An unreadable reply throws an error carrying the `usage` spent on it.
  *
  * @param {string} base64Image - base64-encoded PNG (no data: prefix)
  * @param {string} pageType - one of the PROMPTS keys
  * @param {string} [contextText] - extracted text from this page
- * @returns {Promise<object>} Parsed JSON from Claude
+ * @param {string} [agentContext] - further instructions appended to the prompt
+ *   (learning-agent hints, or where a tile sits on its sheet)
+ * @param {{ settings?: object, beforeRequest?: (req: { promptChars: number }) => void }} [options]
+ *   settings are the provider settings from loadAiSettings(); beforeRequest
+ *   runs before every request, including a repair, and may throw to stop it
+ * @returns {Promise<{ result: object, warnings: string[], attempts: number, provider: string, model: string, usage: { inputTokens, outputTokens } }>}
+ *   result is the validated JSON; warnings describe what was repaired or dropped
  */
-export async function extractWithAi(base64Image, pageType, contextText = "", agentContext = "") {
-  const apiKey = getApiKey();
-  if (!apiKey) {
-    throw new Error("No Anthropic API key configured.");
-  }
-
+export async function extractWithAi(base64Image, pageType, contextText = "", agentContext = "", { settings, beforeRequest } = {}) {
   const prompt = PROMPTS[pageType];
   if (!prompt) {
     throw new Error("No AI prompt for page type: " + pageType);
@@ -170,69 +177,79 @@ export async function extractWithAi(base64Image, pageType, contextText = "", age
   if (contextText) fullPrompt += "\n\nAdditional text extracted from this page:\n" + contextText;
   if (agentContext) fullPrompt += agentContext;
 
-  const body = {
-    model: MODEL,
-    max_tokens: MAX_TOKENS,
-    system: "You are a construction plan analysis expert. Always respond with valid JSON only. No markdown, no explanation - just the JSON object.",
-    messages: [{
-      role: "user",
-      content: [
-        {
-          type: "image",
-          source: { type: "base64", media_type: "image/png", data: base64Image },
-        },
-        {
-          type: "text",
-          text: fullPrompt,
-        },
-      ],
-    }],
-  };
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  let best = null;
+  let repair = "";
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    try {
+      beforeRequest?.({ promptChars: SYSTEM_PROMPT.length + fullPrompt.length + repair.length });
+    } catch (err) {
+      // A repair that may not be sent leaves the first usable reply
+      if (!best) {
+        err.usage = usage;
+        throw err;
+      }
+      break;
+    }
+    const reply = await sendVisionRequest(
+      { system: SYSTEM_PROMPT, prompt: fullPrompt + repair, image: base64Image, pageType, maxTokens: MAX_TOKENS },
+      settings,
+    );
+    usage.inputTokens += reply.usage.inputTokens;
+    usage.outputTokens += reply.usage.outputTokens;
+
+    const { json, jsonStr } = parseJsonReply(reply.text);
+    if (json === undefined) {
+      if (attempt === MAX_REPAIR_ATTEMPTS && !best) {
+        const err = new Error("Failed to parse AI response as JSON: " + jsonStr.slice(0, 200));
+        // Billed all the same
+        err.usage = usage;
+        throw err;
+      }
+      repair = repairNote(jsonStr, [{ path: "", message: "not valid JSON" }]);
+      continue;
+    }
 
-  const response = await fetch(CLAUDE_API_URL, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "x-api-key": apiKey,
-      "anthropic-version": "2023-06-01",
-      "anthropic-dangerous-direct-browser-access": "true",
-    },
-    body: JSON.stringify(body),
-  });
-
-  if (!response.ok) {
-    const errText = await response.text();
-    throw new Error("Claude API error " + response.status + ": " + errText);
+    const checked = validateAiResponse(json, pageType);
+    if (!best || checked.errors.length < best.checked.errors.length) {
+      best = { checked, provider: reply.provider, model: reply.model, attempts: attempt + 1 };
+    }
+    if (!checked.errors.length) break;
+    repair = repairNote(jsonStr, checked.errors);
   }
 
-  const data = await response.json();
-  const text = data.content?.[0]?.text || "";
-  const jsonStr = text.replace(/^```(?:json)?\s*/i, "").replace(/\s*```\s*$/i, "").trim();
-
-  try {
-    return JSON.parse(jsonStr);
-  } catch {
-    throw new Error("Failed to parse AI response as JSON: " + jsonStr.slice(0, 200));
-  }
+  return {
+    result: best.checked.value,
+    warnings: summarizeAiIssues(best.checked.issues),
+    attempts: best.attempts,
+    provider: best.provider,
+    model: best.model,
+    usage,
+  };
 }
 
 // ── Result mapping ─────────────────────────────────────────────────
 
+// Entries placed on the sheet by a tiled read keep where they were found
+const placed = (entry) => (entry.bbox ? { source: { bbox: entry.bbox } } : {});
+
 export function mapFloorPlanAiResult(aiResult, pageNum) {
   const partial = { wallSegments: [], openings: [], warnings: [] };
   if (aiResult.wallSegments) {
     for (const seg of aiResult.wallSegments) {
       if (seg.length > 0) {
-        partial.wallSegments.push({ wallType: seg.wallType || null, length: seg.length, room: seg.room || "", page: pageNum });
+        partial.wallSegments.push({ wallType: seg.wallType || null, length: seg.length, room: seg.room || "", page: pageNum, ...placed(seg) });
       }
     }
   }
   if (aiResult.openings) {
     for (const o of aiResult.openings) {
+      // Defaults stand in for what the model could not read; reconcile.js does not compare them
+      const assumed = ["category", "width", "height"].filter((field) => !o[field]);
       partial.openings.push({
         mark: o.mark || "", category: o.category || "door", width: o.width || 3, height: o.height || 6.67,
         quantity: 1, headerSize: null, headerCount: 2, trimmerStuds: 2, kingStuds: 2, crippleStuds: 2,
-        sillHeight: o.category === "window" ? 3 : 0, wallType: o.wallType || null, type: "", notes: "",
+        sillHeight: o.category === "window" ? 3 : 0, wallType: o.wallType || null, type: "", notes: "", assumed, ...placed(o),
       });
     }
   }
@@ -276,15 +293,15 @@ export function mapStructuralPlanAiResult(aiResult) {
   if (aiResult.beams) {
     for (const b of aiResult.beams) {
       const isSteel = /^(W|HSS|C|L)\d/i.test(b.size || "");
-      if (isSteel) partial.steelMembers.push({ type: "beam", shape: b.size, span: b.span, location: b.location || "" });
-      else partial.structuralMembers.push({ type: "beam", size: b.size, span: b.span, location: b.location || "" });
+      if (isSteel) partial.steelMembers.push({ type: "beam", shape: b.size, span: b.span, location: b.location || "", ...placed(b) });
+      else partial.structuralMembers.push({ type: "beam", mark: (b.mark || "").toUpperCase(), size: b.size, span: b.span, location: b.location || "", ...placed(b) });
     }
   }
   if (aiResult.columns) {
     for (const c of aiResult.columns) {
       const isSteel = /^(W|HSS|C|L)\d/i.test(c.size || "");
-      if (isSteel) partial.steelMembers.push({ type: "column", shape: c.size, height: c.height, location: c.location || "" });
-      else partial.structuralMembers.push({ type: "column", size: c.size, span: c.height, location: c.location || "" });
+      if (isSteel) partial.steelMembers.push({ type: "column", shape: c.size, height: c.height, location: c.location || "", ...placed(c) });
+      else partial.structuralMembers.push({ type: "column", mark: (c.mark || "").toUpperCase(), size: c.size, span: c.height, location: c.location || "", ...placed(c) });
     }
   }
   if (aiResult.joists) {
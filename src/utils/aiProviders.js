@@ -0,0 +1,349 @@
+/**
+ * AI vision providers.
+ *
+ * Each provider describes how to reach one kind of vision model: its
+ * default model and endpoint, how it authenticates, and adapters that
+ * build the request body from a prompt and page image and read the reply
+ * text and token usage back out of the response. aiExtractor.js talks to
+ * whichever provider is selected through sendVisionRequest().
+ *
+ *   anthropic – the Anthropic Messages API
+ *   openai    – any OpenAI-compatible chat completions endpoint
+ *   local     – an OpenAI-compatible server on the shop's own network
+ *               (Ollama, LM Studio, vLLM...), so drawings never leave it
+ *   mock      – replays canned JSON per page type, for working offline
+ *
+ * The selection, models and endpoints are kept in localStorage; API keys
+ * are stored per provider and never leave the browser except to their own
+ * endpoint.
+ */
+
+const SETTINGS_KEY = "ai_provider_settings";
+
+// ── Request / response adapters ─────────────────────────────────────
+
+function anthropicRequest({ model, system, prompt, image, maxTokens }) {
+  return {
+    model,
+    max_tokens: maxTokens,
+    system,
+    messages: [{
+      role: "user",
+      content: [
+        { type: "image", source: { type: "base64", media_type: "image/png", data: image } },
+        { type: "text", text: prompt },
+      ],
+    }],
+  };
+}
+
+function anthropicResponse(data) {
+  return {
+    text: data.content?.[0]?.text || "",
+    usage: { inputTokens: data.usage?.input_tokens || 0, outputTokens: data.usage?.output_tokens || 0 },
+  };
+}
+
+function openAiRequest({ model, system, prompt, image, maxTokens }) {
+  return {
+    model,
+    max_tokens: maxTokens,
+    messages: [
+      { role: "system", content: system },
+      {
+        role: "user",
+        content: [
+          { type: "image_url", image_url: { url: "data:image/png;base64," + image } },
+          { type: "text", text: prompt },
+        ],
+      },
+    ],
+  };
+}
+
+function openAiResponse(data) {
+  const content = data.choices?.[0]?.message?.content;
+  // Some servers answer with content parts rather than a string
+  const text = Array.isArray(content) ? content.map((part) => part.text || "").join("") : content || "";
+  return {
+    text,
+    usage: { inputTokens: data.usage?.prompt_tokens || 0, outputTokens: data.usage?.completion_tokens || 0 },
+  };
+}
+
+// ── Canned responses for the mock provider ──────────────────────────
+
+const MOCK_RESPONSES = {
+  FLOOR_PLAN: {
+    wallSegments: [
+      { wallType: "A", length: 24.5, room: "Living Room", direction: "N" },
+      { wallType: "A", length: 18, room: "Living Room", direction: "E" },
+      { wallType: "B", length: 12, room: "Bedroom 1", direction: "N" },
+    ],
+    openings: [
+      { mark: "D1", category: "door", width: 3, height: 6.67, wallType: "A" },
+      { mark: "W1", category: "window", width: 4, height: 4, wallType: "A" },
+    ],
+    rooms: [{ name: "Living Room", width: 18, length: 24.5 }],
+    dimensions: [{ value: 24.5, context: "Living Room length" }],
+    notes: ["Mock response"],
+  },
+  SECTION_DETAIL: {
+    members: [
+      { size: "2x6", type: "stud", spacing: 16, zone: "wall", description: "Exterior wall" },
+      { size: "2x10", type: "joist", spacing: 16, zone: "floor", description: "Floor framing" },
+    ],
+    steelMembers: [],
+    hardware: [],
+    assemblies: [],
+    notes: ["Mock response"],
+  },
+  STRUCTURAL_PLAN: {
+    beams: [{ mark: "B1", size: "LVL 3.5x11.875", span: 14, location: "Garage door header", type: "engineered" }],
+    columns: [{ mark: null, size: "6x6", height: 9, location: "Garage", type: "wood" }],
+    joists: [{ size: "2x10", spacing: 16, span: 14, direction: "N-S", area: "Main floor" }],
+    bearingWalls: [],
+    hardware: [{ type: "hanger", model: "HUS410", quantity: 2, size: "2x10" }],
+    notes: ["Mock response"],
+  },
+  ROOF_PLAN: {
+    sections: [{ name: "Main Roof", ridgeLength: 32, span: 28, pitch: "6/12", rafterSize: "2x8", rafterSpacing: 24 }],
+    hips: [],
+    valleys: [],
+    trusses: [],
+    sheathing: { type: "OSB", thickness: "7/16" },
+    notes: ["Mock response"],
+  },
+  ELEVATION: {
+    heights: [{ description: "plate height", value: 9 }],
+    materials: [],
+    pitches: [{ value: "6/12", location: "Main roof" }],
+    notes: ["Mock response"],
+  },
+};
+
+/**
+ * The canned reply for a page type: from the user's own JSON (an object
+ * keyed by page type) when it has one, otherwise the built-in sample.
+ */
+function mockReplay({ pageType, mockResponses }) {
+  let custom = null;
+  try {
+    custom = mockResponses ? JSON.parse(mockResponses) : null;
+  } catch {
+    throw new Error("Mock responses are not valid JSON.");
+  }
+  const response = custom?.[pageType] ?? MOCK_RESPONSES[pageType] ?? {};
+  return { text: JSON.stringify(response) };
+}
+
+// ── Providers ───────────────────────────────────────────────────────
+
+/**
+ * @typedef {object} AiProvider
+ * @property {string} id
+ * @property {string} label
+ * @property {string} defaultModel
+ * @property {string} defaultEndpoint
+ * @property {"x-api-key"|"bearer"|"none"} auth – how the API key is sent
+ * @property {boolean} keyRequired – false when the key is optional or unused
+ * @property {string} keyPlaceholder
+ * @property {object} [headers] – extra request headers
+ * @property {(req: { model, system, prompt, image, maxTokens }) => object} buildRequest
+ * @property {(data: object) => { text: string, usage: { inputTokens, outputTokens } }} parseResponse
+ * @property {(req: { pageType, mockResponses }) => object} [replay] – answers
+ *   without a network call
+ */
+
+/** @type {AiProvider[]} */
+export const AI_PROVIDERS = [
+  {
+    id: "anthropic",
+    label: "Anthropic",
+    defaultModel: "claude-sonnet-4-20250514",
+    defaultEndpoint: "https://api.anthropic.com/v1/messages",
+    auth: "x-api-key",
+    keyRequired: true,
+    keyPlaceholder: "sk-ant-...",
+    headers: { "anthropic-version": "2023-06-01", "anthropic-dangerous-direct-browser-access": "true" },
+    buildRequest: anthropicRequest,
+    parseResponse: anthropicResponse,
+  },
+  {
+    id: "openai",
+    label: "OpenAI-compatible",
+    defaultModel: "gpt-4o",
+    defaultEndpoint: "https://api.openai.com/v1/chat/completions",
+    auth: "bearer",
+    keyRequired: true,
+    keyPlaceholder: "sk-...",
+    buildRequest: openAiRequest,
+    parseResponse: openAiResponse,
+  },
+  {
+    id: "local",
+    label: "Local server (LAN)",
+    defaultModel: "llava",
+    defaultEndpoint: "http://localhost:11434/v1/chat/completions",
+    auth: "bearer",
+    keyRequired: false,
+    keyPlaceholder: "optional",
+    buildRequest: openAiRequest,
+    parseResponse: openAiResponse,
+  },
+  {
+    id: "mock",
+    label: "Mock (offline replay)",
+    defaultModel: "mock",
+    defaultEndpoint: "",
+    auth: "none",
+    keyRequired: false,
+    keyPlaceholder: "",
+    buildRequest: (req) => req,
+    parseResponse: (data) => ({ text: data.text, usage: { inputTokens: 0, outputTokens: 0 } }),
+    replay: mockReplay,
+  },
+];
+
+export function getAiProvider(id) {
+  return AI_PROVIDERS.find((p) => p.id === id) || AI_PROVIDERS[0];
+}
+
+// ── Settings ────────────────────────────────────────────────────────
+
+// Keys live under their own names; the Anthropic one predates providers
+function apiKeyStorageKey(providerId) {
+  return providerId === "anthropic" ? "anthropic_api_key" : "ai_api_key_" + providerId;
+}
+
+function readStorage(key) {
+  try {
+    return localStorage.getItem(key) || "";
+  } catch {
+    return "";
+  }
+}
+
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, value);
+  } catch {
+    // localStorage unavailable
+  }
+}
+
+/**
+ * The selected provider and each provider's model, endpoint and key:
+ * { provider, providers: { [id]: { model, endpoint, apiKey } }, mockResponses,
+ *   budget: { project, month }, skipPageTypes }
+ * budget caps are USD, null for no cap (see aiBudget.js); skipPageTypes are
+ * page types not worth sending to the model.
+ */
+export function loadAiSettings() {
+  let stored = {};
+  try {
+    stored = JSON.parse(readStorage(SETTINGS_KEY) || "{}");
+  } catch {
+    stored = {};
+  }
+  const providers = {};
+  for (const p of AI_PROVIDERS) {
+    const saved = stored.providers?.[p.id] || {};
+    providers[p.id] = {
+      model: saved.model || p.defaultModel,
+      endpoint: saved.endpoint || p.defaultEndpoint,
+      apiKey: readStorage(apiKeyStorageKey(p.id)),
+    };
+  }
+  const cap = (value) => (typeof value === "number" && value >= 0 ? value : null);
+  return {
+    provider: getAiProvider(stored.provider).id,
+    providers,
+    mockResponses: stored.mockResponses || "",
+    budget: { project: cap(stored.budget?.project), month: cap(stored.budget?.month) },
+    skipPageTypes: Array.isArray(stored.skipPageTypes) ? stored.skipPageTypes : [],
+  };
+}
+
+export function saveAiSettings(settings) {
+  const providers = {};
+  for (const [id, { model, endpoint, apiKey }] of Object.entries(settings.providers)) {
+    providers[id] = { model: model.trim(), endpoint: endpoint.trim() };
+    writeStorage(apiKeyStorageKey(id), (apiKey || "").trim());
+  }
+  writeStorage(SETTINGS_KEY, JSON.stringify({
+    provider: settings.provider,
+    providers,
+    mockResponses: settings.mockResponses || "",
+    budget: settings.budget,
+    skipPageTypes: settings.skipPageTypes,
+  }));
+}
+
+/**
+ * Whether the selected provider is set up well enough to try.
+ */
+export function isProviderReady(settings = loadAiSettings()) {
+  const provider = getAiProvider(settings.provider);
+  const config = settings.providers[provider.id];
+  if (provider.replay) return true;
+  if (!config.model || !config.endpoint) return false;
+  return !provider.keyRequired || config.apiKey.length > 10;
+}
+
+/**
+ * Which provider and model requests go to, as recorded with a project:
+ * { provider, label, model, endpoint? } – the endpoint only for local servers.
+ */
+export function describeAiProvider(settings = loadAiSettings()) {
+  const provider = getAiProvider(settings.provider);
+  const { model, endpoint } = settings.providers[provider.id];
+  return provider.id === "local"
+    ? { provider: provider.id, label: provider.label, model, endpoint }
+    : { provider: provider.id, label: provider.label, model };
+}
+
+// ── Request ─────────────────────────────────────────────────────────
+
+function authHeaders(provider, apiKey) {
+  if (!apiKey || provider.auth === "none") return {};
+  return provider.auth === "x-api-key" ? { "x-api-key": apiKey } : { Authorization: "Bearer " + apiKey };
+}
+
+/**
+ * Send a prompt and page image to the selected provider.
+ *
+ * @param {{ system: string, prompt: string, image: string, pageType: string, maxTokens: number }} request
+ *   image is a base64 PNG without the data: prefix
+ * @param {object} [settings] – from loadAiSettings()
+ * @returns {Promise<{ text: string, usage: { inputTokens, outputTokens }, provider: string, model: string }>}
+ */
+export async function sendVisionRequest({ system, prompt, image, pageType, maxTokens }, settings = loadAiSettings()) {
+  const provider = getAiProvider(settings.provider);
+  const { model, endpoint, apiKey } = settings.providers[provider.id];
+  const meta = { provider: provider.id, model };
+
+  if (provider.replay) {
+    return { ...provider.parseResponse(provider.replay({ pageType, mockResponses: settings.mockResponses })), ...meta };
+  }
+  if (provider.keyRequired && !apiKey) {
+    throw new Error("No " + provider.label + " API key configured.");
+  }
+
+  let response;
+  try {
+    response = await fetch(endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...provider.headers, ...authHeaders(provider, apiKey) },
+      body: JSON.stringify(provider.buildRequest({ model, system, prompt, image, maxTokens })),
+    });
+  } catch (err) {
+    // A LAN server that is down or blocks cross-origin requests lands here
+    throw new Error("Could not reach " + provider.label + " at " + endpoint + ": " + err.message);
+  }
+  if (!response.ok) {
+    const errText = await response.text();
+    throw new Error(provider.label + " API error " + response.status + ": " + errText);
+  }
+  return { ...provider.parseResponse(await response.json()), ...meta };
+}
@@ -0,0 +1,272 @@
+/**
+ * Response schemas for AI extraction.
+ *
+ * One JSON schema per page-type prompt in aiExtractor.js, using the subset
+ * of JSON Schema the models are asked to follow (type, properties,
+ * required, items, enum, exclusiveMinimum) plus "x-unit" on numbers that
+ * are lengths ("feet") or spacings ("inches"). Every list entry may carry
+ * "at": [x, y], its place in a tile image (see aiTiles.js). validateAiResponse() checks
+ * a parsed reply against its schema and repairs what it can: numbers sent
+ * as text are read back, dimension strings like 12'-6" go through
+ * parseDimensions(), a lone object where a list belongs becomes a list of
+ * one, and a missing list is empty. What it cannot repair is reported:
+ * list items missing a required value are dropped and optional values
+ * that make no sense are cleared.
+ */
+
+import { parseDimensions } from "./parsers";
+
+const feet = { type: ["number", "null"], "x-unit": "feet" };
+const requiredFeet = { type: "number", "x-unit": "feet", exclusiveMinimum: 0 };
+const inches = { type: ["number", "null"], "x-unit": "inches" };
+const count = { type: ["integer", "null"] };
+const text = { type: ["string", "null"] };
+const notes = { type: "array", items: { type: "string" } };
+const position = { type: ["array", "null"], items: { type: "number" } };
+
+const list = (properties, required = []) => ({ type: "array", items: { type: "object", properties: { ...properties, at: position }, required } });
+
+export const AI_RESPONSE_SCHEMAS = {
+  FLOOR_PLAN: {
+    type: "object",
+    properties: {
+      wallSegments: list({ wallType: text, length: requiredFeet, room: text, direction: text }, ["length"]),
+      openings: list({
+        mark: text,
+        category: { type: ["string", "null"], enum: ["door", "window"] },
+        width: feet,
+        height: feet,
+        wallType: text,
+      }),
+      rooms: list({ name: text, width: feet, length: feet }, ["name"]),
+      dimensions: list({ value: requiredFeet, context: text }, ["value"]),
+      notes,
+    },
+  },
+  SECTION_DETAIL: {
+    type: "object",
+    properties: {
+      members: list({
+        size: { type: "string" },
+        type: { type: ["string", "null"], enum: ["stud", "joist", "rafter", "header", "beam", "plate", "blocking", "column"] },
+        spacing: inches,
+        zone: text,
+        description: text,
+      }, ["size"]),
+      steelMembers: list({ shape: { type: "string" }, type: text, description: text }, ["shape"]),
+      hardware: list({ type: text, model: text, description: text }),
+      assemblies: list({ name: text, layers: notes }),
+      notes,
+    },
+  },
+  STRUCTURAL_PLAN: {
+    type: "object",
+    properties: {
+      beams: list({ mark: text, size: { type: "string" }, span: feet, location: text, type: text }, ["size"]),
+      columns: list({ mark: text, size: { type: "string" }, height: feet, location: text, type: text }, ["size"]),
+      joists: list({ size: { type: "string" }, spacing: inches, span: feet, direction: text, area: text }, ["size"]),
+      bearingWalls: list({ location: text, wallType: text }),
+      hardware: list({ type: text, model: text, quantity: count, size: text }),
+      notes,
+    },
+  },
+  ROOF_PLAN: {
+    type: "object",
+    properties: {
+      sections: list({ name: text, ridgeLength: feet, span: feet, pitch: text, rafterSize: text, rafterSpacing: inches }),
+      hips: list({ length: requiredFeet, rafterSize: text }, ["length"]),
+      valleys: list({ length: requiredFeet, rafterSize: text }, ["length"]),
+      trusses: list({ type: text, spacing: inches, span: feet, quantity: count }),
+      sheathing: { type: ["object", "null"], properties: { type: text, thickness: text } },
+      notes,
+    },
+  },
+  ELEVATION: {
+    type: "object",
+    properties: {
+      heights: list({ description: text, value: requiredFeet }, ["value"]),
+      materials: list({ type: text, description: text }),
+      pitches: list({ value: { type: "string" }, location: text }, ["value"]),
+      notes,
+    },
+  },
+};
+
+// ── Coercion ────────────────────────────────────────────────────────
+
+const INVALID = Symbol("invalid");
+
+const typesOf = (schema) => (Array.isArray(schema.type) ? schema.type : [schema.type]);
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const quote = (v) => (typeof v === "string" ? JSON.stringify(v.length > 40 ? v.slice(0, 40) + "…" : v) : JSON.stringify(v));
+
+function describeExpected(schema) {
+  if (schema.enum) return "one of " + schema.enum.join(", ");
+  if (schema["x-unit"] === "feet") return "a length in decimal feet";
+  if (schema["x-unit"] === "inches") return "a spacing in inches";
+  const types = typesOf(schema).filter((t) => t !== "null");
+  if (types.includes("integer")) return "a whole number";
+  return types[0] === "array" || types[0] === "object" ? "an " + types[0] : "a " + types[0];
+}
+
+// A number written as text: "12.5", "12'-6\"", "16\" OC", "3600 mm"
+function numberFromText(str, schema) {
+  const trimmed = str.trim();
+  if (/^-?\d+(\.\d+)?$/.test(trimmed)) return { value: Number(trimmed), dimension: false };
+  if (schema["x-unit"] === "feet") {
+    const dims = parseDimensions(trimmed);
+    if (dims.length === 1) return { value: Math.round(dims[0].feet * 1000) / 1000, dimension: true };
+    const m = trimmed.match(/^(\d+(?:\.\d+)?)\s*(?:ft|feet|lf)\.?$/i);
+    if (m) return { value: Number(m[1]), dimension: true };
+  }
+  if (schema["x-unit"] === "inches") {
+    const m = trimmed.match(/^(\d+(?:\.\d+)?)\s*(?:"|''|in\.?|inches)?\s*(?:o\.?\s*c\.?)?$/i);
+    if (m) return { value: Number(m[1]), dimension: true };
+  }
+  return null;
+}
+
+function coerceNumber(value, schema, path, issues) {
+  let number = value;
+  if (typeof value === "string") {
+    const read = numberFromText(value, schema);
+    if (!read) return INVALID;
+    number = read.value;
+    issues.push({ path, kind: read.dimension ? "dimension" : "coerced", message: quote(value) + " read as " + number });
+  }
+  if (typeof number !== "number" || !Number.isFinite(number)) return INVALID;
+  if (schema.exclusiveMinimum !== undefined && number <= schema.exclusiveMinimum) return INVALID;
+  if (typesOf(schema).includes("integer") && !Number.isInteger(number)) {
+    issues.push({ path, kind: "coerced", message: number + " rounded to " + Math.round(number) });
+    return Math.round(number);
+  }
+  return number;
+}
+
+function coerceString(value, schema) {
+  let str = typeof value === "number" ? String(value) : value;
+  if (typeof str !== "string") return INVALID;
+  if (!schema.enum) return str;
+  str = str.trim().toLowerCase();
+  return schema.enum.includes(str) ? str : INVALID;
+}
+
+function coerce(value, schema, path, issues) {
+  const types = typesOf(schema);
+  if ((value === null || value === undefined || value === "") && types.includes("null")) return null;
+
+  if (types.includes("array")) {
+    if (value === null || value === undefined) return [];
+    let items = value;
+    if (!Array.isArray(value)) {
+      if (!isPlainObject(value) || schema.items?.type !== "object") return INVALID;
+      issues.push({ path, kind: "coerced", message: "single object wrapped in a list" });
+      items = [value];
+    }
+    const out = [];
+    items.forEach((item, i) => {
+      const itemPath = path + "[" + i + "]";
+      const before = issues.length;
+      const v = coerce(item, schema.items, itemPath, issues);
+      if (v === INVALID) {
+        // Keep the reason the item failed, if a field gave one
+        const reason = issues.slice(before).find((issue) => issue.kind === "missing" || issue.kind === "invalid");
+        issues.splice(before);
+        issues.push({ path: itemPath, kind: "dropped", message: reason ? reason.path.slice(itemPath.length + 1) + ": " + reason.message : "expected " + describeExpected(schema.items) + ", got " + quote(item) });
+      } else {
+        out.push(v);
+      }
+    });
+    return out;
+  }
+
+  if (types.includes("object")) {
+    if (!isPlainObject(value)) return INVALID;
+    const out = { ...value };
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      const propPath = path ? path + "." + key : key;
+      const required = schema.required?.includes(key);
+      if (value[key] === undefined) {
+        if (required) {
+          issues.push({ path: propPath, kind: "missing", message: "is missing" });
+          return INVALID;
+        }
+        if (typesOf(propSchema).includes("array")) out[key] = [];
+        continue;
+      }
+      const v = coerce(value[key], propSchema, propPath, issues);
+      if (v !== INVALID) {
+        out[key] = v;
+        continue;
+      }
+      issues.push({ path: propPath, kind: "invalid", message: "expected " + describeExpected(propSchema) + ", got " + quote(value[key]) });
+      if (required) return INVALID;
+      out[key] = typesOf(propSchema).includes("array") ? [] : null;
+    }
+    return out;
+  }
+
+  if (types.includes("number") || types.includes("integer")) return coerceNumber(value, schema, path, issues);
+  if (types.includes("string")) return coerceString(value, schema);
+  return value;
+}
+
+// ── Validation ──────────────────────────────────────────────────────
+
+/**
+ * Check a parsed AI reply against its page type's schema and repair it.
+ *
+ * @param {*} data – the parsed JSON
+ * @param {string} pageType – a key of AI_RESPONSE_SCHEMAS
+ * @returns {{ value: object, issues: Array<{ path, kind, message }>, errors: Array<{ path, kind, message }> }}
+ *   value is the repaired reply (an empty object when the reply was not an
+ *   object at all); issues lists everything changed — kind is "coerced" or
+ *   "dimension" for values read from text, "invalid" for cleared values,
+ *   "dropped" for removed list items and "missing" for a missing value;
+ *   errors are the issues that lost information, worth asking the model
+ *   to fix
+ */
+export function validateAiResponse(data, pageType) {
+  const schema = AI_RESPONSE_SCHEMAS[pageType];
+  if (!schema) return { value: data, issues: [], errors: [] };
+  const issues = [];
+  let value = coerce(data, schema, "", issues);
+  if (value === INVALID) {
+    issues.push({ path: "", kind: "invalid", message: "expected a JSON object, got " + (Array.isArray(data) ? "a list" : quote(data)) });
+    value = coerce({}, schema, "", []);
+  }
+  return { value, issues, errors: issues.filter((issue) => issue.kind === "invalid" || issue.kind === "dropped" || issue.kind === "missing") };
+}
+
+/**
+ * One line per kind of problem for the extraction warnings, with list
+ * indices collapsed: `wallSegments[].length: 3 dimension strings read as
+ * feet (e.g. "12'-6\"" read as 12.5)`.
+ */
+export function summarizeAiIssues(issues) {
+  const groups = new Map();
+  for (const issue of issues) {
+    const key = issue.kind + " " + issue.path.replace(/\[\d+\]/g, "[]");
+    if (!groups.has(key)) groups.set(key, { ...issue, path: issue.path.replace(/\[\d+\]/g, "[]"), count: 0 });
+    groups.get(key).count++;
+  }
+  return [...groups.values()].map(({ path, kind, message, count }) => {
+    const where = (path || "response") + ": ";
+    const plural = (word) => count + " " + word + (count === 1 ? "" : "s");
+    switch (kind) {
+      case "dimension": return where + plural("dimension string") + " converted (e.g. " + message + ")";
+      case "coerced": return where + plural("value") + " repaired (e.g. " + message + ")";
+      case "dropped": return where + plural("item") + " dropped (e.g. " + message + ")";
+      default: return where + plural("value") + " ignored (" + message + ")";
+    }
+  });
+}
+
+/**
+ * The errors as a note asking the model to correct its reply.
+ */
+export function describeAiErrors(errors, limit = 20) {
+  const lines = errors.slice(0, limit).map((e) => "- " + (e.path || "response") + ": " + e.message);
+  if (errors.length > limit) lines.push("- ... and " + (errors.length - limit) + " more");
+  return lines.join("\n");
+}
@@ -0,0 +1,226 @@
+/**
+ * Tiled AI extraction for large sheets.
+ *
+ * Vision models shrink every image to roughly 1,500 px on its long edge,
+ * so a whole 24x36 sheet sent at once loses its dimension text. A large
+ * sheet is instead cut into overlapping tiles, each rendered so the
+ * sheet's text comes out at a readable height, and each tile is read on
+ * its own. The tile size follows from the sheet size and the height of its
+ * text; tiles with no text are skipped and crowded ones split further.
+ *
+ * Tiles are in sheet coordinates: a pdf.js viewport at scale 1, in points
+ * from the top-left of the sheet as displayed. Items the model places in a
+ * tile ("at": [x, y] as fractions of the tile image) are mapped back onto
+ * the sheet. Where tiles overlap, an item belongs to the tile whose centre
+ * is nearest to it; the other tile's reading of it is dropped.
+ */
+
+import { parseDimensions } from "./parsers";
+
+// Long edge of a tile image; larger images are downscaled by the models
+const TILE_MAX_PX = 1568;
+// Text must come out at least this tall in a tile image to be read reliably
+const MIN_TEXT_PX = 12;
+// Text height assumed when a sheet has no text layer
+const DEFAULT_TEXT_PT = 8;
+// Tiles are never smaller than 4" or rendered sharper than this
+const MIN_TILE_PT = 288;
+const MAX_TILE_SCALE = 4;
+// Neighbouring tiles share at least an inch, enough for a dimension string
+const MIN_OVERLAP_PT = 72;
+const OVERLAP_RATIO = 0.1;
+// Beyond this many text lines a tile is split in four
+const DENSE_TILE_LINES = 300;
+// Cost ceiling: the grid grows its tiles rather than exceed this
+const MAX_TILES = 16;
+// Box drawn around an item placed by the model, for provenance
+const LABEL_BOX_PT = 36;
+
+// ── Tile grid ───────────────────────────────────────────────────────
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Split `length` into `count` spans that overlap by `overlap`
+function spans(length, count, overlap) {
+  const size = (length + (count - 1) * overlap) / count;
+  return Array.from({ length: count }, (_, i) => ({ start: i * (size - overlap), size }));
+}
+
+function gridTiles(rect, tileSide, overlap) {
+  const count = (length) => Math.max(1, Math.ceil((length - overlap) / (tileSide - overlap)));
+  const cols = spans(rect.width, count(rect.width), overlap);
+  const rows = spans(rect.height, count(rect.height), overlap);
+  return rows.flatMap((r) => cols.map((c) => ({
+    x: rect.x + c.start, y: rect.y + r.start, width: c.size, height: r.size,
+  })));
+}
+
+const boxCenter = (box) => ({ x: box.x + box.width / 2, y: box.y + box.height / 2 });
+const contains = (tile, p) => p.x >= tile.x && p.x <= tile.x + tile.width && p.y >= tile.y && p.y <= tile.y + tile.height;
+
+/**
+ * Plan the tiles for one sheet.
+ *
+ * @param {{ width: number, height: number, textBoxes: Array<{ x, y, width, height, fontSize }> }} sheet
+ *   size and text lines in sheet coordinates
+ * @returns {{ tiled: boolean, tiles: Array<{ id, x, y, width, height, lines }>, overlap: number }}
+ *   tiled is false when the sheet fits one image at a readable size; then
+ *   tiles holds the whole sheet. lines counts the text lines in a tile.
+ */
+export function planAiTiles({ width, height, textBoxes = [] }) {
+  const sheet = { x: 0, y: 0, width, height };
+  const textPt = textBoxes.length ? median(textBoxes.map((b) => b.fontSize || b.height)) : DEFAULT_TEXT_PT;
+  let tileSide = Math.max(MIN_TILE_PT, (TILE_MAX_PX * textPt) / MIN_TEXT_PX);
+  if (Math.max(width, height) <= tileSide) {
+    return { tiled: false, tiles: [{ id: "1", ...sheet, lines: textBoxes.length }], overlap: 0 };
+  }
+
+  const countLines = (tile) => textBoxes.filter((b) => contains(tile, boxCenter(b))).length;
+  let overlap;
+  let tiles;
+  for (;;) {
+    overlap = Math.max(MIN_OVERLAP_PT, tileSide * OVERLAP_RATIO);
+    tiles = gridTiles(sheet, tileSide, overlap).map((t) => ({ ...t, lines: countLines(t) }));
+    if (tiles.length <= MAX_TILES) break;
+    tileSide *= 1.25;
+  }
+
+  // Crowded tiles are split while the budget allows
+  const split = [];
+  let budget = MAX_TILES - tiles.length;
+  for (const tile of tiles) {
+    const half = Math.max(tile.width, tile.height) / 2 + overlap / 2;
+    if (tile.lines > DENSE_TILE_LINES && budget >= 3 && half >= MIN_TILE_PT) {
+      split.push(...gridTiles(tile, half, overlap).map((t) => ({ ...t, lines: countLines(t) })));
+      budget -= 3;
+    } else {
+      split.push(tile);
+    }
+  }
+
+  // Tiles without text carry no dimensions; a sheet with no text layer keeps them all
+  const kept = textBoxes.length ? split.filter((t) => t.lines > 0) : split;
+  return { tiled: true, tiles: kept.map((t, i) => ({ ...t, id: String(i + 1) })), overlap };
+}
+
+/** Render scale that brings a tile's long edge to the tile image size. */
+export function tileRenderScale(tile) {
+  return Math.min(MAX_TILE_SCALE, TILE_MAX_PX / Math.max(tile.width, tile.height));
+}
+
+/**
+ * Dimension callouts whose text lies in the tile, as prompt context.
+ */
+export function tileContextText(tile, textBoxes, { bareUnit } = {}) {
+  return textBoxes
+    .filter((b) => contains(tile, boxCenter(b)))
+    .flatMap((b) => parseDimensions(b.text || "", { bareUnit }).map((d) => d.raw.trim()))
+    .join(", ");
+}
+
+/**
+ * Instructions added to the page prompt for one tile.
+ */
+export function tilePromptNote(tile, plan) {
+  const inches = Math.max(1, Math.round(plan.overlap / 72));
+  return "\n\nThis image is tile " + tile.id + " of " + plan.tiles.length + " cut from one large sheet; " +
+    "neighbouring tiles overlap by about " + inches + (inches === 1 ? " inch. " : " inches. ") +
+    "Extract only what is drawn in this image, including items cut off at its edges. " +
+    "A wall cut off at an edge is reported by the tile that shows its dimension: leave it out when its dimension is not in this image, and give its full dimensioned length when it is. " +
+    'For every item in a list, add "at": [x, y] — where its label or dimension is, or its centre when it has neither, as fractions (0 to 1) of this image\'s width and height.';
+}
+
+// ── Merging ─────────────────────────────────────────────────────────
+
+// Plain text entries (notes) compare case-folded
+const textKey = (entry) => JSON.stringify(typeof entry === "string" ? entry.trim().toLowerCase() : entry);
+
+// The tile a sheet point belongs to: of the tiles read that contain it, the
+// one whose centre is nearest, so each overlap is split down its middle
+function owningTile(tiles, p) {
+  let owner = null;
+  let best = Infinity;
+  for (const tile of tiles) {
+    if (!contains(tile, p)) continue;
+    const c = boxCenter(tile);
+    const d = Math.hypot(p.x - c.x, p.y - c.y);
+    if (d < best) {
+      best = d;
+      owner = tile;
+    }
+  }
+  return owner;
+}
+
+function sheetPoint(at, tile) {
+  if (!Array.isArray(at) || at.length !== 2 || !at.every((v) => typeof v === "number")) return null;
+  const [fx, fy] = at.map((v) => Math.min(1, Math.max(0, v)));
+  return { x: tile.x + fx * tile.width, y: tile.y + fy * tile.height };
+}
+
+/**
+ * Merge the validated replies for a sheet's tiles into one reply.
+ *
+ * Lists are joined. An entry placed in the part of its tile that another
+ * tile read owns (see owningTile()) is that tile's to report and is
+ * dropped, so an item read from both sides of a seam at the same label is
+ * counted once (walls crossing a seam are reported only by the tile with
+ * their dimension, see tilePromptNote()). Entries without a position are all
+ * kept — identical doors in neighbouring tiles are usually different doors
+ * — except plain text (notes), which is kept once. Single values (e.g.
+ * ROOF_PLAN sheathing) come from the first tile that has one.
+ *
+ * @param {Array<{ tile, result: object }>} parts
+ * @param {{ toPage?: (x: number, y: number) => [number, number] }} options
+ *   toPage maps sheet coordinates to PDF page coordinates; placed entries
+ *   then get a `bbox` there, for provenance
+ * @returns {{ result: object, duplicates: number }}
+ */
+export function mergeTileResults(parts, { toPage } = {}) {
+  const result = {};
+  const seenText = {};
+  let duplicates = 0;
+  const tiles = parts.map((p) => p.tile);
+
+  for (const { tile, result: reply } of parts) {
+    for (const [key, value] of Object.entries(reply || {})) {
+      if (!Array.isArray(value)) {
+        if (result[key] === undefined || result[key] === null) result[key] = value;
+        continue;
+      }
+      if (!result[key]) {
+        result[key] = [];
+        seenText[key] = new Set();
+      }
+      for (const entry of value) {
+        if (typeof entry !== "object" || entry === null) {
+          const identity = textKey(entry);
+          if (seenText[key].has(identity)) {
+            duplicates++;
+          } else {
+            seenText[key].add(identity);
+            result[key].push(entry);
+          }
+          continue;
+        }
+        const point = sheetPoint(entry.at, tile);
+        if (point && owningTile(tiles, point) !== tile) {
+          duplicates++;
+          continue;
+        }
+        const { at, ...fields } = entry;
+        if (point && toPage) {
+          const [x1, y1] = toPage(point.x - LABEL_BOX_PT / 2, point.y - LABEL_BOX_PT / 2);
+          const [x2, y2] = toPage(point.x + LABEL_BOX_PT / 2, point.y + LABEL_BOX_PT / 2);
+          fields.bbox = { x: Math.min(x1, x2), y: Math.min(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) };
+        }
+        result[key].push(fields);
+      }
+    }
+  }
+  return { result, duplicates };
+}
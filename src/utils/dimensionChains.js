@@ -0,0 +1,258 @@
+/**
+ * Dimension string chains.
+ *
+ * Dimensions along a wall are drawn as a string of segments
+ * (3'-6" + 12'-0" + 8'-4") with an overall dimension on a parallel
+ * dimension line further out. parseDimensions() sees them as a flat list;
+ * this module puts them back together from the spatial text: dimension
+ * texts that follow each other along one baseline form a chain, and a
+ * dimension on a nearby parallel line lying within the chain is its
+ * overall. A chain whose segments do not add up to its overall is flagged.
+ *
+ * Each chain's text sits at the middle of its segments, so the distance
+ * between the first and last segment labels is a known length in feet —
+ * which lets the scanner check a calibrated scale without any clicks.
+ */
+
+import { parseDimensions } from "./parsers";
+import { itemBounds } from "./spatialText";
+import { resolveScaleId, getScale, pixelsToFeet } from "./planScale";
+
+// Segments must add up to the overall within this (drawings round to 1/4")
+const MATCH_TOLERANCE_FT = 0.25 / 12;
+// Metric drawings round to the millimetre
+const METRIC_MATCH_TOLERANCE_FT = 2 / 304.8;
+// An overall further off than this is another dimension, not a mistake
+const MAX_MISMATCH_RATIO = 0.1;
+// Overall dimension lines sit within this many text heights of the string
+const MAX_ROW_GAP_FONT_SIZES = 12;
+// Gap (in character widths) that separates two texts on one line
+const TOKEN_GAP_CHARS = 2.5;
+// Label spans shorter than this are too sensitive to text placement to check a scale
+const MIN_CHECK_SPAN_FT = 4;
+
+// ─── Dimension tokens ───────────────────────────────────────────────
+
+function charWidth(item) {
+  return item.str.length > 0 ? item.width / item.str.length : item.fontSize * 0.5;
+}
+
+/**
+ * Split a line into texts separated by wide gaps and keep those that read
+ * as exactly one dimension.
+ */
+function lineTokens(line, toPixel, bareUnit) {
+  const groups = [];
+  for (const item of line.items) {
+    const prev = groups[groups.length - 1];
+    const last = prev?.items[prev.items.length - 1];
+    const gap = last ? item.u - (last.u + last.width) : Infinity;
+    if (last && gap <= charWidth(last) * TOKEN_GAP_CHARS) {
+      prev.text += (gap > charWidth(last) * 0.3 ? " " : "") + item.str;
+      prev.items.push(item);
+    } else {
+      groups.push({ text: item.str, items: [item] });
+    }
+  }
+
+  return groups.map((group) => {
+    const text = group.text.trim();
+    const dims = parseDimensions(text, { bareUnit });
+    const dim = dims.length === 1 && text.length <= dims[0].raw.trim().length + 2 ? dims[0] : null;
+    const first = group.items[0];
+    const last = group.items[group.items.length - 1];
+    return {
+      dim,
+      u0: first.u,
+      u1: last.u + last.width,
+      v: line.y,
+      fontSize: line.fontSize,
+      rect: pixelRect(group.items, toPixel),
+    };
+  });
+}
+
+function pixelRect(items, toPixel) {
+  const points = items.flatMap((item) => {
+    const box = itemBounds(item);
+    return [toPixel(box.x, box.y), toPixel(box.x + box.width, box.y + box.height)];
+  });
+  const x1 = Math.min(...points.map((p) => p.x));
+  const y1 = Math.min(...points.map((p) => p.y));
+  const x2 = Math.max(...points.map((p) => p.x));
+  const y2 = Math.max(...points.map((p) => p.y));
+  return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+}
+
+function rectCenter(rect) {
+  return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+}
+
+function unionRect(rects) {
+  const x1 = Math.min(...rects.map((r) => r.x));
+  const y1 = Math.min(...rects.map((r) => r.y));
+  const x2 = Math.max(...rects.map((r) => r.x + r.width));
+  const y2 = Math.max(...rects.map((r) => r.y + r.height));
+  return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+}
+
+/**
+ * Runs of two or more consecutive dimension tokens on a line.
+ */
+function dimensionRuns(tokens) {
+  const runs = [];
+  let run = [];
+  for (const token of tokens) {
+    if (token.dim) {
+      run.push(token);
+      continue;
+    }
+    if (run.length >= 2) runs.push(run);
+    run = [];
+  }
+  if (run.length >= 2) runs.push(run);
+  return runs;
+}
+
+// ─── Chains ─────────────────────────────────────────────────────────
+
+const sumFeet = (tokens) => tokens.reduce((s, t) => s + t.dim.feet, 0);
+const tokenCenter = (t) => (t.u0 + t.u1) / 2;
+
+/**
+ * Contiguous part of a run (two or more segments) that adds up to
+ * `overall` and spans its label. Longest first.
+ */
+function matchingSubrun(run, overall, tolerance) {
+  const center = tokenCenter(overall);
+  for (let len = run.length; len >= 2; len--) {
+    for (let start = 0; start + len <= run.length; start++) {
+      const part = run.slice(start, start + len);
+      if (center < part[0].u0 || center > part[len - 1].u1) continue;
+      if (Math.abs(sumFeet(part) - overall.dim.feet) <= tolerance) return { start, len };
+    }
+  }
+  return null;
+}
+
+function buildChain(segments, overall, tolerance) {
+  const total = sumFeet(segments);
+  const difference = overall ? total - overall.dim.feet : 0;
+  const first = segments[0];
+  const last = segments[segments.length - 1];
+  const a = rectCenter(first.rect);
+  const b = rectCenter(last.rect);
+  return {
+    segments: segments.map((t) => ({ raw: t.dim.raw.trim(), feet: t.dim.feet })),
+    total,
+    overall: overall ? { raw: overall.dim.raw.trim(), feet: overall.dim.feet } : null,
+    status: !overall ? "open" : Math.abs(difference) <= tolerance ? "ok" : "mismatch",
+    difference,
+    metric: segments.every((t) => t.dim.metric),
+    rect: unionRect([...segments, ...(overall ? [overall] : [])].map((t) => t.rect)),
+    // Label to label: half of the first and last segments plus all between
+    pixelSpan: Math.hypot(b.x - a.x, b.y - a.y),
+    spanFeet: total - first.dim.feet / 2 - last.dim.feet / 2,
+  };
+}
+
+/**
+ * Find the dimension chains on a page.
+ *
+ * @param {object} spatialData – output of extractSpatialText()
+ * @param {(x: number, y: number) => {x, y}} toPixel – PDF user space to
+ *   rendered image pixels
+ * @param {{ bareUnit?: "mm" }} [units] – the sheet's convention, from
+ *   detectSheetUnits()
+ * @returns {Array<{ segments: Array<{ raw, feet }>, total, overall: { raw, feet }|null,
+ *   status: "ok"|"mismatch"|"open", difference, metric, rect, pixelSpan, spanFeet }>}
+ *   total and difference (total − overall) in feet; rect in image pixels;
+ *   pixelSpan is the distance between the first and last segment labels,
+ *   which measures spanFeet on the drawing
+ */
+export function findDimensionChains(spatialData, toPixel, { bareUnit } = {}) {
+  const lines = (spatialData.lines || []).map((line) => ({ line, tokens: lineTokens(line, toPixel, bareUnit) }));
+  const chains = [];
+
+  for (const { line, tokens } of lines) {
+    for (const run of dimensionRuns(tokens)) {
+      const tolerance = run.every((t) => t.dim.metric) ? METRIC_MATCH_TOLERANCE_FT : MATCH_TOLERANCE_FT;
+      // Dimensions on nearby parallel lines that fall within the run, nearest first
+      const maxGap = line.fontSize * MAX_ROW_GAP_FONT_SIZES;
+      const overalls = lines
+        .filter((other) => other.line !== line && other.line.angle === line.angle && Math.abs(other.line.y - line.y) <= maxGap)
+        .flatMap((other) => other.tokens)
+        .filter((t) => t.dim && tokenCenter(t) >= run[0].u0 && tokenCenter(t) <= run[run.length - 1].u1)
+        .sort((a, b) => Math.abs(a.v - line.y) - Math.abs(b.v - line.y));
+
+      // Each overall claims the part of the run that adds up to it
+      const used = new Array(run.length).fill(false);
+      const matched = [];
+      for (const overall of overalls) {
+        const match = matchingSubrun(run, overall, tolerance);
+        if (!match || used.slice(match.start, match.start + match.len).some(Boolean)) continue;
+        used.fill(true, match.start, match.start + match.len);
+        matched.push(buildChain(run.slice(match.start, match.start + match.len), overall, tolerance));
+      }
+      if (matched.length) {
+        chains.push(...matched);
+        continue;
+      }
+
+      // No overall adds up: a close one is a mistake on the drawing
+      const total = sumFeet(run);
+      const near = overalls.find((t) => Math.abs(total - t.dim.feet) <= t.dim.feet * MAX_MISMATCH_RATIO);
+      chains.push(buildChain(run, near || null, tolerance));
+    }
+  }
+  return chains;
+}
+
+/**
+ * Human-readable note for a chain whose segments miss its overall.
+ */
+export function describeChainMismatch(chain) {
+  const off = Math.abs(chain.difference);
+  const amount = chain.metric ? Math.round(off * 304.8) + " mm" : +(off * 12).toFixed(2) + '"';
+  return "Dimension string " + chain.segments.map((s) => s.raw).join(" + ") + " does not add up to its overall " +
+    chain.overall.raw + " (" + amount + (chain.difference > 0 ? " over" : " short") + ")";
+}
+
+// ─── Scale check ────────────────────────────────────────────────────
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Check the calibrated scales on a page against its dimension chains: each
+ * chain's label span is measured with the scale governing it and compared
+ * with the length the chain says it is. Chains that disagree with their
+ * own overall are left out.
+ *
+ * @param {Array} chains – the page's findDimensionChains() result
+ * @param {object} scales – plan scale state (see planScale.js)
+ * @param {number} page – 0-based page index
+ * @returns {Array<{ scaleId, chains: number, error: number, pixelsPerFoot: number }>}
+ *   per calibrated scale: the median relative error (positive when the
+ *   scale measures long) and the pixels per foot the chains imply
+ */
+export function checkScaleAgainstChains(chains, scales, page) {
+  const byScale = new Map();
+  for (const chain of chains || []) {
+    if (chain.status === "mismatch" || chain.spanFeet < MIN_CHECK_SPAN_FT || !(chain.pixelSpan > 0)) continue;
+    const scaleId = resolveScaleId(scales, page, rectCenter(chain.rect));
+    const scale = getScale(scales, scaleId);
+    if (!scale) continue;
+    if (!byScale.has(scaleId)) byScale.set(scaleId, { scale, chains: [] });
+    byScale.get(scaleId).chains.push(chain);
+  }
+  return [...byScale].map(([scaleId, { scale, chains: list }]) => ({
+    scaleId,
+    chains: list.length,
+    error: median(list.map((c) => pixelsToFeet(c.pixelSpan, scale) / c.spanFeet - 1)),
+    pixelsPerFoot: median(list.map((c) => c.pixelSpan / c.spanFeet)),
+  }));
+}
@@ -3,14 +3,27 @@
  *
  * Central data structure that all specialized parsers contribute to and
  * that the takeoff tabs consume. Bridges PDF parsing → material takeoff.
+ *
+ * Every extracted item carries a `source` so estimators can show where a
+ * number came from:
+ *   { page: 4, bbox: { x, y, width, height } | null,
+ *     text: "A | 2x6 | 16\" O.C. | 9'-0\"", extractor: "schedule" }
+ * bbox is in PDF page coordinates (points, origin bottom-left). extractor
+ * is one of "text", "schedule", "notes", "ai", "vector" or "agent".
+ * Items read from an OCR'd (scanned) page also carry `ocr: true`, and
+ * items from a page whose title block names it carry `sheet: "A2.1"`.
  */
 
+import { unmergeItems } from "./reconcile";
+
+export const EXTRACTORS = ["text", "schedule", "notes", "ai", "vector", "agent"];
+
 /**
  * Create a fresh, empty extraction result.
  */
 export function createExtractionResult() {
   return {
-    // Project metadata
+    // Project metadata, from the title blocks
     projectInfo: {
       name: "",
       address: "",
@@ -18,6 +31,24 @@ export function createExtractionResult() {
       date: "",
     },
 
+    // Sheets named by their title blocks
+    sheets: [],
+    // e.g. { page: 3, sheetNumber: "A2.1", sheetTitle: "EXTERIOR ELEVATIONS",
+    //        revision: "2", date: "03/14/2024" }
+
+    // Sheet index from the cover sheet; page is null for sheets not in the file
+    sheetIndex: [],
+    // e.g. { sheetNumber: "S-201", title: "ROOF FRAMING PLAN", page: 7 }
+
+    // How the drawings are dimensioned, by majority of the pages that show
+    // it: "imperial" | "metric" | null (see parsers.detectSheetUnits)
+    units: null,
+
+    // Provider and model of the last AI extraction run (see aiProviders.js)
+    aiProvider: null,
+    // e.g. { provider: "local", label: "Local server (LAN)", model: "llava",
+    //        endpoint: "http://10.0.0.5:11434/v1/chat/completions", usedAt: "2024-03-14T..." }
+
     // Wall type definitions from wall schedule
     wallTypes: [],
     // e.g. { type: "A", studSize: "2x6", spacing: 16, height: 9.0,
@@ -26,6 +57,9 @@ export function createExtractionResult() {
     // Wall segments from floor plans
     wallSegments: [],
     // e.g. { wallType: "A", length: 24.5, room: "Living Room", page: 3 }
+    // Vector-detected walls add: { studSize: "2x6", thickness: 6.5,
+    //   geometry: { x1, y1, x2, y2 } } with source.extractor "vector"
+    //   (geometry in page-image pixels)
 
     // Openings from door/window schedules
     openings: [],
@@ -46,6 +80,17 @@ export function createExtractionResult() {
     // Structural members (beams, columns, posts)
     structuralMembers: [],
     // e.g. { type: "beam", size: "LVL 3.5x11.875", span: 16, location: "Main bearing line" }
+    // Openings, members and wall segments the AI read again carry the AI
+    // items in `merged`, and `conflicts` where the readings disagree (see
+    // reconcile.js)
+
+    // Shear wall types from a shear wall schedule (spacings in inches)
+    shearWallTypes: [],
+    // e.g. { mark: "SW1", sheathing: "15/32\" OSB", sheathingType: "OSB",
+    //        sheathingThickness: "15/32", sides: 1, nail: "8d",
+    //        edgeNailing: 4, fieldNailing: 12, anchorBoltSize: "5/8\"",
+    //        anchorBoltSpacing: 48, holdDown: "HDU5", capacity: 350 }
+    // Wall segments tagged on the plan carry shearType: "SW1"
 
     // Steel members (for mixed wood + steel framing)
     steelMembers: [],
@@ -77,6 +122,8 @@ export function createExtractionResult() {
       subfloorThickness: null,
       blockingSpec: null,
     },
+    // Where each spec override came from, keyed like specOverrides
+    specOverrideSources: {},
 
     // Additional framing items beyond the three main calculators
     additionalFraming: {
@@ -102,25 +149,90 @@ export function createExtractionResult() {
   };
 }
 
+// Item lists that parsers contribute to
+const ITEM_KEYS = ["wallTypes", "wallSegments", "openings", "floorSpecs", "roofSpecs", "structuralMembers", "shearWallTypes", "steelMembers", "hardware", "warnings"];
+
 /**
  * Merge partial results into the extraction result, deduplicating by key.
+ *
+ * `source` ({ page, extractor }) is stamped onto every merged item and spec
+ * override; fields the parser already set (bbox, text) are kept. Sources
+ * on a sheet listed in `result.sheets` also get its sheet number.
  */
-export function mergeIntoResult(result, partial) {
-  for (const key of ["wallTypes", "wallSegments", "openings", "floorSpecs", "roofSpecs", "structuralMembers", "steelMembers", "hardware", "warnings"]) {
+export function mergeIntoResult(result, partial, source = null) {
+  const withSheet = (src) => {
+    const sheet = !src?.sheet && src?.page ? result.sheets?.find((s) => s.page === src.page)?.sheetNumber : null;
+    return sheet ? { ...src, sheet } : src;
+  };
+  const stamp = (item) => {
+    if (!item || typeof item !== "object") return item;
+    if (source) return { ...item, source: withSheet({ bbox: null, text: "", ...source, ...item.source }) };
+    return item.source ? { ...item, source: withSheet(item.source) } : item;
+  };
+  for (const key of ITEM_KEYS) {
     if (partial[key]?.length) {
-      result[key].push(...partial[key]);
+      if (!result[key]) result[key] = [];
+      result[key].push(...partial[key].map(stamp));
     }
   }
   if (partial.specOverrides) {
+    if (!result.specOverrideSources) result.specOverrideSources = {};
     for (const [k, v] of Object.entries(partial.specOverrides)) {
       if (v !== null && v !== undefined) {
         result.specOverrides[k] = v;
+        const itemSource = partial.specOverrideSources?.[k];
+        if (source || itemSource) result.specOverrideSources[k] = withSheet({ bbox: null, text: "", ...source, ...itemSource });
       }
     }
   }
+  // Every title block repeats the project block; the first sheet to give a
+  // field (normally the cover) wins
   if (partial.projectInfo) {
     for (const [k, v] of Object.entries(partial.projectInfo)) {
-      if (v) result.projectInfo[k] = v;
+      if (v && !result.projectInfo[k]) result.projectInfo[k] = v;
     }
   }
 }
+
+/**
+ * Copy of the result without what one page's extractors contributed, so
+ * the page can be parsed again (e.g. as a different page type) and merged
+ * back in. Warnings carry no source and are kept.
+ *
+ * @param {number} page – 1-based
+ * @param {string[]} extractors – e.g. ["schedule", "notes", "ai"]
+ */
+export function removePageContributions(result, page, extractors) {
+  const fromPage = (source) => source?.page === page && extractors.includes(source.extractor);
+  const next = { ...result, specOverrides: { ...result.specOverrides }, specOverrideSources: { ...result.specOverrideSources } };
+  // Reconciled items are split apart first; reconcile again afterwards
+  for (const key of ITEM_KEYS) {
+    if (result[key]) next[key] = unmergeItems(result[key]).filter((item) => !fromPage(item?.source));
+  }
+  for (const [k, source] of Object.entries(next.specOverrideSources)) {
+    if (!fromPage(source)) continue;
+    next.specOverrides[k] = null;
+    delete next.specOverrideSources[k];
+  }
+  return next;
+}
+
+/**
+ * Short human-readable label for where an item came from, e.g.
+ * "A2.1 · schedule", or "Pg 4 · schedule" when the sheet has no number.
+ */
+export function formatSource(source) {
+  if (!source) return "";
+  return [source.sheet || (source.page ? "Pg " + source.page : null), source.extractor].filter(Boolean).join(" \u00B7 ");
+}
+
+/**
+ * Label for a page: its sheet number when the title block gave one.
+ *
+ * @param {object|null} result – extraction result (its `sheets`)
+ * @param {number} page – 1-based
+ */
+export function pageLabel(result, page) {
+  const sheet = result?.sheets?.find((s) => s.page === page);
+  return sheet?.sheetNumber || "Pg " + page;
+}
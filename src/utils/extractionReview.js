@@ -0,0 +1,262 @@
+/**
+ * Extraction review model.
+ *
+ * Turns an extraction result into a flat list of reviewable items (one per
+ * wall type, opening, spec override, ...) and applies the user's
+ * accept / reject / edit decisions back onto the result before it reaches
+ * the takeoff mappers. Only accepted items survive applyReviewDecisions(),
+ * and only accepted header schedule members size the openings' headers.
+ *
+ * Decisions are keyed by a stable item id so they survive a re-scan of the
+ * same plans:
+ *   { "wallTypes:A:4:72,540,310,12": { status: "accepted", edits: { studSize: "2x6" } } }
+ */
+
+import { applyHeaderSchedule } from "./scheduleParser";
+
+export const REVIEW_STATUSES = ["pending", "accepted", "rejected"];
+
+// Categories in display order. `fields` are the editable properties.
+export const REVIEW_CATEGORIES = [
+  { key: "wallTypes", label: "Wall Types", fields: ["studSize", "spacing", "height", "sheathingType", "exterior"] },
+  { key: "wallSegments", label: "Wall Segments", fields: ["wallType", "length", "room"] },
+  { key: "openings", label: "Openings", fields: ["width", "height", "quantity", "headerSize", "wallType"] },
+  { key: "floorSpecs", label: "Floor Specs", fields: ["area", "joistSize", "spacing", "span", "width"] },
+  { key: "roofSpecs", label: "Roof Specs", fields: ["section", "rafterSize", "spacing", "pitch", "ridgeLength", "span"] },
+  { key: "structuralMembers", label: "Structural Members", fields: ["type", "size", "plies", "span", "quantity", "location"] },
+  { key: "shearWallTypes", label: "Shear Wall Types", fields: ["sheathing", "sides", "edgeNailing", "fieldNailing", "anchorBoltSpacing", "holdDown"] },
+  { key: "steelMembers", label: "Steel Members", fields: ["type", "shape", "span", "location"] },
+  { key: "hardware", label: "Hardware", fields: ["model", "quantity", "location"] },
+  { key: "specOverrides", label: "Spec Overrides", fields: ["value"] },
+];
+
+// Baseline trust in each extractor before page and completeness adjustments
+const EXTRACTOR_CONFIDENCE = { schedule: 0.9, notes: 0.8, vector: 0.75, ai: 0.7, text: 0.6, agent: 0.5 };
+const DEFAULT_CONFIDENCE = 0.5;
+// Text recognized from a scan is less trustworthy than a PDF text layer
+const OCR_CONFIDENCE_FACTOR = 0.8;
+
+// Fields an item needs before it is useful to a mapper
+const REQUIRED_FIELDS = {
+  wallTypes: ["type", "studSize"],
+  wallSegments: ["length"],
+  openings: ["mark", "width", "height"],
+  floorSpecs: ["joistSize", "span"],
+  roofSpecs: ["rafterSize", "span"],
+  structuralMembers: ["size"],
+  shearWallTypes: ["mark", "edgeNailing"],
+  steelMembers: ["shape"],
+  hardware: ["model"],
+};
+
+// A second extractor agreeing removes this share of the remaining doubt
+const CORROBORATION_FACTOR = 0.5;
+// Items whose readings disagree never rate above this
+const CONFLICT_CONFIDENCE = 0.4;
+
+// Extractors whose items were already reviewed elsewhere (on-plan wall review)
+const PRE_ACCEPTED_EXTRACTORS = ["vector"];
+
+// Natural key of an item in categories that have one
+const NATURAL_KEYS = { wallTypes: "type", shearWallTypes: "mark", openings: "mark", structuralMembers: "mark" };
+// Reconciliation bookkeeping is not part of what an item is
+const UNHASHED_FIELDS = ["source", "merged", "conflicts", "replaced"];
+
+// Short string hash (djb2), base 36
+function hashString(str) {
+  let h = 5381;
+  for (let i = 0; i < str.length; i++) h = ((h << 5) + h + str.charCodeAt(i)) | 0;
+  return (h >>> 0).toString(36);
+}
+
+// Hash of the item's values as extracted (before reconciliation replaced any)
+function contentHash(item) {
+  const own = { ...item, ...item.replaced };
+  const fields = Object.keys(own).filter((k) => !UNHASHED_FIELDS.includes(k)).sort();
+  return hashString(JSON.stringify(fields.map((k) => [k, own[k]])));
+}
+
+/**
+ * Stable id for an item, independent of its position in the list: category,
+ * natural key (mark, type) where it has one, source page, and where the
+ * item was found — its bbox or detected geometry, else a hash of its
+ * values. Items identical in all of these get "#2", "#3", ... from
+ * listReviewItems().
+ */
+export function reviewItemId(category, item) {
+  if (category === "specOverrides") return "specOverrides:" + item.key;
+  const page = item?.source?.page ?? item?.page ?? "";
+  const box = item.geometry
+    ? [item.geometry.x1, item.geometry.y1, item.geometry.x2, item.geometry.y2]
+    : item.source?.bbox && [item.source.bbox.x, item.source.bbox.y, item.source.bbox.width, item.source.bbox.height];
+  const place = box ? box.map(Math.round).join(",") : contentHash(item);
+  const key = NATURAL_KEYS[category] ? item[NATURAL_KEYS[category]] || "" : "";
+  return [category, key, page, place].join(":");
+}
+
+/**
+ * One-line description of an item for the review list.
+ */
+export function describeItem(category, item) {
+  const parts = (...values) => values.filter((v) => v !== null && v !== undefined && v !== "").join(" · ");
+  switch (category) {
+    case "wallTypes": return parts("Type " + item.type, item.studSize, item.spacing && item.spacing + "\" O.C.", item.height && item.height + "'", item.exterior ? "Ext" : null);
+    case "wallSegments": return parts(item.wallType ? "Type " + item.wallType : item.studSize && "Detected " + item.studSize, item.shearType && "Shear " + item.shearType, item.length && item.length + " LF", item.room);
+    case "openings": return parts(item.mark, item.category, item.width && item.height && item.width + "' x " + item.height + "'", item.quantity && "x" + item.quantity, item.headerSize && "Hdr " + item.headerSize);
+    case "floorSpecs": return parts(item.area || "Floor", item.joistSize, item.spacing && item.spacing + "\" O.C.", item.span && item.span + "' span");
+    case "roofSpecs": return parts(item.section || "Roof", item.rafterSize, item.pitch, item.span && item.span + "' span");
+    case "structuralMembers": return parts(item.mark, item.type, item.plies > 1 ? "(" + item.plies + ") " + item.size : item.size, item.span && item.span + "'", item.quantity > 1 && "x" + item.quantity, item.location);
+    case "shearWallTypes": return parts(item.mark, item.sheathing, item.sides > 1 && "2 sides", item.edgeNailing && (item.nail ? item.nail + " " : "") + "@ " + item.edgeNailing + "/" + (item.fieldNailing || "?"), item.anchorBoltSpacing && "AB @ " + item.anchorBoltSpacing + "\"", item.holdDown);
+    case "steelMembers": return parts(item.type, item.shape, item.span && item.span + "'", item.location);
+    case "hardware": return parts(item.model, item.type, item.quantity && "x" + item.quantity, item.location);
+    case "specOverrides": return parts(item.key.replace(/([A-Z])/g, " $1").replace(/^./, (c) => c.toUpperCase()), item.value);
+    default: return "";
+  }
+}
+
+/**
+ * Confidence (0–1) for an item: an explicit item.confidence wins, otherwise
+ * the extractor's baseline (reduced for OCR'd pages) scaled by how
+ * confidently its page was classified and by how many required fields
+ * were filled in. An item the AI read again (see reconcile.js) rates
+ * higher when the readings agree and low while they conflict.
+ */
+export function itemConfidence(category, item, result) {
+  if (typeof item.confidence === "number") return item.confidence;
+  let confidence = EXTRACTOR_CONFIDENCE[item.source?.extractor] ?? DEFAULT_CONFIDENCE;
+  if (item.source?.ocr) confidence *= OCR_CONFIDENCE_FACTOR;
+
+  const page = item.source?.page;
+  const cls = page && result?.pageClassifications?.find((c) => c.page === page);
+  if (cls && typeof cls.confidence === "number") confidence *= 0.7 + 0.3 * cls.confidence;
+
+  const required = REQUIRED_FIELDS[category];
+  if (required) {
+    const filled = required.filter((f) => item[f] !== null && item[f] !== undefined && item[f] !== "" && item[f] !== 0).length;
+    confidence *= 0.5 + 0.5 * (filled / required.length);
+  }
+  if (item.conflicts?.length) confidence = Math.min(confidence, CONFLICT_CONFIDENCE);
+  else if (item.merged?.length) confidence = 1 - (1 - confidence) * CORROBORATION_FACTOR;
+  return Math.round(confidence * 100) / 100;
+}
+
+function categoryItems(result, category) {
+  if (category === "specOverrides") {
+    return Object.entries(result.specOverrides || {})
+      .filter(([, v]) => v !== null && v !== undefined)
+      .map(([key, value]) => ({ key, value, source: result.specOverrideSources?.[key] || null }));
+  }
+  return result[category] || [];
+}
+
+/**
+ * Flatten an extraction result into review items with their decisions.
+ *
+ * @returns {Array<{ id, category, index, item, edited, summary, source, confidence, status, edits, conflicts }>}
+ *   `item` is the original, `edited` has the user's edits applied.
+ *   `conflicts` are the item's conflicting fields the user has not edited
+ *   yet; an item with any stays pending until it is decided.
+ */
+export function listReviewItems(result, decisions = {}) {
+  if (!result) return [];
+  const items = [];
+  const seen = new Map();
+  for (const { key: category } of REVIEW_CATEGORIES) {
+    categoryItems(result, category).forEach((item, index) => {
+      const baseId = reviewItemId(category, item);
+      const count = (seen.get(baseId) || 0) + 1;
+      seen.set(baseId, count);
+      const id = count > 1 ? baseId + "#" + count : baseId;
+      const decision = decisions[id];
+      const edits = decision?.edits || {};
+      const edited = { ...item, ...edits };
+      const conflicts = (item.conflicts || []).filter((c) => !(c.field in edits));
+      const defaultStatus = PRE_ACCEPTED_EXTRACTORS.includes(item.source?.extractor) && conflicts.length === 0 ? "accepted" : "pending";
+      items.push({
+        id,
+        category,
+        index,
+        item,
+        edited,
+        summary: describeItem(category, edited),
+        source: item.source || null,
+        confidence: itemConfidence(category, item, result),
+        status: decision?.status || defaultStatus,
+        edits,
+        conflicts,
+      });
+    });
+  }
+  return items;
+}
+
+/**
+ * Count items per status, plus the items not rejected whose readings
+ * still conflict.
+ */
+export function summarizeReview(items) {
+  const counts = { pending: 0, accepted: 0, rejected: 0, conflicts: 0, total: items.length };
+  for (const it of items) {
+    counts[it.status]++;
+    if (it.conflicts?.length && it.status !== "rejected") counts.conflicts++;
+  }
+  return counts;
+}
+
+/**
+ * Return a decisions map with `status` set on the given item ids.
+ */
+export function setReviewStatus(decisions, ids, status) {
+  const next = { ...decisions };
+  for (const id of ids) next[id] = { ...next[id], status };
+  return next;
+}
+
+/**
+ * Return a decisions map with an edit recorded on one item. Editing an item
+ * accepts it — the user has looked at it.
+ */
+export function editReviewItem(decisions, id, field, value) {
+  const prev = decisions[id] || {};
+  return { ...decisions, [id]: { ...prev, status: "accepted", edits: { ...prev.edits, [field]: value } } };
+}
+
+/**
+ * Coerce a text input back to the type of the original field value.
+ */
+export function coerceEditValue(original, text) {
+  if (typeof original === "number") {
+    const n = parseFloat(text);
+    return Number.isFinite(n) ? n : original;
+  }
+  if (typeof original === "boolean") return /^(true|yes|y|1)$/i.test(String(text).trim());
+  return text;
+}
+
+/**
+ * Build the result the takeoff mappers see: only accepted items, with edits
+ * applied. Categories not under review (raw data, warnings, page
+ * classifications) pass through unchanged.
+ */
+export function applyReviewDecisions(result, decisions = {}) {
+  if (!result) return result;
+  const reviewed = { ...result };
+  const accepted = listReviewItems(result, decisions).filter((it) => it.status === "accepted");
+
+  for (const { key: category } of REVIEW_CATEGORIES) {
+    if (category === "specOverrides") continue;
+    reviewed[category] = accepted.filter((it) => it.category === category).map((it) => it.edited);
+  }
+
+  // Sized here rather than at scan time, so a rejected schedule member
+  // sizes nothing; a header size typed in review beats the schedule
+  applyHeaderSchedule(reviewed);
+  const openingEdits = accepted.filter((it) => it.category === "openings").map((it) => it.edits);
+  reviewed.openings = reviewed.openings.map((o, i) => ("headerSize" in openingEdits[i] ? { ...o, ...openingEdits[i] } : o));
+
+  reviewed.specOverrides = Object.fromEntries(Object.keys(result.specOverrides || {}).map((k) => [k, null]));
+  for (const it of accepted.filter((a) => a.category === "specOverrides")) {
+    reviewed.specOverrides[it.item.key] = it.edited.value;
+  }
+  return reviewed;
+}
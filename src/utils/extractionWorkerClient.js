@@ -0,0 +1,130 @@
+/**
+ * Main-thread side of the extraction worker.
+ *
+ * createExtractionJob() hands pages to the shared worker and resolves one
+ * promise per page with its analyzePage() result. Progress messages from
+ * the worker are forwarded to `onProgress`. Cancelling a job rejects its
+ * outstanding pages with a cancellation error (see scanJob.js).
+ *
+ * If module workers are unavailable, or the worker crashes, pages are
+ * analyzed on the main thread instead so a scan never stalls.
+ */
+
+import { analyzePage } from "./pageExtraction";
+import { scanCancelledError } from "./scanJob";
+
+let worker = null;
+let workerFailed = false;
+let nextJobId = 1;
+const jobHandlers = new Map(); // jobId → { onMessage, onCrash }
+
+function getWorker() {
+  if (worker || workerFailed) return worker;
+  if (typeof Worker === "undefined") {
+    workerFailed = true;
+    return null;
+  }
+  try {
+    worker = new Worker(new URL("../workers/extractionWorker.js", import.meta.url), { type: "module" });
+    worker.onmessage = (event) => jobHandlers.get(event.data.jobId)?.onMessage(event.data);
+    worker.onerror = (event) => {
+      console.warn("Extraction worker failed, continuing on the main thread:", event.message);
+      worker.terminate();
+      worker = null;
+      workerFailed = true;
+      for (const handler of [...jobHandlers.values()]) handler.onCrash();
+    };
+  } catch (err) {
+    console.warn("Extraction worker unavailable:", err);
+    workerFailed = true;
+  }
+  return worker;
+}
+
+/**
+ * Start an extraction job.
+ *
+ * @param {{ totalPages: number, onProgress?: (p: { current, total, message }) => void }} opts
+ * @returns {{ jobId, analyzePage: (input) => Promise<object>, cancel: () => void,
+ *   cancelled: boolean, throwIfCancelled: () => void, finish: () => void }}
+ */
+export function createExtractionJob({ totalPages, onProgress }) {
+  const jobId = nextJobId++;
+  const pending = new Map(); // page → { input, resolve, reject }
+  let cancelled = false;
+  let done = 0;
+
+  const runLocally = (input) => {
+    const result = analyzePage(input);
+    done++;
+    onProgress?.({ current: done, total: totalPages, message: `Analyzed page ${input.page}/${totalPages}` });
+    return result;
+  };
+
+  const handler = {
+    onMessage(msg) {
+      if (msg.type === "progress") {
+        done = msg.current;
+        onProgress?.(msg);
+      } else if (msg.type === "page") {
+        const entry = pending.get(msg.result.page);
+        pending.delete(msg.result.page);
+        entry?.resolve(msg.result);
+      } else if (msg.type === "error") {
+        const entry = pending.get(msg.page);
+        pending.delete(msg.page);
+        entry?.reject(new Error("Page " + msg.page + ": " + msg.message));
+      }
+    },
+    // Worker died: finish whatever it still owed us here
+    onCrash() {
+      jobHandlers.delete(jobId);
+      for (const [page, entry] of pending) {
+        pending.delete(page);
+        try { entry.resolve(runLocally(entry.input)); } catch (err) { entry.reject(err); }
+      }
+    },
+  };
+
+  const w = getWorker();
+  if (w) {
+    jobHandlers.set(jobId, handler);
+    w.postMessage({ type: "start", jobId, totalPages });
+  }
+
+  return {
+    jobId,
+
+    analyzePage(input) {
+      if (cancelled) return Promise.reject(scanCancelledError());
+      if (!worker || !jobHandlers.has(jobId)) {
+        try { return Promise.resolve(runLocally(input)); } catch (err) { return Promise.reject(err); }
+      }
+      return new Promise((resolve, reject) => {
+        pending.set(input.page, { input, resolve, reject });
+        worker.postMessage({ type: "page", jobId, input });
+      });
+    },
+
+    cancel() {
+      if (cancelled) return;
+      cancelled = true;
+      if (jobHandlers.has(jobId)) worker?.postMessage({ type: "cancel", jobId });
+      jobHandlers.delete(jobId);
+      for (const entry of pending.values()) entry.reject(scanCancelledError());
+      pending.clear();
+    },
+
+    get cancelled() {
+      return cancelled;
+    },
+
+    throwIfCancelled() {
+      if (cancelled) throw scanCancelledError();
+    },
+
+    finish() {
+      jobHandlers.delete(jobId);
+    },
+  };
+}
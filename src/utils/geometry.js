@@ -0,0 +1,48 @@
+/**
+ * Plane geometry helpers shared by the plan viewer tools.
+ *
+ * All points are { x, y } in rendered-image pixel space.
+ */
+
+export function pointDistance(a, b) {
+  return Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2);
+}
+
+export function polylineLength(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) total += pointDistance(points[i - 1], points[i]);
+  return total;
+}
+
+export function polygonArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const j = (i + 1) % points.length;
+    area += points[i].x * points[j].y - points[j].x * points[i].y;
+  }
+  return Math.abs(area / 2);
+}
+
+export function midpoint(a, b) { return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }; }
+
+export function polygonCentroid(pts) {
+  const cx = pts.reduce((s, p) => s + p.x, 0) / pts.length;
+  const cy = pts.reduce((s, p) => s + p.y, 0) / pts.length;
+  return { x: cx, y: cy };
+}
+
+/**
+ * Normalize two opposite corners into { x, y, width, height }.
+ */
+export function rectFromCorners(a, b) {
+  return {
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.abs(b.x - a.x),
+    height: Math.abs(b.y - a.y),
+  };
+}
+
+export function rectContains(rect, pt) {
+  return pt.x >= rect.x && pt.x <= rect.x + rect.width && pt.y >= rect.y && pt.y <= rect.y + rect.height;
+}
@@ -5,6 +5,8 @@
  * and "Structural Notes" pages.
  */
 
+import { locateTextRange } from "./spatialText";
+
 const NOTE_PATTERNS = [
   // Exterior wall stud size and spacing
   {
@@ -104,6 +106,7 @@ export function parseGeneralNotes(spatialData) {
   const text = spatialData.rawText;
   const partial = {
     specOverrides: {},
+    specOverrideSources: {},
     hardware: [],
     steelMembers: [],
     warnings: [],
@@ -114,14 +117,16 @@ export function parseGeneralNotes(spatialData) {
     let match;
     while ((match = pattern.exec(text)) !== null) {
       const extracted = extract(match);
+      const source = spatialData.lines ? locateTextRange(spatialData, match.index, match.index + match[0].length) : { bbox: null, text: match[0] };
       if (extracted.specOverrides) {
         Object.assign(partial.specOverrides, extracted.specOverrides);
+        for (const key of Object.keys(extracted.specOverrides)) partial.specOverrideSources[key] = source;
       }
       if (extracted.hardware) {
-        partial.hardware.push(...extracted.hardware);
+        partial.hardware.push(...extracted.hardware.map((h) => ({ ...h, source })));
       }
       if (extracted.steelMembers) {
-        partial.steelMembers.push(...extracted.steelMembers);
+        partial.steelMembers.push(...extracted.steelMembers.map((m) => ({ ...m, source })));
       }
     }
   }
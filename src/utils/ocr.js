@@ -0,0 +1,105 @@
+/**
+ * OCR fallback for scanned (image-only) plan sheets.
+ *
+ * Scanned sheets have no PDF text layer, so getTextContent() returns
+ * nothing and every downstream parser comes up empty. When a page's text
+ * layer is empty or sparse, the page is rendered at a higher resolution
+ * and run through Tesseract (WASM, loaded from a CDN like pdf.js and run
+ * in its own worker). Recognized words are returned as text items in PDF
+ * user space — { str, x, y, width, height, fontSize } — which
+ * extractSpatialText() accepts alongside pdf.js items, so line grouping,
+ * table detection, classification and dimension parsing all work on them.
+ */
+
+const TESSERACT_URL = "https://cdn.jsdelivr.net/npm/tesseract.js@5.1.1/dist/tesseract.min.js";
+// Render resolution for OCR (pdf.js scale; 3.0 ≈ 216 dpi)
+export const OCR_RENDER_SCALE = 3.0;
+// A text layer with fewer characters than this is treated as a scan
+const SPARSE_TEXT_CHARS = 40;
+// Words recognized with lower confidence are dropped
+const MIN_WORD_CONFIDENCE = 55;
+// Tesseract page segmentation "sparse text": drawings are mostly scattered labels
+const PSM_SPARSE_TEXT = "11";
+
+let enginePromise = null;
+
+function loadScript(src) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement("script");
+    script.src = src;
+    script.onload = () => resolve();
+    script.onerror = () => reject(new Error("Failed to load OCR engine from " + src));
+    document.head.appendChild(script);
+  });
+}
+
+/**
+ * Load the OCR engine once and reuse its worker for every page.
+ */
+function getOcrEngine() {
+  if (enginePromise) return enginePromise;
+  enginePromise = (async () => {
+    if (!window.Tesseract) await loadScript(TESSERACT_URL);
+    const worker = await window.Tesseract.createWorker("eng");
+    await worker.setParameters({ tessedit_pageseg_mode: PSM_SPARSE_TEXT, preserve_interword_spaces: "1" });
+    return worker;
+  })();
+  // Let a later page retry if loading failed (e.g. offline)
+  enginePromise.catch(() => { enginePromise = null; });
+  return enginePromise;
+}
+
+/**
+ * True when a page's text layer is too thin to extract from.
+ *
+ * @param {Array} items – textContent.items from page.getTextContent()
+ */
+export function isTextLayerSparse(items) {
+  let chars = 0;
+  for (const item of items) chars += (item.str || "").trim().length;
+  return chars < SPARSE_TEXT_CHARS;
+}
+
+/**
+ * Recognize the text on a page.
+ *
+ * @param {object} page – PDFPageProxy
+ * @returns {Promise<Array<{ str, x, y, width, height, fontSize, fontName }>>}
+ *   word items in PDF user space (origin bottom-left)
+ */
+export async function ocrPage(page) {
+  const engine = await getOcrEngine();
+  const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+  const canvas = document.createElement("canvas");
+  canvas.width = viewport.width;
+  canvas.height = viewport.height;
+  await page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
+
+  const { data } = await engine.recognize(canvas);
+  canvas.width = 0; // release the bitmap
+
+  const items = [];
+  for (const word of data.words || []) {
+    const str = word.text.trim();
+    if (!str || word.confidence < MIN_WORD_CONFIDENCE) continue;
+    const { x0, y0, x1, y1 } = word.bbox;
+    const [ax, ay] = viewport.convertToPdfPoint(x0, y0);
+    const [bx, by] = viewport.convertToPdfPoint(x1, y1);
+    const x = Math.min(ax, bx);
+    const y = Math.min(ay, by);
+    const width = Math.abs(bx - ax);
+    const height = Math.abs(by - ay);
+    items.push({ str, x, y, width, height, fontSize: height, fontName: "OCR", confidence: word.confidence / 100 });
+  }
+  return items;
+}
+
+/**
+ * Shut down the OCR worker (frees its WASM memory).
+ */
+export async function terminateOcrEngine() {
+  if (!enginePromise) return;
+  const engine = await enginePromise.catch(() => null);
+  enginePromise = null;
+  await engine?.terminate();
+}
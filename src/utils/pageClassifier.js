@@ -3,11 +3,20 @@
  *
  * Uses weighted keyword scoring to classify each PDF page by its
  * construction drawing type, enabling specialized parsers per page.
+ *
+ * The keyword scores are the prior of a learned classifier: a naive
+ * Bayes model over page features (words, table shapes, sheet number
+ * prefix) trained on the page types users correct in the scanner. With no
+ * corrections yet it reproduces the keyword scoring; each correction
+ * pulls similar pages toward the type the user picked and away from the
+ * one that was wrong. The model is plain data, stored by the agent
+ * (agents/pageClassifierAgent.js).
  */
 
 import { parseDimensions, parseRooms } from "./parsers";
+import { parseSheetNumber } from "./titleBlock";
 
-const PAGE_TYPES = [
+export const PAGE_TYPES = [
   "TITLE_SHEET",
   "SITE_PLAN",
   "FLOOR_PLAN",
@@ -20,13 +29,60 @@ const PAGE_TYPES = [
   "GENERAL_NOTES",
 ];
 
+// Sheet titles from the title block, strongest hint there is
+const SHEET_TITLE_HINTS = [
+  [/cover|title\s*sheet|sheet\s*index/, "TITLE_SHEET"],
+  [/site\s*plan|grading/, "SITE_PLAN"],
+  [/roof\s*(?:plan|framing)/, "ROOF_PLAN"],
+  [/foundation|framing\s*plan|structural\s*plan/, "STRUCTURAL_PLAN"],
+  [/floor\s*plan|(?:main|upper|lower|first|second|third)\s*(?:floor|level)\s*plan/, "FLOOR_PLAN"],
+  [/elevation/, "ELEVATION"],
+  [/section|detail/, "SECTION_DETAIL"],
+  [/(?:door|window).*schedule/, "DOOR_WINDOW_SCHEDULE"],
+  [/wall\s*(?:type|schedule)/, "WALL_SCHEDULE"],
+  [/notes|specifications/, "GENERAL_NOTES"],
+];
+
+// Sheet number series by discipline (A2.1 → architectural series 2), per
+// the common US numbering: A1 plans, A2 elevations, A3 sections, A5
+// details, A6 schedules; S0 notes, S1–S2 plans, S3/S5 sections and details
+const SHEET_SERIES_HINTS = {
+  A: { 0: "TITLE_SHEET", 1: "FLOOR_PLAN", 2: "ELEVATION", 3: "SECTION_DETAIL", 5: "SECTION_DETAIL", 6: "DOOR_WINDOW_SCHEDULE" },
+  S: { 0: "GENERAL_NOTES", 1: "STRUCTURAL_PLAN", 2: "STRUCTURAL_PLAN", 3: "SECTION_DETAIL", 5: "SECTION_DETAIL" },
+};
+const SHEET_DISCIPLINE_HINTS = { G: "TITLE_SHEET", T: "TITLE_SHEET", TS: "TITLE_SHEET", CS: "TITLE_SHEET", C: "SITE_PLAN", L: "SITE_PLAN", S: "STRUCTURAL_PLAN" };
+
+/**
+ * Score bonuses from the page's title block.
+ *
+ * @param {{ sheetNumber?: string, sheetTitle?: string }} sheet – from extractTitleBlock()
+ */
+function sheetHints(sheet) {
+  const hints = {};
+  const add = (type, points) => { hints[type] = (hints[type] || 0) + points; };
+  const title = (sheet.sheetTitle || "").toLowerCase();
+  for (const [re, type] of SHEET_TITLE_HINTS) {
+    if (re.test(title)) add(type, 40);
+  }
+  const parsed = parseSheetNumber(sheet.sheetNumber);
+  if (parsed) {
+    const discipline = parsed.discipline === "AD" || parsed.discipline === "AS" ? "A" : parsed.discipline;
+    if (SHEET_DISCIPLINE_HINTS[discipline]) add(SHEET_DISCIPLINE_HINTS[discipline], 15);
+    const series = SHEET_SERIES_HINTS[discipline]?.[parsed.series];
+    if (series) add(series, 25);
+  }
+  return hints;
+}
+
 /**
  * Classify a single page's spatial data into a drawing type.
  *
  * @param {object} spatialData – output from extractSpatialText()
+ * @param {{ sheet?: object }} [options] – sheet is the page's title block
+ *   from extractTitleBlock(); its sheet number and title weigh heavily
  * @returns {{ type: string, confidence: number, scores: object }}
  */
-export function classifyPage(spatialData) {
+export function classifyPage(spatialData, { sheet = null } = {}) {
   const text = spatialData.rawText.toLowerCase();
   const textLength = text.length;
   const tableCount = spatialData.tables.length;
@@ -90,7 +146,7 @@ export function classifyPage(spatialData) {
   // --- STRUCTURAL PLAN ---
   scores.STRUCTURAL_PLAN = 0;
   if (/structural\s*(plan|framing|layout)|framing\s*plan|foundation\s*plan/i.test(text)) scores.STRUCTURAL_PLAN += 45;
-  if (/beam\s*schedule|column\s*schedule|lintel\s*schedule/i.test(text)) scores.STRUCTURAL_PLAN += 35;
+  if (/beam\s*schedule|column\s*schedule|lintel\s*schedule|header\s*schedule|shear\s*wall\s*schedule/i.test(text)) scores.STRUCTURAL_PLAN += 35;
   if (/lvl|glulam|psf|point\s*load|w\d+x\d+|hss\d/i.test(text)) scores.STRUCTURAL_PLAN += 20;
   if (/footing|pier|foundation|stem\s*wall/i.test(text)) scores.STRUCTURAL_PLAN += 10;
 
@@ -106,16 +162,128 @@ export function classifyPage(spatialData) {
   if (/specification|all\s+(?:exterior|interior)\s+walls?\s+shall/i.test(text)) scores.GENERAL_NOTES += 20;
   if (textLength > 2000 && dimCount < 8 && tableCount === 0) scores.GENERAL_NOTES += 15;
 
-  // Pick the winner
-  const entries = Object.entries(scores).sort((a, b) => b[1] - a[1]);
-  const best = entries[0];
-  const maxScore = best[1];
-  const totalPositive = entries.reduce((s, e) => s + Math.max(0, e[1]), 0);
-  const confidence = totalPositive > 0 ? maxScore / totalPositive : 0;
-
-  return {
-    type: maxScore >= 15 ? best[0] : "UNKNOWN",
-    confidence: Math.min(confidence, 1),
-    scores,
+  // --- TITLE BLOCK ---
+  if (sheet) {
+    for (const [type, points] of Object.entries(sheetHints(sheet))) scores[type] += points;
+  }
+
+  return { ...predictPageType(null, [], scores), scores };
+}
+
+// ── Learned model ───────────────────────────────────────────────────
+
+// Keyword points per unit of log-odds when scores become probabilities
+const SCORE_TEMPERATURE = 12;
+// Weight of the learned evidence (mean per-feature log-odds) against the prior
+const EVIDENCE_WEIGHT = 10;
+// A page scoring below this with no learned evidence is UNKNOWN
+const MIN_SCORE = 15;
+const MAX_WORD_FEATURES = 250;
+
+/**
+ * Features a page is learned by: its words, table shapes, amount of
+ * dimensioning and sheet number discipline / series.
+ *
+ * @param {object} spatialData – output from extractSpatialText()
+ * @param {{ sheetNumber?: string }} [sheet] – from extractTitleBlock()
+ * @returns {string[]} e.g. ["w:schedule", "tables:1", "th:stud", "sheet:A", "series:A6"]
+ */
+export function pageFeatures(spatialData, sheet = null) {
+  const features = new Set();
+  let words = 0;
+  for (const word of spatialData.rawText.toLowerCase().match(/\b[a-z][a-z-]{3,}\b/g) || []) {
+    if (features.has("w:" + word)) continue;
+    features.add("w:" + word);
+    if (++words >= MAX_WORD_FEATURES) break;
+  }
+  features.add("tables:" + Math.min(spatialData.tables.length, 3));
+  for (const table of spatialData.tables) {
+    features.add("cols:" + Math.min(table.headerRow?.length || 0, 8));
+    for (const word of (table.headerRow || []).join(" ").toLowerCase().match(/[a-z]{3,}/g) || []) features.add("th:" + word);
+  }
+  const dims = parseDimensions(spatialData.rawText).length;
+  features.add("dims:" + (dims === 0 ? "none" : dims <= 8 ? "few" : dims <= 30 ? "some" : "many"));
+  const parsed = parseSheetNumber(sheet?.sheetNumber);
+  if (parsed) {
+    features.add("sheet:" + parsed.discipline);
+    if (parsed.series !== null) features.add("series:" + parsed.discipline + parsed.series);
+  }
+  return [...features];
+}
+
+/**
+ * An untrained model. Per page type it counts the corrections that named
+ * it (pos) or moved a page off it (neg), and per feature how many of each
+ * had the feature.
+ */
+export function createClassifierModel() {
+  return { examples: 0, classes: {} };
+}
+
+/**
+ * Learn from one correction: the page with `features` is `userType`, not
+ * `detectedType`. A weight of -1 takes back a correction learned earlier.
+ * Mutates and returns the model.
+ */
+export function trainClassifier(model, features, userType, detectedType, weight = 1) {
+  const learn = (type, side) => {
+    if (!type || type === "UNKNOWN") return;
+    const cls = model.classes[type] || (model.classes[type] = { pos: 0, neg: 0, features: {} });
+    const key = side === 0 ? "pos" : "neg";
+    cls[key] = Math.max(0, cls[key] + weight);
+    for (const f of features) {
+      const counts = cls.features[f] || (cls.features[f] = [0, 0]);
+      counts[side] = Math.max(0, counts[side] + weight);
+    }
   };
+  learn(userType, 0);
+  if (detectedType !== userType) learn(detectedType, 1);
+  model.examples = Math.max(0, model.examples + weight);
+  return model;
+}
+
+/**
+ * Mean per-feature log-odds that a page with these features belongs to the
+ * class rather than having been moved off it (Bernoulli naive Bayes with
+ * add-one smoothing, over the features the class has seen).
+ */
+function classEvidence(cls, present) {
+  const { pos, neg } = cls;
+  let sum = 0;
+  let n = 0;
+  for (const [f, [p, q]] of Object.entries(cls.features)) {
+    const pPos = (p + 1) / (pos + 2);
+    const pNeg = (q + 1) / (neg + 2);
+    sum += present.has(f) ? Math.log(pPos / pNeg) : Math.log((1 - pPos) / (1 - pNeg));
+    n++;
+  }
+  return n > 0 ? sum / n : 0;
+}
+
+/**
+ * Classify a page with the learned model on top of its keyword scores.
+ *
+ * @param {object|null} model – from createClassifierModel() / trainClassifier()
+ * @param {string[]} features – from pageFeatures()
+ * @param {object} scores – keyword scores from classifyPage()
+ * @returns {{ type: string, confidence: number, probabilities: object }}
+ *   probabilities by page type, summing to 1; confidence is the winner's
+ */
+export function predictPageType(model, features, scores) {
+  const present = new Set(features);
+  const logits = {};
+  const evidence = {};
+  for (const type of PAGE_TYPES) {
+    const cls = model?.classes?.[type];
+    evidence[type] = cls ? EVIDENCE_WEIGHT * classEvidence(cls, present) : 0;
+    logits[type] = (scores[type] || 0) / SCORE_TEMPERATURE + evidence[type];
+  }
+  const max = Math.max(...Object.values(logits));
+  const exp = Object.fromEntries(Object.entries(logits).map(([t, l]) => [t, Math.exp(l - max)]));
+  const total = Object.values(exp).reduce((s, v) => s + v, 0);
+  const probabilities = Object.fromEntries(Object.entries(exp).map(([t, v]) => [t, v / total]));
+
+  const best = Object.keys(probabilities).reduce((a, b) => (probabilities[b] > probabilities[a] ? b : a));
+  const known = (scores[best] || 0) >= MIN_SCORE || evidence[best] > 0;
+  return { type: known ? best : "UNKNOWN", confidence: probabilities[best], probabilities };
 }
@@ -0,0 +1,152 @@
+/**
+ * Per-page text analysis.
+ *
+ * Everything the scan does with a page's text — spatial text, table
+ * detection, title block, classification, scale detection, dimension /
+ * framing / room parsing and the schedule and notes parsers — as one pure
+ * function of the page's text items. It needs no DOM or pdf.js, so it runs inside the
+ * extraction worker (see workers/extractionWorker.js) and, where workers
+ * are unavailable, on the main thread.
+ */
+
+import { parseDimensions, parseFramingReferences, parseRooms, detectSheetUnits } from "./parsers";
+import { extractSpatialText } from "./spatialText";
+import { classifyPage, pageFeatures } from "./pageClassifier";
+import {
+  findWallScheduleInTables,
+  findDoorWindowScheduleInTables,
+  findHeaderScheduleInTables,
+  findBeamScheduleInTables,
+  findShearWallScheduleInTables,
+  findShearWallTags,
+} from "./scheduleParser";
+import { parseGeneralNotes } from "./notesParser";
+import { detectPageScales } from "./scaleDetector";
+import { extractTitleBlock, parseSheetIndex } from "./titleBlock";
+import { findDimensionChains } from "./dimensionChains";
+
+/**
+ * Version of the page analysis output. Bump it whenever a parser change
+ * alters what analyzePage() returns, so cached pages get re-analyzed.
+ */
+export const PARSER_VERSION = 12;
+
+const STRUCTURAL_SCHEDULE_PAGE_TYPES = ["STRUCTURAL_PLAN", "DOOR_WINDOW_SCHEDULE", "WALL_SCHEDULE"];
+
+/** Page types whose "SW1" tags mark shear walls on the plan. */
+export const SHEAR_TAG_PAGE_TYPES = ["FLOOR_PLAN", "STRUCTURAL_PLAN"];
+
+/**
+ * Plain-data description of a pdf.js viewport, safe to post to a worker.
+ */
+export function serializeViewport(viewport) {
+  return { transform: [...viewport.transform], width: viewport.width, height: viewport.height };
+}
+
+function applyTransform(transform, x, y) {
+  const [a, b, c, d, e, f] = transform;
+  return { x: a * x + c * y + e, y: b * x + d * y + f };
+}
+
+/**
+ * Run the specialised parsers a page's type calls for.
+ *
+ * @param {boolean} [ocr] – the text came from OCR rather than the PDF text
+ *   layer; sources are flagged so reviewers can weigh them accordingly
+ * @returns {Array<{ partial: object, source: { page, extractor, ocr? } }>} pieces
+ *   for mergeIntoResult(), in the order they should be merged
+ */
+export function parsePageContent(page, type, spatialData, ocr = false) {
+  const partials = [];
+  const source = (extractor) => (ocr ? { page, extractor, ocr: true } : { page, extractor });
+  if (type === "WALL_SCHEDULE") {
+    const wallTypes = findWallScheduleInTables(spatialData.tables);
+    if (wallTypes.length) partials.push({ partial: { wallTypes }, source: source("schedule") });
+  }
+  if (type === "DOOR_WINDOW_SCHEDULE") {
+    const openings = findDoorWindowScheduleInTables(spatialData.tables, spatialData.rawText);
+    if (openings.length) partials.push({ partial: { openings }, source: source("schedule") });
+  }
+  // Header, beam and shear wall schedules sit on structural sheets or beside
+  // the other schedules
+  if (STRUCTURAL_SCHEDULE_PAGE_TYPES.includes(type)) {
+    const members = [
+      ...findHeaderScheduleInTables(spatialData.tables, spatialData.rawText),
+      ...findBeamScheduleInTables(spatialData.tables, spatialData.rawText),
+    ];
+    // Steel shapes go with the other steel members, as on the AI path
+    const structuralMembers = members.filter((m) => m.material !== "steel");
+    const steelMembers = members
+      .filter((m) => m.material === "steel")
+      .map(({ type, mark, size, span, quantity, location, notes, source: rowSrc }) => ({ type, mark, shape: size, span, quantity, location, notes, source: rowSrc }));
+    if (members.length) partials.push({ partial: { structuralMembers, steelMembers }, source: source("schedule") });
+    const shearWallTypes = findShearWallScheduleInTables(spatialData.tables);
+    if (shearWallTypes.length) partials.push({ partial: { shearWallTypes }, source: source("schedule") });
+  }
+  if (type === "GENERAL_NOTES") {
+    partials.push({ partial: parseGeneralNotes(spatialData), source: source("notes") });
+  }
+  return partials;
+}
+
+/**
+ * Everything a page contributes to the extraction result, parsed as `type`:
+ * the classifier's type on a scan, or the one the user picked instead.
+ *
+ * @param {{ page, ocr, spatialData, sheet }} analysis – an analyzePage() result
+ * @returns {Array<{ partial, source }>} pieces for mergeIntoResult()
+ */
+export function pagePartials({ page, ocr, spatialData, sheet }, type) {
+  const partials = parsePageContent(page, type, spatialData, ocr);
+  if (sheet && Object.values(sheet.projectInfo).some(Boolean)) {
+    partials.unshift({ partial: { projectInfo: sheet.projectInfo }, source: null });
+  }
+  return partials;
+}
+
+/**
+ * Analyze one page's text.
+ *
+ * @param {{ page: number, items: Array, viewport: { transform, width, height }, pixelsPerInch: number, ocr?: boolean, rules?: Array }} input
+ *   page is 1-based; items are pdf.js textContent items and/or OCR items;
+ *   viewport is from serializeViewport(); pixelsPerInch is rendered image
+ *   pixels per paper inch; ocr is true when the items came from OCR;
+ *   rules are ruled-line segments from vectorPaths.segmentsToRules().
+ * @returns {{ page, ocr, spatialData, sheet, sheetIndex, classification, features, detection, units, dims, chains, refs, rooms, shearTags, partials }}
+ *   sheet is the title block from extractTitleBlock(); units is the
+ *   sheet's dimensioning convention from detectSheetUnits(), which dims
+ *   are parsed under; chains are dimension strings from
+ *   findDimensionChains(), in rendered-image pixels; sheetIndex is the
+ *   cover sheet's index (empty elsewhere); classification is the keyword
+ *   classifier's, which the learned model refines on the main thread from
+ *   `features` (see predictPageType()); partials are parsed for its type;
+ *   shearTags are "SW1"-style plan tags in rendered-image pixels, used
+ *   only while the page is a SHEAR_TAG_PAGE_TYPES plan
+ */
+export function analyzePage({ page, items, viewport, pixelsPerInch, ocr = false, rules = [] }) {
+  const spatialData = extractSpatialText(items, viewport, { rules });
+  const toPixel = (x, y) => applyTransform(viewport.transform, x, y);
+  const sheet = extractTitleBlock(spatialData, toPixel, viewport);
+  const classification = classifyPage(spatialData, { sheet });
+  const detection = detectPageScales(spatialData, { toPixel, pixelsPerInch });
+
+  const text = spatialData.rawText;
+  const units = detectSheetUnits(text);
+  return {
+    page,
+    ocr,
+    spatialData,
+    sheet,
+    sheetIndex: parseSheetIndex(spatialData),
+    classification,
+    features: pageFeatures(spatialData, sheet),
+    detection,
+    units,
+    dims: parseDimensions(text, units),
+    chains: findDimensionChains(spatialData, toPixel, units),
+    refs: parseFramingReferences(text),
+    rooms: parseRooms(text),
+    shearTags: findShearWallTags(spatialData, toPixel),
+    partials: pagePartials({ page, ocr, spatialData, sheet }, classification.type),
+  };
+}
@@ -1,8 +1,16 @@
+const MM_PER_FOOT = 304.8;
+
 /**
  * Parse dimensional callouts from construction plan text.
- * Supports: 12'-6 1/2", 12'-6", 12.5', 12', 6 1/2", paired W x H
+ * Supports: 12'-6 1/2", 12'-6", 12.5', 12', 6 1/2", paired W x H, and
+ * metric 3600 mm, 360 cm, 3.6 m. Metric dimensions are converted to feet
+ * like the rest and keep their millimetre value as `mm`.
+ *
+ * @param {{ bareUnit?: "mm" }} [opts] - bareUnit "mm" reads unitless
+ *   numbers like "3600" as millimetres, for sheets that note "ALL
+ *   DIMENSIONS IN MILLIMETRES" (see detectSheetUnits())
  */
-export function parseDimensions(text) {
+export function parseDimensions(text, { bareUnit } = {}) {
   const dimensions = [];
   const seen = new Set();
 
@@ -37,7 +45,30 @@ export function parseDimensions(text) {
       regex: /(?<!\d['\u2032]\s*[-\s]?\s*)(\d{2,3})\s*["\u2033](?!\s*[oO]\.?[cC])/g,
       parse: (m) => ({ raw: m[0], feet: +m[1] / 12, type: "in" }),
     },
+    // millimetres: 3600 mm, 3 600mm
+    {
+      regex: /(?<![\d.])(\d{1,3}(?:[ ,]\d{3})+|\d+)\s*mm\b/gi,
+      parse: (m) => metricDimension(m[0], +m[1].replace(/[ ,]/g, ""), "mm"),
+    },
+    // centimetres: 360 cm
+    {
+      regex: /(?<![\d.])(\d+(?:\.\d+)?)\s*cm\b/gi,
+      parse: (m) => metricDimension(m[0], +m[1] * 10, "cm"),
+    },
+    // metres: 3.6 m, 3.60m (not "m2" or "mm")
+    {
+      regex: /(?<![\d.])(\d+(?:\.\d+)?)\s*m(?![\w\u00b2\u00b3])/g,
+      parse: (m) => metricDimension(m[0], +m[1] * 1000, "m"),
+    },
   ];
+  if (bareUnit === "mm") {
+    // Unitless 3-5 digit numbers (not room or sheet numbers, scales or
+    // anything already carrying a unit)
+    patterns.push({
+      regex: /(?<![\w.\/'\u2032"\u2033#:-]|(?:ROOM|RM|NO\.?|UNIT|SHEET|LEVEL|EL\.?)\s*)(\d{3,5})(?![\d.\/'\u2032"\u2033%:]|\s*(?:mm|cm|m)\b)/gi,
+      parse: (m) => metricDimension(m[0], +m[1], "mm-bare"),
+    });
+  }
 
   for (const { regex, parse } of patterns) {
     let match;
@@ -54,6 +85,41 @@ export function parseDimensions(text) {
   return dimensions;
 }
 
+function metricDimension(raw, mm, type) {
+  return { raw, feet: mm / MM_PER_FOOT, mm, type, metric: true };
+}
+
+// "ALL DIMENSIONS IN MILLIMETRES", "DIMENSIONS ARE IN MM"
+const METRIC_NOTE_RE = /DIMENSIONS?\s+(?:ARE\s+|SHOWN\s+)?IN\s+(?:MM|MILLIMET(?:RE|ER)S?)\b/i;
+const METRIC_RATIO_SCALE_RE = /\b1\s*:\s*(?:5|10|20|25|50|75|100|125|200|250|500)\b/;
+const IMPERIAL_DIM_RE = /\d+\s*['\u2032]\s*-?\s*\d+\s*(?:\d+\/\d+\s*)?["\u2033]/g;
+const EXPLICIT_METRIC_RE = /\d\s*mm\b|\d\.\d+\s*m(?![\w\u00b2])/gi;
+const BARE_NUMBER_RE = /(?<![\w.\/:-])\d{3,5}(?![\d.\/'\u2032"\u2033%:])/g;
+// A sheet needs this many unitless numbers to read them as millimetres
+const MIN_BARE_DIMENSIONS = 3;
+
+/**
+ * Work out a sheet's dimensioning convention from its text: feet-inches,
+ * or millimetres - either written out or as bare numbers like "3600",
+ * which metric drawings use under a "dimensions in millimetres" note.
+ *
+ * @returns {{ system: "imperial"|"metric"|null, bareUnit: "mm"|null }}
+ *   system is null when the sheet has too few dimensions to tell
+ */
+export function detectSheetUnits(text) {
+  const count = (re) => (text.match(re) || []).length;
+  const imperial = count(IMPERIAL_DIM_RE);
+  const explicit = count(EXPLICIT_METRIC_RE);
+  const bare = count(BARE_NUMBER_RE);
+  const note = METRIC_NOTE_RE.test(text);
+  const ratioScale = METRIC_RATIO_SCALE_RE.test(text);
+
+  const bareMm = note || (imperial === 0 && bare >= MIN_BARE_DIMENSIONS && (ratioScale || explicit > 0));
+  if (bareMm || explicit > imperial) return { system: "metric", bareUnit: bareMm ? "mm" : null };
+  if (imperial > 0) return { system: "imperial", bareUnit: null };
+  return { system: null, bareUnit: null };
+}
+
 /**
  * Parse paired dimensions like "3'-0\" x 6'-8\"" from schedule entries.
  * Returns [{ width, height }] in decimal feet.
@@ -0,0 +1,146 @@
+/**
+ * Plan scale model.
+ *
+ * Every page keeps its own calibration, and rectangular viewports drawn on
+ * a page (enlarged details, site plans sharing a sheet) can carry a scale
+ * of their own. Measurements store the id of the scale they were taken
+ * under, so recalibrating one scale only recomputes the measurements that
+ * depend on it.
+ *
+ * Scale ids: "page:<pageIndex>" or "vp:<viewportId>".
+ * A scale is { pixels, feet } — a calibrated distance in image pixels and
+ * the real-world length it represents. Detected scales also carry the
+ * callout text as `label` and `source: "auto"`.
+ */
+
+import { polygonArea, rectContains } from "./geometry";
+
+/**
+ * Create an empty scale state.
+ */
+export function createScaleState() {
+  return {
+    pages: {},      // { [pageIndex]: { pixels, feet } }
+    viewports: [],  // { id, page, label, rect: { x, y, width, height }, scale: { pixels, feet } | null }
+  };
+}
+
+export function pageScaleId(page) {
+  return "page:" + page;
+}
+
+export function viewportScaleId(viewportId) {
+  return "vp:" + viewportId;
+}
+
+/**
+ * Find the scale id that governs a point on a page: the smallest viewport
+ * containing the point, otherwise the page itself.
+ */
+export function resolveScaleId(scales, page, point) {
+  const hits = point
+    ? scales.viewports.filter((v) => v.page === page && rectContains(v.rect, point))
+    : [];
+  if (hits.length === 0) return pageScaleId(page);
+  hits.sort((a, b) => a.rect.width * a.rect.height - b.rect.width * b.rect.height);
+  return viewportScaleId(hits[0].id);
+}
+
+/**
+ * Look up the calibration for a scale id. Returns null when uncalibrated.
+ */
+export function getScale(scales, scaleId) {
+  if (!scaleId) return null;
+  if (scaleId.startsWith("page:")) return scales.pages[scaleId.slice(5)] || null;
+  const vp = scales.viewports.find((v) => viewportScaleId(v.id) === scaleId);
+  return vp?.scale || null;
+}
+
+/**
+ * Return a new scale state with the calibration for scaleId replaced.
+ */
+export function setScale(scales, scaleId, scale) {
+  if (scaleId.startsWith("page:")) {
+    return { ...scales, pages: { ...scales.pages, [scaleId.slice(5)]: scale } };
+  }
+  return {
+    ...scales,
+    viewports: scales.viewports.map((v) => (viewportScaleId(v.id) === scaleId ? { ...v, scale } : v)),
+  };
+}
+
+export function addViewport(scales, viewport) {
+  return { ...scales, viewports: [...scales.viewports, viewport] };
+}
+
+export function removeViewport(scales, viewportId) {
+  return { ...scales, viewports: scales.viewports.filter((v) => v.id !== viewportId) };
+}
+
+/**
+ * True when the page or any viewport on it has been calibrated.
+ */
+export function hasScaleOnPage(scales, page) {
+  return !!scales.pages[page] || scales.viewports.some((v) => v.page === page && v.scale);
+}
+
+export function pixelsToFeet(px, scale) {
+  if (!scale || !scale.pixels) return 0;
+  return (px / scale.pixels) * scale.feet;
+}
+
+export function pixelAreaToSqFt(pxArea, scale) {
+  if (!scale || !scale.pixels) return 0;
+  const ratio = scale.feet / scale.pixels;
+  return pxArea * ratio * ratio;
+}
+
+/**
+ * Short label for a scale id, e.g. "Pg 3" or the viewport's label.
+ */
+export function describeScaleId(scales, scaleId) {
+  if (!scaleId) return "";
+  if (scaleId.startsWith("page:")) return "Pg " + (+scaleId.slice(5) + 1);
+  const vp = scales.viewports.find((v) => viewportScaleId(v.id) === scaleId);
+  return vp?.label || "Viewport";
+}
+
+/**
+ * Recompute feet / square feet for measurements taken under any of the
+ * given scale ids. Other measurements are returned untouched.
+ */
+export function recomputeMeasurements(measurements, scales, scaleIds) {
+  const affected = new Set(scaleIds);
+  return measurements.map((m) => {
+    if (!affected.has(m.scaleId) || m.tool === "count") return m;
+    const scale = getScale(scales, m.scaleId);
+    const feet = pixelsToFeet(m.pixels, scale);
+    const sqft = m.tool === "area" ? pixelAreaToSqFt(polygonArea(m.points), scale) : 0;
+    return { ...m, feet, sqft };
+  });
+}
+
+/**
+ * Move measurements from one scale to another (e.g. when a viewport is
+ * deleted its measurements fall back to the page scale).
+ */
+export function reassignScale(measurements, fromScaleId, toScaleId) {
+  return measurements.map((m) => (m.scaleId === fromScaleId ? { ...m, scaleId: toScaleId } : m));
+}
+
+/**
+ * Rebuild a scale state from a saved plan state, rescaled by `factor`
+ * when the pages render at another size than they were saved at.
+ */
+export function scalesFromSaved(saved, factor = 1) {
+  const rescale = (s) => (s ? { ...s, pixels: s.pixels * factor } : s);
+  if (!saved.scales) return createScaleState();
+  const pages = {};
+  for (const [page, s] of Object.entries(saved.scales.pages || {})) pages[page] = rescale(s);
+  const viewports = (saved.scales.viewports || []).map((v) => ({
+    ...v,
+    rect: { x: v.rect.x * factor, y: v.rect.y * factor, width: v.rect.width * factor, height: v.rect.height * factor },
+    scale: rescale(v.scale),
+  }));
+  return { pages, viewports };
+}
@@ -1,6 +1,6 @@
 // ── IndexedDB Storage Layer for Project Management ────────────────
 const DB_NAME = "FramingTakeoffDB";
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 let dbPromise = null;
 
 function openDB() {
@@ -18,6 +18,22 @@ function openDB() {
         const pf = db.createObjectStore("planFiles", { keyPath: ["projectId", "fileName"] });
         pf.createIndex("projectId", "projectId", { unique: false });
       }
+      // Caches shared across projects: analyzed pages by file hash, AI
+      // replies by image hash, and the AI usage log for budgets
+      if (!db.objectStoreNames.contains("pageArtifacts")) {
+        const pa = db.createObjectStore("pageArtifacts", { keyPath: ["fileHash", "page"] });
+        pa.createIndex("fileHash", "fileHash", { unique: false });
+        pa.createIndex("lastUsedAt", "lastUsedAt", { unique: false });
+      }
+      if (!db.objectStoreNames.contains("aiResponses")) {
+        const ar = db.createObjectStore("aiResponses", { keyPath: "key" });
+        ar.createIndex("lastUsedAt", "lastUsedAt", { unique: false });
+      }
+      if (!db.objectStoreNames.contains("aiUsage")) {
+        const au = db.createObjectStore("aiUsage", { keyPath: "id", autoIncrement: true });
+        au.createIndex("projectId", "projectId", { unique: false });
+        au.createIndex("month", "month", { unique: false });
+      }
     };
     req.onsuccess = () => resolve(req.result);
     req.onerror = () => reject(req.error);
@@ -41,11 +57,19 @@ export function createDefaultProjectData(metadata = {}) {
     architect: metadata.architect || "",
     notes: metadata.notes || "",
     status: "active",
+    // "imperial" | "metric" — how takeoffs are shown and entered (see utils/units.js)
+    units: "imperial",
     createdAt: now,
     updatedAt: now,
     planFileName: null,
     planFileThumbnail: null,
     extractionResult: null,
+    // Extraction review decisions, e.g. { "wallTypes:A": { status: "accepted", edits: { height: 9 } } }
+    reviewDecisions: {},
+    planState: null,
+    // e.g. { renderScale: 1.5, measurements: [], conditions: [], activeConditionId: null,
+    //        scales: { pages: { 0: { pixels: 240, feet: 10 } }, viewports: [] },
+    //        scaleVerifications: [], wallCandidates: [], undoStack: [] }
     wallState: {
       settings: { studSpacing: 16, studSize: "2x4", studWaste: 10, sheathingWaste: 8 },
       walls: [],
@@ -223,6 +247,151 @@ export async function listPlanFiles(projectId) {
   });
 }
 
+// ── Page artifact cache ───────────────────────────────────────────
+// Per-page scan output keyed by plan content, so reopening or duplicating a
+// project (or resuming an interrupted scan) skips pages already processed.
+// Records are shared by every project holding the same file:
+//   { fileHash, page, parserVersion, renderScale, analysis,
+//     image: { dataUrl, width, height }, lastUsedAt }
+// AI replies are cached separately, by the image they were given (below).
+
+const PAGE_ARTIFACT_MAX_AGE_DAYS = 90;
+
+export async function hashPlanData(buffer) {
+  if (typeof crypto === "undefined" || !crypto.subtle) return null;
+  const digest = await crypto.subtle.digest("SHA-256", buffer);
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export async function getPageArtifacts(fileHash) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction("pageArtifacts", "readonly");
+    const req = tx.objectStore("pageArtifacts").index("fileHash").getAll(fileHash);
+    req.onsuccess = () => resolve((req.result || []).sort((a, b) => a.page - b.page));
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export async function putPageArtifact(record) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction("pageArtifacts", "readwrite");
+    tx.objectStore("pageArtifacts").put({ ...record, lastUsedAt: new Date().toISOString() });
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+export async function prunePageArtifacts(maxAgeDays = PAGE_ARTIFACT_MAX_AGE_DAYS) {
+  const db = await openDB();
+  const cutoff = new Date(Date.now() - maxAgeDays * 86400000).toISOString();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction("pageArtifacts", "readwrite");
+    const req = tx.objectStore("pageArtifacts").index("lastUsedAt").openKeyCursor(IDBKeyRange.upperBound(cutoff));
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      tx.objectStore("pageArtifacts").delete(cursor.primaryKey);
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// ── AI response cache ─────────────────────────────────────────────
+// Validated AI replies keyed by what produced them, so re-running AI
+// extraction on an unchanged page (or tile) costs nothing:
+//   { key: "<image sha-256>:<pageType>:<promptVersion>:<provider>:<model>",
+//     pageType, provider, model, result, warnings, usage, createdAt, lastUsedAt }
+
+export async function getAiResponse(key) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction("aiResponses", "readwrite");
+    const store = tx.objectStore("aiResponses");
+    const req = store.get(key);
+    req.onsuccess = () => {
+      if (req.result) store.put({ ...req.result, lastUsedAt: new Date().toISOString() });
+    };
+    tx.oncomplete = () => resolve(req.result || null);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+export async function putAiResponse(record) {
+  const db = await openDB();
+  const now = new Date().toISOString();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction("aiResponses", "readwrite");
+    tx.objectStore("aiResponses").put({ createdAt: now, ...record, lastUsedAt: now });
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+export async function pruneAiResponses(maxAgeDays = PAGE_ARTIFACT_MAX_AGE_DAYS) {
+  const db = await openDB();
+  const cutoff = new Date(Date.now() - maxAgeDays * 86400000).toISOString();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction("aiResponses", "readwrite");
+    const req = tx.objectStore("aiResponses").index("lastUsedAt").openKeyCursor(IDBKeyRange.upperBound(cutoff));
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      tx.objectStore("aiResponses").delete(cursor.primaryKey);
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// ── AI usage ledger ───────────────────────────────────────────────
+// One record per billed AI request:
+//   { projectId, month: "2024-03", page, pageType, provider, model,
+//     inputTokens, outputTokens, cost, at }
+
+export async function recordAiUsage(entry) {
+  const db = await openDB();
+  const at = new Date();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction("aiUsage", "readwrite");
+    tx.objectStore("aiUsage").add({ ...entry, month: at.toISOString().slice(0, 7), at: at.toISOString() });
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function totalUsage(records) {
+  return records.reduce(
+    (t, r) => ({
+      requests: t.requests + 1,
+      inputTokens: t.inputTokens + (r.inputTokens || 0),
+      outputTokens: t.outputTokens + (r.outputTokens || 0),
+      cost: t.cost + (r.cost || 0),
+    }),
+    { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 }
+  );
+}
+
+/**
+ * Usage totals for a project and for a month across all projects:
+ * { project: { requests, inputTokens, outputTokens, cost }, month: {...} }
+ */
+export async function getAiUsageSummary(projectId, month = new Date().toISOString().slice(0, 7)) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction("aiUsage", "readonly");
+    const store = tx.objectStore("aiUsage");
+    const byProject = projectId ? store.index("projectId").getAll(projectId) : null;
+    const byMonth = store.index("month").getAll(month);
+    tx.oncomplete = () => resolve({ project: totalUsage(byProject?.result || []), month: totalUsage(byMonth.result || []) });
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
 // ── Auto-save helper ──────────────────────────────────────────────
 
 export function createAutoSaver(delayMs = 1500) {
@@ -0,0 +1,232 @@
+/**
+ * Reconciliation of AI and text-derived extraction results.
+ *
+ * The AI reads the same sheets the schedule, notes and vector extractors
+ * have already read, so its openings, beams and walls are mostly ones the
+ * result already holds. Rather than list them twice (and double their
+ * quantities), each AI item is matched against what the other extractors
+ * found and folded into the item it matches:
+ *
+ *   openings           by mark ("D1" on the plan is the D1 schedule row)
+ *   structuralMembers  by mark, else by place on the same page
+ *   wallSegments       by place on the same page
+ *
+ * A schedule row stands for every plan tag of its mark; anything matched
+ * by place is one item and matches once. Items the AI did not place on a
+ * page, or placed nowhere near anything, stay as they are.
+ *
+ * The matched item keeps its own values and lists the AI items it absorbed
+ * in `merged` — a second reading that agrees raises its confidence (see
+ * extractionReview.itemConfidence). Where the two readings disagree the
+ * item gets `conflicts`, one per field, for the reviewer to settle:
+ *
+ *   conflicts: [{ field: "width", values: [
+ *     { value: 3, source: { page: 2, extractor: "schedule", ... } },
+ *     { value: 2.67, source: { page: 5, extractor: "ai", ... } } ] }]
+ *
+ * A schedule row with no count column takes its quantity from the number
+ * of tags folded into it (its own value kept in `replaced`); a row whose
+ * count differs from the tags gets a quantity conflict.
+ *
+ * Reconciling is repeatable: absorbed items are split back out first, so
+ * the result can be reconciled again after any page is re-read.
+ */
+
+import { parsePlies } from "./scheduleParser";
+
+// Categories the AI contributes to that other extractors also fill
+const RECONCILED_KEYS = ["openings", "structuralMembers", "wallSegments"];
+
+// Fields compared once two items are matched
+const COMPARED_FIELDS = {
+  openings: ["category", "width", "height", "wallType"],
+  structuralMembers: ["size", "plies", "span"],
+  wallSegments: ["length", "wallType"],
+};
+
+// Lengths (feet) closer than this agree: schedules are exact to the inch,
+// spans and measured walls less so
+const LENGTH_TOLERANCE_FT = { openings: 0.5 / 12, structuralMembers: 3 / 12, wallSegments: 6 / 12 };
+// Measured walls also agree within this share of their length
+const WALL_LENGTH_RATIO = 0.03;
+// Items placed further apart than this (points) are different items
+const MAX_PLACE_DISTANCE_PT = 72;
+
+// ── Splitting ───────────────────────────────────────────────────────
+
+/**
+ * Undo a reconciliation: each item that absorbed AI items is listed again
+ * without them, with the values reconciliation replaced restored, followed
+ * by the items it absorbed.
+ */
+export function unmergeItems(items) {
+  return (items || []).flatMap((item) => {
+    if (!item?.merged && !item?.conflicts && !item?.replaced) return [item];
+    const { merged, conflicts, replaced, ...own } = item;
+    return [{ ...own, ...replaced }, ...(merged || [])];
+  });
+}
+
+// ── Matching ────────────────────────────────────────────────────────
+
+const isAi = (item) => item?.source?.extractor === "ai";
+const pageOf = (item) => item?.source?.page ?? item?.page ?? null;
+const normalizeMark = (mark) => String(mark || "").replace(/[\s-]/g, "").toUpperCase();
+const present = (v) => v !== null && v !== undefined && v !== "";
+
+// Size without plies, its words in any order: "LVL 1-3/4x11-7/8" is "1-3/4x11-7/8 LVL"
+function memberSize(item) {
+  const parsed = parsePlies(item.size);
+  const size = (parsed ? parsed.size : String(item.size || "")).toLowerCase().split(/\s+/).filter(Boolean).sort().join(" ");
+  return { size, plies: item.plies || parsed?.plies || null };
+}
+
+const sameType = (a, b) => !a.type || !b.type || a.type === "unknown" || b.type === "unknown" || a.type === b.type;
+
+// Distance (points) between the centre of one item's bbox and the other's
+// bbox, or null when they are not both placed on the same page
+function placeDistance(a, b) {
+  const ra = a.source?.bbox;
+  const rb = b.source?.bbox;
+  if (!ra || !rb || pageOf(a) !== pageOf(b)) return null;
+  const cx = ra.x + ra.width / 2;
+  const cy = ra.y + ra.height / 2;
+  const dx = Math.max(rb.x - cx, 0, cx - (rb.x + rb.width));
+  const dy = Math.max(rb.y - cy, 0, cy - (rb.y + rb.height));
+  return Math.hypot(dx, dy);
+}
+
+function lengthsAgree(category, a, b) {
+  const tolerance = category === "wallSegments"
+    ? Math.max(LENGTH_TOLERANCE_FT.wallSegments, Math.max(a, b) * WALL_LENGTH_RATIO)
+    : LENGTH_TOLERANCE_FT[category];
+  return Math.abs(a - b) <= tolerance;
+}
+
+// Items placed near the AI item on its page, nearest first
+function placedNear(ai, bases) {
+  return bases
+    .map((b) => ({ b, d: placeDistance(ai, b) }))
+    .filter(({ d }) => d !== null && d <= MAX_PLACE_DISTANCE_PT)
+    .sort((x, y) => x.d - y.d)
+    .map(({ b }) => b);
+}
+
+/**
+ * The item among `bases` that an AI item is another reading of.
+ *
+ * @returns {{ base: object, byMark: boolean }|null} byMark is true for a
+ *   schedule row matched by its mark, which any number of tags may match;
+ *   `taken` holds the items already matched by place
+ */
+function findMatch(category, ai, bases, taken) {
+  const mark = normalizeMark(ai.mark);
+  if (mark && category !== "wallSegments") {
+    const samePageFirst = (list) => [...list].sort((a, b) => (pageOf(b) === pageOf(ai)) - (pageOf(a) === pageOf(ai)));
+    const byMark = samePageFirst(bases.filter((b) => normalizeMark(b.mark) === mark))[0];
+    if (byMark) return { base: byMark, byMark: true };
+  }
+  if (category === "openings") return null;
+
+  const near = placedNear(ai, bases.filter((b) => !taken.has(b)));
+  if (category === "structuralMembers") {
+    // Same size first; same kind of member at the same place in another size is a conflict
+    const size = memberSize(ai).size;
+    const base = near.find((b) => sameType(ai, b) && memberSize(b).size === size) || near.find((b) => sameType(ai, b));
+    return base ? { base, byMark: false } : null;
+  }
+  return near[0] ? { base: near[0], byMark: false } : null;
+}
+
+// ── Comparing ───────────────────────────────────────────────────────
+
+// Comparable form of a field: member sizes as memberSize() reads them
+function fieldValue(category, item, field) {
+  if (category === "structuralMembers" && (field === "size" || field === "plies")) return memberSize(item)[field];
+  return item[field];
+}
+
+function valuesAgree(category, field, a, b) {
+  if (typeof a === "number" && typeof b === "number") {
+    return field === "plies" ? a === b : lengthsAgree(category, a, b);
+  }
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * Fields where the absorbed items disagree with the item, each with the
+ * item's value first. Values an extractor assumed rather than read
+ * (listed in `assumed`) are not compared.
+ */
+function findConflicts(category, item, merged) {
+  const conflicts = [];
+  for (const field of COMPARED_FIELDS[category]) {
+    const readings = [item, ...merged]
+      .filter((it) => !it.assumed?.includes(field) && present(fieldValue(category, it, field)))
+      .map((it) => ({ own: it === item, value: it[field] ?? fieldValue(category, it, field), source: it.source || null, compared: fieldValue(category, it, field) }));
+    if (!readings[0]?.own || readings.length < 2) continue;
+    const distinct = [];
+    for (const reading of readings) {
+      if (!distinct.some((d) => valuesAgree(category, field, d.compared, reading.compared))) distinct.push(reading);
+    }
+    if (distinct.length > 1) conflicts.push({ field, values: distinct.map(({ value, source }) => ({ value, source })) });
+  }
+  return conflicts;
+}
+
+// ── Reconciliation ──────────────────────────────────────────────────
+
+/**
+ * Quantity of a schedule row from the plan tags folded into it: taken
+ * over when the schedule gave no count, a conflict when it gave another.
+ */
+function reconcileQuantity(item, tags) {
+  const count = tags.reduce((sum, tag) => sum + (tag.quantity || 1), 0);
+  if (!count || count === item.quantity) return {};
+  if (item.assumed?.includes("quantity")) return { quantity: count, replaced: { quantity: item.quantity } };
+  const source = { ...tags[0].source, text: count + (count === 1 ? " tag" : " tags") + " on the plans" };
+  return { conflict: { field: "quantity", values: [{ value: item.quantity, source: item.source || null }, { value: count, source }] } };
+}
+
+/**
+ * Fold AI items into the schedule, notes and vector items they match.
+ * Mutates `result` (like applyHeaderSchedule). Unmatched AI items stay as
+ * they are.
+ *
+ * @returns {{ matched: number, conflicts: number }} AI items absorbed and
+ *   items left with conflicting values
+ */
+export function reconcileExtraction(result) {
+  let matched = 0;
+  let conflicts = 0;
+  for (const category of RECONCILED_KEYS) {
+    const items = unmergeItems(result[category]);
+    const bases = items.filter((item) => item && !isAi(item));
+    const absorbed = new Map();
+    const taken = new Set();
+
+    const kept = items.filter((item) => {
+      if (!isAi(item)) return true;
+      const match = findMatch(category, item, bases, taken);
+      if (!match) return true;
+      if (!match.byMark) taken.add(match.base);
+      if (!absorbed.has(match.base)) absorbed.set(match.base, []);
+      absorbed.get(match.base).push({ item, byMark: match.byMark });
+      matched++;
+      return false;
+    });
+
+    result[category] = kept.map((item) => {
+      const entries = absorbed.get(item);
+      if (!entries) return item;
+      const merged = entries.map((e) => e.item);
+      const found = findConflicts(category, item, merged);
+      const tags = entries.filter((e) => e.byMark).map((e) => e.item);
+      const { conflict, ...quantity } = tags.length ? reconcileQuantity(item, tags) : {};
+      if (conflict) found.push(conflict);
+      if (found.length) conflicts++;
+      return { ...item, ...quantity, merged, ...(found.length ? { conflicts: found } : {}) };
+    });
+  }
+  return { matched, conflicts };
+}
@@ -0,0 +1,240 @@
+/**
+ * Drawing scale detection.
+ *
+ * Finds scale callouts ("1/4" = 1'-0"", "1" = 20'", "SCALE 1:48") and
+ * graphic scale bars ("0  4  8  16 FEET", "0 1 2 5 M") in the spatial text of a page,
+ * and converts them to a pixels-per-foot calibration for the rendered
+ * page image. Callouts are converted through the PDF's points-per-inch;
+ * scale bars are measured directly from the positions of their labels.
+ *
+ * Detection only proposes a scale — the plan viewer asks the user to
+ * accept it and then checks it against a dimension string on the sheet.
+ */
+
+import { parseDimensions } from "./parsers";
+import { rectContains } from "./geometry";
+import { itemBounds } from "./spatialText";
+import { pageScaleId, viewportScaleId, resolveScaleId, getScale } from "./planScale";
+
+/** PDF user space units per inch (before any /UserUnit override). */
+export const PDF_POINTS_PER_INCH = 72;
+
+// ── Scale notation ──────────────────────────────────────────────────
+
+// Paper inches = real feet (and inches): 1/4" = 1'-0", 1 1/2"=1'-0", 1" = 20'
+const ARCH_SCALE_RE = /(\d+\s+\d+\/\d+|\d+\/\d+|\d*\.\d+|\d+)\s*["″]\s*=\s*(\d+(?:\.\d+)?)\s*['′]\s*(?:-?\s*(\d+(?:\.\d+)?)\s*["″])?/;
+// Ratio scales only count when labelled, e.g. "SCALE: 1:48" or "SCALE 1/100"
+const RATIO_SCALE_RE = /SCALE\s*:?\s*1\s*[:/]\s*(\d+)\b/i;
+const NOT_TO_SCALE_RE = /\b(N\.?T\.?S\.?|NOT\s+TO\s+SCALE)\b/i;
+const M_PER_FOOT = 0.3048;
+// Units a scale bar may be labelled in, with feet per unit
+const BAR_UNITS = [
+  { re: /\b(MM|MILLIMET(?:RE|ER)S?)\b/i, feet: 0.001 / M_PER_FOOT, label: " mm" },
+  { re: /\b(M|METRES?|METERS?)\b/i, feet: 1 / M_PER_FOOT, label: " m" },
+  { re: /\b(FEET|FT)\b|['′]/i, feet: 1, label: "'" },
+];
+
+function parseInches(str) {
+  const parts = str.trim().split(/\s+/);
+  let total = 0;
+  for (const part of parts) {
+    if (part.includes("/")) {
+      const [n, d] = part.split("/").map(Number);
+      if (!d) return 0;
+      total += n / d;
+    } else {
+      total += +part;
+    }
+  }
+  return total;
+}
+
+/**
+ * Parse a scale callout. Returns { feetPerInch, text } — real-world feet
+ * represented by one inch of paper — or null when no scale is found.
+ */
+export function parseScaleNotation(text) {
+  if (!text || NOT_TO_SCALE_RE.test(text)) return null;
+
+  const arch = ARCH_SCALE_RE.exec(text);
+  if (arch) {
+    const paperInches = parseInches(arch[1]);
+    const realFeet = +arch[2] + (arch[3] ? +arch[3] / 12 : 0);
+    if (paperInches > 0 && realFeet > 0) {
+      return { feetPerInch: realFeet / paperInches, text: arch[0].trim() };
+    }
+  }
+
+  const ratio = RATIO_SCALE_RE.exec(text);
+  if (ratio && +ratio[1] > 1) {
+    return { feetPerInch: +ratio[1] / 12, text: "1:" + ratio[1] };
+  }
+  return null;
+}
+
+// ── Page detection ──────────────────────────────────────────────────
+
+function itemRect(item, toPixel) {
+  // Rotated labels (e.g. a vertical scale bar) need their true footprint
+  const box = itemBounds(item);
+  const a = toPixel(box.x, box.y);
+  const b = toPixel(box.x + box.width, box.y + box.height);
+  return {
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.abs(b.x - a.x),
+    height: Math.abs(b.y - a.y),
+  };
+}
+
+function unionRect(rects) {
+  const x1 = Math.min(...rects.map((r) => r.x));
+  const y1 = Math.min(...rects.map((r) => r.y));
+  const x2 = Math.max(...rects.map((r) => r.x + r.width));
+  const y2 = Math.max(...rects.map((r) => r.y + r.height));
+  return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+}
+
+function rectCenter(rect) {
+  return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+}
+
+// The unit a scale bar is labelled in: named on its own line, else on a
+// neighbouring one; a bar only labelled "SCALE" is in feet
+function scaleBarUnit(lineText, neighbourText) {
+  for (const text of [lineText, neighbourText]) {
+    const unit = BAR_UNITS.find((u) => u.re.test(text));
+    if (unit) return unit;
+  }
+  return /\bSCALE\b/i.test(lineText + " " + neighbourText) ? BAR_UNITS[BAR_UNITS.length - 1] : null;
+}
+
+/**
+ * Find a graphic scale bar on a line: three or more numeric labels that
+ * start at 0 and increase, on a line (or next to a line) naming its unit
+ * (feet, metres, millimetres) or scale. The distance between the "0"
+ * label and the last label gives pixels per foot directly.
+ */
+function findScaleBar(line, neighbourText, toPixel) {
+  const numeric = line.items.filter((it) => /^\d+\s*['′]?$/.test(it.str.trim()));
+  if (numeric.length < 3) return null;
+  const unit = scaleBarUnit(line.text, neighbourText);
+  if (!unit) return null;
+
+  const values = numeric.map((it) => parseInt(it.str, 10));
+  if (values[0] !== 0) return null;
+  for (let i = 1; i < values.length; i++) {
+    if (values[i] <= values[i - 1]) return null;
+  }
+
+  const first = rectCenter(itemRect(numeric[0], toPixel));
+  const last = rectCenter(itemRect(numeric[numeric.length - 1], toPixel));
+  const distance = Math.hypot(last.x - first.x, last.y - first.y);
+  const maxValue = values[values.length - 1];
+  if (distance < 20 || maxValue <= 0) return null;
+
+  return {
+    pixelsPerFoot: distance / (maxValue * unit.feet),
+    text: "Scale bar 0–" + maxValue + unit.label,
+    rect: unionRect(numeric.map((it) => itemRect(it, toPixel))),
+  };
+}
+
+/**
+ * Detect scale callouts, scale bars and verifiable dimension strings on
+ * one page.
+ *
+ * @param {object} spatialData – output of extractSpatialText()
+ * @param {{ toPixel: (x: number, y: number) => {x, y}, pixelsPerInch: number }} opts
+ *   toPixel maps PDF user-space coordinates to rendered image pixels;
+ *   pixelsPerInch is image pixels per paper inch at the render scale.
+ * @returns {{ candidates: Array, dimensions: Array }}
+ */
+export function detectPageScales(spatialData, { toPixel, pixelsPerInch }) {
+  const candidates = [];
+  const dimensions = [];
+  const lines = spatialData.lines || [];
+
+  lines.forEach((line, idx) => {
+    const notation = parseScaleNotation(line.text);
+    if (notation) {
+      candidates.push({
+        kind: "callout",
+        text: notation.text,
+        pixelsPerFoot: pixelsPerInch / notation.feetPerInch,
+        rect: unionRect(line.items.map((it) => itemRect(it, toPixel))),
+      });
+    }
+
+    const neighbourText = [lines[idx - 1]?.text, lines[idx + 1]?.text].filter(Boolean).join(" ");
+    const bar = findScaleBar(line, neighbourText, toPixel);
+    if (bar) candidates.push({ kind: "bar", ...bar });
+
+    // Individual dimension strings, kept as candidates for verification
+    for (const item of line.items) {
+      const dims = parseDimensions(item.str);
+      if (dims.length === 1 && dims[0].feet >= 2 && item.str.trim().length <= dims[0].raw.length + 2) {
+        dimensions.push({ raw: dims[0].raw.trim(), feet: dims[0].feet, rect: itemRect(item, toPixel) });
+      }
+    }
+  });
+
+  return { candidates, dimensions };
+}
+
+// ── Proposals ───────────────────────────────────────────────────────
+
+/**
+ * Link detected candidates on a page to the scale they describe (the
+ * viewport containing them, otherwise the page) and return one proposal
+ * per uncalibrated scale id.
+ *
+ * Scale bars win over callouts because they survive plots printed at the
+ * wrong size. When several different callouts compete for the same page
+ * scale the proposal is flagged as ambiguous so the user can outline
+ * viewports first.
+ *
+ * @returns {Array<{ scaleId, candidate, ambiguous: boolean }>}
+ */
+export function proposeScales(detection, scales, page) {
+  if (!detection) return [];
+  const byScale = new Map();
+  for (const c of detection.candidates) {
+    const scaleId = resolveScaleId(scales, page, rectCenter(c.rect));
+    if (!byScale.has(scaleId)) byScale.set(scaleId, []);
+    byScale.get(scaleId).push(c);
+  }
+
+  const proposals = [];
+  for (const [scaleId, list] of byScale) {
+    if (getScale(scales, scaleId)) continue;
+    const bars = list.filter((c) => c.kind === "bar");
+    const candidate = bars[0] || list[0];
+    const distinct = new Set(list.map((c) => c.pixelsPerFoot.toFixed(2)));
+    proposals.push({ scaleId, candidate, ambiguous: scaleId === pageScaleId(page) && distinct.size > 1 });
+  }
+  return proposals;
+}
+
+/**
+ * Convert a candidate into a scale record for planScale.setScale().
+ */
+export function candidateToScale(candidate) {
+  return { pixels: candidate.pixelsPerFoot, feet: 1, label: candidate.text, source: "auto" };
+}
+
+/**
+ * Pick the dimension string best suited to check a scale: the longest one
+ * governed by that scale id (longer dimensions give a smaller relative
+ * click error).
+ */
+export function pickVerificationDimension(detection, scales, page, scaleId) {
+  if (!detection) return null;
+  const vp = scales.viewports.find((v) => viewportScaleId(v.id) === scaleId);
+  const governed = detection.dimensions.filter((d) => {
+    const center = rectCenter(d.rect);
+    return vp ? rectContains(vp.rect, center) : resolveScaleId(scales, page, center) === scaleId;
+  });
+  if (governed.length === 0) return null;
+  return governed.reduce((best, d) => (d.feet > best.feet ? d : best));
+}
@@ -0,0 +1,104 @@
+/**
+ * Scan job model.
+ *
+ * A scan job is one pass of runExtraction over a plan set. It can be paused
+ * (the page loop waits before starting the next page), resumed or
+ * cancelled; cancelling rejects any waiter with a cancellation error that
+ * isScanCancelled() recognises. Each processed page is cached as it
+ * finishes (projectStore page artifacts) so a scan closed mid-way picks up
+ * at the next page.
+ *
+ * States: "running" → "paused" ⇄ "running" → "done" | "cancelled"
+ */
+
+let nextJobId = 1;
+
+/**
+ * Error used to unwind a scan that was cancelled.
+ */
+export function scanCancelledError() {
+  const err = new Error("Scan cancelled");
+  err.cancelled = true;
+  return err;
+}
+
+/**
+ * True when a scan promise rejected because its job was cancelled.
+ */
+export function isScanCancelled(err) {
+  return !!err?.cancelled;
+}
+
+/**
+ * Create a scan job.
+ *
+ * @param {{ label: string, totalPages: number }} opts – label is shown in
+ *   progress UI (usually the file name)
+ */
+export function createScanJob({ label, totalPages }) {
+  const id = nextJobId++;
+  let state = "running";
+  let waiters = [];
+  const listeners = new Set();
+  const cancelHandlers = [];
+
+  const setState = (next) => {
+    state = next;
+    listeners.forEach((fn) => fn(state));
+  };
+
+  return {
+    id,
+    label,
+    totalPages,
+
+    get state() {
+      return state;
+    },
+
+    pause() {
+      if (state === "running") setState("paused");
+    },
+
+    resume() {
+      if (state !== "paused") return;
+      setState("running");
+      waiters.forEach((w) => w.resolve());
+      waiters = [];
+    },
+
+    cancel() {
+      if (state === "done" || state === "cancelled") return;
+      setState("cancelled");
+      waiters.forEach((w) => w.reject(scanCancelledError()));
+      waiters = [];
+      cancelHandlers.forEach((fn) => fn());
+    },
+
+    complete() {
+      if (state === "running" || state === "paused") setState("done");
+    },
+
+    /** Resolve when the job may continue; reject if it was cancelled. */
+    waitWhilePaused() {
+      if (state === "cancelled") return Promise.reject(scanCancelledError());
+      if (state !== "paused") return Promise.resolve();
+      return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    },
+
+    throwIfCancelled() {
+      if (state === "cancelled") throw scanCancelledError();
+    },
+
+    /** Run `fn` when the job is cancelled (e.g. to cancel worker work). */
+    onCancel(fn) {
+      cancelHandlers.push(fn);
+    },
+
+    /** Listen for state changes; returns an unsubscribe function. */
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
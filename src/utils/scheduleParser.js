@@ -1,11 +1,13 @@
 /**
- * Schedule parsers for wall schedules and door/window schedules.
+ * Schedule parsers for wall, door/window, header, beam and shear wall
+ * schedules.
  *
  * Parses detected tabular regions from the spatial text engine to extract
  * structured framing specifications.
  */
 
 import { parseDimensions } from "./parsers";
+import { itemBounds } from "./spatialText";
 
 // ─── Column header mapping (fuzzy) ────────────────────────────────
 
@@ -22,20 +24,35 @@ const WALL_COL_MAP = {
 
 const DOOR_WIN_COL_MAP = {
   mark:        /^(mark|id|tag|no\.?|number)$/i,
-  width:       /^(width|w|size|nominal)$/i,
-  height:      /^(height|h|ht)$/i,
+  width:       /^((size|nominal)\s*(width|w)|width|w|size|nominal)$/i,
+  height:      /^((size|nominal)\s*(height|h|ht)|height|h|ht)$/i,
   type:        /^(type|style|frame|material|description)$/i,
   quantity:    /^(qty|quan|count|#|number)$/i,
   headerSize:  /^(header|hdr|lintel)$/i,
-  roughWidth:  /^(r\.?o\.?\s*w|rough[\s_-]*w)$/i,
-  roughHeight: /^(r\.?o\.?\s*h|rough[\s_-]*h)$/i,
+  roughWidth:  /^(r\.?o\.?\s*w(idth)?|rough[\s_-]*(opening\s*)?w(idth)?)$/i,
+  roughHeight: /^(r\.?o\.?\s*h(eight|t)?|rough[\s_-]*(opening\s*)?h(eight|t)?)$/i,
   fire:        /^(fire|rating|label)$/i,
   glazing:     /^(glaz|glass|lite)$/i,
   notes:       /^(note|remark|comment)$/i,
 };
 
+// Header and beam schedules share one shape: mark, member, plies, span, bearing
+const MEMBER_COL_MAP = {
+  mark:     /^(mark|id|tag|no\.?|sym|symbol|(header|hdr|beam|bm|lintel)[\s_-]*(mark|id|no\.?|type)?)$/i,
+  size:     /^(size|member|material|(header|hdr|beam|bm|member)[\s_-]*size|description)$/i,
+  plies:    /^(plies|ply|no\.?\s*(of\s*)?plies|#\s*(of\s*)?plies|laminations?)$/i,
+  span:     /^((max\.?|clear)?[\s_-]*span|length|opening|opening[\s_-]*width|max\.?\s*opening)$/i,
+  quantity: /^(qty|quan|quantity|count|#)$/i,
+  bearing:  /^((min\.?|end)?[\s_-]*bearing|brg|jacks?|trimmers?|supports?|(jack|trimmer)[\s_-]*studs?)$/i,
+  location: /^(location|loc|grid|level|floor)$/i,
+  notes:    /^(note|remark|comment)$/i,
+};
+
 /**
  * Map table header cells to semantic column names using a column map.
+ * Header cells may be composites of stacked header rows ("SIZE W",
+ * "ROUGH OPENING H"); when the whole label is not recognised, its bottom
+ * label (the last word) is tried on its own.
  * Returns { colIndex → semanticName } mapping.
  */
 function mapColumns(headerRow, colMap) {
@@ -59,6 +76,16 @@ function mapColumns(headerRow, colMap) {
         }
       }
     }
+    // Composite header: fall back to the sub-header under the spanning label
+    const leaf = cell.split(/\s+/).pop();
+    if (!mapping[i] && leaf !== cell) {
+      for (const [semantic, regex] of Object.entries(colMap)) {
+        if (regex.test(leaf)) {
+          mapping[i] = semantic;
+          break;
+        }
+      }
+    }
   }
   return mapping;
 }
@@ -97,6 +124,64 @@ function parseStudSize(str) {
   return match ? match[1].toLowerCase() : null;
 }
 
+const SHEAR_COL_MAP = {
+  mark:         /^(mark|type|id|tag|sw|sym|symbol|shear[\s_-]*wall([\s_-]*(type|mark|id))?|wall[\s_-]*type)$/i,
+  sheathing:    /^((wall[\s_-]*)?sheathing([\s_-]*(material|type))?|panel|material)$/i,
+  edgeNailing:  /^((panel[\s_-]*)?edge([\s_-]*(nailing|nail|spacing|fastening))?|boundary[\s_-]*nailing|e\.?n\.?)$/i,
+  fieldNailing: /^(field([\s_-]*(nailing|nail|spacing|fastening))?|intermediate|f\.?n\.?)$/i,
+  nailing:      /^(nailing|nails?([\s_-]*(size|schedule|pattern))?|fasteners?|fastening)$/i,
+  anchorage:    /^(sill[\s_-]*(plate[\s_-]*)?(anchorage|anchors?|bolts?|connection)|anchor[\s_-]*bolts?([\s_-]*spacing)?|a\.?b\.?|anchorage)$/i,
+  holdDown:     /^(hold[\s_-]*downs?([\s_-]*(model|type))?|h\.?d\.?|end[\s_-]*post([\s_-]*(hardware|connection))?)$/i,
+  capacity:     /^(capacity|allow\.?|allowable([\s_-]*shear)?|plf|shear|v)$/i,
+  notes:        /^(note|remark|comment)$/i,
+};
+
+// Hold-down hardware models: HDU5-SDS2.5, HDQ8, PHD2, PAHD42, STHD14, HTT5, MSTC40
+const HOLD_DOWN_RE = /\b(HDU\d+[\w.-]*|HDQ\d+[\w.-]*|HD\d+\w*|PHD\d+\w*|PAHD\d*\w*|STHD\d+\w*|HTT\d+\w*|MSTC\d+\w*|CS\d+)\b/i;
+
+/**
+ * Split a member callout into plies and member size:
+ *   "(3) 1-3/4x11-7/8 LVL" → { plies: 3, size: "1-3/4x11-7/8 LVL", material: "LVL" }
+ *   "3-2x12"               → { plies: 3, size: "2x12", material: "sawn" }
+ *   "2 PLY 1 3/4 x 9 1/4 LVL", "5-1/8x12 GLB", "W8x31" are handled alike.
+ * Returns null when the string holds no member size.
+ */
+export function parsePlies(str) {
+  if (!str) return null;
+  let text = str.trim().replace(/\s*[×X]\s*(?=\d)/g, "x");
+  let plies = null;
+
+  const lead = text.match(/^\(\s*(\d+)\s*\)\s*|^(\d+)\s*(?:-?\s*PLY|PLIES)\b\s*-?\s*|^(\d+)\s*[-–]\s*(?=\d+x)|^(\d+)\s+(?=(?:2|3|4|6)x\d)/i);
+  if (lead) {
+    plies = parseInt(lead[1] || lead[2] || lead[3] || lead[4], 10);
+    text = text.slice(lead[0].length).trim();
+  } else {
+    const trail = text.match(/\s*[-(,]?\s*(\d+)\s*-?\s*(?:PLY|PLIES)\)?\s*$/i);
+    if (trail) {
+      plies = parseInt(trail[1], 10);
+      text = text.slice(0, trail.index).trim();
+    }
+  }
+  if (!/\d\s*x\s*\d/i.test(text)) return null;
+
+  const size = text.replace(/\s*x\s*/gi, "x").replace(/\s+/g, " ");
+  const material = /^(W|HSS|C|L|MC|S)\d/i.test(size)
+    ? "steel"
+    : (size.match(/\b(LVL|PSL|LSL|GLB|GLULAM|GL)\b/i)?.[1].toUpperCase() || "sawn");
+  return { plies: plies && plies > 0 && plies < 10 ? plies : null, size, material };
+}
+
+/**
+ * Provenance for a data row (index into table.cells): its bounding box and
+ * the row text with cells separated by " | ".
+ */
+function rowSource(table, rowIndex) {
+  return {
+    bbox: table.rowBoxes?.[rowIndex] || null,
+    text: table.cells[rowIndex].filter((c) => c && c.trim()).join(" | "),
+  };
+}
+
 // ─── Wall Schedule Parser ──────────────────────────────────────────
 
 /**
@@ -112,7 +197,7 @@ export function parseWallSchedule(table) {
   const dataRows = table.cells.slice(1); // skip header
   const wallTypes = [];
 
-  for (const row of dataRows) {
+  for (const [r, row] of dataRows.entries()) {
     const get = (semantic) => {
       const idx = Object.entries(colMap).find(([, name]) => name === semantic)?.[0];
       return idx !== undefined ? row[+idx] : null;
@@ -142,6 +227,7 @@ export function parseWallSchedule(table) {
       insulation: insulRaw.trim() || null,
       exterior: isExterior,
       notes: notes.trim(),
+      source: rowSource(table, r + 1),
     });
   }
 
@@ -150,6 +236,9 @@ export function parseWallSchedule(table) {
 
 // ─── Door / Window Schedule Parser ─────────────────────────────────
 
+// Header schedule marks referenced from a door/window schedule: "H1", "HDR-3"
+const HEADER_MARK_RE = /^(H|HDR|HD|B|BM)[-\s]?\d{1,3}[A-Z]?$/i;
+
 /** Header sizing rules (from QuickReference.jsx logic) */
 function deriveHeaderSize(openingWidthInches) {
   if (openingWidthInches <= 36) return "2x6";
@@ -173,7 +262,7 @@ export function parseDoorWindowSchedule(table, category = "door") {
   const dataRows = table.cells.slice(1);
   const openings = [];
 
-  for (const row of dataRows) {
+  for (const [r, row] of dataRows.entries()) {
     const get = (semantic) => {
       const idx = Object.entries(colMap).find(([, name]) => name === semantic)?.[0];
       return idx !== undefined ? row[+idx] : null;
@@ -196,14 +285,18 @@ export function parseDoorWindowSchedule(table, category = "door") {
       if (parts[1] && height === null) height = parseDimCell(parts[1]);
     }
 
-    const quantity = parseInt(get("quantity"), 10) || 1;
-    const headerRaw = get("headerSize") || "";
-    const headerMatch = headerRaw.match(/(\d+)[-\s]*(2x\d+|LVL)/i);
-    let headerCount = headerMatch ? parseInt(headerMatch[1], 10) : 2;
-    let headerSize = headerMatch ? headerMatch[2] : null;
+    const quantityCell = parseInt(get("quantity"), 10);
+    const quantity = quantityCell > 0 ? quantityCell : 1;
+    const headerRaw = (get("headerSize") || "").trim();
+    const headerMember = parsePlies(headerRaw);
+    let headerCount = headerMember?.plies || 2;
+    let headerSize = headerMember?.size || null;
+    // A header column may hold a header schedule mark ("H3") instead of a size
+    const headerMark = !headerMember && HEADER_MARK_RE.test(headerRaw) ? headerRaw.toUpperCase() : null;
 
     // Derive header size if not specified
     const widthInches = width ? width * 12 : 36;
+    const headerDerived = !headerSize;
     if (!headerSize) {
       headerSize = deriveHeaderSize(widthInches);
     }
@@ -217,8 +310,11 @@ export function parseDoorWindowSchedule(table, category = "door") {
       width: width || 3,
       height: height || (inferredCategory === "door" ? 6.67 : 4),
       quantity,
+      assumed: quantityCell > 0 ? [] : ["quantity"], // no count column: one until the plan tags are counted
       headerSize,
       headerCount,
+      headerMark,
+      headerDerived,      // size guessed from the width until a header schedule says otherwise
       trimmerStuds: 2,    // per opening
       kingStuds: 2,       // per opening
       crippleStuds: inferredCategory === "window" ? 4 : 2, // estimate
@@ -226,12 +322,290 @@ export function parseDoorWindowSchedule(table, category = "door") {
       wallType: null,     // filled later by floor plan correlation
       type: (get("type") || "").trim(),
       notes: (get("notes") || "").trim(),
+      source: rowSource(table, r + 1),
     });
   }
 
   return openings;
 }
 
+// ─── Header / Beam Schedule Parser ─────────────────────────────────
+
+/**
+ * Parse a header or beam schedule table into structural members.
+ *
+ * @param {object} table – a table from spatialData.tables
+ * @param {"header"|"beam"} type
+ * @returns {Array} Structural member objects
+ *   { type, mark, size, plies, material, span, quantity, assumed, bearing, location, notes, source }
+ *   assumed is ["quantity"] when the schedule has no count column
+ */
+export function parseMemberSchedule(table, type = "beam") {
+  if (!table || table.cells.length < 2) return [];
+
+  const colMap = mapColumns(table.headerRow, MEMBER_COL_MAP);
+  const dataRows = table.cells.slice(1);
+  const members = [];
+
+  for (const [r, row] of dataRows.entries()) {
+    const get = (semantic) => {
+      const idx = Object.entries(colMap).find(([, name]) => name === semantic)?.[0];
+      return idx !== undefined ? row[+idx] : null;
+    };
+    const getAll = (semantic) => Object.entries(colMap).filter(([, name]) => name === semantic).map(([idx]) => row[+idx] || "");
+
+    // A "HEADER" / "BEAM" column may hold either the mark or the member itself
+    const labelCells = getAll("mark");
+    const member = parsePlies(get("size")) || labelCells.map(parsePlies).find(Boolean);
+    if (!member) continue;
+
+    const mark = labelCells.find((cell) => cell.trim() && !parsePlies(cell))?.trim() || "";
+    const pliesCell = parseInt(get("plies"), 10);
+    const quantityCell = parseInt(get("quantity"), 10);
+    const bearingRaw = (get("bearing") || "").trim();
+
+    members.push({
+      type,
+      mark: mark.toUpperCase(),
+      size: member.size,
+      plies: pliesCell > 0 ? pliesCell : member.plies,
+      material: member.material,
+      span: parseDimCell(get("span")),
+      quantity: quantityCell > 0 ? quantityCell : 1,
+      assumed: quantityCell > 0 ? [] : ["quantity"],
+      bearing: bearingRaw || null,
+      location: (get("location") || "").trim(),
+      notes: (get("notes") || "").trim(),
+      source: rowSource(table, r + 1),
+    });
+  }
+
+  return members;
+}
+
+/**
+ * True when a table's columns look like a member schedule: a size or mark
+ * column plus at least one of span, plies or bearing.
+ */
+function isMemberTable(table) {
+  const mapped = Object.values(mapColumns(table.headerRow || [], MEMBER_COL_MAP));
+  return (mapped.includes("size") || mapped.includes("mark")) && (mapped.includes("span") || mapped.includes("plies") || mapped.includes("bearing"));
+}
+
+/**
+ * Which member schedule a table is: its own title first, then its header
+ * cells, then — for an untitled table — the page's only schedule title.
+ */
+function memberScheduleKind(table, rawText) {
+  const title = table.title || "";
+  if (/header|lintel/i.test(title)) return "header";
+  if (/beam|girder/i.test(title)) return "beam";
+  if (title) return null;
+  const header = (table.headerRow || []).join(" ");
+  if (/\b(header|hdr|lintel)\b/i.test(header)) return "header";
+  if (/\b(beam|bm|girder)\b/i.test(header)) return "beam";
+  const headerPage = /(header|lintel)\s*schedule/i.test(rawText);
+  const beamPage = /beam\s*schedule/i.test(rawText);
+  if (headerPage && !beamPage) return "header";
+  if (beamPage && !headerPage) return "beam";
+  return null;
+}
+
+/**
+ * Scan all tables on a page and return header schedule entries found.
+ */
+export function findHeaderScheduleInTables(tables, rawText = "") {
+  const results = [];
+  for (const table of tables) {
+    if (isMemberTable(table) && memberScheduleKind(table, rawText) === "header") {
+      results.push(...parseMemberSchedule(table, "header"));
+    }
+  }
+  return results;
+}
+
+/**
+ * Scan all tables on a page and return beam schedule entries found.
+ */
+export function findBeamScheduleInTables(tables, rawText = "") {
+  const results = [];
+  for (const table of tables) {
+    if (isMemberTable(table) && memberScheduleKind(table, rawText) === "beam") {
+      results.push(...parseMemberSchedule(table, "beam"));
+    }
+  }
+  return results;
+}
+
+/**
+ * Size openings' headers from the plan set's header schedule.
+ *
+ * An opening whose header column named a schedule mark ("H2") takes that
+ * member; one whose header was only guessed from its width takes the
+ * smallest scheduled header rated for at least that span. Openings with an
+ * explicit header size are left alone. Mutates `result.openings`.
+ */
+export function applyHeaderSchedule(result) {
+  const headers = result.structuralMembers.filter((m) => m.type === "header");
+  if (headers.length === 0) return;
+  const byMark = new Map(headers.filter((m) => m.mark).map((m) => [m.mark, m]));
+  const bySpan = headers.filter((m) => m.span > 0).sort((a, b) => a.span - b.span);
+
+  result.openings = result.openings.map((o) => {
+    if (!o.headerMark && !o.headerDerived) return o;
+    const member = (o.headerMark && byMark.get(o.headerMark)) || (o.headerDerived && bySpan.find((m) => m.span >= (o.width || 3)));
+    if (!member) return o;
+    return {
+      ...o,
+      headerSize: member.size,
+      headerCount: member.plies || o.headerCount || 2,
+      headerMark: member.mark || o.headerMark,
+      headerDerived: false,
+    };
+  });
+}
+
+// ─── Shear Wall Schedule Parser ────────────────────────────────────
+
+/**
+ * Read nail size and edge / field spacing (inches) from a nailing cell:
+ * "10d @ 4\" O.C.", "8d @ 4/12", "8d @ 3\" E.N., 12\" F.N.".
+ */
+export function parseNailing(str) {
+  if (!str) return { nail: null, edge: null, field: null };
+  const nail = str.match(/\b(\d+d)\b/i)?.[1].toLowerCase() || null;
+  const pair = str.match(/(\d+(?:\.\d+)?)\s*["″]?\s*\/\s*(\d+(?:\.\d+)?)\s*["″]?/);
+  if (pair) return { nail, edge: +pair[1], field: +pair[2] };
+  const edge = str.match(/(\d+(?:\.\d+)?)\s*["″]?\s*(?:o\.?c\.?)?\s*(?:e\.?n\.?|edges?)\b/i);
+  const field = str.match(/(\d+(?:\.\d+)?)\s*["″]?\s*(?:o\.?c\.?)?\s*(?:f\.?n\.?|field)\b/i);
+  if (edge || field) return { nail, edge: edge ? +edge[1] : null, field: field ? +field[1] : null };
+  const single = str.match(/@\s*(\d+(?:\.\d+)?)\s*["″]?/) || str.match(/^(\d+(?:\.\d+)?)\s*["″]?\s*(?:o\.?c\.?)?$/i);
+  return { nail, edge: single ? +single[1] : null, field: null };
+}
+
+/**
+ * Read anchor bolt diameter and spacing (inches) from a sill anchorage
+ * cell: "5/8\" A.B. @ 48\" O.C.", "5/8\" DIA @ 4'-0\" O.C.".
+ */
+export function parseAnchorage(str) {
+  if (!str) return { size: null, spacing: null };
+  const size = str.match(/(\d+\/\d+|\d+(?:\.\d+)?)\s*["″]\s*(?:Ø|DIA\.?|A\.?B\.?|ANCHOR|BOLT|x)/i)?.[1] || null;
+  const at = str.split("@")[1];
+  let spacing = null;
+  if (at) {
+    const dims = parseDimensions(at);
+    if (dims.length) spacing = Math.round(dims[0].feet * 12);
+    else if (parseFloat(at) > 0) spacing = parseFloat(at);
+  }
+  return { size: size ? size + "\"" : null, spacing };
+}
+
+/**
+ * Parse a shear wall schedule table.
+ *
+ * @param {object} table – a table from spatialData.tables
+ * @returns {Array} Shear wall types { mark, sheathing, sheathingType,
+ *   sheathingThickness, sides, nail, edgeNailing, fieldNailing,
+ *   anchorBoltSize, anchorBoltSpacing, holdDown, capacity, notes, source };
+ *   nail and anchor bolt spacings are in inches, capacity in plf
+ */
+export function parseShearWallSchedule(table) {
+  if (!table || table.cells.length < 2) return [];
+
+  const colMap = mapColumns(table.headerRow, SHEAR_COL_MAP);
+  const dataRows = table.cells.slice(1);
+  const types = [];
+
+  for (const [r, row] of dataRows.entries()) {
+    const get = (semantic) => {
+      const idx = Object.entries(colMap).find(([, name]) => name === semantic)?.[0];
+      return idx !== undefined ? row[+idx] : null;
+    };
+
+    // Marks are normalized to the plan tag form: "1" / "SW-1" → "SW1"
+    const markRaw = (get("mark") || "").trim().toUpperCase();
+    if (!markRaw) continue;
+    const mark = /^\d{1,2}[A-Z]?$/.test(markRaw) ? "SW" + markRaw : markRaw.replace(/^SW[-\s]+/, "SW");
+
+    const sheathingRaw = (get("sheathing") || "").trim();
+    const nailing = parseNailing(get("nailing"));
+    const edge = parseNailing(get("edgeNailing"));
+    const field = parseNailing(get("fieldNailing"));
+    const anchorage = parseAnchorage(get("anchorage"));
+    const rowText = row.join(" ");
+    const holdDown = (get("holdDown") || "").match(HOLD_DOWN_RE)?.[1].toUpperCase() || null;
+
+    types.push({
+      mark,
+      sheathing: sheathingRaw || null,
+      sheathingType: /osb/i.test(sheathingRaw) ? "OSB" : /ply/i.test(sheathingRaw) ? "Plywood" : /gyp|gwb/i.test(sheathingRaw) ? "Gypsum" : null,
+      sheathingThickness: sheathingRaw.match(/(\d+\/\d+)\s*["″]?/)?.[1] || null,
+      sides: /\b(each|both|two|2)\s*sides?\b|\bE\.S\.?(?=\s|$)/i.test(rowText) ? 2 : 1,
+      nail: edge.nail || field.nail || nailing.nail,
+      edgeNailing: edge.edge ?? nailing.edge,
+      fieldNailing: field.field ?? field.edge ?? nailing.field,
+      anchorBoltSize: anchorage.size,
+      anchorBoltSpacing: anchorage.spacing,
+      holdDown,
+      capacity: parseFloat(get("capacity")) || null,
+      notes: (get("notes") || "").trim(),
+      source: rowSource(table, r + 1),
+    });
+  }
+
+  return types;
+}
+
+/**
+ * True when a table reads as a shear wall schedule: a mark column plus
+ * nailing, and sheathing or anchorage columns (or a "SHEAR" title).
+ */
+function isShearWallTable(table) {
+  const mapped = Object.values(mapColumns(table.headerRow || [], SHEAR_COL_MAP));
+  const hasNailing = mapped.includes("edgeNailing") || mapped.includes("nailing");
+  const titled = /shear/i.test(table.title || "");
+  return mapped.includes("mark") && hasNailing && (titled || mapped.includes("sheathing") || mapped.includes("anchorage") || mapped.includes("holdDown"));
+}
+
+/**
+ * Scan all tables on a page and return shear wall schedule entries found.
+ */
+export function findShearWallScheduleInTables(tables) {
+  const results = [];
+  for (const table of tables) {
+    if (isShearWallTable(table)) results.push(...parseShearWallSchedule(table));
+  }
+  return results;
+}
+
+// Shear wall tags on a plan: "SW1", "SW-3", "SW4A"
+const SHEAR_TAG_RE = /^SW[-\s]?\d{1,2}[A-Z]?$/i;
+
+/**
+ * Shear wall tags on a plan page, positioned in rendered-image pixels so
+ * they can be matched to detected walls. Marks inside a table (a shear
+ * wall schedule drawn on the sheet) are not tags.
+ *
+ * @param {object} spatialData – output of extractSpatialText()
+ * @param {(x, y) => { x, y }} toPixel – PDF point → image pixel
+ * @returns {Array<{ mark, x, y }>}
+ */
+export function findShearWallTags(spatialData, toPixel) {
+  const inTable = (index) => (spatialData.tables || []).some((t) => index >= t.startLineIndex && index <= t.endLineIndex);
+  const tags = [];
+  for (const [index, line] of spatialData.lines.entries()) {
+    if (inTable(index)) continue;
+    for (const item of line.items) {
+      const str = item.str.trim();
+      if (!SHEAR_TAG_RE.test(str)) continue;
+      const box = itemBounds(item);
+      const center = toPixel(box.x + box.width / 2, box.y + box.height / 2);
+      tags.push({ mark: str.replace(/[-\s]/g, "").toUpperCase(), x: center.x, y: center.y });
+    }
+  }
+  return tags;
+}
+
 /**
  * Scan all tables on a page and return wall schedule entries found.
  */
@@ -239,6 +613,7 @@ export function findWallScheduleInTables(tables) {
   const results = [];
   for (const table of tables) {
     const header = (table.headerRow || []).join(" ").toLowerCase();
+    if (isShearWallTable(table)) continue;
     if (/type/.test(header) && (/stud|height|spacing|framing/.test(header))) {
       results.push(...parseWallSchedule(table));
     }
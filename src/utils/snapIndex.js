@@ -0,0 +1,117 @@
+/**
+ * Spatial index and snapping for vector segments.
+ *
+ * Segments are bucketed into a uniform grid so a cursor lookup only tests
+ * the handful of segments near it. findSnap() returns the best snap target
+ * within a radius, preferring (in order) endpoints, intersections,
+ * midpoints and finally the nearest point on a segment.
+ */
+
+import { pointDistance, midpoint } from "./geometry";
+
+const DEFAULT_CELL_SIZE = 40;
+const MAX_INTERSECTION_CANDIDATES = 40;
+
+export const SNAP_KINDS = ["endpoint", "intersection", "midpoint", "nearest"];
+
+function cellKey(cx, cy) {
+  return cx + "," + cy;
+}
+
+/**
+ * Build a grid index over segments ({ x1, y1, x2, y2 } in image pixels).
+ */
+export function createSnapIndex(segments, cellSize = DEFAULT_CELL_SIZE) {
+  const cells = new Map();
+  segments.forEach((s, idx) => {
+    const cx1 = Math.floor(Math.min(s.x1, s.x2) / cellSize);
+    const cx2 = Math.floor(Math.max(s.x1, s.x2) / cellSize);
+    const cy1 = Math.floor(Math.min(s.y1, s.y2) / cellSize);
+    const cy2 = Math.floor(Math.max(s.y1, s.y2) / cellSize);
+    for (let cx = cx1; cx <= cx2; cx++) {
+      for (let cy = cy1; cy <= cy2; cy++) {
+        const key = cellKey(cx, cy);
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(idx);
+      }
+    }
+  });
+  return { segments, cells, cellSize };
+}
+
+/**
+ * Segments whose grid cells overlap a square of the given radius around a point.
+ */
+export function querySegments(index, point, radius) {
+  if (!index) return [];
+  const { cells, cellSize, segments } = index;
+  const found = new Set();
+  const cx1 = Math.floor((point.x - radius) / cellSize);
+  const cx2 = Math.floor((point.x + radius) / cellSize);
+  const cy1 = Math.floor((point.y - radius) / cellSize);
+  const cy2 = Math.floor((point.y + radius) / cellSize);
+  for (let cx = cx1; cx <= cx2; cx++) {
+    for (let cy = cy1; cy <= cy2; cy++) {
+      const bucket = cells.get(cellKey(cx, cy));
+      if (bucket) bucket.forEach((idx) => found.add(idx));
+    }
+  }
+  return [...found].map((idx) => segments[idx]);
+}
+
+export function nearestPointOnSegment(s, p) {
+  const dx = s.x2 - s.x1;
+  const dy = s.y2 - s.y1;
+  const lenSq = dx * dx + dy * dy;
+  if (lenSq === 0) return { x: s.x1, y: s.y1 };
+  const t = Math.max(0, Math.min(1, ((p.x - s.x1) * dx + (p.y - s.y1) * dy) / lenSq));
+  return { x: s.x1 + t * dx, y: s.y1 + t * dy };
+}
+
+export function segmentIntersection(a, b) {
+  const d = (a.x2 - a.x1) * (b.y2 - b.y1) - (a.y2 - a.y1) * (b.x2 - b.x1);
+  if (Math.abs(d) < 1e-9) return null;
+  const t = ((b.x1 - a.x1) * (b.y2 - b.y1) - (b.y1 - a.y1) * (b.x2 - b.x1)) / d;
+  const u = ((b.x1 - a.x1) * (a.y2 - a.y1) - (b.y1 - a.y1) * (a.x2 - a.x1)) / d;
+  if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+  return { x: a.x1 + t * (a.x2 - a.x1), y: a.y1 + t * (a.y2 - a.y1) };
+}
+
+/**
+ * Find the best snap target for a cursor position.
+ *
+ * @param {object} index – from createSnapIndex()
+ * @param {{x, y}} point – cursor in image pixels
+ * @param {number} radius – snap radius in image pixels
+ * @returns {{ x, y, kind: string } | null}
+ */
+export function findSnap(index, point, radius) {
+  const nearby = querySegments(index, point, radius);
+  if (nearby.length === 0) return null;
+
+  const best = {};
+  const consider = (kind, p) => {
+    const d = pointDistance(point, p);
+    if (d <= radius && (!best[kind] || d < best[kind].d)) best[kind] = { x: p.x, y: p.y, d };
+  };
+
+  for (const s of nearby) {
+    consider("endpoint", { x: s.x1, y: s.y1 });
+    consider("endpoint", { x: s.x2, y: s.y2 });
+    consider("midpoint", midpoint({ x: s.x1, y: s.y1 }, { x: s.x2, y: s.y2 }));
+    consider("nearest", nearestPointOnSegment(s, point));
+  }
+
+  const close = nearby.slice(0, MAX_INTERSECTION_CANDIDATES);
+  for (let i = 0; i < close.length; i++) {
+    for (let j = i + 1; j < close.length; j++) {
+      const p = segmentIntersection(close[i], close[j]);
+      if (p) consider("intersection", p);
+    }
+  }
+
+  for (const kind of SNAP_KINDS) {
+    if (best[kind]) return { x: best[kind].x, y: best[kind].y, kind };
+  }
+  return null;
+}
@@ -4,14 +4,56 @@
  * Replaces flat `items.map(i => i.str).join(" ")` with a position-aware
  * extractor that preserves x/y coordinates, reconstructs lines, detects
  * column gaps, and identifies tabular regions.
+ *
+ * Text may run at any angle (vertical dimension strings, rotated title
+ * blocks and schedules). Each item records its baseline angle and its
+ * position in its own rotated frame — `u` along the baseline, `v` across
+ * it — and lines, gaps and table columns are computed in that frame, so a
+ * vertical run reads the same as a horizontal one.
  */
 
+// Items whose baselines differ by less than this many degrees share a line
+const ANGLE_BUCKET_DEG = 2;
+
+function toRadians(deg) {
+  return (deg * Math.PI) / 180;
+}
+
 /**
- * Normalize a single PDF.js text item into a predictable shape.
+ * Position of a page point in a frame rotated by `angleDeg`.
+ */
+function rotatedFrame(x, y, angleDeg) {
+  if (angleDeg === 0) return { u: x, v: y };
+  const a = toRadians(angleDeg);
+  const cos = Math.cos(a);
+  const sin = Math.sin(a);
+  return { u: x * cos + y * sin, v: -x * sin + y * cos };
+}
+
+/**
+ * Normalize a single PDF.js text item into a predictable shape. OCR items
+ * (see ocr.js) already carry x / y / fontSize in page space.
  */
 function normalizeItem(item) {
-  const fontSize = Math.abs(item.transform[0]) || Math.abs(item.transform[3]) || 10;
-  return {
+  if (!item.transform) {
+    return withFrame({
+      str: item.str,
+      x: item.x,
+      y: item.y,
+      width: item.width,
+      height: item.height || item.fontSize,
+      fontSize: item.fontSize,
+      fontName: item.fontName || "",
+      angle: item.angle || 0,
+    });
+  }
+  // The text matrix's first column is the baseline direction scaled by the
+  // font size; the second is the glyph "up" direction
+  const [a, b, c, d] = item.transform;
+  const rawAngle = (Math.atan2(b, a) * 180) / Math.PI;
+  const angle = Math.round(rawAngle / ANGLE_BUCKET_DEG) * ANGLE_BUCKET_DEG || 0;
+  const fontSize = Math.hypot(a, b) || Math.hypot(c, d) || 10;
+  return withFrame({
     str: item.str,
     x: item.transform[4],
     y: item.transform[5],
@@ -19,36 +61,97 @@ function normalizeItem(item) {
     height: item.height || fontSize,
     fontSize,
     fontName: item.fontName || "",
-  };
+    angle: angle === -180 ? 180 : angle,
+  });
+}
+
+function withFrame(item) {
+  return { ...item, ...rotatedFrame(item.x, item.y, item.angle) };
+}
+
+/**
+ * Corners of an item's box in page space: the baseline runs `width` along
+ * the item's angle and the glyphs rise `height` perpendicular to it.
+ */
+function itemCorners(item) {
+  if (!item.angle) {
+    return [
+      { x: item.x, y: item.y },
+      { x: item.x + item.width, y: item.y + item.height },
+    ];
+  }
+  const a = toRadians(item.angle);
+  const bx = Math.cos(a);
+  const by = Math.sin(a);
+  return [
+    { x: item.x, y: item.y },
+    { x: item.x + bx * item.width, y: item.y + by * item.width },
+    { x: item.x - by * item.height, y: item.y + bx * item.height },
+    { x: item.x + bx * item.width - by * item.height, y: item.y + by * item.width + bx * item.height },
+  ];
+}
+
+/**
+ * Axis-aligned page-space box of one normalized item.
+ */
+export function itemBounds(item) {
+  return itemsBounds([item]);
+}
+
+/**
+ * Bounding box of a set of items in PDF page coordinates (origin at the
+ * bottom-left, y up — the same space as the item x/y values).
+ */
+function itemsBounds(items) {
+  if (items.length === 0) return null;
+  const corners = items.flatMap(itemCorners);
+  const x1 = Math.min(...corners.map((p) => p.x));
+  const y1 = Math.min(...corners.map((p) => p.y));
+  const x2 = Math.max(...corners.map((p) => p.x));
+  const y2 = Math.max(...corners.map((p) => p.y));
+  return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
 }
 
 /**
- * Group normalized items into horizontal text lines.
- * Items whose y-positions are within a tolerance are placed on the same line.
+ * Group normalized items into text lines.
+ * Items are first split by baseline angle; within one angle, items whose
+ * cross-baseline positions (`v`) are within a tolerance share a line and
+ * are ordered along the baseline (`u`). Horizontal lines come first, top of
+ * page first, followed by each rotated orientation.
  */
 function groupIntoLines(items) {
   if (items.length === 0) return [];
 
-  // Sort by y descending (top of page first) then x ascending
-  const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+  const byAngle = new Map();
+  for (const item of items) {
+    if (!byAngle.has(item.angle)) byAngle.set(item.angle, []);
+    byAngle.get(item.angle).push(item);
+  }
+  const angles = [...byAngle.keys()].sort((a, b) => (a === 0 ? -1 : b === 0 ? 1 : a - b));
+  return angles.flatMap((angle) => groupAlongBaseline(byAngle.get(angle), angle));
+}
+
+function groupAlongBaseline(items, angle) {
+  // Sort by v descending (top of the rotated frame first) then u ascending
+  const sorted = [...items].sort((a, b) => b.v - a.v || a.u - b.u);
 
   const lines = [];
-  let currentLine = { items: [sorted[0]], y: sorted[0].y, fontSize: sorted[0].fontSize };
+  let currentLine = { items: [sorted[0]], y: sorted[0].v, fontSize: sorted[0].fontSize, angle };
 
   for (let i = 1; i < sorted.length; i++) {
     const item = sorted[i];
     const tolerance = Math.max(currentLine.fontSize * 0.4, 2);
 
-    if (Math.abs(item.y - currentLine.y) <= tolerance) {
+    if (Math.abs(item.v - currentLine.y) <= tolerance) {
       currentLine.items.push(item);
     } else {
       // Finalize current line and start a new one
-      currentLine.items.sort((a, b) => a.x - b.x);
+      currentLine.items.sort((a, b) => a.u - b.u);
       lines.push(currentLine);
-      currentLine = { items: [item], y: item.y, fontSize: item.fontSize };
+      currentLine = { items: [item], y: item.v, fontSize: item.fontSize, angle };
     }
   }
-  currentLine.items.sort((a, b) => a.x - b.x);
+  currentLine.items.sort((a, b) => a.u - b.u);
   lines.push(currentLine);
 
   return lines;
@@ -65,8 +168,8 @@ function buildLineText(lineItems) {
   for (let i = 1; i < lineItems.length; i++) {
     const prev = lineItems[i - 1];
     const curr = lineItems[i];
-    const prevEnd = prev.x + prev.width;
-    const gap = curr.x - prevEnd;
+    const prevEnd = prev.u + prev.width;
+    const gap = curr.u - prevEnd;
     const avgCharWidth = prev.str.length > 0 ? prev.width / prev.str.length : prev.fontSize * 0.5;
     const tabThreshold = avgCharWidth * 2.5;
 
@@ -81,11 +184,48 @@ function buildLineText(lineItems) {
   return text;
 }
 
+// ── Table detection ─────────────────────────────────────────────────
+
+// A header block is at most this many stacked rows ("ROUGH" / "OPENING" / "W")
+const MAX_HEADER_ROWS = 3;
+
+/**
+ * True when a line can continue the row above it: it starts to the right of
+ * the first column (the mark / type column is empty) and sits no further
+ * below the previous line than wrapped cell text would.
+ */
+function isContinuationLine(line, prevLine, firstColumn, tolerance) {
+  if (!line.items.length || line.angle !== prevLine.angle) return false;
+  if (line.items[0].u < firstColumn + tolerance) return false;
+  return prevLine.y - line.y <= Math.max(line.fontSize, prevLine.fontSize) * 1.5;
+}
+
+/**
+ * True when a line directly above a table run reads as a header row for
+ * it: close above, within the table's extent, no digits, and not the
+ * schedule title.
+ */
+function isHeaderLineAbove(line, below, extent, bodyFontSize) {
+  if (line.angle !== below.angle) return false;
+  if (line.y - below.y > Math.max(line.fontSize, below.fontSize) * 2.5) return false;
+  const text = buildLineText(line.items);
+  if (/\d/.test(text) || /\bSCHEDULE\b/i.test(text)) return false;
+  if (line.fontSize > bodyFontSize * 1.15) return false;
+  const margin = bodyFontSize * 2;
+  return line.items.every((it) => it.u >= extent.min - margin && it.u + it.width <= extent.max + margin);
+}
+
 /**
  * Detect tabular regions by finding runs of consecutive lines with
- * matching column-aligned x-start positions.
+ * matching column-aligned start positions along the baseline. A change of
+ * angle ends a run, so rotated schedules form their own tables. Wrapped
+ * cell text (lines that leave the first column empty) stays in the run,
+ * and stacked header rows directly above a run are pulled into it.
+ *
+ * @param {Array} rules – ruled-line segments in PDF coordinates, used for
+ *   column and row boundaries where the schedule is drawn as a grid
  */
-function detectTables(lines, tolerance = 6) {
+function detectTables(lines, rules = [], tolerance = 6) {
   if (lines.length < 3) return [];
 
   // For each line, collect the set of column x-start buckets
@@ -93,25 +233,30 @@ function detectTables(lines, tolerance = 6) {
     const cols = [];
     for (const item of line.items) {
       // Round to nearest bucket
-      const bucket = Math.round(item.x / tolerance) * tolerance;
+      const bucket = Math.round(item.u / tolerance) * tolerance;
       if (!cols.includes(bucket)) cols.push(bucket);
     }
     return cols.sort((a, b) => a - b);
   });
 
-  const tables = [];
+  const runs = [];
   let runStart = null;
   let runCols = null;
+  const endRun = (endIdx) => {
+    if (runStart !== null && endIdx - runStart + 1 >= 3) runs.push({ start: runStart, end: endIdx, cols: runCols });
+    runStart = null;
+    runCols = null;
+  };
 
   for (let i = 0; i < lineColumnSets.length; i++) {
     const cols = lineColumnSets[i];
+    if (runStart !== null && lines[i].angle !== lines[runStart].angle) endRun(i - 1);
+    if (runStart !== null && isContinuationLine(lines[i], lines[i - 1], runCols[0], tolerance)) {
+      continue;
+    }
     if (cols.length < 2) {
       // Single-column line breaks a table run
-      if (runStart !== null && i - runStart >= 3) {
-        tables.push(buildTable(lines, runStart, i - 1, runCols, tolerance));
-      }
-      runStart = null;
-      runCols = null;
+      endRun(i - 1);
       continue;
     }
 
@@ -126,55 +271,268 @@ function detectTables(lines, tolerance = 6) {
         if (cols.length > runCols.length) runCols = cols;
       } else {
         // Column count changed — finalize if long enough
-        if (i - runStart >= 3) {
-          tables.push(buildTable(lines, runStart, i - 1, runCols, tolerance));
-        }
+        endRun(i - 1);
         runStart = i;
         runCols = cols;
       }
     }
   }
   // Finalize trailing run
-  if (runStart !== null && lines.length - runStart >= 3) {
-    tables.push(buildTable(lines, runStart, lines.length - 1, runCols, tolerance));
-  }
+  endRun(lines.length - 1);
 
+  const tables = [];
+  let prevEnd = -1;
+  for (const run of runs) {
+    // Stacked header rows above the run ("SIZE" over "W  H")
+    const runItems = lines.slice(run.start, run.end + 1).flatMap((l) => l.items);
+    const extent = {
+      min: Math.min(...runItems.map((it) => it.u)),
+      max: Math.max(...runItems.map((it) => it.u + it.width)),
+    };
+    const bodyFontSize = lines[run.end].fontSize;
+    let start = run.start;
+    while (
+      start - 1 > prevEnd &&
+      run.start - (start - 1) <= MAX_HEADER_ROWS &&
+      isHeaderLineAbove(lines[start - 1], lines[start], extent, bodyFontSize)
+    ) {
+      start--;
+    }
+    const table = buildTable(lines, start, run.end, run.cols, tolerance, rules);
+    table.title = findTableTitle(lines, start, prevEnd);
+    tables.push(table);
+    prevEnd = run.end;
+  }
   return tables;
 }
 
 /**
- * Build a table object from a detected range of lines and column positions.
+ * The schedule title just above a table ("HEADER SCHEDULE"), or "".
  */
-function buildTable(lines, startIdx, endIdx, columnBuckets, tolerance) {
-  // Derive column boundaries: each bucket marks the start of a column,
-  // extend to the next bucket (or page edge) for the boundary.
-  const colBounds = columnBuckets.map((bucket, idx) => ({
-    xMin: bucket - tolerance,
-    xMax: idx < columnBuckets.length - 1 ? columnBuckets[idx + 1] - tolerance : Infinity,
+function findTableTitle(lines, startIdx, prevEnd) {
+  for (let k = startIdx - 1; k > prevEnd && k >= startIdx - 3; k--) {
+    if (lines[k].angle !== lines[startIdx].angle) break;
+    const text = buildLineText(lines[k].items).replace(/\t/g, " ").trim();
+    if (/\bSCHEDULE\b/i.test(text)) return text;
+  }
+  return "";
+}
+
+/**
+ * Ruled lines near a table, in the table's rotated frame: `vertical` rules
+ * run across the baseline (column boundaries), `horizontal` ones along it
+ * (row boundaries).
+ */
+function rulesInFrame(rules, angle, box) {
+  const vertical = [];
+  const horizontal = [];
+  for (const r of rules) {
+    const a = rotatedFrame(r.x1, r.y1, angle);
+    const b = rotatedFrame(r.x2, r.y2, angle);
+    const u1 = Math.min(a.u, b.u);
+    const u2 = Math.max(a.u, b.u);
+    const v1 = Math.min(a.v, b.v);
+    const v2 = Math.max(a.v, b.v);
+    if (u2 < box.uMin || u1 > box.uMax || v2 < box.vMin || v1 > box.vMax) continue;
+    if (u2 - u1 <= 1 && v2 - v1 > 1) vertical.push({ u: (u1 + u2) / 2, v1, v2 });
+    else if (v2 - v1 <= 1 && u2 - u1 > 1) horizontal.push({ v: (v1 + v2) / 2, u1, u2 });
+  }
+  return { vertical, horizontal };
+}
+
+/**
+ * u positions of vertical rules crossing a line's text band.
+ */
+function rulesCrossingLine(vertical, line) {
+  const mid = line.y + line.fontSize * 0.35;
+  return vertical.filter((r) => r.v1 <= mid && r.v2 >= mid).map((r) => r.u);
+}
+
+/**
+ * Merge nearby positions into their average.
+ */
+function clusterPositions(values, tolerance) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const clusters = [];
+  for (const value of sorted) {
+    const last = clusters[clusters.length - 1];
+    if (last && value - last.values[last.values.length - 1] <= tolerance) last.values.push(value);
+    else clusters.push({ values: [value] });
+  }
+  return clusters.map((c) => ({ pos: c.values.reduce((a, b) => a + b, 0) / c.values.length, count: c.values.length }));
+}
+
+/**
+ * Split a header line into phrases: runs of items separated by less than a
+ * column gap and not divided by a ruled line.
+ */
+function headerPhrases(line, ruleUs) {
+  const phrases = [];
+  for (const item of line.items) {
+    const prev = phrases[phrases.length - 1];
+    const last = prev?.items[prev.items.length - 1];
+    const gap = last ? item.u - (last.u + last.width) : Infinity;
+    const charWidth = last && last.str.length > 0 ? last.width / last.str.length : item.fontSize * 0.5;
+    const ruled = last && ruleUs.some((u) => u > last.u + last.width - 1 && u < item.u + 1);
+    if (prev && gap <= charWidth * 2.5 && !ruled) prev.items.push(item);
+    else phrases.push({ items: [item] });
+  }
+  return phrases.map((p) => ({
+    text: buildLineText(p.items).replace(/\t/g, " ").trim(),
+    start: p.items[0].u,
+    end: Math.max(...p.items.map((it) => it.u + it.width)),
+    fontSize: line.fontSize,
   }));
+}
+
+/**
+ * Columns a header phrase labels. Inside a ruled grid that is every column
+ * between the rules enclosing the phrase, so a spanning cell ("ROUGH
+ * OPENING") labels each column under it. Otherwise a phrase labels the
+ * columns whose content is centered nearer to it than to its neighbours
+ * and within about a phrase-width of it.
+ */
+function phraseColumns(phrase, prev, next, anchors, ruleUs) {
+  const left = Math.max(-Infinity, ...ruleUs.filter((u) => u <= phrase.start + 1));
+  const right = Math.min(Infinity, ...ruleUs.filter((u) => u >= phrase.end - 1));
+  if (left > -Infinity && right < Infinity) {
+    return anchors.map((a, idx) => (a > left && a < right ? idx : -1)).filter((idx) => idx >= 0);
+  }
 
-  const cells = [];
-  for (let i = startIdx; i <= endIdx; i++) {
-    const row = colBounds.map((col) => {
-      const matching = lines[i].items
-        .filter((item) => item.x >= col.xMin && item.x < col.xMax)
-        .map((item) => item.str)
+  const regionMin = prev ? (prev.end + phrase.start) / 2 : -Infinity;
+  const regionMax = next ? (phrase.end + next.start) / 2 : Infinity;
+  const reach = Math.max(phrase.end - phrase.start, phrase.fontSize * 2);
+  const inRegion = anchors
+    .map((a, idx) => ({ a, idx }))
+    .filter(({ a }) => a >= regionMin && a < regionMax);
+  const covered = inRegion.filter(({ a }) => a >= phrase.start - reach && a <= phrase.end + reach);
+  if (covered.length) return covered.map(({ idx }) => idx);
+  // Off-center label: fall back to the nearest column in its region
+  const center = (phrase.start + phrase.end) / 2;
+  const nearest = inRegion.sort((x, y) => Math.abs(x.a - center) - Math.abs(y.a - center))[0];
+  return nearest ? [nearest.idx] : [];
+}
+
+/**
+ * Build a table object from a detected range of lines and column positions.
+ *
+ * Leading digit-free lines (up to MAX_HEADER_ROWS, when digits follow)
+ * form the header; each column's header is the stack of labels above it,
+ * top to bottom, so "SIZE" spanning "W" and "H" gives "SIZE W" and
+ * "SIZE H". Body lines are grouped into rows — by ruled lines when the
+ * schedule has them, otherwise by folding wrapped cell text into the row
+ * above. `cells[0]` is the composite header row; `rowBoxes` parallels
+ * `cells`. detectTables() adds the schedule `title` found above the table.
+ */
+function buildTable(lines, startIdx, endIdx, columnBuckets, tolerance, rules) {
+  const tableLines = lines.slice(startIdx, endIdx + 1);
+  const angle = tableLines[0].angle;
+  const allItems = tableLines.flatMap((l) => l.items);
+
+  // Header rows: digit-free lines at the top, when data with digits follows
+  let headerCount = 0;
+  while (headerCount < tableLines.length && !/\d/.test(buildLineText(tableLines[headerCount].items))) headerCount++;
+  if (headerCount === 0 || headerCount === tableLines.length || headerCount > MAX_HEADER_ROWS) headerCount = 1;
+  const headerLines = tableLines.slice(0, headerCount);
+  const bodyLines = tableLines.slice(headerCount);
+  const bodyItems = bodyLines.flatMap((l) => l.items);
+
+  const margin = Math.max(tolerance * 2, tableLines[0].fontSize * 3);
+  const frameBox = {
+    uMin: Math.min(...allItems.map((it) => it.u)) - margin,
+    uMax: Math.max(...allItems.map((it) => it.u + it.width)) + margin,
+    vMin: Math.min(...allItems.map((it) => it.v)) - margin,
+    vMax: Math.max(...allItems.map((it) => it.v + it.height)) + margin,
+  };
+  const { vertical, horizontal } = rulesInFrame(rules, angle, frameBox);
+
+  // Columns: ruled boundaries crossing most body lines, else start buckets
+  let colBounds = null;
+  if (vertical.length) {
+    const crossings = bodyLines.flatMap((line) => [...new Set(rulesCrossingLine(vertical, line).map(Math.round))]);
+    // Open-ended edge columns cover a border drawn further out than we look
+    const boundaries = [
+      -Infinity,
+      ...clusterPositions(crossings, 2)
+        .filter((c) => c.count >= bodyLines.length / 2)
+        .map((c) => c.pos),
+      Infinity,
+    ];
+    const ruled = [];
+    for (let k = 0; k < boundaries.length - 1; k++) {
+      const bounds = { xMin: boundaries[k], xMax: boundaries[k + 1] };
+      if (bodyItems.some((it) => it.u >= bounds.xMin && it.u < bounds.xMax)) ruled.push(bounds);
+    }
+    if (ruled.length >= 2 && boundaries.length > 2) colBounds = ruled;
+  }
+  if (!colBounds) {
+    // Derive column boundaries: each bucket marks the start of a column,
+    // extend to the next bucket (or page edge) for the boundary.
+    colBounds = columnBuckets.map((bucket, idx) => ({
+      xMin: bucket - tolerance,
+      xMax: idx < columnBuckets.length - 1 ? columnBuckets[idx + 1] - tolerance : Infinity,
+    }));
+  }
+  const columnOf = (item) => colBounds.findIndex((col) => item.u >= col.xMin && item.u < col.xMax);
+
+  // Body rows
+  const rowSeparated = (upper, lower) =>
+    horizontal.some((r) => r.v > lower.y + lower.fontSize * 0.5 && r.v < upper.y + upper.fontSize * 0.5);
+  const useRowRules = horizontal.length >= 2;
+  // Ruled edge columns are open-ended, so the first column starts where its text does
+  const firstColumnItems = bodyItems.filter((item) => columnOf(item) === 0);
+  const firstColumnStart = (Number.isFinite(colBounds[0].xMin)
+    ? colBounds[0].xMin
+    : Math.min(...firstColumnItems.map((it) => it.u), colBounds[0].xMax)) + tolerance;
+  const rows = [];
+  for (const line of bodyLines) {
+    const prev = rows[rows.length - 1];
+    const prevLine = prev?.lines[prev.lines.length - 1];
+    const joins = prev && (useRowRules
+      ? !rowSeparated(prevLine, line)
+      : isContinuationLine(line, prevLine, firstColumnStart, 0));
+    if (joins) prev.lines.push(line);
+    else rows.push({ lines: [line] });
+  }
+  const bodyCells = rows.map((row) =>
+    colBounds.map((_, c) =>
+      row.lines
+        .map((line) => line.items.filter((item) => columnOf(item) === c).map((item) => item.str).join(" ").trim())
+        .filter(Boolean)
         .join(" ")
-        .trim();
-      return matching;
+    )
+  );
+
+  // Composite header: the labels stacked above each column
+  const anchors = colBounds.map((col, c) => {
+    const inCol = bodyItems.filter((item) => columnOf(item) === c);
+    if (!inCol.length) return Number.isFinite(col.xMax) ? (col.xMin + col.xMax) / 2 : col.xMin + tolerance;
+    return (Math.min(...inCol.map((it) => it.u)) + Math.max(...inCol.map((it) => it.u + it.width))) / 2;
+  });
+  const headerParts = colBounds.map(() => []);
+  for (const line of headerLines) {
+    const ruleUs = rulesCrossingLine(vertical, line);
+    const phrases = headerPhrases(line, ruleUs);
+    phrases.forEach((phrase, k) => {
+      for (const c of phraseColumns(phrase, phrases[k - 1], phrases[k + 1], anchors, ruleUs)) {
+        headerParts[c].push(phrase.text);
+      }
     });
-    cells.push(row);
   }
-
-  // First row is likely the header
-  const headerRow = cells.length > 0 ? cells[0] : [];
+  const headerRow = headerParts.map((parts) => parts.join(" "));
 
   return {
     startLineIndex: startIdx,
     endLineIndex: endIdx,
+    angle,
     columns: colBounds,
-    cells,
+    cells: [headerRow, ...bodyCells],
     headerRow,
+    headerRowCount: headerCount,
+    rowBoxes: [
+      itemsBounds(headerLines.flatMap((l) => l.items)),
+      ...rows.map((row) => itemsBounds(row.lines.flatMap((l) => l.items))),
+    ],
   };
 }
 
@@ -199,27 +557,33 @@ function extractTextBlocks(lines) {
 /**
  * Main entry point: extract spatial text data from PDF.js textContent items.
  *
- * @param {Array} items – textContent.items from page.getTextContent()
+ * @param {Array} items – textContent.items from page.getTextContent(), or
+ *   OCR items { str, x, y, width, height, fontSize }
  * @param {{ width: number, height: number }} viewport – page viewport
+ * @param {{ rules?: Array<{ x1, y1, x2, y2 }> }} [options] – rules are the
+ *   page's straight horizontal / vertical vector segments in PDF
+ *   coordinates; ruled schedules use them for cell boundaries
  * @returns {object} Spatial text data with lines, tables, blocks, and raw text.
  */
-export function extractSpatialText(items, viewport) {
+export function extractSpatialText(items, viewport, { rules = [] } = {}) {
   const normalized = items.filter((item) => item.str.trim().length > 0).map(normalizeItem);
   const lines = groupIntoLines(normalized);
 
   // Build raw text (backward-compatible flat string)
   const rawText = lines.map((line) => buildLineText(line.items)).join(" ");
 
-  const tables = detectTables(lines);
+  const tables = detectTables(lines, rules);
   const textBlocks = extractTextBlocks(lines);
 
   return {
     lines: lines.map((line) => ({
       y: line.y,
+      angle: line.angle,
       fontSize: line.fontSize,
       fontName: line.items[0]?.fontName || "",
       text: buildLineText(line.items),
       items: line.items,
+      bbox: itemsBounds(line.items),
     })),
     tables,
     rawText,
@@ -228,3 +592,28 @@ export function extractSpatialText(items, viewport) {
     viewportHeight: viewport.height,
   };
 }
+
+/**
+ * Map a character range of `rawText` back to the lines it came from.
+ * rawText joins line texts with single spaces, so offsets can be walked
+ * line by line.
+ *
+ * @returns {{ bbox: object|null, text: string }} bbox in PDF page coordinates
+ */
+export function locateTextRange(spatialData, start, end) {
+  const hit = [];
+  let offset = 0;
+  for (const line of spatialData.lines) {
+    const lineEnd = offset + line.text.length;
+    if (lineEnd > start && offset < end) hit.push(line);
+    if (offset >= end) break;
+    offset = lineEnd + 1;
+  }
+  const boxes = hit.map((l) => l.bbox).filter(Boolean);
+  if (boxes.length === 0) return { bbox: null, text: "" };
+  const x1 = Math.min(...boxes.map((b) => b.x));
+  const y1 = Math.min(...boxes.map((b) => b.y));
+  const x2 = Math.max(...boxes.map((b) => b.x + b.width));
+  const y2 = Math.max(...boxes.map((b) => b.y + b.height));
+  return { bbox: { x: x1, y: y1, width: x2 - x1, height: y2 - y1 }, text: hit.map((l) => l.text).join(" ") };
+}
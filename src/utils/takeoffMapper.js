@@ -5,9 +5,18 @@
  * the Wall, Floor, and Roof takeoff tabs can directly consume.
  */
 
+import { LUMBER_PRICES, LABOR_RATES } from "../constants";
+
+// Headers run past the rough opening onto the trimmers (1½" each side)
+const HEADER_BEARING_FT = 0.25;
+
 /**
  * Build wall import data from extraction result.
- * Groups walls by type, applies spec overrides, attaches openings.
+ * Groups walls by type, applies spec overrides, attaches openings. Shear
+ * walls (segments tagged on the plan, or a wall type that is itself a shear
+ * wall mark) get their own rows with `shearType`, and the shear wall types
+ * go along so the wall takeoff can add anchorage, hold-downs and nailing.
+ * Each row counts the plan segments summed into it (`segments`).
  */
 export function buildWallImportData(result) {
   const walls = [];
@@ -20,32 +29,43 @@ export function buildWallImportData(result) {
       typeMap[wt.type] = wt;
     }
 
-    // Group segments by wallType
+    // Group segments by wallType (vector-detected walls have no type, so
+    // they are grouped by the stud size guessed from their drawn thickness)
+    const shearMarks = new Set((result.shearWallTypes || []).map((t) => t.mark));
     const groups = {};
     for (const seg of result.wallSegments) {
-      const key = seg.wallType || "UNKNOWN";
-      if (!groups[key]) groups[key] = { segments: [], totalLength: 0 };
+      const base = seg.wallType || (seg.studSize ? "Detected " + seg.studSize : "UNKNOWN");
+      const shearType = seg.shearType || (shearMarks.has(seg.wallType) ? seg.wallType : null);
+      const key = shearType && shearType !== base ? base + " " + shearType : base;
+      if (!groups[key]) groups[key] = { segments: [], totalLength: 0, studSize: seg.wallType ? null : seg.studSize, wallType: seg.wallType, shearType };
       groups[key].segments.push(seg);
       groups[key].totalLength += seg.length || 0;
     }
 
-    for (const [typeKey, group] of Object.entries(groups)) {
+    const countedTypes = new Set();
+    for (const [groupKey, group] of Object.entries(groups)) {
+      const typeKey = group.wallType || groupKey;
       const wt = typeMap[typeKey] || {};
-      const isExt = wt.exterior ?? /^[AB]$|EXT/i.test(typeKey);
-      const studSize = wt.studSize || (isExt ? specs.exteriorWallStudSize : specs.interiorWallStudSize) || "2x4";
+      // Detected 2x6 walls are usually the exterior envelope
+      const isExt = wt.exterior ?? (group.studSize ? group.studSize === "2x6" : /^[AB]$|EXT/i.test(typeKey));
+      const studSize = wt.studSize || group.studSize || (isExt ? specs.exteriorWallStudSize : specs.interiorWallStudSize) || "2x4";
       const spacing = wt.spacing || (isExt ? specs.exteriorWallSpacing : specs.interiorWallSpacing) || 16;
       const height = wt.height || 8;
 
-      // Count openings for this wall type
-      const openingCount = result.openings.filter((o) => o.wallType === typeKey).length;
+      // Count openings for this wall type (once, when shear walls split it)
+      const openingCount = countedTypes.has(typeKey) ? 0 : result.openings.filter((o) => o.wallType === typeKey).length;
+      countedTypes.add(typeKey);
 
       walls.push({
         id: Date.now() + walls.length,
-        name: `Type ${typeKey}`,
+        name: group.studSize ? groupKey : `Type ${groupKey}`,
         type: isExt ? "Exterior" : "Interior",
         length: Math.round(group.totalLength * 10) / 10,
         height,
         openings: openingCount,
+        shearType: group.shearType || null,
+        // Shear walls are anchored and held down segment by segment
+        segments: group.segments.length,
         _studSize: studSize,
         _spacing: spacing,
       });
@@ -57,7 +77,7 @@ export function buildWallImportData(result) {
   if (specs.exteriorWallStudSize) settingsOverrides.studSize = specs.exteriorWallStudSize;
   if (specs.exteriorWallSpacing) settingsOverrides.studSpacing = specs.exteriorWallSpacing;
 
-  return { walls, settingsOverrides };
+  return { walls, settingsOverrides, shearWallTypes: result.shearWallTypes || [] };
 }
 
 /**
@@ -79,6 +99,43 @@ export function buildOpeningDetail(result) {
   }));
 }
 
+/**
+ * Material cost of one header: engineered lumber by the linear foot per
+ * ply, sawn lumber by the piece.
+ */
+function headerMaterialCost(size, plies, lengthFt) {
+  if (/\b(LVL|PSL|LSL|GLB|GLULAM|GL)\b/i.test(size)) return LUMBER_PRICES.header_LVL_per_lf * lengthFt * plies;
+  const sawn = size.match(/\b2x(6|8|10|12)\b/i);
+  if (sawn) return LUMBER_PRICES["header_2x" + sawn[1]] * plies;
+  return null;
+}
+
+/**
+ * Estimate header cost for the openings in an extraction result. Headers
+ * sized from a header schedule are priced as scheduled; the rest use the
+ * size guessed from the opening width.
+ *
+ * @returns {{ total: number, headers: number, scheduled: number, unpriced: number }}
+ */
+export function estimateHeaderCost(result) {
+  let total = 0;
+  let headers = 0;
+  let scheduled = 0;
+  let unpriced = 0;
+  for (const o of result?.openings || []) {
+    const qty = o.quantity || 1;
+    const material = headerMaterialCost(o.headerSize || "", o.headerCount || 2, (o.width || 3) + HEADER_BEARING_FT);
+    if (material === null) {
+      unpriced += qty;
+      continue;
+    }
+    total += (material + LABOR_RATES.headerEach) * qty;
+    headers += qty;
+    if (!o.headerDerived) scheduled += qty;
+  }
+  return { total, headers, scheduled, unpriced };
+}
+
 /**
  * Build floor import data from extraction result.
  */
@@ -0,0 +1,247 @@
+/**
+ * Title block and sheet index extraction.
+ *
+ * Every sheet in a drawing set carries a title block — a strip down the
+ * right edge or across the bottom — naming the sheet (number "A2.1" or
+ * "S-201", title, revision, date) and the project (name, address,
+ * architect). The cover sheet usually also lists every sheet in a sheet
+ * index. Sheet numbers label pages throughout the scanner, give the page
+ * classifier a strong hint (see classifyPage()) and the project block
+ * is offered for the project's own metadata.
+ */
+
+// ─── Patterns ───────────────────────────────────────────────────────
+
+// Discipline designators used on residential and light commercial sets
+// (US National CAD Standard plus the common cover / title prefixes)
+const DISCIPLINES = ["AD", "AS", "CS", "FP", "ID", "SK", "TS", "A", "C", "E", "G", "I", "L", "M", "P", "S", "T"];
+const SHEET_NUMBER_RE = new RegExp(`^(${DISCIPLINES.join("|")})[-.\\s]?(\\d{1,3}(?:\\.\\d{1,2})?)([A-Z]?)$`);
+
+const DATE_RE = /\b(\d{1,2}[/.-]\d{1,2}[/.-](?:\d{4}|\d{2})|(?:JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|SEPT|OCT|NOV|DEC)[A-Z]*\.?\s+\d{1,2},?\s+\d{4})\b/i;
+const STREET_RE = /^\d{1,6}\s+[A-Z0-9 .'-]+?\b(?:ST|STREET|AVE|AVENUE|RD|ROAD|DR|DRIVE|LN|LANE|BLVD|BOULEVARD|WAY|CT|COURT|PL|PLACE|HWY|HIGHWAY|PKWY|PARKWAY|CIR|CIRCLE|TER|TERRACE|TRL|TRAIL)\b\.?/i;
+const CITY_STATE_ZIP_RE = /^[A-Z .'-]+,\s*[A-Z]{2}\.?\s+\d{5}(?:-\d{4})?$/i;
+const ARCHITECT_FIRM_RE = /\bARCHITECT(?:S|URE|URAL)?\b|\bAIA\b|\bDESIGN\s+(?:GROUP|STUDIO|ASSOCIATES)\b/i;
+
+// Labels printed beside (or above) title block values
+const LABELS = {
+  sheetNumber: /^(?:SHEET|DWG|DRAWING)\s*(?:NO\.?|NUMBER|#)?$/i,
+  sheetTitle: /^(?:SHEET|DRAWING)?\s*TITLE$/i,
+  revision: /^REV(?:ISION)?\.?\s*(?:NO\.?|#)?$/i,
+  date: /^(?:ISSUE\s*)?DATE$/i,
+  projectName: /^(?:PROJECT|JOB)(?:\s*(?:NAME|TITLE))?$/i,
+  architect: /^ARCHITECT(?:\s*OF\s*RECORD)?$/i,
+};
+const ANY_LABEL_RE = /^(?:SHEET|DWG|DRAWING|TITLE|REV(?:ISION)?|(?:ISSUE\s*)?DATE|PROJECT|JOB|ARCHITECT|DRAWN|CHECKED|SCALE|CLIENT|OWNER)\b[^:]{0,12}:?$/i;
+
+// Words a sheet title is made of, used when the title has no label
+const TITLE_WORDS_RE = /\b(?:PLANS?|ELEVATIONS?|SECTIONS?|DETAILS?|SCHEDULES?|NOTES|COVER|INDEX|FRAMING|FOUNDATION|SPECIFICATIONS)\b/i;
+
+const TITLE_BLOCK_KEYWORDS_RE = /\b(?:SHEET|DATE|DRAWN|CHECKED|REV(?:ISION)?|PROJECT|SCALE|JOB|ARCHITECT|TITLE|ISSUED?)\b/i;
+const SHEET_INDEX_HEADING_RE = /sheet\s*index|drawing\s*index|index\s*of\s*(?:drawings|sheets)|list\s*of\s*(?:drawings|sheets)|sheet\s*list/i;
+
+// Title blocks sit within this fraction of the sheet's right or bottom edge
+const RIGHT_STRIP = 0.78;
+const BOTTOM_STRIP = 0.84;
+
+// ─── Sheet numbers ──────────────────────────────────────────────────
+
+/**
+ * Parse a sheet number into its parts.
+ *
+ * @returns {{ sheetNumber, discipline, number, series: number|null }|null}
+ *   series is the sheet's series digit (A2.1 → 2, A-201 → 2) when the
+ *   number is long enough to carry one, otherwise null
+ */
+export function parseSheetNumber(str) {
+  const m = SHEET_NUMBER_RE.exec(String(str || "").trim().toUpperCase());
+  if (!m) return null;
+  const [, discipline, number] = m;
+  const hasSeries = number.includes(".") || number.length >= 3;
+  return {
+    sheetNumber: m[0],
+    discipline,
+    number,
+    series: hasSeries ? Number(number[0]) : null,
+  };
+}
+
+// ─── Title block ────────────────────────────────────────────────────
+
+function pixelBox(bbox, toPixel) {
+  const a = toPixel(bbox.x, bbox.y);
+  const b = toPixel(bbox.x + bbox.width, bbox.y + bbox.height);
+  return { x0: Math.min(a.x, b.x), y0: Math.min(a.y, b.y), x1: Math.max(a.x, b.x), y1: Math.max(a.y, b.y) };
+}
+
+function regionScore(lines) {
+  let score = 0;
+  for (const line of lines) {
+    if (TITLE_BLOCK_KEYWORDS_RE.test(line.text)) score++;
+    if (line.text.split("\t").some((cell) => parseSheetNumber(cell))) score += 2;
+  }
+  return score;
+}
+
+/**
+ * The lines in the page's title block: whichever of the right-edge strip
+ * and the bottom strip reads most like one.
+ */
+function findTitleBlockLines(spatialData, toPixel, viewport) {
+  const placed = spatialData.lines
+    .filter((line) => line.bbox)
+    .map((line) => ({ line, box: pixelBox(line.bbox, toPixel) }));
+  const right = placed.filter((p) => p.box.x0 >= viewport.width * RIGHT_STRIP).map((p) => p.line);
+  const bottom = placed.filter((p) => p.box.y0 >= viewport.height * BOTTOM_STRIP).map((p) => p.line);
+  const candidates = [right, bottom]
+    .map((lines) => ({ lines, score: regionScore(lines) }))
+    .sort((a, b) => b.score - a.score);
+  return candidates[0].score >= 3 ? candidates[0].lines : [];
+}
+
+/** Title block text as cells, in reading order. */
+function toEntries(lines) {
+  const entries = [];
+  for (const line of lines) {
+    for (const cell of line.text.split("\t")) {
+      const text = cell.trim();
+      if (text) entries.push({ text, fontSize: line.fontSize });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Value printed with a label: "SHEET: A2.1" in one cell, or the label in
+ * one cell and the value in the next.
+ */
+function labeledValue(entries, labelRe, accept = () => true) {
+  for (let i = 0; i < entries.length; i++) {
+    const { text } = entries[i];
+    const colon = text.indexOf(":");
+    if (colon > 0 && labelRe.test(text.slice(0, colon).trim())) {
+      const value = text.slice(colon + 1).trim();
+      if (value && accept(value)) return value;
+    }
+    if (labelRe.test(text.replace(/:$/, "").trim())) {
+      const next = entries[i + 1]?.text;
+      if (next && !ANY_LABEL_RE.test(next) && accept(next)) return next;
+    }
+  }
+  return "";
+}
+
+function largest(entries, accept) {
+  let best = null;
+  for (const entry of entries) {
+    if (!accept(entry.text)) continue;
+    if (!best || entry.fontSize > best.fontSize) best = entry;
+  }
+  return best?.text || "";
+}
+
+function findAddress(entries) {
+  for (let i = 0; i < entries.length; i++) {
+    const street = STREET_RE.exec(entries[i].text);
+    if (!street) continue;
+    // "123 Main St, Springfield, IL 62701" in one cell, or the city line below
+    const rest = entries[i + 1]?.text;
+    if (entries[i].text.length > street[0].length || !rest || !CITY_STATE_ZIP_RE.test(rest)) return entries[i].text;
+    return entries[i].text + ", " + rest;
+  }
+  return "";
+}
+
+/**
+ * Find and parse a page's title block.
+ *
+ * @param {object} spatialData – output from extractSpatialText()
+ * @param {(x, y) => { x, y }} toPixel – PDF point → rendered-image pixel
+ * @param {{ width: number, height: number }} viewport – rendered page size
+ * @returns {{ sheetNumber, sheetTitle, revision, date,
+ *   projectInfo: { name, address, architect, date } }} empty strings when a
+ *   field (or the whole title block) was not found
+ */
+export function extractTitleBlock(spatialData, toPixel, viewport) {
+  const entries = toEntries(findTitleBlockLines(spatialData, toPixel, viewport));
+  const isSheetNumber = (text) => !!parseSheetNumber(text);
+
+  const sheetNumber = parseSheetNumber(labeledValue(entries, LABELS.sheetNumber, isSheetNumber) || largest(entries, isSheetNumber))?.sheetNumber || "";
+  const sheetTitle =
+    labeledValue(entries, LABELS.sheetTitle, (t) => !isSheetNumber(t)) ||
+    largest(entries, (t) => TITLE_WORDS_RE.test(t) && !ANY_LABEL_RE.test(t) && !isSheetNumber(t) && t.length <= 60);
+  const revision = labeledValue(entries, LABELS.revision, (t) => /^[A-Z0-9]{1,3}$/i.test(t));
+  const dateCell = labeledValue(entries, LABELS.date, (t) => DATE_RE.test(t)) || entries.find((e) => DATE_RE.test(e.text))?.text || "";
+  const date = DATE_RE.exec(dateCell)?.[1] || "";
+
+  const name = labeledValue(entries, LABELS.projectName, (t) => !/^[\d\s#-]+$/.test(t) && !isSheetNumber(t));
+  const architect =
+    labeledValue(entries, LABELS.architect) ||
+    entries.find((e) => ARCHITECT_FIRM_RE.test(e.text) && !ANY_LABEL_RE.test(e.text))?.text ||
+    "";
+
+  return {
+    sheetNumber,
+    sheetTitle,
+    revision,
+    date,
+    projectInfo: { name, address: findAddress(entries), architect, date },
+  };
+}
+
+// ─── Sheet index ────────────────────────────────────────────────────
+
+/**
+ * Parse the sheet index on a cover sheet.
+ *
+ * Index rows read "A2.1 <tab> EXTERIOR ELEVATIONS", in a table or a plain
+ * list, possibly several entries across in multi-column indexes.
+ *
+ * @returns {Array<{ sheetNumber: string, title: string }>} empty when the
+ *   page has no sheet index
+ */
+export function parseSheetIndex(spatialData) {
+  const lines = spatialData.lines;
+  const headingAt = lines.findIndex((line) => SHEET_INDEX_HEADING_RE.test(line.text));
+  if (headingAt < 0) return [];
+
+  const entries = new Map();
+  const add = (number, title) => {
+    const sheet = parseSheetNumber(number);
+    const clean = title.trim();
+    if (!sheet || !/[A-Z]{3}/i.test(clean) || parseSheetNumber(clean)) return;
+    if (!entries.has(sheet.sheetNumber)) entries.set(sheet.sheetNumber, { sheetNumber: sheet.sheetNumber, title: clean });
+  };
+
+  for (const line of lines.slice(headingAt + 1)) {
+    const cells = line.text.split("\t").map((c) => c.trim()).filter(Boolean);
+    for (let i = 0; i < cells.length; i++) {
+      if (parseSheetNumber(cells[i]) && cells[i + 1]) {
+        add(cells[i], cells[i + 1]);
+        i++;
+        continue;
+      }
+      const inline = /^(\S+)\s+(.+)$/.exec(cells[i]);
+      if (inline) add(inline[1], inline[2]);
+    }
+  }
+  return entries.size >= 2 ? [...entries.values()] : [];
+}
+
+/**
+ * Tie a sheet index to the sheets in the file: index entries get the page
+ * they are on (null when the sheet is missing from the set) and sheets
+ * whose title block gave no title take the index's.
+ *
+ * @param {Array<{ page, sheetNumber, sheetTitle }>} sheets – mutated
+ * @param {Array<{ sheetNumber, title }>} index – from parseSheetIndex()
+ * @returns {Array<{ sheetNumber, title, page: number|null }>}
+ */
+export function linkSheetIndex(sheets, index) {
+  // "A-201", "A 201" and "A201" are the same sheet
+  const key = (number) => number.replace(/[-\s]/g, "");
+  return index.map((entry) => {
+    const sheet = sheets.find((s) => s.sheetNumber && key(s.sheetNumber) === key(entry.sheetNumber));
+    if (sheet && !sheet.sheetTitle) sheet.sheetTitle = entry.title;
+    return { ...entry, page: sheet?.page ?? null };
+  });
+}
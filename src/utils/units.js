@@ -0,0 +1,110 @@
+/**
+ * Project unit system.
+ *
+ * Takeoffs are stored and calculated in imperial units whatever the
+ * project's setting — lengths in feet, areas in square feet, framing
+ * spacing in inches — so saved projects, learned defaults and extraction
+ * results mean the same thing in either system. A metric project converts
+ * at the edges: values are shown and typed in metres, square metres and
+ * millimetres, and sheet goods are counted as 1200 x 2400 mm panels.
+ */
+import { SHEET_COVERAGE_SF, METRIC_SHEET_COVERAGE_SF } from "../constants";
+
+export const UNIT_SYSTEMS = [
+  { value: "imperial", label: "ft-in" },
+  { value: "metric", label: "metric" },
+];
+
+const M_PER_FOOT = 0.3048;
+const MM_PER_INCH = 25.4;
+const SQ_FT_PER_SQ_M = 1 / (M_PER_FOOT * M_PER_FOOT);
+// Metric framing spacings (mm on centre)
+const METRIC_SPACINGS_MM = [300, 400, 600];
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+export function isMetric(units) {
+  return units === "metric";
+}
+
+/** Unit label for lengths typed into the takeoffs: "ft" or "m". */
+export function lengthUnit(units) {
+  return isMetric(units) ? "m" : "ft";
+}
+
+/** Unit label for run totals: "LF" or "m". */
+export function linearUnit(units) {
+  return isMetric(units) ? "m" : "LF";
+}
+
+/** Unit label for areas: "SF" or "m²". */
+export function areaUnit(units) {
+  return isMetric(units) ? "m²" : "SF";
+}
+
+/**
+ * A length in feet as the number to show in an input (metres to the
+ * millimetre in a metric project).
+ */
+export function toDisplayLength(feet, units) {
+  return isMetric(units) ? round(feet * M_PER_FOOT, 3) : feet;
+}
+
+/** A length typed in the project's units, back to feet. */
+export function fromDisplayLength(value, units) {
+  return isMetric(units) ? value / M_PER_FOOT : value;
+}
+
+/** Square feet as the number to show (square metres in a metric project). */
+export function toDisplayArea(sqft, units) {
+  return isMetric(units) ? sqft / SQ_FT_PER_SQ_M : sqft;
+}
+
+/** An area typed in the project's units, back to square feet. */
+export function fromDisplayArea(value, units) {
+  return isMetric(units) ? value * SQ_FT_PER_SQ_M : value;
+}
+
+/** "12.5'" or "3.81 m". */
+export function formatLength(feet, units, digits = 1) {
+  return isMetric(units) ? (feet * M_PER_FOOT).toFixed(digits + 1) + " m" : feet.toFixed(digits) + "'";
+}
+
+/** "1,250 SF" or "116 m²". */
+export function formatArea(sqft, units) {
+  return Math.round(toDisplayArea(sqft, units)).toLocaleString() + " " + areaUnit(units);
+}
+
+/** A spacing or size in inches: '16"' or "406 mm". */
+export function formatInches(inches, units) {
+  return isMetric(units) ? Math.round(inches * MM_PER_INCH) + " mm" : inches + '"';
+}
+
+/**
+ * Options for a framing spacing select. Values stay in inches; a metric
+ * project picks from 300 / 400 / 600 mm, plus the current value when it is
+ * an imperial spacing carried over from before the switch.
+ *
+ * @param {number[]} inchSpacings – the imperial choices, e.g. [12, 16, 24]
+ * @param {number} current – the setting's value in inches
+ * @param {string} [suffix] – appended to imperial labels, e.g. " OC"
+ */
+export function spacingOptions(inchSpacings, units, current, suffix = "") {
+  if (!isMetric(units)) return inchSpacings.map((inches) => ({ value: String(inches), label: inches + '"' + suffix }));
+  const values = METRIC_SPACINGS_MM.map((mm) => mm / MM_PER_INCH);
+  if (current && !values.includes(current)) values.push(current);
+  return values.sort((a, b) => a - b).map((inches) => ({ value: String(inches), label: formatInches(inches, units) }));
+}
+
+/** Coverage of one sheathing / subfloor panel in square feet. */
+export function sheetCoverageSf(units) {
+  return isMetric(units) ? METRIC_SHEET_COVERAGE_SF : SHEET_COVERAGE_SF;
+}
+
+/**
+ * Round a length in feet for a takeoff row: to 0.1 ft, or to the
+ * millimetre in a metric project so "3600" reads back as 3.6 m.
+ */
+export function roundLength(feet, units) {
+  return isMetric(units) ? fromDisplayLength(toDisplayLength(feet, units), units) : Math.round(feet * 10) / 10;
+}
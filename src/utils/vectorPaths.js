@@ -0,0 +1,158 @@
+/**
+ * Vector path extraction for PDF.js pages.
+ *
+ * Walks a page's operator list, tracks the current transformation matrix
+ * and collects every stroked or filled straight segment in rendered-image
+ * pixel coordinates (the same space as measurements). Curves contribute
+ * their chord so their endpoints remain snappable. Clipping paths are
+ * discarded.
+ */
+
+const MAX_SEGMENTS = 60000;
+const MIN_SEGMENT_PX = 1;
+// Ruled lines handed to table detection (schedule grids)
+const MAX_RULES = 8000;
+const MIN_RULE_PX = 6;
+
+// Path-painting operators that keep the current path (everything else that
+// ends a path — endPath after a clip — throws it away).
+const PAINT_OPS = [
+  "stroke", "closeStroke", "fill", "eoFill", "fillStroke", "eoFillStroke",
+  "closeFillStroke", "closeEOFillStroke",
+];
+
+function multiply(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5],
+  ];
+}
+
+function apply(m, x, y) {
+  return { x: m[0] * x + m[2] * y + m[4], y: m[1] * x + m[3] * y + m[5] };
+}
+
+/**
+ * Extract straight segments from a page.
+ *
+ * @param {object} page – PDFPageProxy
+ * @param {object} viewport – the viewport the page image was rendered with
+ * @param {object} [OPS] – pdf.js operator table (defaults to window.pdfjsLib.OPS)
+ * @returns {Promise<Array<{ x1, y1, x2, y2, width }>>} segments in image pixels;
+ *   `width` is the stroke width in image pixels.
+ */
+export async function extractPageSegments(page, viewport, OPS = window.pdfjsLib?.OPS) {
+  if (!OPS) return [];
+  const opList = await page.getOperatorList();
+  const paintOps = new Set(PAINT_OPS.map((name) => OPS[name]));
+  const viewScale = Math.hypot(viewport.transform[0], viewport.transform[1]);
+
+  const segments = [];
+  let ctm = [1, 0, 0, 1, 0, 0];
+  let lineWidth = 1;
+  const stack = [];
+  let pending = [];
+
+  const addSegment = (a, b) => {
+    const pa = viewport.convertToViewportPoint(a.x, a.y);
+    const pb = viewport.convertToViewportPoint(b.x, b.y);
+    if (Math.hypot(pb[0] - pa[0], pb[1] - pa[1]) < MIN_SEGMENT_PX) return;
+    const ctmScale = Math.sqrt(Math.abs(ctm[0] * ctm[3] - ctm[1] * ctm[2])) || 1;
+    pending.push({ x1: pa[0], y1: pa[1], x2: pb[0], y2: pb[1], width: lineWidth * ctmScale * viewScale });
+  };
+
+  const { fnArray, argsArray } = opList;
+  for (let i = 0; i < fnArray.length && segments.length < MAX_SEGMENTS; i++) {
+    const fn = fnArray[i];
+    const args = argsArray[i];
+
+    if (fn === OPS.save) {
+      stack.push({ ctm, lineWidth });
+    } else if (fn === OPS.restore) {
+      const prev = stack.pop();
+      if (prev) ({ ctm, lineWidth } = prev);
+    } else if (fn === OPS.transform) {
+      ctm = multiply(ctm, args);
+    } else if (fn === OPS.paintFormXObjectBegin) {
+      stack.push({ ctm, lineWidth });
+      if (Array.isArray(args[0]) && args[0].length === 6) ctm = multiply(ctm, args[0]);
+    } else if (fn === OPS.paintFormXObjectEnd) {
+      const prev = stack.pop();
+      if (prev) ({ ctm, lineWidth } = prev);
+    } else if (fn === OPS.setLineWidth) {
+      lineWidth = args[0];
+    } else if (fn === OPS.constructPath) {
+      const [subOps, coords] = args;
+      let c = 0;
+      let current = null;
+      let start = null;
+      for (const op of subOps) {
+        if (op === OPS.moveTo) {
+          current = apply(ctm, coords[c], coords[c + 1]);
+          start = current;
+          c += 2;
+        } else if (op === OPS.lineTo) {
+          const next = apply(ctm, coords[c], coords[c + 1]);
+          if (current) addSegment(current, next);
+          current = next;
+          c += 2;
+        } else if (op === OPS.curveTo) {
+          const next = apply(ctm, coords[c + 4], coords[c + 5]);
+          if (current) addSegment(current, next);
+          current = next;
+          c += 6;
+        } else if (op === OPS.curveTo2 || op === OPS.curveTo3) {
+          const next = apply(ctm, coords[c + 2], coords[c + 3]);
+          if (current) addSegment(current, next);
+          current = next;
+          c += 4;
+        } else if (op === OPS.closePath) {
+          if (current && start) addSegment(current, start);
+          current = start;
+        } else if (op === OPS.rectangle) {
+          const [x, y, w, h] = coords.slice(c, c + 4);
+          const corners = [
+            apply(ctm, x, y), apply(ctm, x + w, y), apply(ctm, x + w, y + h), apply(ctm, x, y + h),
+          ];
+          for (let k = 0; k < 4; k++) addSegment(corners[k], corners[(k + 1) % 4]);
+          current = corners[0];
+          start = corners[0];
+          c += 4;
+        }
+      }
+    } else if (paintOps.has(fn)) {
+      segments.push(...pending);
+      pending = [];
+    } else if (fn === OPS.endPath) {
+      pending = [];
+    }
+  }
+
+  return segments.slice(0, MAX_SEGMENTS);
+}
+
+/**
+ * Horizontal and vertical segments — candidate table rules — converted back
+ * to PDF user space, where the spatial text engine works.
+ *
+ * @param {Array<{ x1, y1, x2, y2 }>} segments – from extractPageSegments()
+ * @param {object} viewport – the viewport the segments were extracted with
+ * @returns {Array<{ x1, y1, x2, y2 }>} in PDF coordinates
+ */
+export function segmentsToRules(segments, viewport) {
+  const rules = [];
+  for (const seg of segments) {
+    const dx = Math.abs(seg.x2 - seg.x1);
+    const dy = Math.abs(seg.y2 - seg.y1);
+    if (Math.max(dx, dy) < MIN_RULE_PX || Math.min(dx, dy) > 0.5) continue;
+    const [x1, y1] = viewport.convertToPdfPoint(seg.x1, seg.y1);
+    const [x2, y2] = viewport.convertToPdfPoint(seg.x2, seg.y2);
+    rules.push({ x1, y1, x2, y2 });
+    if (rules.length >= MAX_RULES) break;
+  }
+  return rules;
+}
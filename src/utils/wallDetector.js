@@ -0,0 +1,231 @@
+/**
+ * Vector wall detection for floor plans.
+ *
+ * Floor plans draw framed walls as two parallel lines a stud-plus-finish
+ * apart. Given the straight segments of a page (see vectorPaths.js) and
+ * the scale, this finds parallel pairs whose spacing falls in the
+ * range of a framed wall, overlaps them into centerlines and guesses the
+ * stud size from the drawn thickness. Works offline — no AI key needed.
+ */
+
+import { pixelsToFeet, getScale, pageScaleId, resolveScaleId } from "./planScale";
+import { nearestPointOnSegment } from "./snapIndex";
+
+// Drawn wall thickness range in inches (stud + sheathing / drywall)
+const MIN_WALL_IN = 3;
+const MAX_WALL_IN = 10;
+// Walls drawn thicker than this are treated as 2x6 framing
+const TWO_BY_SIX_MIN_IN = 5.75;
+// Shortest wall run worth reporting, in feet
+const MIN_WALL_FT = 1.5;
+// A shear wall tag labels a wall whose centerline is within this many wall
+// thicknesses (or SHEAR_TAG_MIN_PX) of the tag
+const SHEAR_TAG_REACH = 6;
+const SHEAR_TAG_MIN_PX = 40;
+// Two lines count as parallel when their angles differ by less than this
+const ANGLE_TOLERANCE = (1.5 * Math.PI) / 180;
+
+/**
+ * Normalize a segment into line form: unit direction, signed offset of the
+ * line from the origin and the projected interval along the direction.
+ */
+function toLine(s) {
+  const dx = s.x2 - s.x1;
+  const dy = s.y2 - s.y1;
+  const len = Math.hypot(dx, dy);
+  let ux = dx / len;
+  let uy = dy / len;
+  // Direction in [-tol, PI - tol) so opposite-drawn lines compare equal and
+  // near-horizontal lines don't split between 0 and PI
+  if (uy < 0 || (uy === 0 && ux < 0)) { ux = -ux; uy = -uy; }
+  let angle = Math.atan2(uy, ux);
+  if (angle >= Math.PI - ANGLE_TOLERANCE) { ux = -ux; uy = -uy; angle -= Math.PI; }
+  const offset = -uy * s.x1 + ux * s.y1;
+  const t1 = ux * s.x1 + uy * s.y1;
+  const t2 = ux * s.x2 + uy * s.y2;
+  return { ux, uy, angle, offset, tMin: Math.min(t1, t2), tMax: Math.max(t1, t2), len };
+}
+
+function pointOnLine(ux, uy, offset, t) {
+  return { x: ux * t - uy * offset, y: uy * t + ux * offset };
+}
+
+function lowerBound(sortedLines, offset) {
+  let lo = 0;
+  let hi = sortedLines.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sortedLines[mid].offset < offset) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Guess the stud size from a drawn wall thickness in inches.
+ */
+export function guessStudSize(thicknessIn) {
+  return thicknessIn >= TWO_BY_SIX_MIN_IN ? "2x6" : "2x4";
+}
+
+/**
+ * Find double-line walls among a page's segments.
+ *
+ * @param {Array<{ x1, y1, x2, y2 }>} segments – image-pixel segments
+ * @param {number} pixelsPerFoot – page scale
+ * @returns {Array<{ x1, y1, x2, y2, thicknessPx }>} wall centerlines in image pixels
+ */
+export function detectWalls(segments, pixelsPerFoot) {
+  if (!segments?.length || !(pixelsPerFoot > 0)) return [];
+  const minGap = (MIN_WALL_IN / 12) * pixelsPerFoot;
+  const maxGap = (MAX_WALL_IN / 12) * pixelsPerFoot;
+  const minLen = MIN_WALL_FT * pixelsPerFoot;
+
+  const lines = segments
+    .filter((s) => Math.hypot(s.x2 - s.x1, s.y2 - s.y1) >= minLen)
+    .map(toLine);
+
+  // Bucket by angle, each bucket sorted by offset, so partners are found
+  // with a binary search instead of testing every pair
+  const buckets = new Map();
+  for (const line of lines) {
+    const key = Math.round(line.angle / ANGLE_TOLERANCE);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(line);
+  }
+  for (const list of buckets.values()) list.sort((a, b) => a.offset - b.offset);
+
+  const walls = [];
+  for (const a of lines) {
+    // Closest partner on the far side of `a` only, so a wall drawn with an
+    // extra finish line does not also pair its outer faces
+    let best = null;
+    const key = Math.round(a.angle / ANGLE_TOLERANCE);
+    for (const k of [key - 1, key, key + 1]) {
+      const list = buckets.get(k);
+      if (!list) continue;
+      for (let j = lowerBound(list, a.offset + minGap); j < list.length && list[j].offset - a.offset <= maxGap; j++) {
+        const b = list[j];
+        if (Math.abs(a.angle - b.angle) > ANGLE_TOLERANCE) continue;
+        const tMin = Math.max(a.tMin, b.tMin);
+        const tMax = Math.min(a.tMax, b.tMax);
+        if (tMax - tMin < minLen) continue;
+        const gap = b.offset - a.offset;
+        if (!best || gap < best.gap || (gap === best.gap && tMax - tMin > best.tMax - best.tMin)) {
+          best = { gap, tMin, tMax };
+        }
+      }
+    }
+    if (!best) continue;
+    const mid = a.offset + best.gap / 2;
+    const p1 = pointOnLine(a.ux, a.uy, mid, best.tMin);
+    const p2 = pointOnLine(a.ux, a.uy, mid, best.tMax);
+    walls.push({ x1: p1.x, y1: p1.y, x2: p2.x, y2: p2.y, thicknessPx: best.gap });
+  }
+
+  return dedupeWalls(walls, pixelsPerFoot);
+}
+
+/**
+ * Find walls on a page whose viewports may be drawn at other scales than
+ * the page. Each scale region (each viewport, and the rest of the page) is
+ * searched with its own scale, with the segments whose midpoint lies in it;
+ * regions without a scale are skipped.
+ *
+ * @param {Array<{ x1, y1, x2, y2 }>} segments – image-pixel segments
+ * @param {object} scales – scale state (see planScale.js)
+ * @param {number} page – 0-based
+ * @returns {{ walls: Array, scaled: boolean }} scaled is false when no
+ *   region of the page has a scale
+ */
+export function detectWallsOnPage(segments, scales, page) {
+  const midpointScaleId = (s) => resolveScaleId(scales, page, { x: (s.x1 + s.x2) / 2, y: (s.y1 + s.y2) / 2 });
+  const byRegion = new Map();
+  for (const s of segments || []) {
+    const scaleId = midpointScaleId(s);
+    if (!byRegion.has(scaleId)) byRegion.set(scaleId, []);
+    byRegion.get(scaleId).push(s);
+  }
+  const walls = [];
+  const scaled = !!getScale(scales, pageScaleId(page)) || scales.viewports.some((v) => v.page === page && v.scale);
+  for (const [scaleId, regionSegments] of byRegion) {
+    const scale = getScale(scales, scaleId);
+    if (!scale) continue;
+    // A centerline is measured with the region its midpoint falls in
+    walls.push(...detectWalls(regionSegments, scale.pixels / scale.feet).filter((w) => midpointScaleId(w) === scaleId));
+  }
+  return { walls, scaled };
+}
+
+/**
+ * Drop centerlines that repeat an existing one (the same pair found from
+ * both sides, or a pair split by a short extra line).
+ */
+function dedupeWalls(walls, pixelsPerFoot) {
+  const tolerance = pixelsPerFoot / 12; // one inch
+  const kept = [];
+  const sorted = [...walls].sort((a, b) => Math.hypot(b.x2 - b.x1, b.y2 - b.y1) - Math.hypot(a.x2 - a.x1, a.y2 - a.y1));
+  for (const w of sorted) {
+    const la = toLine(w);
+    const duplicate = kept.some((k) => {
+      const lb = toLine(k);
+      if (Math.abs(la.angle - lb.angle) > ANGLE_TOLERANCE || Math.abs(la.offset - lb.offset) > tolerance) return false;
+      // Mostly contained in a kept wall
+      const overlap = Math.min(la.tMax, lb.tMax) - Math.max(la.tMin, lb.tMin);
+      return overlap >= la.len * 0.8;
+    });
+    if (!duplicate) kept.push(w);
+  }
+  return kept;
+}
+
+/**
+ * Convert a reviewed wall candidate into an extraction-result wall segment.
+ *
+ * @param {{ x1, y1, x2, y2, thicknessPx, page }} wall – page is 0-based
+ * @param {{ pixels, feet }} scale
+ */
+export function wallToSegment(wall, scale) {
+  const length = pixelsToFeet(Math.hypot(wall.x2 - wall.x1, wall.y2 - wall.y1), scale);
+  const thicknessIn = pixelsToFeet(wall.thicknessPx, scale) * 12;
+  return {
+    wallType: null,
+    length: Math.round(length * 10) / 10,
+    room: "",
+    page: wall.page + 1,
+    studSize: guessStudSize(thicknessIn),
+    thickness: Math.round(thicknessIn * 10) / 10,
+    geometry: { x1: wall.x1, y1: wall.y1, x2: wall.x2, y2: wall.y2 },
+    source: { page: wall.page + 1, bbox: null, text: "", extractor: "vector" },
+  };
+}
+
+/**
+ * Label walls with the shear wall tags ("SW1") drawn beside them. Each tag
+ * goes to the nearest wall on its page, measured to the wall centerline.
+ *
+ * @param {Array<{ x1, y1, x2, y2, thicknessPx, page }>} walls – page is 0-based
+ * @param {Array<Array<{ mark, x, y }>>} tagsByPage – tags in image pixels,
+ *   indexed by 0-based page
+ * @returns {Map<object, string>} wall → shear wall mark
+ */
+export function matchShearTags(walls, tagsByPage) {
+  const marks = new Map();
+  for (const [page, tags] of (tagsByPage || []).entries()) {
+    const pageWalls = walls.filter((w) => w.page === page);
+    for (const tag of tags || []) {
+      let best = null;
+      let bestDist = Infinity;
+      for (const w of pageWalls) {
+        const p = nearestPointOnSegment(w, tag);
+        const dist = Math.hypot(p.x - tag.x, p.y - tag.y);
+        if (dist < bestDist && dist <= Math.max(w.thicknessPx * SHEAR_TAG_REACH, SHEAR_TAG_MIN_PX)) {
+          best = w;
+          bestDist = dist;
+        }
+      }
+      if (best) marks.set(best, tag.mark);
+    }
+  }
+  return marks;
+}
@@ -0,0 +1,59 @@
+/**
+ * Extraction worker.
+ *
+ * Runs per-page text analysis (pageExtraction.js) off the main thread so the
+ * plan canvas stays responsive on large sets. Pages are analyzed in the
+ * order they arrive; a cancelled job's queued pages are skipped.
+ *
+ * Messages in:
+ *   { type: "start",  jobId, totalPages }
+ *   { type: "page",   jobId, input }        – input for analyzePage()
+ *   { type: "cancel", jobId }
+ * Messages out:
+ *   { type: "progress", jobId, current, total, message }
+ *   { type: "page",     jobId, result }     – analyzePage() output
+ *   { type: "error",    jobId, page, message }
+ *   { type: "cancelled", jobId }
+ */
+
+import { analyzePage } from "../utils/pageExtraction";
+
+const jobs = new Map(); // jobId → { totalPages, done, cancelled }
+
+self.onmessage = (event) => {
+  const { type, jobId } = event.data;
+
+  if (type === "start") {
+    jobs.set(jobId, { totalPages: event.data.totalPages, done: 0, cancelled: false });
+    return;
+  }
+
+  if (type === "cancel") {
+    const job = jobs.get(jobId);
+    if (job) job.cancelled = true;
+    jobs.delete(jobId);
+    self.postMessage({ type: "cancelled", jobId });
+    return;
+  }
+
+  if (type === "page") {
+    const job = jobs.get(jobId);
+    if (!job || job.cancelled) return;
+    const { input } = event.data;
+    try {
+      const result = analyzePage(input);
+      job.done++;
+      self.postMessage({
+        type: "progress",
+        jobId,
+        current: job.done,
+        total: job.totalPages,
+        message: `Analyzed page ${input.page}/${job.totalPages}`,
+      });
+      self.postMessage({ type: "page", jobId, result });
+      if (job.done >= job.totalPages) jobs.delete(jobId);
+    } catch (err) {
+      self.postMessage({ type: "error", jobId, page: input.page, message: err.message });
+    }
+  }
+};